@@ -86,13 +86,24 @@ function scriptActor(scriptName) {
   return `script:${sanitized}`;
 }
 
+/**
+ * Create a user actor string for a named reviewer
+ * @param {string} userName - Name of the reviewer
+ * @returns {string} Actor string in format user:<name>
+ */
+function userActor(userName) {
+  // Sanitize user name to match pattern
+  const sanitized = String(userName || '').trim().replace(/[^a-zA-Z0-9_\-\.]/g, '_');
+  return sanitized ? `user:${sanitized}` : ACTOR_PATTERNS.USER;
+}
+
 /**
  * Create a complete audit log entry
  * 
  * @param {Object} options - Audit log entry options
  * @param {string} options.eventType - Event type (must be one of EVENT_TYPES)
  * @param {Object} options.affectedEntities - Object containing affected entity IDs
- * @param {string} options.actor - Actor string (system, user, or script:<name>)
+ * @param {string} options.actor - Actor string (system, user, user:<name>, or script:<name>)
  * @param {string} [options.description] - Optional description
  * @param {Object} [options.metadata] - Optional metadata
  * @param {string} [options.timestamp] - Optional timestamp (defaults to now)
@@ -115,7 +126,7 @@ function createAuditLogEntry(options) {
 
   // Validate actor
   if (!isValidActor(actor)) {
-    throw new Error(`Invalid actor: ${actor}. Must be 'system', 'user', or 'script:<name>'`);
+    throw new Error(`Invalid actor: ${actor}. Must be 'system', 'user', 'user:<name>', or 'script:<name>'`);
   }
 
   // Validate affected entities structure
@@ -155,7 +166,7 @@ function isValidActor(actor) {
     return false;
   }
 
-  const actorPattern = /^(system|user|script:[a-zA-Z0-9_\-\.]+)$/;
+  const actorPattern = /^(system|user(:[a-zA-Z0-9_\-\.]+)?|script:[a-zA-Z0-9_\-\.]+)$/;
   return actorPattern.test(actor);
 }
 
@@ -190,12 +201,14 @@ function validateAffectedEntities(entities) {
  * @param {string} [options.hashBefore] - Content hash before change
  * @param {string} [options.hashAfter] - Content hash after change
  * @param {string} [options.description] - Optional description
+ * @param {Object} [options.metadata] - Optional extra metadata (e.g. status_to)
+ * @param {string} [options.timestamp] - Optional timestamp (defaults to now)
  * @returns {Object} Audit log entry
  */
 function createSourceChangeEntry(options) {
-  const { sourcePageIds, actor, hashBefore, hashAfter, description } = options;
+  const { sourcePageIds, actor, hashBefore, hashAfter, description, timestamp } = options;
 
-  const metadata = {};
+  const metadata = { ...options.metadata };
   if (hashBefore) metadata.hash_before = hashBefore;
   if (hashAfter) metadata.hash_after = hashAfter;
 
@@ -206,7 +219,8 @@ function createSourceChangeEntry(options) {
     },
     actor,
     description: description || `Source page content changed`,
-    metadata: Object.keys(metadata).length > 0 ? metadata : undefined
+    metadata: Object.keys(metadata).length > 0 ? metadata : undefined,
+    timestamp
   });
 }
 
@@ -218,10 +232,12 @@ function createSourceChangeEntry(options) {
  * @param {string[]} options.sourcePageIds - Source page IDs that caused invalidation
  * @param {string} options.actor - Actor string
  * @param {string} [options.description] - Optional description
+ * @param {Object} [options.metadata] - Optional metadata (e.g. status_to)
+ * @param {string} [options.timestamp] - Optional timestamp (defaults to now)
  * @returns {Object} Audit log entry
  */
 function createClaimInvalidationEntry(options) {
-  const { claimIds, sourcePageIds, actor, description } = options;
+  const { claimIds, sourcePageIds, actor, description, metadata, timestamp } = options;
 
   return createAuditLogEntry({
     eventType: EVENT_TYPES.CLAIM_INVALIDATION,
@@ -230,7 +246,9 @@ function createClaimInvalidationEntry(options) {
       source_pages: sourcePageIds
     },
     actor,
-    description: description || `${claimIds.length} claim(s) invalidated due to source changes`
+    description: description || `${claimIds.length} claim(s) invalidated due to source changes`,
+    metadata,
+    timestamp
   });
 }
 
@@ -242,10 +260,12 @@ function createClaimInvalidationEntry(options) {
  * @param {string[]} [options.sourcePageIds] - Source page IDs checked
  * @param {string} options.actor - Actor string
  * @param {string} [options.description] - Optional description
+ * @param {Object} [options.metadata] - Optional metadata (e.g. hash_after, outcome)
+ * @param {string} [options.timestamp] - Optional timestamp (defaults to now)
  * @returns {Object} Audit log entry
  */
 function createVerificationEntry(options) {
-  const { claimIds, sourcePageIds = [], actor, description } = options;
+  const { claimIds, sourcePageIds = [], actor, description, metadata, timestamp } = options;
 
   const affectedEntities = { claims: claimIds };
   if (sourcePageIds.length > 0) {
@@ -256,7 +276,9 @@ function createVerificationEntry(options) {
     eventType: EVENT_TYPES.VERIFICATION,
     affectedEntities,
     actor,
-    description: description || `${claimIds.length} claim(s) verified`
+    description: description || `${claimIds.length} claim(s) verified`,
+    metadata,
+    timestamp
   });
 }
 
@@ -383,6 +405,7 @@ module.exports = {
   
   // Helper functions
   scriptActor,
+  userActor,
   isValidActor,
   normalizeAffectedEntities,
   
@@ -487,6 +510,15 @@ if (require.main === module) {
     assert(isValidActor(actor), 'Should be valid actor');
   });
 
+  // Test 6b: userActor helper
+  test('userActor creates valid actor string', () => {
+    assert(userActor('rahim.k') === 'user:rahim.k', 'Should format correctly');
+    assert(userActor('rahim@example.org') === 'user:rahim_example.org', 'Should sanitize');
+    assert(userActor('') === 'user', 'Should fall back to user');
+    assert(isValidActor('user:rahim.k'), 'Should be valid actor');
+    assert(!isValidActor('user:'), 'Should reject empty user name');
+  });
+
   // Test 7: Convenience creators
   test('createClaimInvalidationEntry creates valid entry', () => {
     const entry = createClaimInvalidationEntry({
@@ -2,16 +2,32 @@
  * Change Detection Utility for Source Pages (v2)
  * 
  * Compares current content hash with stored hash to detect changes.
- * When a change is detected, marks dependent claims as stale using the 'status' field.
+ * When a change is detected, the quotes of the claims citing the page are
+ * looked for in the new content (scripts/crawler/claim_reverifier.js): claims
+ * whose quote is unchanged keep their status, edited quotes mark them
+ * 'contradicted' and missing quotes mark them 'stale'.
+ * A change confined to volatile regions (visitor counters, "last updated"
+ * footers, marquees) keeps the page's semantic_hash and invalidates nothing;
+ * masking rules come from the domain's crawl profile (kb/seeds/crawl_profiles.json).
+ * content_hash keeps its meaning (the hash of the lightly normalized content,
+ * see normalizeForContentHash), so hashes stored by earlier runs still compare.
  * 
  * STANDARDIZED STATUS ENUM: verified | unverified | stale | deprecated | contradicted
- * This module delegates status changes to claim_invalidator.js which writes 'stale'.
+ * This module delegates status changes to claim_reverifier.js, which writes 'stale'
+ * through claim_invalidator.js.
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { invalidateClaimsForSourceChange, loadClaimsBySourceIndex } = require('./claim_invalidator');
+const { loadClaimsBySourceIndex } = require('./claim_invalidator');
+const { reverifyClaims } = require('../scripts/crawler/claim_reverifier');
+const {
+  normalizeContent,
+  computeContentFingerprint,
+  DEFAULT_CHANGE_DETECTION
+} = require('../scripts/crawler/content_normalizer');
+const { loadCrawlProfiles, getCrawlProfile } = require('../scripts/crawler/crawl_profiles');
 const { 
   createSourceChangeEntry, 
   appendToAuditLog, 
@@ -31,11 +47,26 @@ class ChangeDetector {
   }
 
   /**
-   * Normalize content before hashing (removes variable content like timestamps)
+   * Normalize content before hashing: masks volatile regions (timestamps,
+   * visitor counters, "last updated" footers, marquees, per-domain rules)
+   * and collapses whitespace (scripts/crawler/content_normalizer.js)
+   * @param {string} content - Raw markdown/content
+   * @param {Object} [rules] - Compiled change detection rules of the page's domain
+   * @returns {string} Normalized content
+   */
+  static normalizeContent(content, rules = null) {
+    return normalizeContent(content, rules || DEFAULT_CHANGE_DETECTION);
+  }
+
+  /**
+   * Normalize content before computing its content_hash (removes ISO
+   * timestamps and session markers, collapses whitespace). Unlike
+   * normalizeContent it masks no volatile regions: content_hash has always
+   * been computed this way, and changing it would make every stored hash differ.
    * @param {string} content - Raw HTML/content
    * @returns {string} Normalized content
    */
-  static normalizeContent(content) {
+  static normalizeForContentHash(content) {
     // Remove common variable elements:
     // - Timestamps (ISO 8601, various formats)
     // - Session IDs
@@ -58,21 +89,27 @@ class ChangeDetector {
   }
 
   /**
-   * Check if a source page has changed by comparing hashes
+   * Check if a source page has changed.
+   * Compares semantic hashes when the page has one, content hashes otherwise.
    * @param {Object} sourcePage - Source page object from KB
    * @param {string} currentContent - Current page content
+   * @param {Object} [rules] - Compiled change detection rules of the page's domain
    * @returns {Object} Change detection result
    */
-  static detectChange(sourcePage, currentContent) {
-    const normalized = this.normalizeContent(currentContent);
-    const currentHash = this.computeHash(normalized);
+  static detectChange(sourcePage, currentContent, rules = null) {
+    const currentHash = this.computeHash(this.normalizeForContentHash(currentContent));
+    const { semanticHash } = computeContentFingerprint(currentContent, rules || DEFAULT_CHANGE_DETECTION);
     const storedHash = sourcePage.content_hash;
 
-    const hasChanged = currentHash !== storedHash;
+    const hasChanged = sourcePage.semantic_hash
+      ? semanticHash !== sourcePage.semantic_hash
+      : currentHash !== storedHash;
 
     return {
       hasChanged,
+      volatileOnly: !hasChanged && currentHash !== storedHash,
       currentHash,
+      semanticHash,
       previousHash: storedHash,
       sourcePageId: sourcePage.source_page_id,
       url: sourcePage.canonical_url
@@ -84,9 +121,13 @@ class ChangeDetector {
    * @param {Object} sourcePage - Source page object (will be modified)
    * @param {string} newHash - New content hash
    * @param {string} timestamp - ISO 8601 timestamp
+   * @param {Object} [fingerprint] - { semanticHash, sectionHashes } of the new content
    */
-  static updateSourcePageHash(sourcePage, newHash, timestamp) {
-    if (sourcePage.content_hash && sourcePage.content_hash !== newHash) {
+  static updateSourcePageHash(sourcePage, newHash, timestamp, fingerprint = {}) {
+    // A change in volatile regions only is not logged
+    const volatileOnly = Boolean(fingerprint.semanticHash) && sourcePage.semantic_hash === fingerprint.semanticHash;
+
+    if (sourcePage.content_hash && sourcePage.content_hash !== newHash && !volatileOnly) {
       // Log the change
       if (!sourcePage.change_log) {
         sourcePage.change_log = [];
@@ -104,6 +145,12 @@ class ChangeDetector {
     }
     
     sourcePage.content_hash = newHash;
+    if (fingerprint.semanticHash) {
+      sourcePage.semantic_hash = fingerprint.semanticHash;
+    }
+    if (fingerprint.sectionHashes) {
+      sourcePage.section_hashes = fingerprint.sectionHashes;
+    }
     sourcePage.last_crawled_at = timestamp;
   }
 
@@ -114,18 +161,20 @@ class ChangeDetector {
    * @param {string} newContent - New content from the source page
    * @param {string} timestamp - ISO 8601 timestamp
    * @param {Object} [claimsBySourceIndex] - Optional pre-built index: { source_page_id: [claim_ids] }
+   *   (only the indexed claims of the page are re-verified)
+   * @param {Object} [rules] - Compiled change detection rules of the page's domain
    * @returns {Object} Result object with summary
    */
-  static processSourceChange(kbData, sourcePageId, newContent, timestamp, claimsBySourceIndex = null) {
+  static processSourceChange(kbData, sourcePageId, newContent, timestamp, claimsBySourceIndex = null, rules = null) {
     // Find the source page
     const sourcePage = kbData.source_pages?.find(sp => sp.source_page_id === sourcePageId);
     if (!sourcePage) {
       throw new Error(`Source page not found: ${sourcePageId}`);
     }
     
-    // Compute hash
-    const normalized = this.normalizeContent(newContent);
-    const currentHash = this.computeHash(normalized);
+    // Compute hashes (normalized content, and content with volatile regions masked)
+    const currentHash = this.computeHash(this.normalizeForContentHash(newContent));
+    const fingerprint = computeContentFingerprint(newContent, rules || DEFAULT_CHANGE_DETECTION);
     
     // Check if changed
     const hasChanged = currentHash !== sourcePage.content_hash;
@@ -141,11 +190,21 @@ class ChangeDetector {
     // Store previous hash before update
     const previousHash = sourcePage.content_hash;
     
-    // Create a snapshot of the KB before update (for invalidation comparison)
-    const oldKB = JSON.parse(JSON.stringify(kbData));
+    // Only volatile regions changed: record the new hash, invalidate nothing
+    if (sourcePage.semantic_hash === fingerprint.semanticHash) {
+      this.updateSourcePageHash(sourcePage, currentHash, timestamp, fingerprint);
+      return {
+        changed: false,
+        volatileOnly: true,
+        message: `Source page ${sourcePageId} changed only in volatile regions (semantic hash unchanged)`,
+        sourcePageId,
+        previousHash: previousHash,
+        newHash: currentHash
+      };
+    }
     
     // Update source page hash fields + change_log
-    this.updateSourcePageHash(sourcePage, currentHash, timestamp);
+    this.updateSourcePageHash(sourcePage, currentHash, timestamp, fingerprint);
     
     // Log source_change audit event
     const sourceChangeEntry = createSourceChangeEntry({
@@ -157,10 +216,16 @@ class ChangeDetector {
     });
     appendToAuditLog(kbData, sourceChangeEntry);
     
-    // Invalidate claims for source change (all claim dependency logic is in claim_invalidator.js)
-    // This will also add a claim_invalidation audit entry if claims are affected
-    // Pass index if available for O(1) lookup instead of O(C) claim scanning
-    const invalidationResult = invalidateClaimsForSourceChange(oldKB, kbData, null, claimsBySourceIndex);
+    // Look for the quotes of the claims citing the page in the new content
+    // (each outcome is added to the audit log as a verification event)
+    // Pass index if available to re-verify only the page's indexed claims
+    const indexedClaimIds = claimsBySourceIndex && claimsBySourceIndex[sourcePageId];
+    const reverification = reverifyClaims(kbData, sourcePageId, newContent, {
+      sourceHash: currentHash,
+      now: new Date(timestamp),
+      actor: SCRIPT_ACTOR,
+      claimIds: indexedClaimIds ? new Set(indexedClaimIds) : undefined,
+    });
     
     // Return summary
     return {
@@ -168,9 +233,12 @@ class ChangeDetector {
       sourcePageId,
       previousHash: previousHash,
       newHash: currentHash,
-      invalidatedClaims: invalidationResult.invalidatedClaims.map(c => c.claim_id),
-      invalidatedClaimCount: invalidationResult.invalidatedClaims.length,
-      message: `Source page ${sourcePageId} changed. ${invalidationResult.invalidatedClaims.length} claim(s) marked as stale.`
+      invalidatedClaims: reverification.stale,
+      invalidatedClaimCount: reverification.stale.length,
+      contradictedClaims: reverification.contradicted,
+      restoredClaims: reverification.restored,
+      unchangedClaimCount: reverification.unchanged.length,
+      message: `Source page ${sourcePageId} changed. ${reverification.stale.length} claim(s) marked as stale, ${reverification.contradicted.length} contradicted, ${reverification.unchanged.length + reverification.restored.length} quote(s) found unchanged.`
     };
   }
 
@@ -239,6 +307,15 @@ function main() {
     process.exit(1);
   }
   
+  // Masking rules from the crawl profile of the page's domain
+  let rules = null;
+  try {
+    const profile = getCrawlProfile(loadCrawlProfiles(path.join(__dirname, 'seeds')), new URL(sourcePage.canonical_url).hostname);
+    rules = profile ? profile.changeDetection : null;
+  } catch (err) {
+    console.warn(`Warning: Could not load crawl profiles: ${err.message}`);
+  }
+  
   console.log(`Checking source page: ${sourcePageId}`);
   console.log(`URL: ${sourcePage.canonical_url}`);
   console.log(`Current hash: ${sourcePage.content_hash}`);
@@ -267,7 +344,7 @@ function main() {
     }
     
     const newContent = fs.readFileSync(newContentFile, 'utf-8');
-    const result = ChangeDetector.processSourceChange(kbData, sourcePageId, newContent, new Date().toISOString(), claimsBySourceIndex);
+    const result = ChangeDetector.processSourceChange(kbData, sourcePageId, newContent, new Date().toISOString(), claimsBySourceIndex, rules);
     
     if (result.changed) {
       console.log('✅ CHANGE DETECTED');
@@ -277,8 +354,19 @@ function main() {
       if (result.invalidatedClaims.length > 0) {
         console.log(`  ${result.invalidatedClaims.slice(0, 5).join(', ')}${result.invalidatedClaims.length > 5 ? '...' : ''}`);
       }
+      console.log(`Contradicted claims: ${result.contradictedClaims.length}`);
+      if (result.contradictedClaims.length > 0) {
+        console.log(`  ${result.contradictedClaims.slice(0, 5).join(', ')}${result.contradictedClaims.length > 5 ? '...' : ''}`);
+      }
+      console.log(`Quotes found unchanged: ${result.unchangedClaimCount + result.restoredClaims.length}`);
       
       // Save updated KB
+      fs.writeFileSync(kbFile, JSON.stringify(kbData, null, 2), 'utf-8');
+      console.log(`\n✅ Updated KB saved to: ${kbFile}`);
+    } else if (result.volatileOnly) {
+      console.log('✅ No semantic change (only volatile regions differ)');
+      console.log(`New content hash: ${result.newHash}`);
+      
       fs.writeFileSync(kbFile, JSON.stringify(kbData, null, 2), 'utf-8');
       console.log(`\n✅ Updated KB saved to: ${kbFile}`);
     } else {
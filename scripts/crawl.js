@@ -15,8 +15,10 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { URL } = require('url');
+const { EventEmitter } = require('events');
 
 // ============================================================================
 // MODULAR IMPORTS
@@ -26,7 +28,14 @@ const { URL } = require('url');
 const crawler = require('./crawler');
 
 // Import only what's needed for orchestration
-const { discovery, filtering, extraction, scraping, kbWriter, crawlState, crawlReport } = crawler;
+const { discovery, filtering, extraction, scraping, kbWriter, crawlState, crawlReport, replay, cassette, politeness, sitemaps, canonicalUrl, nearDuplicate, crawlProfiles, firecrawlOverrides, revisit, staleClaims, crawlPlan, runHistory, crawlErrors, snapshotStore, snapshotDiff, contentNormalizer, claimReverifier, sourceLifecycle, logger } = crawler;
+
+// KB index builder (claims_by_source_page)
+const { IndexBuilder } = require('../kb/index_builder');
+
+// Structured logging
+const { configureLogger, closeLogger, getLogger, startTimer } = logger;
+const log = getLogger('crawl');
 
 // Shared utilities
 const { generateHash, generateSourcePageId, ensureDir, getDomain, sleep } = require('./crawler/utils');
@@ -35,23 +44,89 @@ const { generateHash, generateSourcePageId, ensureDir, getDomain, sleep } = requ
 const { parsePublicServicesFromMarkdown, extractPublicServicesSeeds, loadExistingSeeds } = discovery;
 
 // Filtering
-const { getUrlPriority, sortUrlsByPriority, getUrlDepth, parseRobotsTxt, isPathAllowed, parseSitemapXml, PRIORITY_PATTERNS } = filtering;
+const { getUrlPriority, sortUrlsByPriority, getUrlDepth, parseRobotsTxt, matchRobotsRule, isPathAllowed, parseSitemapXml } = filtering;
 
 // Extraction
-const { classifyPage, extractStructuredData, extractClaims, DOCUMENT_EXTENSIONS } = extraction;
+const { classifyPage, extractStructuredData, extractClaims, extractPageLinks, DOCUMENT_EXTENSIONS } = extraction;
 
 // Scraping
 const { firecrawlMcp, FirecrawlUnavailableError, FirecrawlMapError, FirecrawlScrapeError } = scraping;
 
 // KB Writer
-const { loadOrCreateKB, saveKB, addOrUpdateSourcePage, addClaimsToKB, AGENCY_MAP } = kbWriter;
+const { loadOrCreateKB, saveKB, getSourcePage, buildSourcePageUrlIndex, addOrUpdateSourcePage, mergeAliasUrls, addClaimsToKB, refreshClaimEvidence } = kbWriter;
 
 // Crawl State
-const { loadCrawlState, saveCrawlState, getDomainState, saveSnapshot, snapshotExistsToday, getExistingHash } = crawlState;
+const {
+  loadCrawlState,
+  saveCrawlState,
+  getDomainState,
+  recordExcludedUrl,
+  getInterruptedRun,
+  startCrawlRun,
+  completeCrawlRun,
+  startDomainCheckpoint,
+  getDomainCheckpoint,
+  isCheckpointOfRun,
+  extendDomainCheckpoint,
+  recordUrlOutcome,
+  completeDomainCheckpoint,
+  saveSnapshot,
+  snapshotExistsToday,
+  getExistingHash,
+} = crawlState;
+
+// Offline Replay
+const { createReplayBackend } = replay;
+const { recordCassette, replayCassette } = cassette;
+
+// Politeness
+const { createPolitenessController } = politeness;
+
+// Sitemaps
+const { collectSitemapEntries, isUnmodifiedSince } = sitemaps;
+
+// URL Canonicalization
+const { canonicalizeUrl, resolveCanonicalUrl } = canonicalUrl;
+
+// Near-Duplicate Detection
+const { computeSimhash, getNearDuplicateIndex } = nearDuplicate;
+
+// Revisit Scheduling
+const { planDueRevisits } = revisit;
+
+// Stale Claims Recrawl
+const { planStaleClaimRecrawl, DEFAULT_CLAIM_AGE_DAYS } = staleClaims;
+
+// Crawl Plans (--dry-run output, --plan input)
+const { createCrawlPlan, buildDomainPlan, getPlannedUrls, saveCrawlPlan, loadCrawlPlan } = crawlPlan;
+
+// Crawl Profiles
+const { loadCrawlProfiles, getCrawlProfile, applyProfileToConfig, matchProfilePatterns, getProfileScrapeOptions, collectUrlOverrides } = crawlProfiles;
 
 // Crawl Report
 const { generateRunReport, generateFailureReport, createRunStats, updateExtractionStats, printSummary, getDateString } = crawlReport;
 
+// Run History
+const { buildRunRecord, findPreviousRun, recordRun, compareRuns, stripRunDetail } = runHistory;
+
+// Crawl Errors
+const { createCrawlError } = crawlErrors;
+
+// Snapshot Store
+const SNAPSHOT_COMPRESSIONS = Object.keys(snapshotStore.COMPRESSIONS);
+
+// Snapshot Diff
+const { summarizePageChange } = snapshotDiff;
+
+// Content Normalization (volatile regions masked before change detection)
+const { computeContentFingerprint, DEFAULT_CHANGE_DETECTION } = contentNormalizer;
+
+// Claim Re-verification (quotes of claims on changed pages)
+const { reverifyClaims } = claimReverifier;
+
+// Source Page Lifecycle (active -> missing -> removed)
+const { DEFAULT_LIFECYCLE_OPTIONS, isTrackedSourcePage, detectRemovalSignal, getRequestedSourcePageId, updateSourceLifecycle } = sourceLifecycle;
+
 // Document harvesting module
 const documentHarvester = require('./document_harvester');
 
@@ -59,22 +134,82 @@ const documentHarvester = require('./document_harvester');
 // CLI ARGUMENT PARSING
 // ============================================================================
 
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const config = {
+const REFRESH_MODES = ['changed', 'missing', 'all', 'due', 'stale-claims'];
+
+/**
+ * Default crawler configuration (CLI flags and createCrawler options override it)
+ * @returns {Object} - Fresh configuration object
+ */
+function createDefaultConfig() {
+  return {
     seedSource: 'bdgovlinks',
     category: 'public_services',
-    refresh: 'changed',  // 'changed' | 'missing' | 'all'
+    refresh: 'changed',  // 'changed' | 'missing' | 'all' | 'due' | 'stale-claims'
+    budget: null,  // max pages scraped by --refresh due / stale-claims (null = no cap)
+    claimAge: DEFAULT_CLAIM_AGE_DAYS,  // days after which unverified claims are recrawled by --refresh stale-claims
     maxDepth: 4,
     maxPages: 300,
     rateLimit: 1500,  // ms between requests
-    verbose: false,
+    maxRetries: 3,  // retries per request for timeouts, 429 and 5xx
+    maxBackoff: 60000,  // upper bound for a single backoff (ms)
+    logLevel: 'info',  // debug | info | warn | error (--verbose = debug)
+    logFormat: 'text',  // console output: emoji lines (text) or one JSON event per line (json)
+    logFile: null,  // file to append JSON-lines events to
+    logFileLevel: null,  // minimum level of the log file (null = logLevel, info when logLevel is silent)
     dryRun: false,
+    planOut: null,  // where --dry-run writes its crawl plan (default: kb/runs/<date>/crawl_plan.json)
+    planFile: null,  // crawl plan to run exactly as reviewed (--plan)
     domains: [],  // specific domains to crawl (empty = all)
+    cliLimits: {},  // limits set on the command line (these override crawl profile limits)
+    resume: false,  // continue interrupted domain crawls from their checkpoint
+    checkpointEvery: 10,  // persist state + KB every N processed URLs
+    followLinks: true,  // queue same-domain links found on scraped pages
+    maxSitemaps: 50,  // max sitemap files fetched per domain (nested indexes included)
+    nearDuplicateThreshold: 0.95,  // SimHash similarity above which a page is a near-duplicate (null = off)
+    missingAfterRuns: DEFAULT_LIFECYCLE_OPTIONS.missingAfterRuns,  // runs a known page may redirect or be unlisted before it is missing
+    removeAfterDays: DEFAULT_LIFECYCLE_OPTIONS.removeAfterDays,  // days a page stays missing before it is removed
+    replaySnapshots: false,  // serve scrape/map from stored snapshots instead of Firecrawl
+    replayAsOf: null,  // replay the snapshot store as it was on this date (YYYY-MM-DD)
+    snapshotCompression: 'gzip',  // compression of new snapshot blobs: gzip | brotli
+    recordCassette: null,  // directory to record every Firecrawl request/response to
+    replayCassette: null,  // directory of a recorded cassette to play back
+    outputDir: null,  // directory the KB, state, snapshots and runs are written to instead of kb/ (--replay: a new temp directory)
     // Firecrawl enforcement options (default: strict mode)
     requireFirecrawl: true,  // fail if Firecrawl unavailable
     allowHttpDocDownload: false,  // no HTTP fallback for documents
+    comparisonThresholds: null,  // overrides of the run comparison anomaly thresholds (null = defaults)
   };
+}
+
+/**
+ * Parse the value of a numeric CLI flag
+ * @private
+ * @param {string} flag - Flag name (for the error message)
+ * @param {string} value - Raw value
+ * @param {Object} [options]
+ * @param {boolean} [options.integer=true] - Whole numbers only
+ * @param {number} [options.min=0] - Smallest accepted value
+ * @param {number} [options.max=Infinity] - Largest accepted value
+ * @returns {number}
+ */
+function parseNumberFlag(flag, value, { integer = true, min = 0, max = Infinity } = {}) {
+  const pattern = integer ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+  const number = Number(value);
+  if (typeof value !== 'string' || !pattern.test(value.trim()) || number < min || number > max) {
+    const range = max === Infinity ? `≥ ${min}` : `between ${min} and ${max}`;
+    throw new Error(`Invalid ${flag} '${value === undefined ? '' : value}' (expected ${integer ? 'an integer' : 'a number'} ${range})`);
+  }
+  return number;
+}
+
+/**
+ * Parse crawler CLI arguments
+ * @param {string[]} [args] - Arguments (default: process.argv without node and script)
+ * @returns {Object} - Crawler configuration (`help` is set for --help)
+ * @throws {Error} - When a numeric flag has a non-numeric or out-of-range value
+ */
+function parseArgs(args = process.argv.slice(2)) {
+  const config = createDefaultConfig();
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -88,25 +223,103 @@ function parseArgs() {
       case '--refresh':
         config.refresh = args[++i];
         break;
+      case '--budget':
+        config.budget = parseNumberFlag(arg, args[++i]);
+        break;
+      case '--claim-age':
+        config.claimAge = parseNumberFlag(arg, args[++i], { integer: false });
+        break;
       case '--maxDepth':
-        config.maxDepth = parseInt(args[++i], 10);
+        config.maxDepth = parseNumberFlag(arg, args[++i]);
+        config.cliLimits.maxDepth = true;
         break;
       case '--maxPages':
-        config.maxPages = parseInt(args[++i], 10);
+        config.maxPages = parseNumberFlag(arg, args[++i], { min: 1 });
+        config.cliLimits.maxPages = true;
         break;
       case '--rate-limit':
-        config.rateLimit = parseInt(args[++i], 10);
+        config.rateLimit = parseNumberFlag(arg, args[++i]);
+        break;
+      case '--max-retries':
+        config.maxRetries = parseNumberFlag(arg, args[++i]);
+        break;
+      case '--max-backoff':
+        config.maxBackoff = parseNumberFlag(arg, args[++i]);
+        break;
+      case '--max-sitemaps':
+        config.maxSitemaps = parseNumberFlag(arg, args[++i], { min: 1 });
+        break;
+      case '--near-duplicate-threshold':
+        config.nearDuplicateThreshold = parseNumberFlag(arg, args[++i], { integer: false, max: 1 });
+        break;
+      case '--no-near-duplicates':
+        config.nearDuplicateThreshold = null;
+        break;
+      case '--missing-after-runs':
+        config.missingAfterRuns = parseNumberFlag(arg, args[++i], { min: 1 });
+        break;
+      case '--remove-after-days':
+        config.removeAfterDays = parseNumberFlag(arg, args[++i], { integer: false });
         break;
       case '--domain':
         config.domains.push(args[++i]);
         break;
       case '--verbose':
       case '-v':
-        config.verbose = true;
+        config.logLevel = 'debug';
+        break;
+      case '--log-level':
+        config.logLevel = args[++i];
+        break;
+      case '--log-format':
+        config.logFormat = args[++i];
+        break;
+      case '--log-file':
+        config.logFile = args[++i];
+        break;
+      case '--log-file-level':
+        config.logFileLevel = args[++i];
         break;
       case '--dry-run':
         config.dryRun = true;
         break;
+      case '--plan-out':
+        config.planOut = args[++i];
+        break;
+      case '--plan':
+        config.planFile = args[++i];
+        break;
+      case '--follow-links':
+        config.followLinks = true;
+        break;
+      case '--no-follow-links':
+        config.followLinks = false;
+        break;
+      case '--resume':
+        config.resume = true;
+        break;
+      case '--checkpoint-every':
+        config.checkpointEvery = parseNumberFlag(arg, args[++i], { min: 1 });
+        break;
+      case '--replay-snapshots':
+        config.replaySnapshots = true;
+        break;
+      case '--replay-as-of':
+        config.replayAsOf = args[++i];
+        config.replaySnapshots = true;
+        break;
+      case '--snapshot-compression':
+        config.snapshotCompression = args[++i];
+        break;
+      case '--record':
+        config.recordCassette = args[++i];
+        break;
+      case '--replay':
+        config.replayCassette = args[++i];
+        break;
+      case '--output-dir':
+        config.outputDir = args[++i];
+        break;
       case '--require-firecrawl':
         config.requireFirecrawl = args[++i] !== 'false';
         break;
@@ -118,15 +331,11 @@ function parseArgs() {
         break;
       case '--help':
       case '-h':
-        printHelp();
-        process.exit(0);
+        config.help = true;
+        break;
     }
   }
   
-  // Apply Firecrawl config from CLI args
-  firecrawlMcp.setConfig('firecrawlRequired', config.requireFirecrawl);
-  firecrawlMcp.setConfig('allowHttpDocDownload', config.allowHttpDocDownload);
-  
   return config;
 }
 
@@ -140,13 +349,52 @@ USAGE:
 OPTIONS:
   --seed-source <source>   Seed source (default: bdgovlinks)
   --category <cat>         Category to crawl (default: public_services)
-  --refresh <mode>         Refresh mode: changed | missing | all (default: changed)
-  --maxDepth <n>           Maximum crawl depth (default: 4)
-  --maxPages <n>           Maximum pages per domain (default: 300)
-  --rate-limit <ms>        Delay between requests in ms (default: 1500)
+  --refresh <mode>         Refresh mode: changed | missing | all | due | stale-claims (default: changed)
+                           changed also skips pages whose sitemap <lastmod> predates our last crawl
+                           due only re-scrapes known pages whose revisit interval has elapsed
+                           stale-claims only re-scrapes the source pages cited by stale claims and
+                           by unverified claims older than --claim-age, across domains
+  --budget <n>             Max pages scraped by --refresh due (most overdue first) or
+                           stale-claims (most stale claims first) (default: no cap)
+  --claim-age <days>       Age after which unverified claims are recrawled (default: 30)
+  --maxDepth <n>           Maximum crawl depth (default: 4, or the domain's crawl profile)
+  --maxPages <n>           Maximum pages per domain (default: 300, or the domain's crawl profile)
+  --rate-limit <ms>        Minimum delay between requests to a domain in ms (default: 1500)
+                           robots.txt Crawl-delay raises it; 429/5xx responses raise it adaptively
+  --max-retries <n>        Retries per request for timeouts, 429 and 5xx (default: 3)
+  --max-backoff <ms>       Upper bound for a single exponential backoff (default: 60000)
   --domain <domain>        Specific domain to crawl (can repeat)
-  --verbose, -v            Verbose output
-  --dry-run                Show what would be crawled without crawling
+  --verbose, -v            Verbose output (alias for --log-level debug)
+  --log-level <level>      Minimum log level: debug | info | warn | error (default: info)
+  --log-format <format>    Console output: text (emoji lines) | json (one event per line) (default: text)
+  --log-file <file>        Also append every event as a JSON line to this file
+  --log-file-level <level> Minimum level of the log file (default: --log-level)
+  --dry-run                Show what would be crawled without crawling, and write a JSON crawl
+                           plan (decision, reason, priority and predicted outcome per URL)
+  --plan-out <file>        Where --dry-run writes the plan (default: kb/runs/<date>/crawl_plan.json)
+  --plan <file>            Crawl exactly the URLs of a (reviewed) crawl plan, in plan order
+  --max-sitemaps <n>       Max sitemap files fetched per domain, indexes included (default: 50)
+  --no-follow-links        Only crawl start URLs, sitemaps and map results (no link following)
+  --near-duplicate-threshold <n>
+                           SimHash similarity (0-1) above which a page is a near-duplicate of
+                           an earlier page and mints no claims (default: 0.95)
+  --no-near-duplicates     Extract claims from every page, however similar
+  --missing-after-runs <n> Runs in a row a known page may redirect to another page, or full
+                           discoveries it may be absent from the site map and sitemaps, before
+                           it is marked missing (default: 3; a 404/410 marks it missing at once)
+  --remove-after-days <n>  Days a missing page may keep failing before it is marked removed
+                           and the claims citing only removed pages are deprecated (default: 30)
+  --resume                 Continue interrupted domain crawls from the last checkpoint
+  --checkpoint-every <n>   Persist crawl state and KB every n URLs (default: 10)
+  --replay-snapshots       Replay scrape/map from stored snapshots and MCP captures (offline)
+  --replay-as-of <date>    Replay the snapshot store as of YYYY-MM-DD (implies --replay-snapshots)
+  --snapshot-compression <format>
+                           Compression of new snapshot blobs: gzip | brotli (default: gzip)
+  --record <dir>           Record every Firecrawl scrape/map/document request to a cassette
+  --replay <dir>           Play back a recorded cassette (exact, offline); writes to --output-dir,
+                           or a new temp directory, never to the real KB and crawl state
+  --output-dir <dir>       Write the KB, crawl state, snapshots and run history to <dir>,
+                           starting from copies of the current crawl state and KB
   --help, -h               Show this help
 
 FIRECRAWL MCP OPTIONS (Strict Mode - Fail Loudly):
@@ -163,12 +411,35 @@ EXAMPLES:
   # Refresh only changed pages
   node scripts/crawl.js --refresh changed
 
+  # Re-scrape the 200 most overdue pages (estimated from each page's change history)
+  node scripts/crawl.js --refresh due --budget 200
+
+  # Re-gather evidence for stale claims (and unverified claims older than 60 days)
+  node scripts/crawl.js --refresh stale-claims --claim-age 60
+
   # Crawl specific domain
   node scripts/crawl.js --domain epassport.gov.bd --maxPages 100
 
   # Dry run to see what would be crawled
   node scripts/crawl.js --dry-run --verbose
 
+  # Write a crawl plan, review it, then run exactly that plan
+  node scripts/crawl.js --domain bsp.brta.gov.bd --dry-run --plan-out plans/brta.json
+  node scripts/crawl.js --plan plans/brta.json
+
+  # Unattended crawl with a JSON-lines log to analyse afterwards
+  node scripts/crawl.js --refresh due --log-file logs/crawl.jsonl
+
+  # Resume a crawl that died part-way through a domain
+  node scripts/crawl.js --domain brta.gov.bd --resume
+
+  # Re-run extraction offline against the snapshots stored up to a date
+  node scripts/crawl.js --domain epassport.gov.bd --replay-as-of 2026-01-15
+
+  # Record a crawl to a cassette, then reproduce it exactly (e.g. for a bug report)
+  node scripts/crawl.js --domain brta.gov.bd --record cassettes/brta
+  node scripts/crawl.js --domain brta.gov.bd --replay cassettes/brta
+
   # Allow HTTP fallback for document downloads (not recommended)
   node scripts/crawl.js --allow-http-doc-download true
 
@@ -197,42 +468,539 @@ const PATHS = {
   documentsDir: path.join(__dirname, '..', 'kb', 'snapshots', 'documents'),
   docTextDir: path.join(__dirname, '..', 'kb', 'snapshots', 'doc_text'),
   runsDir: path.join(__dirname, '..', 'kb', 'runs'),
+  mcpScrapesDir: path.join(__dirname, '..', 'kb', 'pilot_runs', '_mcp_scrapes'),
   stateFile: path.join(__dirname, 'crawl_state.json'),
   kbPath: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v3.json'),
   kbPathV2: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v2.json'),
 };
 
+// Clock of crawlers created without one
+const defaultClock = () => new Date();
+
 // ============================================================================
 // UTILITY FUNCTIONS (local helpers)
 // ============================================================================
 
-function normalizeUrl(urlStr) {
-  try {
-    const url = new URL(urlStr);
-    let normalized = `${url.protocol}//${url.hostname.toLowerCase()}${url.pathname}`;
-    if (normalized.endsWith('/') && url.pathname !== '/') {
-      normalized = normalized.slice(0, -1);
+/**
+ * Get when a page was last scraped: crawl state first, then the KB source page
+ * @param {string} sourcePageId - Source page ID
+ * @param {Object} state - Crawl state
+ * @param {Object} kb - KB data structure
+ * @returns {string|null} - ISO timestamp or null if never crawled
+ */
+function getPageLastCrawledAt(sourcePageId, state, kb) {
+  if (state.pageCrawledAt && state.pageCrawledAt[sourcePageId]) {
+    return state.pageCrawledAt[sourcePageId];
+  }
+  const sourcePage = kb.source_pages.find(sp => sp.source_page_id === sourcePageId);
+  return sourcePage ? sourcePage.last_crawled_at || null : null;
+}
+
+/**
+ * Find the seed a URL belongs to (its host is the seed domain or a subdomain of it)
+ * @param {string} url - Page URL
+ * @param {Array} seeds - Seeds
+ * @returns {Object|null} - Seed with the most specific matching domain
+ */
+function findSeedForUrl(url, seeds) {
+  const host = (getDomain(url) || '').replace(/^www\./, '');
+  let best = null;
+  for (const seed of seeds) {
+    const domain = seed.domain.replace(/^www\./, '');
+    if ((host === domain || host.endsWith(`.${domain}`)) && (!best || domain.length > best.domain.length)) {
+      best = seed;
     }
-    return normalized;
-  } catch (e) {
-    return null;
   }
+  return best;
+}
+
+/**
+ * Plan a --refresh due run: overdue KB pages of the target seeds, most overdue
+ * first, capped by --budget. Prints the plan and records it in the run stats.
+ * @param {Object} kb - KB data structure
+ * @param {Object} state - Crawl state
+ * @param {Array} seeds - Target seeds
+ * @param {Object} config - Crawler configuration
+ * @param {Object} runStats - Run statistics (revisit plan is recorded here)
+ * @param {Date} [now] - Current time
+ * @returns {Map<string, string[]>} - Seed domain -> URLs to revisit
+ */
+function planRevisitRun(kb, state, seeds, config, runStats, now = new Date()) {
+  const plan = planDueRevisits(kb, {
+    getLastCheckedAt: (sourcePageId) => getPageLastCrawledAt(sourcePageId, state, kb),
+    includePage: (sourcePage) => Boolean(findSeedForUrl(sourcePage.canonical_url, seeds)),
+    budget: config.budget,
+    now,
+  });
+  
+  const urlsByDomain = new Map();
+  for (const page of plan.scheduled) {
+    const seed = findSeedForUrl(page.url, seeds);
+    if (!urlsByDomain.has(seed.domain)) urlsByDomain.set(seed.domain, []);
+    urlsByDomain.get(seed.domain).push(page.url);
+  }
+  
+  runStats.revisit = {
+    budget: config.budget,
+    due: plan.due.length,
+    scheduled: plan.scheduled.length,
+    deferred: plan.deferred.length,
+    not_due: plan.notDue,
+    pages: plan.scheduled,
+  };
+  
+  log.info('revisit.planned', `⏰ Revisit plan: ${plan.due.length} pages due, ${plan.notDue} not due yet`, {
+    stage: 'run', due: plan.due.length, scheduled: plan.scheduled.length, deferred: plan.deferred.length, not_due: plan.notDue,
+  });
+  if (plan.deferred.length > 0) {
+    log.info('revisit.budget', `   Budget ${config.budget}: revisiting the ${plan.scheduled.length} most overdue, ${plan.deferred.length} deferred`, { stage: 'run', budget: config.budget });
+  }
+  plan.scheduled.forEach((page, i) => {
+    log[i < 10 ? 'info' : 'debug']('revisit.scheduled', `   • ${page.url} (every ${page.interval_days}d, ${page.overdue_days === null ? 'never checked' : `${page.overdue_days}d overdue`})`, {
+      url: page.url, source_page_id: page.source_page_id, stage: 'run', interval_days: page.interval_days, overdue_days: page.overdue_days,
+    });
+  });
+  log.print();
+  
+  return urlsByDomain;
+}
+
+/**
+ * Plan a --refresh stale-claims run: the source pages cited by stale claims and
+ * by unverified claims older than --claim-age, resolved through the
+ * claims_by_source_page index, across whatever domains they belong to.
+ * Pages outside every seed get a seed of their own (unless --domain narrows the run).
+ * @param {Object} kb - KB data structure
+ * @param {Array} seeds - Target seeds
+ * @param {Object} config - Crawler configuration
+ * @param {Object} runStats - Run statistics (plan is recorded here)
+ * @param {Date} [now] - Current time
+ * @returns {{urlsByDomain: Map<string, string[]>, claimIds: Set<string>, extraSeeds: Array}}
+ */
+function planStaleClaimRun(kb, seeds, config, runStats, now = new Date()) {
+  const indexBuilder = new IndexBuilder(kb);
+  indexBuilder.buildClaimsBySourcePage(new Map(kb.claims.map(claim => [claim.claim_id, claim])));
+  const claimsBySourcePage = indexBuilder.mapOfSetsToObject(indexBuilder.claimsBySourcePage);
+  log.print();
+  const plan = planStaleClaimRecrawl(kb, claimsBySourcePage, {
+    maxAgeDays: config.claimAge,
+    includePage: config.domains.length > 0 ? (sourcePage) => Boolean(findSeedForUrl(sourcePage.canonical_url, seeds)) : null,
+    budget: config.budget,
+    now,
+  });
+  
+  const urlsByDomain = new Map();
+  const extraSeeds = [];
+  for (const page of plan.scheduled) {
+    let seed = findSeedForUrl(page.url, [...seeds, ...extraSeeds]);
+    if (!seed) {
+      const origin = new URL(page.url).origin;
+      seed = { label: getDomain(page.url), domain: getDomain(page.url), start_urls: [`${origin}/`] };
+      extraSeeds.push(seed);
+    }
+    if (!urlsByDomain.has(seed.domain)) urlsByDomain.set(seed.domain, []);
+    urlsByDomain.get(seed.domain).push(page.url);
+  }
+  
+  const staleCount = plan.claims.filter(c => c.status === 'stale').length;
+  runStats.staleClaims = {
+    claim_age_days: config.claimAge,
+    budget: config.budget,
+    claims: plan.claims.length,
+    stale: staleCount,
+    unverified: plan.claims.length - staleCount,
+    pages: plan.pages.length,
+    scheduled: plan.scheduled.length,
+    deferred: plan.deferred.length,
+    unresolved_source_pages: plan.unresolved,
+    scheduled_pages: plan.scheduled,
+  };
+  
+  log.info('stale_claims.planned', `🧾 Stale claims: ${staleCount} stale, ${plan.claims.length - staleCount} unverified for ${config.claimAge}+ days`, {
+    stage: 'run', stale: staleCount, unverified: plan.claims.length - staleCount, claim_age_days: config.claimAge,
+  });
+  log.info('stale_claims.pages', `   Cited by ${plan.pages.length} source pages${plan.excluded ? ` (${plan.excluded} outside --domain)` : ''}`, {
+    stage: 'run', pages: plan.pages.length, excluded: plan.excluded,
+  });
+  if (plan.deferred.length > 0) {
+    log.info('stale_claims.budget', `   Budget ${config.budget}: recrawling ${plan.scheduled.length}, ${plan.deferred.length} deferred`, { stage: 'run', budget: config.budget });
+  }
+  if (plan.unresolved.length > 0) {
+    log.warn('stale_claims.unresolved', `   ⚠️  ${plan.unresolved.length} cited source pages are not in the KB and cannot be recrawled`, {
+      stage: 'run', unresolved_source_pages: plan.unresolved,
+    });
+  }
+  plan.scheduled.forEach((page, i) => {
+    log[i < 10 ? 'info' : 'debug']('stale_claims.scheduled', `   • ${page.url} (${page.claim_ids.length} claims, ${page.stale_claims} stale)`, {
+      url: page.url, source_page_id: page.source_page_id, stage: 'run', claims: page.claim_ids.length, stale_claims: page.stale_claims,
+    });
+  });
+  log.print();
+  
+  // Only claims cited by a scheduled page get their evidence refreshed
+  const claimIds = new Set(plan.scheduled.flatMap(page => page.claim_ids));
+  return { urlsByDomain, claimIds, extraSeeds };
+}
+
+/**
+ * Persist crawl state and KB so an interrupted crawl can be resumed
+ * @param {Object} state - Crawl state
+ * @param {Object} kb - KB data structure
+ * @param {Object} [paths] - Path configuration
+ * @param {Date} [now] - Current time (default: now)
+ */
+function saveCheckpoint(state, kb, paths = PATHS, now = new Date()) {
+  saveCrawlState(state, paths.stateFile, now);
+  saveKB(kb, paths.kbPath);
 }
 
 // ============================================================================
 // DOMAIN DEEP CRAWLER
 // ============================================================================
 
+/**
+ * Decide whether a URL belongs to the domain crawl: same domain, allowed by the
+ * crawl profile and robots.txt, and within the depth limit.
+ * @param {string} url - Candidate URL
+ * @param {string} domain - Domain being crawled
+ * @param {Object} robotsRules - Parsed robots.txt rules
+ * @param {Object} config - Crawler configuration (config.profile: the domain's crawl profile)
+ * @returns {{allowed: boolean, reason: string|null, rule: string|null, details: Object|null}}
+ *   reason: 'domain' | 'profile' | 'robots' | 'depth'
+ */
+function classifyCrawlableUrl(url, domain, robotsRules, config) {
+  const urlDomain = getDomain(url);
+  if (!urlDomain || !urlDomain.includes(domain.replace(/^www\./, ''))) {
+    return { allowed: false, reason: 'domain', rule: null, details: null };
+  }
+  
+  const profileMatch = matchProfilePatterns(url, config.profile);
+  if (!profileMatch.allowed) {
+    const rule = profileMatch.rule.type === 'exclude'
+      ? `exclude_patterns: ${profileMatch.rule.pattern}`
+      : 'include_patterns: no pattern matched';
+    return { allowed: false, reason: 'profile', rule, details: { rule } };
+  }
+  
+  const { pathname, search } = new URL(url);
+  const robotsMatch = matchRobotsRule(pathname + search, robotsRules);
+  if (!robotsMatch.allowed) {
+    const rule = `Disallow: ${robotsMatch.rule.pattern}`;
+    return {
+      allowed: false,
+      reason: 'robots',
+      rule,
+      details: { rule, rule_line: robotsMatch.rule.line || null, user_agent: robotsRules.userAgent || '*' },
+    };
+  }
+  
+  const depth = getUrlDepth(url, domain);
+  if (depth > config.maxDepth) {
+    return { allowed: false, reason: 'depth', rule: `depth ${depth} > maxDepth ${config.maxDepth}`, details: null };
+  }
+  
+  return { allowed: true, reason: null, rule: null, details: null };
+}
+
+/**
+ * Check whether a URL belongs to the domain crawl (see classifyCrawlableUrl).
+ * URLs excluded by robots.txt or the crawl profile are recorded in
+ * domainState.excludedUrls with the deciding rule.
+ * @param {string} url - Candidate URL
+ * @param {string} domain - Domain being crawled
+ * @param {Object} robotsRules - Parsed robots.txt rules
+ * @param {Object} config - Crawler configuration (config.profile: the domain's crawl profile)
+ * @param {Object} [domainState] - Domain state to record robots and profile exclusions in
+ * @param {Object} [domainStats] - Domain statistics (pagesExcluded is counted here)
+ * @returns {boolean}
+ */
+function isCrawlableUrl(url, domain, robotsRules, config, domainState = null, domainStats = null) {
+  const check = classifyCrawlableUrl(url, domain, robotsRules, config);
+  if (check.reason === 'profile' || check.reason === 'robots') {
+    if (domainState) recordExcludedUrl(domainState, url, check.reason, check.details, (config.clock || defaultClock)());
+    if (domainStats) domainStats.pagesExcluded++;
+  }
+  return check.allowed;
+}
+
+/**
+ * Record where candidate URLs were found
+ * @param {Map<string, string[]>} candidateSources - Candidate URL -> sources
+ * @param {string[]} urls - Candidate URLs
+ * @param {string} source - start_url | sitemap | map | kb | revisit | checkpoint
+ */
+function addCandidateSources(candidateSources, urls, source) {
+  for (const url of urls) {
+    if (!candidateSources.has(url)) candidateSources.set(url, []);
+    const sources = candidateSources.get(url);
+    if (!sources.includes(source)) sources.push(source);
+  }
+}
+
+/**
+ * Known source pages of a domain that a crawl is expected to keep fresh
+ * (active or missing, not near-duplicates of another page)
+ * @param {Object} kb - KB data structure
+ * @param {Object} seed - Domain seed
+ * @returns {Object[]} - KB source pages
+ */
+function getKnownDomainPages(kb, seed) {
+  return kb.source_pages.filter(sourcePage =>
+    isTrackedSourcePage(sourcePage) &&
+    !sourcePage.near_duplicate_of &&
+    sourcePage.canonical_url &&
+    findSeedForUrl(sourcePage.canonical_url, [seed])
+  );
+}
+
+/**
+ * Collect and prioritize the URLs of a domain from what is already known
+ * (start URLs, stored sitemap URLs, KB source pages, stored robots.txt rules)
+ * without any request. Used by --dry-run when no Firecrawl backend is available.
+ * @param {Object} seed - Domain seed
+ * @param {Object} config - Crawler configuration
+ * @param {Object} domainState - Domain state
+ * @param {Object} kb - KB data structure
+ * @param {Map<string, string[]>} candidateSources - Filled with every candidate URL and where it was found
+ * @returns {string[]} - Prioritized URLs in crawl order
+ */
+function collectKnownDomainUrls(seed, config, domainState, kb, candidateSources) {
+  const robotsRules = domainState.robotsRules || { disallow: [], allow: [], sitemaps: [] };
+  addCandidateSources(candidateSources, seed.start_urls, 'start_url');
+  addCandidateSources(candidateSources, domainState.sitemapUrls || [], 'sitemap');
+  addCandidateSources(candidateSources, getKnownDomainPages(kb, seed).map(sp => sp.canonical_url), 'kb');
+  
+  const filteredUrls = [...candidateSources.keys()].filter(url => classifyCrawlableUrl(url, seed.domain, robotsRules, config).allowed);
+  return sortUrlsByPriority(filteredUrls, config.profile ? config.profile.priorityPatterns : null).slice(0, config.maxPages);
+}
+
+/**
+ * Build the dry-run plan of a domain: every candidate URL with its decision,
+ * priority score, today's snapshot and predicted outcome, plus the known
+ * source pages that would drop out of the crawl.
+ * @param {Object} seed - Domain seed
+ * @param {Object} config - Crawler configuration
+ * @param {Object} state - Crawl state
+ * @param {Object} kb - KB data structure
+ * @param {string[]} prioritizedUrls - URLs that would be scraped, in crawl order
+ * @param {Map<string, string[]>} candidateSources - Candidate URL -> where it was found
+ * @returns {Object} - Domain plan
+ */
+function planDomainCrawl(seed, config, state, kb, prioritizedUrls, candidateSources) {
+  const domainState = getDomainState(state, seed.domain);
+  const robotsRules = domainState.robotsRules || { disallow: [], allow: [], sitemaps: [] };
+  const sitemapEntries = domainState.sitemapEntries || {};
+  const knownIds = new Set(kb.source_pages.map(sp => sp.source_page_id));
+  
+  const describeUrl = (url) => {
+    const sourcePageId = generateSourcePageId(canonicalizeUrl(url) || url);
+    const snapshotToday = snapshotExistsToday(sourcePageId, (config.paths || PATHS).snapshotsDir, (config.clock || defaultClock)());
+    let predicted = knownIds.has(sourcePageId) ? 'rescrape' : 'new_page';
+    if (config.refresh === 'missing' && snapshotToday) {
+      predicted = 'skip_snapshot_exists';
+    } else if (config.refresh === 'changed' && getExistingHash(sourcePageId, state) &&
+               isUnmodifiedSince(sitemapEntries[url], getPageLastCrawledAt(sourcePageId, state, kb))) {
+      predicted = 'skip_not_modified';
+    }
+    return {
+      source_page_id: sourcePageId,
+      priority_score: getUrlPriority(url, config.profile ? config.profile.priorityPatterns : null),
+      depth: getUrlDepth(url, seed.domain),
+      known_source_page: knownIds.has(sourcePageId),
+      snapshot_exists_today: snapshotToday,
+      predicted,
+    };
+  };
+  
+  return buildDomainPlan(seed, {
+    prioritizedUrls,
+    candidates: candidateSources,
+    classifyUrl: (url) => classifyCrawlableUrl(url, seed.domain, robotsRules, config),
+    describeUrl,
+    knownPages: getKnownDomainPages(kb, seed),
+    unlistedReason: config.revisitUrls ? 'not_scheduled' : 'not_discovered',
+  });
+}
+
+/**
+ * Fetch and parse the robots.txt of a domain (a missing or unreachable
+ * robots.txt allows everything)
+ * @param {string} domain - Domain
+ * @param {Function|null} firecrawlScrapeFunc - Firecrawl scrape function
+ * @param {Object} domainLog - Domain logger
+ * @param {Object} [domainPoliteness] - Domain politeness controller (robots.txt Crawl-delay is applied to it)
+ * @returns {Promise<Object>} - Parsed robots.txt rules
+ */
+async function fetchRobotsRules(domain, firecrawlScrapeFunc, domainLog, domainPoliteness = null) {
+  let robotsRules = { disallow: [], allow: [], sitemaps: [], crawlDelay: null };
+  if (!firecrawlScrapeFunc) return robotsRules;
+  
+  try {
+    const robotsUrl = `https://${domain}/robots.txt`;
+    const robotsResult = await firecrawlScrapeFunc(robotsUrl, { formats: ['rawHtml'] });
+    if (robotsResult && robotsResult.rawHtml) {
+      robotsRules = parseRobotsTxt(robotsResult.rawHtml);
+      domainLog.info('discover.robots_parsed', `     ✓ Found ${robotsRules.disallow.length} disallow rules for user-agent ${robotsRules.userAgent || '(none)'}, ${robotsRules.sitemaps.length} sitemaps`, {
+        url: robotsUrl, disallow_rules: robotsRules.disallow.length, user_agent: robotsRules.userAgent || null, sitemaps: robotsRules.sitemaps.length,
+      });
+      if (robotsRules.crawlDelay && domainPoliteness) {
+        domainPoliteness.setCrawlDelay(robotsRules.crawlDelay);
+        domainLog.info('discover.crawl_delay', `     ✓ Crawl-delay: ${robotsRules.crawlDelay}s`, { crawl_delay_s: robotsRules.crawlDelay });
+      }
+    }
+  } catch (e) {
+    // robots.txt is optional, don't fail on it
+    domainLog.warn('discover.robots_failed', `     ⚠️  robots.txt not accessible (non-fatal)`, { outcome: 'error', error: e });
+  }
+  return robotsRules;
+}
+
+/**
+ * Discover, filter and prioritize the URLs of a domain
+ * (robots.txt, sitemaps, site map, then priority sort).
+ * @param {Object} seed - Domain seed
+ * @param {Object} config - Crawler configuration
+ * @param {Object} domainState - Domain state (robots rules and sitemap URLs are stored here)
+ * @param {Function|null} firecrawlScrapeFunc - Firecrawl scrape function
+ * @param {Function|null} firecrawlMapFunc - Firecrawl map function
+ * @param {Object} domainStats - Domain statistics (map errors and whether the site map
+ *   listed every page, `listingComplete`, are recorded here)
+ * @param {Object} [domainPoliteness] - Domain politeness controller (robots.txt Crawl-delay is applied to it)
+ * @param {Map<string, string[]>} [candidateSources] - Filled with every candidate URL and where it was found (dry-run plan, lifecycle listing)
+ * @returns {Promise<string[]>} - Prioritized URLs in crawl order
+ */
+async function discoverDomainUrls(seed, config, domainState, firecrawlScrapeFunc, firecrawlMapFunc, domainStats, domainPoliteness = null, candidateSources = null) {
+  const domain = seed.domain;
+  const domainLog = log.child({ domain, stage: 'discover' });
+  const elapsed = startTimer();
+  
+  // Step 1: Fetch robots.txt
+  domainLog.info('discover.robots', '  📋 Step 1: Fetching robots.txt...');
+  const robotsRules = await fetchRobotsRules(domain, firecrawlScrapeFunc, domainLog, domainPoliteness);
+  domainState.robotsRules = robotsRules;
+  
+  // Step 2: Fetch and parse sitemaps (all locations, nested indexes, gzip)
+  domainLog.info('discover.sitemaps', '  📋 Step 2: Fetching sitemaps...');
+  let sitemapUrls = [];
+  
+  const sitemapLocations = [
+    ...robotsRules.sitemaps,
+    `https://${domain}/sitemap.xml`,
+    `https://${domain}/sitemap_index.xml`,
+  ];
+  
+  if (firecrawlScrapeFunc) {
+    const fetchBinary = config.fetchBinary || firecrawlMcp.fetchBinary;
+    const fetchBinaryFunc = domainPoliteness ? domainPoliteness.wrap(fetchBinary) : fetchBinary;
+    const sitemaps = await collectSitemapEntries(sitemapLocations, firecrawlScrapeFunc, {
+      fetchBinary: fetchBinaryFunc,
+      maxSitemaps: config.maxSitemaps,
+    });
+    
+    sitemapUrls = Object.keys(sitemaps.entries);
+    domainState.sitemapEntries = sitemaps.entries;
+    domainStats.sitemapsFetched = sitemaps.fetched.length;
+    
+    if (sitemaps.fetched.length > 0) {
+      domainLog.info('discover.sitemaps_parsed', `     ✓ Found ${sitemapUrls.length} URLs from ${sitemaps.fetched.length} sitemaps`, {
+        urls: sitemapUrls.length, sitemaps: sitemaps.fetched.length,
+      });
+    }
+    if (sitemaps.truncated) {
+      domainLog.warn('discover.sitemaps_truncated', `     ⚠️  Stopped after ${config.maxSitemaps} sitemaps (--max-sitemaps)`, { max_sitemaps: config.maxSitemaps });
+    }
+  }
+  domainState.sitemapUrls = sitemapUrls;
+  
+  // Step 3: Map site navigation (CRITICAL - fail loudly if required)
+  domainLog.info('discover.map', '  📋 Step 3: Mapping site navigation...');
+  let navigationUrls = [];
+  // A map that failed or hit its limit may have missed pages that still exist
+  let listingComplete = Boolean(firecrawlMapFunc) && !config.replaySnapshots;
+  
+  if (firecrawlMapFunc) {
+    for (const startUrl of seed.start_urls) {
+      try {
+        const mapResult = await firecrawlMapFunc(startUrl, {
+          limit: config.maxPages,
+          includeSubdomains: false,
+        });
+        if (mapResult && Array.isArray(mapResult)) {
+          navigationUrls.push(...mapResult);
+          if (mapResult.length >= config.maxPages) listingComplete = false;
+        } else {
+          listingComplete = false;
+        }
+      } catch (e) {
+        listingComplete = false;
+        // In required mode, map failure is FATAL
+        if (config.requireFirecrawl) {
+          throw new FirecrawlMapError(domain, e);
+        }
+        domainLog.warn('discover.map_failed', `     ⚠️  Failed to map ${startUrl}: ${e.message}`, { url: startUrl, outcome: 'error', error: e });
+        domainStats.errors.push(createCrawlError({ stage: 'map', error: e, url: startUrl, domain, now: (config.clock || defaultClock)() }));
+      }
+    }
+    domainLog.info('discover.mapped', `     ✓ Discovered ${navigationUrls.length} URLs from navigation`, { urls: navigationUrls.length });
+    domainStats.listingComplete = listingComplete;
+  } else if (config.requireFirecrawl) {
+    throw new FirecrawlUnavailableError('map');
+  }
+  
+  // Step 4: Combine and prioritize URLs
+  domainLog.info('discover.prioritize', '  📋 Step 4: Prioritizing URLs...');
+  const allUrls = [...new Set([...seed.start_urls, ...sitemapUrls, ...navigationUrls])];
+  if (candidateSources) {
+    addCandidateSources(candidateSources, seed.start_urls, 'start_url');
+    addCandidateSources(candidateSources, sitemapUrls, 'sitemap');
+    addCandidateSources(candidateSources, navigationUrls, 'map');
+  }
+  const filteredUrls = allUrls.filter(url => isCrawlableUrl(url, domain, robotsRules, config, domainState, domainStats));
+  
+  const prioritizedUrls = sortUrlsByPriority(filteredUrls, config.profile ? config.profile.priorityPatterns : null).slice(0, config.maxPages);
+  domainLog.info('discover.completed', `     ✓ ${prioritizedUrls.length} URLs after filtering and prioritization\n`, {
+    duration_ms: elapsed(), candidates: allUrls.length, urls: prioritizedUrls.length,
+  });
+  
+  return prioritizedUrls;
+}
+
 async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecrawlMapFunc, runStats) {
   const domain = seed.domain;
   const domainState = getDomainState(state, domain);
+  const domainLog = log.child({ domain });
+  const domainElapsed = startTimer();
+  const paths = config.paths || PATHS;
+  const clock = config.clock || defaultClock;
+  // Documents and .xml.gz sitemaps go through the injected binary fetcher, if any
+  const fetchBinary = config.fetchBinary || firecrawlMcp.fetchBinary;
+  // Progress events of an embedding crawler (see createCrawler)
+  const emit = (event, payload) => {
+    if (config.events) config.events.emit(event, { domain, ...payload });
+  };
+  const recordError = (details) => {
+    const record = createCrawlError({ domain, now: clock(), ...details });
+    domainStats.errors.push(record);
+    return record;
+  };
   
-  console.log(`\n${'═'.repeat(70)}`);
-  console.log(`🌐 Domain: ${seed.label}`);
-  console.log(`   URL: ${seed.start_urls[0]}`);
-  console.log(`   Max Depth: ${config.maxDepth}, Max Pages: ${config.maxPages}`);
-  console.log(`   Firecrawl Required: ${config.requireFirecrawl}`);
-  console.log(`${'═'.repeat(70)}\n`);
+  domainLog.print(`\n${'═'.repeat(70)}`);
+  domainLog.info('domain.started', `🌐 Domain: ${seed.label}`, {
+    stage: 'run',
+    label: seed.label,
+    start_url: seed.start_urls[0],
+    max_depth: config.maxDepth,
+    max_pages: config.maxPages,
+    profile: config.profile ? config.profile.serviceId || null : null,
+  });
+  domainLog.print(`   URL: ${seed.start_urls[0]}`);
+  domainLog.print(`   Max Depth: ${config.maxDepth}, Max Pages: ${config.maxPages}`);
+  if (config.profile) {
+    domainLog.print(`   Crawl Profile: ${config.profile.serviceId || 'default service'}, ${config.profile.agency ? config.profile.agency.id : 'default agency'}`);
+  }
+  domainLog.print(`   Firecrawl Required: ${config.requireFirecrawl}`);
+  domainLog.print(`${'═'.repeat(70)}\n`);
+  emit('domain:start', { label: seed.label, start_urls: seed.start_urls });
   
   const domainStats = {
     domain,
@@ -243,172 +1011,263 @@ async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecra
     pagesExcluded: 0,
     pagesUnchanged: 0,
     docsFound: 0,
+    pagesDiscoveredViaLinks: 0,
+    pagesSkippedByLastmod: 0,
+    sitemapsFetched: 0,
+    nearDuplicates: 0,
     claimsExtracted: 0,
+    claimsRefreshed: 0,
+    claimsReverified: 0,
+    claimsContradicted: 0,
+    claimsMarkedStale: 0,
+    pagesMissing: 0,
+    pagesRemoved: 0,
+    pagesReactivated: 0,
+    claimsDeprecated: 0,
+    claimsRestored: 0,
+    listingComplete: false,
     errors: [],
+    politeness: null,
   };
   
+  // A dry run without any Firecrawl backend plans from what is already known (no requests)
+  const offlinePlan = Boolean(config.dryRun && !firecrawlScrapeFunc);
+  
   // Enforce Firecrawl requirement for map
-  if (config.requireFirecrawl && !firecrawlMapFunc) {
+  if (config.requireFirecrawl && !firecrawlMapFunc && !offlinePlan) {
     throw new FirecrawlUnavailableError('map');
   }
   
   // Enforce Firecrawl requirement for scrape
-  if (config.requireFirecrawl && !firecrawlScrapeFunc) {
+  if (config.requireFirecrawl && !firecrawlScrapeFunc && !offlinePlan) {
     throw new FirecrawlUnavailableError('scrape');
   }
   
+  // Every request to the domain is spaced, retried and backed off by its politeness controller.
+  // An offline replay (cassette or snapshots) sends no requests: its delays are decided and
+  // recorded as when it was crawled, but not waited for.
+  const offlineReplay = Boolean(config.replayCassette || config.replaySnapshots);
+  const domainPoliteness = createPolitenessController(domain, {
+    baseDelayMs: config.rateLimit,
+    maxRetries: config.maxRetries,
+    backoffMaxMs: config.maxBackoff,
+    sleep: offlineReplay ? async () => {} : undefined,
+    now: () => clock().getTime(),
+  });
+  domainStats.politeness = domainPoliteness.stats;
+  if (domainState.robotsRules && domainState.robotsRules.crawlDelay) {
+    domainPoliteness.setCrawlDelay(domainState.robotsRules.crawlDelay);
+  }
+  firecrawlScrapeFunc = domainPoliteness.wrap(firecrawlScrapeFunc);
+  firecrawlMapFunc = domainPoliteness.wrap(firecrawlMapFunc);
+  
   try {
-    // Step 1: Fetch robots.txt
-    console.log('  📋 Step 1: Fetching robots.txt...');
-    let robotsRules = { disallow: [], allow: [], sitemaps: [] };
+    // Steps 1-4: Discover URLs, or pick up the frontier the interrupted run left behind
+    const checkpoint = config.resume ? getDomainCheckpoint(domainState) : null;
+    const resuming = Boolean(checkpoint && !checkpoint.completed && isCheckpointOfRun(checkpoint, config.crawlRun));
+    // Where every candidate URL was found (dry-run plan, and the listing that source page lifecycles check)
+    const candidateSources = new Map();
+    let prioritizedUrls;
     
-    if (firecrawlScrapeFunc) {
-      try {
-        const robotsUrl = `https://${domain}/robots.txt`;
-        const robotsResult = await firecrawlScrapeFunc(robotsUrl, { formats: ['rawHtml'] });
-        if (robotsResult && robotsResult.rawHtml) {
-          robotsRules = parseRobotsTxt(robotsResult.rawHtml);
-          console.log(`     ✓ Found ${robotsRules.disallow.length} disallow rules, ${robotsRules.sitemaps.length} sitemaps`);
+    if (resuming) {
+      prioritizedUrls = checkpoint.frontier;
+      addCandidateSources(candidateSources, prioritizedUrls, 'checkpoint');
+      domainLog.info('domain.resumed', `  ♻️  Resuming from checkpoint: ${(domainState.processedUrls || []).length}/${prioritizedUrls.length} URLs already processed\n`, {
+        stage: 'discover', processed: (domainState.processedUrls || []).length, urls: prioritizedUrls.length,
+      });
+    } else if (config.revisitUrls) {
+      // Only the pages planned for this domain by --plan or --refresh due / stale-claims (no discovery)
+      prioritizedUrls = config.revisitUrls;
+      addCandidateSources(candidateSources, prioritizedUrls, config.planFile ? 'plan' : 'revisit');
+      if (config.planFile) {
+        domainLog.info('domain.planned_urls', `  🗺️  ${prioritizedUrls.length} URLs from the crawl plan\n`, { stage: 'discover', urls: prioritizedUrls.length, source: 'plan' });
+        // robots.txt may have changed since the plan was reviewed
+        if (firecrawlScrapeFunc) {
+          const robotsRules = await fetchRobotsRules(domain, firecrawlScrapeFunc, domainLog.child({ stage: 'discover' }), domainPoliteness);
+          domainState.robotsRules = robotsRules;
+          const disallowed = prioritizedUrls.filter(url => classifyCrawlableUrl(url, domain, robotsRules, config).reason === 'robots');
+          for (const url of disallowed) {
+            isCrawlableUrl(url, domain, robotsRules, config, domainState, domainStats);
+            domainLog.warn('plan.robots_excluded', `     🚫 Now disallowed by robots.txt, not crawled: ${url}`, { url, stage: 'discover', reason: 'robots' });
+          }
+          prioritizedUrls = prioritizedUrls.filter(url => !disallowed.includes(url));
         }
-      } catch (e) {
-        // robots.txt is optional, don't fail on it
-        console.log(`     ⚠️  robots.txt not accessible (non-fatal)`);
+      } else {
+        domainLog.info('domain.planned_urls', config.refresh === 'due'
+          ? `  ⏰ ${prioritizedUrls.length} overdue pages to revisit\n`
+          : `  🧾 ${prioritizedUrls.length} pages cited by stale claims to recrawl\n`, { stage: 'discover', urls: prioritizedUrls.length, source: config.refresh });
       }
+    } else if (offlinePlan) {
+      domainLog.info('discover.offline', '  📋 No Firecrawl backend: planning from start URLs, stored sitemaps and known pages', { stage: 'discover' });
+      prioritizedUrls = collectKnownDomainUrls(seed, config, domainState, kb, candidateSources);
+    } else {
+      prioritizedUrls = await discoverDomainUrls(seed, config, domainState, firecrawlScrapeFunc, firecrawlMapFunc, domainStats, domainPoliteness, candidateSources);
     }
-    domainState.robotsRules = robotsRules;
-    
-    // Step 2: Fetch and parse sitemaps
-    console.log('  📋 Step 2: Fetching sitemaps...');
-    let sitemapUrls = [];
-    
-    // Try default sitemap locations
-    const sitemapLocations = [
-      ...robotsRules.sitemaps,
-      `https://${domain}/sitemap.xml`,
-      `https://${domain}/sitemap_index.xml`,
-    ];
+    domainStats.pagesDiscovered = prioritizedUrls.length;
     
-    for (const sitemapUrl of [...new Set(sitemapLocations)]) {
-      if (firecrawlScrapeFunc) {
-        try {
-          const sitemapResult = await firecrawlScrapeFunc(sitemapUrl, { formats: ['rawHtml'] });
-          if (sitemapResult && sitemapResult.rawHtml) {
-            const parsed = parseSitemapXml(sitemapResult.rawHtml);
-            if (parsed.type === 'index') {
-              // It's a sitemap index, fetch each child sitemap
-              for (const childSitemapUrl of parsed.sitemaps.slice(0, 5)) {  // Limit to 5 child sitemaps
-                const childResult = await firecrawlScrapeFunc(childSitemapUrl, { formats: ['rawHtml'] });
-                if (childResult && childResult.rawHtml) {
-                  const childParsed = parseSitemapXml(childResult.rawHtml);
-                  if (childParsed.urls) {
-                    sitemapUrls.push(...childParsed.urls);
-                  }
-                }
-                await sleep(500);
-              }
-            } else if (parsed.urls) {
-              sitemapUrls.push(...parsed.urls);
-            }
-            console.log(`     ✓ Found ${sitemapUrls.length} URLs from sitemaps`);
-            break;
-          }
-        } catch (e) {
-          // Sitemap not found is non-fatal, continue
-        }
+    if (config.dryRun) {
+      const domainPlan = planDomainCrawl(seed, config, state, kb, prioritizedUrls, candidateSources);
+      if (runStats.crawlPlan) runStats.crawlPlan.domains.push(domainPlan);
+      
+      domainLog.print('  🔍 Dry run - URLs that would be crawled:');
+      domainPlan.urls.filter(u => u.decision === 'scrape').forEach((entry, i) => {
+        domainLog[i < 20 ? 'info' : 'debug']('plan.url', `     - ${entry.url} (priority ${entry.priority_score}, ${entry.predicted})`, {
+          url: entry.url, source_page_id: entry.source_page_id, stage: 'discover', priority_score: entry.priority_score, predicted: entry.predicted,
+        });
+      });
+      if (!domainLog.isLevelEnabled('debug') && prioritizedUrls.length > 20) {
+        domainLog.print(`     ... and ${prioritizedUrls.length - 20} more`);
       }
+      const excluded = Object.entries(domainPlan.summary.excluded).map(([reason, count]) => `${count} ${reason}`);
+      domainLog.info('plan.domain', `     Excluded: ${excluded.length > 0 ? excluded.join(', ') : 'none'}`, {
+        stage: 'discover', duration_ms: domainElapsed(), ...domainPlan.summary,
+      });
+      domainLog.print(`     Known pages dropping out: ${domainPlan.dropped_source_pages.length}`);
+      emit('domain:done', { stats: domainStats, duration_ms: domainElapsed() });
+      return domainStats;
     }
-    domainState.sitemapUrls = sitemapUrls;
-    
-    // Step 3: Map site navigation (CRITICAL - fail loudly if required)
-    console.log('  📋 Step 3: Mapping site navigation...');
-    let navigationUrls = [];
     
-    if (firecrawlMapFunc) {
-      for (const startUrl of seed.start_urls) {
-        try {
-          const mapResult = await firecrawlMapFunc(startUrl, {
-            limit: config.maxPages,
-            includeSubdomains: false,
-          });
-          if (mapResult && Array.isArray(mapResult)) {
-            navigationUrls.push(...mapResult);
-          }
-        } catch (e) {
-          // In required mode, map failure is FATAL
-          if (config.requireFirecrawl) {
-            throw new FirecrawlMapError(domain, e);
-          }
-          console.log(`     ⚠️  Failed to map ${startUrl}: ${e.message}`);
-          domainStats.errors.push(`Map failed: ${startUrl}: ${e.message}`);
-        }
-        await sleep(config.rateLimit);
-      }
-      console.log(`     ✓ Discovered ${navigationUrls.length} URLs from navigation`);
-    } else if (config.requireFirecrawl) {
-      throw new FirecrawlUnavailableError('map');
+    // Checkpoint the frontier so an interrupted crawl can be resumed
+    if (!resuming) {
+      startDomainCheckpoint(domainState, prioritizedUrls, { runId: config.crawlRun ? config.crawlRun.runId : null, now: clock() });
+      saveCheckpoint(state, kb, paths, clock());
     }
+    const alreadyProcessed = new Set(domainState.processedUrls);
+    let urlsSinceCheckpoint = 0;
     
-    // Step 4: Combine and prioritize URLs
-    console.log('  📋 Step 4: Prioritizing URLs...');
-    const allUrls = [...new Set([...seed.start_urls, ...sitemapUrls, ...navigationUrls])];
-    const filteredUrls = allUrls.filter(url => {
-      const urlDomain = getDomain(url);
-      if (!urlDomain || !urlDomain.includes(domain.replace(/^www\./, ''))) return false;
+    // Breadth-first frontier: links found on scraped pages are queued behind it
+    const frontier = [...prioritizedUrls];
+    const frontierKeys = new Set(frontier.map(url => canonicalizeUrl(url) || url));
+    const rejectedLinkKeys = new Set();
+    const seenCanonicalUrls = new Set();
+    const robotsRules = domainState.robotsRules || { disallow: [], allow: [], sitemaps: [] };
+    const sitemapEntries = domainState.sitemapEntries || {};
+    // What this crawl saw of the known pages (source page lifecycle)
+    const lifecycleObservations = { seen: new Set(), signals: new Map(), listedUrls: null };
+    
+    /**
+     * Queue same-domain links of a scraped page (priority order, up to maxPages)
+     */
+    const enqueueLinks = (markdown, html, pageUrl) => {
+      if (!config.followLinks || frontier.length >= config.maxPages) return;
       
-      const urlPath = new URL(url).pathname;
-      if (!isPathAllowed(urlPath, robotsRules)) return false;
+      const candidates = extractPageLinks(markdown, html, pageUrl).filter(url => {
+        const key = canonicalizeUrl(url);
+        if (!key || frontierKeys.has(key) || rejectedLinkKeys.has(key)) return false;
+        
+        // Each rejected link is checked (and recorded as excluded) only once
+        if (firecrawlMcp.isBinaryDocumentUrl(url) ||
+            !isCrawlableUrl(url, domain, robotsRules, config, domainState, domainStats)) {
+          rejectedLinkKeys.add(key);
+          return false;
+        }
+        return true;
+      });
       
-      if (getUrlDepth(url, domain) > config.maxDepth) return false;
+      const queued = [];
+      for (const url of sortUrlsByPriority(candidates, config.profile ? config.profile.priorityPatterns : null)) {
+        if (frontier.length >= config.maxPages) break;
+        const key = canonicalizeUrl(url);
+        if (frontierKeys.has(key)) continue;
+        frontierKeys.add(key);
+        frontier.push(url);
+        queued.push(url);
+      }
       
-      return true;
-    });
-    
-    const prioritizedUrls = sortUrlsByPriority(filteredUrls).slice(0, config.maxPages);
-    domainStats.pagesDiscovered = prioritizedUrls.length;
-    console.log(`     ✓ ${prioritizedUrls.length} URLs after filtering and prioritization\n`);
-    
-    if (config.dryRun) {
-      console.log('  🔍 Dry run - URLs that would be crawled:');
-      for (const url of prioritizedUrls.slice(0, 20)) {
-        console.log(`     - ${url}`);
+      if (queued.length > 0) {
+        extendDomainCheckpoint(domainState, queued, clock());
+        domainStats.pagesDiscoveredViaLinks += queued.length;
+        domainLog.info('page.links_queued', `        🔗 Queued ${queued.length} linked pages`, { url: pageUrl, stage: 'discover', queued: queued.length });
       }
-      if (prioritizedUrls.length > 20) {
-        console.log(`     ... and ${prioritizedUrls.length - 20} more`);
+    };
+    
+    // Record a URL outcome and persist state + KB every `checkpointEvery` URLs
+    const markUrl = (url, outcome, details) => {
+      recordUrlOutcome(domainState, url, outcome, details, clock());
+      urlsSinceCheckpoint++;
+      if (urlsSinceCheckpoint >= config.checkpointEvery) {
+        saveCheckpoint(state, kb, paths, clock());
+        urlsSinceCheckpoint = 0;
       }
-      return domainStats;
-    }
+    };
     
     // Step 5: Crawl pages
-    console.log(`  📋 Step 5: Crawling ${prioritizedUrls.length} pages...`);
+    domainLog.info('crawl.started', `  📋 Step 5: Crawling ${frontier.length} pages${config.followLinks ? ' (following links)' : ''}...`, {
+      stage: 'scrape', urls: frontier.length, follow_links: config.followLinks,
+    });
     
-    for (let i = 0; i < prioritizedUrls.length; i++) {
-      const pageUrl = prioritizedUrls[i];
-      const sourcePageId = generateSourcePageId(pageUrl);
+    // Known URLs (canonical and alias) of the KB's pages: a URL whose canonical page is known is
+    // checked under that page by the skip checks below, before it is fetched
+    const knownPageIds = buildSourcePageUrlIndex(kb);
+    
+    for (let i = 0; i < frontier.length; i++) {
+      const pageUrl = frontier[i];
+      const requestedUrl = canonicalizeUrl(pageUrl) || pageUrl;
+      let sourcePageId = knownPageIds.get(requestedUrl) || generateSourcePageId(requestedUrl);
+      const pageElapsed = startTimer();
+      // Fields of every event about this page (source_page_id is read when the event is logged)
+      const pageFields = (fields) => ({ url: pageUrl, source_page_id: sourcePageId, ...fields });
+      const emitSkipped = (reason) => emit('url:skipped', { url: pageUrl, source_page_id: sourcePageId, reason });
+      // Pipeline stage the page is in (recorded with its error)
+      let pageStage = 'scrape';
+      
+      // Skip URLs finished before the crawl was interrupted
+      if (alreadyProcessed.has(pageUrl)) {
+        continue;
+      }
       
       // Check refresh mode
-      if (config.refresh === 'missing' && snapshotExistsToday(sourcePageId, PATHS.snapshotsDir)) {
-        console.log(`     ⏭️  [${i + 1}/${prioritizedUrls.length}] Already exists: ${pageUrl}`);
+      if (config.refresh === 'missing' && snapshotExistsToday(sourcePageId, paths.snapshotsDir, clock())) {
+        domainLog.info('page.skipped', `     ⏭️  [${i + 1}/${frontier.length}] Already exists: ${pageUrl}`, pageFields({
+          stage: 'scrape', outcome: 'skipped', reason: 'snapshot_exists_today',
+        }));
         domainStats.pagesUnchanged++;
+        markUrl(pageUrl, 'skipped', { reason: 'snapshot_exists_today' });
+        emitSkipped('snapshot_exists_today');
+        continue;
+      }
+      
+      // Sitemap says the page has not changed since we last crawled it: don't scrape at all
+      const sitemapEntry = sitemapEntries[pageUrl];
+      if (config.refresh === 'changed' && getExistingHash(sourcePageId, state) &&
+          isUnmodifiedSince(sitemapEntry, getPageLastCrawledAt(sourcePageId, state, kb))) {
+        domainLog.info('page.skipped', `     ⏭️  [${i + 1}/${frontier.length}] Not modified since last crawl (lastmod ${sitemapEntry.lastmod}): ${pageUrl}`, pageFields({
+          stage: 'scrape', outcome: 'skipped', reason: 'sitemap_lastmod', lastmod: sitemapEntry.lastmod,
+        }));
+        domainStats.pagesUnchanged++;
+        domainStats.pagesSkippedByLastmod++;
+        markUrl(pageUrl, 'skipped', { reason: 'sitemap_lastmod', lastmod: sitemapEntry.lastmod });
+        emitSkipped('sitemap_lastmod');
         continue;
       }
       
       try {
-        console.log(`     📄 [${i + 1}/${prioritizedUrls.length}] Scraping: ${pageUrl}`);
+        domainLog.info('page.scrape', `     📄 [${i + 1}/${frontier.length}] Scraping: ${pageUrl}`, pageFields({ stage: 'scrape', position: i + 1, total: frontier.length }));
         
         // Enforce Firecrawl requirement for scrape
         if (!firecrawlScrapeFunc) {
           if (config.requireFirecrawl) {
             throw new FirecrawlUnavailableError('scrape');
           }
-          console.log('        ⚠️  Firecrawl not available, skipping');
+          domainLog.warn('page.skipped', '        ⚠️  Firecrawl not available, skipping', pageFields({
+            stage: 'scrape', outcome: 'skipped', reason: 'firecrawl_unavailable', duration_ms: pageElapsed(),
+          }));
+          markUrl(pageUrl, 'skipped', { reason: 'firecrawl_unavailable' });
+          emitSkipped('firecrawl_unavailable');
           continue;
         }
         
-        const scrapeResult = await firecrawlScrapeFunc(pageUrl, {
-          formats: ['markdown', 'html'],
+        const scrapeResult = await firecrawlScrapeFunc(pageUrl, getProfileScrapeOptions({
+          formats: ['markdown', 'html', 'rawHtml'],
           onlyMainContent: true,
           removeBase64Images: true,
-        });
+        }, config.profile));
+        
+        // A 404/410 page or a redirect to another page is a sign the page was removed
+        const removalSignal = detectRemovalSignal(pageUrl, scrapeResult);
+        if (removalSignal && removalSignal.reason === 'not_found') {
+          throw Object.assign(new Error(`HTTP ${removalSignal.status_code}: page not found`), { status: removalSignal.status_code });
+        }
         
         // In required mode, empty content is an error (except for binary docs)
         if (!scrapeResult || !scrapeResult.markdown) {
@@ -419,8 +1278,10 @@ async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecra
               'Firecrawl returned empty markdown content'
             );
           }
-          console.log('        ❌ No content received');
-          domainStats.errors.push(`No content: ${pageUrl}`);
+          domainLog.error('page.no_content', '        ❌ No content received', pageFields({ stage: 'scrape', outcome: 'no_content', duration_ms: pageElapsed() }));
+          recordError({ stage: 'scrape', errorClass: 'no_content', message: 'No content received', url: pageUrl });
+          markUrl(pageUrl, 'no_content');
+          emitSkipped('no_content');
           continue;
         }
         
@@ -428,21 +1289,79 @@ async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecra
         const html = scrapeResult.html || '';
         const title = scrapeResult.title || pageUrl;
         
-        // Check if content changed
+        // Follow links even when the page itself is unchanged
+        enqueueLinks(markdown, html, pageUrl);
+        
+        // Key the page by its canonical URL (<link rel="canonical"> or the normalized URL);
+        // a redirected URL's content belongs to the page it now redirects to
+        if (removalSignal) {
+          lifecycleObservations.signals.set(sourcePageId, removalSignal);
+          domainLog.info('page.redirected', `        ↪️  Redirects to ${removalSignal.redirected_to}`, pageFields({ stage: 'scrape', redirected_to: removalSignal.redirected_to }));
+        }
+        const { canonicalUrl: pageCanonicalUrl, aliases } = resolveCanonicalUrl(removalSignal ? removalSignal.redirected_to : pageUrl, scrapeResult.rawHtml || html);
+        sourcePageId = generateSourcePageId(pageCanonicalUrl);
+        lifecycleObservations.seen.add(sourcePageId);
+        
+        if (seenCanonicalUrls.has(pageCanonicalUrl)) {
+          const sourcePage = kb.source_pages.find(sp => sp.source_page_id === sourcePageId);
+          if (sourcePage) mergeAliasUrls(sourcePage, [pageUrl, ...aliases]);
+          domainLog.info('page.skipped', `        ⏭️  Same page as ${pageCanonicalUrl}`, pageFields({
+            stage: 'scrape', outcome: 'skipped', reason: 'duplicate_canonical', canonical_url: pageCanonicalUrl, duration_ms: pageElapsed(),
+          }));
+          domainStats.pagesUnchanged++;
+          markUrl(pageUrl, 'skipped', { reason: 'duplicate_canonical', canonical_url: pageCanonicalUrl });
+          emitSkipped('duplicate_canonical');
+          continue;
+        }
+        seenCanonicalUrls.add(pageCanonicalUrl);
+        
+        // Check if content changed (a change in volatile regions only is no change)
         const contentHash = generateHash(markdown);
         const existingHash = getExistingHash(sourcePageId, state);
+        const { semanticHash, sectionHashes } = computeContentFingerprint(
+          markdown, config.profile ? config.profile.changeDetection : DEFAULT_CHANGE_DETECTION
+        );
+        const existingPage = getSourcePage(kb, sourcePageId);
+        const volatileOnly = existingHash !== contentHash && Boolean(existingPage) && existingPage.semantic_hash === semanticHash;
+        // A known page whose content changed beyond its volatile regions gets its claims re-verified
+        const semanticChange = Boolean(existingPage) && existingPage.content_hash !== contentHash && existingPage.semantic_hash !== semanticHash;
         
-        if (config.refresh === 'changed' && existingHash === contentHash) {
-          console.log('        ⏭️  Unchanged');
+        state.pageCrawledAt[sourcePageId] = clock().toISOString();
+        
+        if ((config.refresh === 'changed' || config.refresh === 'due') && (existingHash === contentHash || volatileOnly)) {
+          const unchangedReason = volatileOnly ? { reason: 'volatile_only' } : {};
+          domainLog.info('page.unchanged', volatileOnly ? '        ⏭️  Unchanged (only volatile regions differ)' : '        ⏭️  Unchanged', pageFields({
+            stage: 'scrape', outcome: 'unchanged', ...unchangedReason, duration_ms: pageElapsed(),
+          }));
           domainStats.pagesUnchanged++;
+          markUrl(pageUrl, 'unchanged', { content_hash: contentHash, ...unchangedReason });
+          // Pages saved before semantic hashing get theirs from the identical content
+          if (existingPage && existingPage.content_hash === contentHash) {
+            if (!existingPage.semantic_hash) existingPage.semantic_hash = semanticHash;
+            if (sectionHashes && !existingPage.section_hashes) existingPage.section_hashes = sectionHashes;
+          }
+          emit('url:scraped', {
+            url: pageUrl, source_page_id: sourcePageId, canonical_url: pageCanonicalUrl, outcome: 'unchanged', duration_ms: pageElapsed(),
+          });
           continue;
         }
         
+        // A near-duplicate of a page already in the KB keeps its source page but mints no claims
+        const contentSimhash = computeSimhash(markdown);
+        const nearDuplicateIndex = config.nearDuplicateThreshold
+          ? getNearDuplicateIndex(kb, config.nearDuplicateThreshold)
+          : null;
+        const nearDuplicateMatch = nearDuplicateIndex ? nearDuplicateIndex.findMatch(contentSimhash, sourcePageId) : null;
+        
         // Save snapshot
-        const { snapshotRef } = saveSnapshot(sourcePageId, pageUrl, html, markdown, PATHS.snapshotsDir);
+        pageStage = 'save';
+        const { snapshotRef, snapshotDate } = saveSnapshot(sourcePageId, pageUrl, html, markdown, paths.snapshotsDir, {
+          title, compression: config.snapshotCompression, now: clock(),
+        });
         state.pageHashes[sourcePageId] = contentHash;
         
         // Extract structured data (pass HTML for enhanced document detection)
+        pageStage = 'extract';
         const structuredData = extractStructuredData(markdown, pageUrl, html);
         
         // Update extraction stats
@@ -451,30 +1370,135 @@ async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecra
         // Add to KB
         addOrUpdateSourcePage(kb, {
           url: pageUrl,
+          canonicalUrl: pageCanonicalUrl,
+          aliasUrls: aliases,
           domain: domain,
           title: title,
           markdown: markdown,
           contentHash: contentHash,
+          semanticHash: semanticHash,
+          sectionHashes: sectionHashes,
           snapshotRef: snapshotRef,
+          contentSimhash: contentSimhash,
+          nearDuplicateOf: nearDuplicateMatch ? nearDuplicateMatch.source_page_id : null,
+          agency: config.profile ? config.profile.agency : null,
+          crawledAt: clock(),
         }, classifyPage);
         
-        // Extract and add claims
-        const claims = extractClaims(markdown, sourcePageId, pageUrl, structuredData);
+        // Summarize what changed since the previous snapshot on the change_log entry
+        // (before this page's claims are refreshed, so their old quotes are checked)
+        let pageChange = null;
+        try {
+          pageChange = summarizePageChange(kb, sourcePageId, {
+            markdown, date: snapshotDate,
+          }, paths.snapshotsDir, clock());
+        } catch (e) {
+          domainLog.warn('page.diff_failed', `        ⚠️  Could not diff against the previous snapshot: ${e.message}`, pageFields({ stage: 'extract', error: e }));
+        }
+        if (pageChange) {
+          const summary = pageChange.entry.diff_summary;
+          domainLog.info('page.changed', `        📝 Changed since ${summary.before_snapshot}: -${summary.lines_removed} +${summary.lines_added} lines, ${summary.claims_changed.length + summary.claims_removed.length} cited quotes affected`, pageFields({
+            stage: 'extract',
+            lines_added: summary.lines_added,
+            lines_removed: summary.lines_removed,
+            sections_changed: summary.sections_changed.length,
+            claims_changed: summary.claims_changed.length,
+            claims_removed: summary.claims_removed.length,
+          }));
+        }
+        
+        // Look for the quotes of the claims citing a changed page in its new content
+        // (before this page's claims are extracted again)
+        if (semanticChange) {
+          const reverification = reverifyClaims(kb, sourcePageId, markdown, { sourceHash: contentHash, now: clock() });
+          const checked = reverification.unchanged.length + reverification.restored.length + reverification.contradicted.length + reverification.stale.length;
+          domainStats.claimsReverified += reverification.unchanged.length + reverification.restored.length;
+          domainStats.claimsContradicted += reverification.contradicted.length;
+          domainStats.claimsMarkedStale += reverification.stale.length;
+          if (checked > 0) {
+            domainLog.info('claims.reverified', `        🔎 Re-verified ${checked} claims: ${reverification.unchanged.length + reverification.restored.length} unchanged, ${reverification.contradicted.length} contradicted, ${reverification.stale.length} stale`, pageFields({
+              stage: 'extract',
+              unchanged: reverification.unchanged.length,
+              restored: reverification.restored.length,
+              contradicted: reverification.contradicted.length,
+              stale: reverification.stale.length,
+            }));
+          }
+        }
+        
+        if (nearDuplicateMatch) {
+          domainStats.nearDuplicates++;
+          runStats.nearDuplicates.push({
+            source_page_id: sourcePageId,
+            url: pageCanonicalUrl,
+            canonical_source_page_id: nearDuplicateMatch.source_page_id,
+            canonical_url: nearDuplicateMatch.url,
+            similarity: nearDuplicateMatch.similarity,
+          });
+          domainLog.info('page.near_duplicate', `        ♊ Near-duplicate of ${nearDuplicateMatch.url} (similarity ${nearDuplicateMatch.similarity.toFixed(3)}), no claims extracted`, pageFields({
+            stage: 'extract', canonical_source_page_id: nearDuplicateMatch.source_page_id, similarity: nearDuplicateMatch.similarity,
+          }));
+          // A recrawled canonical page that now duplicates another page stops being a match target
+          nearDuplicateIndex.remove(sourcePageId);
+        } else if (nearDuplicateIndex) {
+          nearDuplicateIndex.add(sourcePageId, pageCanonicalUrl, contentSimhash);
+        }
+        
+        // Extract and add claims (canonical pages only)
+        const claims = nearDuplicateMatch ? [] : extractClaims(markdown, sourcePageId, pageCanonicalUrl, structuredData, {
+          serviceId: config.profile ? config.profile.serviceId : null,
+        });
         const addedClaims = addClaimsToKB(kb, claims);
+        const claimsRefreshedBefore = domainStats.claimsRefreshed;
         domainStats.claimsExtracted += addedClaims;
+        if (config.staleClaimIds) {
+          domainStats.claimsRefreshed += refreshClaimEvidence(kb, claims, config.staleClaimIds, sourcePageId);
+          // Stale claims whose quote is on the page again are no longer stale (the page itself may be unchanged)
+          const reverification = reverifyClaims(kb, sourcePageId, markdown, { sourceHash: contentHash, now: clock(), claimIds: config.staleClaimIds });
+          domainStats.claimsReverified += reverification.unchanged.length + reverification.restored.length;
+          domainStats.claimsContradicted += reverification.contradicted.length;
+          if (reverification.restored.length > 0) {
+            domainLog.info('claims.restored', `        ✅ ${reverification.restored.length} stale claims found on the page again, no longer stale`, pageFields({
+              stage: 'extract', restored: reverification.restored.length,
+            }));
+          }
+        }
+        emit('claims:added', {
+          url: pageUrl,
+          source_page_id: sourcePageId,
+          added: addedClaims,
+          refreshed: config.staleClaimIds ? domainStats.claimsRefreshed - claimsRefreshedBefore : 0,
+        });
         
         // Harvest documents
         if (structuredData.documentList.length > 0) {
-          console.log(`        📎 Found ${structuredData.documentList.length} documents...`);
+          pageStage = 'document';
+          domainLog.info('page.documents', `        📎 Found ${structuredData.documentList.length} documents...`, pageFields({
+            stage: 'document', documents: structuredData.documentList.length,
+          }));
           const docResults = await documentHarvester.processDocumentList(
             structuredData.documentList,
             domain,
             state,
-            pageUrl,
-            1000  // 1 second between downloads
+            pageCanonicalUrl,
+            1000,  // 1 second between downloads
+            { documentsDir: paths.documentsDir, docTextDir: paths.docTextDir, fetchBinary }
           );
           for (const docResult of docResults) {
+            if (docResult.error) {
+              recordError({
+                stage: 'document',
+                error: { name: docResult.errorType, message: docResult.error, status: docResult.status, code: docResult.code },
+                url: docResult.url,
+              });
+            }
             if (!docResult.skipped && !docResult.error) {
+              emit('document:harvested', {
+                url: docResult.url,
+                page_url: pageCanonicalUrl,
+                hash: docResult.hash,
+                fetched_via: docResult.fetched_via,
+              });
               domainStats.docsFound++;
               // Track fetch method for aggregate reporting
               if (docResult.fetched_via === 'http_fallback') {
@@ -490,26 +1514,83 @@ async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecra
         domainStats.pagesProcessed++;
         domainStats.pagesSaved++;
         
-        console.log(`        ✓ Saved (${addedClaims} claims, ${structuredData.documentList.length} docs)`);
-        
-        // Rate limiting
-        await sleep(config.rateLimit);
+        domainLog.info('page.saved', `        ✓ Saved (${addedClaims} claims, ${structuredData.documentList.length} docs)`, pageFields({
+          stage: 'save', outcome: 'saved', duration_ms: pageElapsed(), claims_added: addedClaims, documents: structuredData.documentList.length,
+        }));
+        markUrl(pageUrl, 'saved', {
+          source_page_id: sourcePageId,
+          canonical_url: pageCanonicalUrl,
+          content_hash: contentHash,
+          claims_added: addedClaims,
+        });
+        emit('url:scraped', {
+          url: pageUrl, source_page_id: sourcePageId, canonical_url: pageCanonicalUrl, outcome: 'saved', duration_ms: pageElapsed(),
+        });
         
       } catch (e) {
-        console.log(`        ❌ Error: ${e.message}`);
-        domainStats.errors.push(`${pageUrl}: ${e.message}`);
+        const removalSignal = detectRemovalSignal(pageUrl, null, e);
+        if (removalSignal) lifecycleObservations.signals.set(getRequestedSourcePageId(pageUrl), removalSignal);
+        const attempts = e.attempts ? ` (after ${e.attempts} attempts)` : '';
+        const errorRecord = recordError({ stage: pageStage, error: e, url: pageUrl, attempts: e.attempts || 1 });
+        domainLog.error('page.error', `        ❌ Error: ${e.message}${attempts}`, pageFields({
+          stage: pageStage, outcome: 'error', duration_ms: pageElapsed(), error: e, attempts: e.attempts || 1,
+          error_class: errorRecord.error_class, status: errorRecord.status, retryable: errorRecord.retryable,
+        }));
+        markUrl(pageUrl, 'error', { error: e.message, error_class: errorRecord.error_class, attempts: e.attempts || 1 });
+        emit('url:failed', {
+          url: pageUrl, source_page_id: sourcePageId, error: e.message, error_class: errorRecord.error_class, stage: pageStage, attempts: e.attempts || 1,
+        });
       }
     }
     
+    domainStats.pagesDiscovered = frontier.length;
+    
+    // Step 6: Source page lifecycle (a known page absent from a complete listing counts
+    // towards missing; the listing is only known when discovery ran)
+    if (domainStats.listingComplete && !resuming && !config.revisitUrls) {
+      lifecycleObservations.listedUrls = new Set([...candidateSources.keys()].map(url => canonicalizeUrl(url) || url));
+    }
+    const domainPages = kb.source_pages.filter(sp => sp.canonical_url && findSeedForUrl(sp.canonical_url, [seed]));
+    const lifecycle = updateSourceLifecycle(kb, domainPages, lifecycleObservations, {
+      missingAfterRuns: config.missingAfterRuns,
+      removeAfterDays: config.removeAfterDays,
+      now: clock(),
+    });
+    domainStats.pagesMissing = lifecycle.missing.length;
+    domainStats.pagesRemoved = lifecycle.removed.length;
+    domainStats.pagesReactivated = lifecycle.reactivated.length;
+    domainStats.claimsDeprecated = lifecycle.deprecatedClaims.length;
+    domainStats.claimsRestored = lifecycle.restoredClaims.length;
+    if (lifecycle.missing.length + lifecycle.removed.length + lifecycle.reactivated.length > 0) {
+      domainLog.info('domain.lifecycle', `  🪦 Source pages: ${lifecycle.missing.length} missing, ${lifecycle.removed.length} removed (${lifecycle.deprecatedClaims.length} claims deprecated), ${lifecycle.reactivated.length} back (${lifecycle.restoredClaims.length} claims restored)`, {
+        stage: 'run',
+        missing: lifecycle.missing,
+        removed: lifecycle.removed,
+        reactivated: lifecycle.reactivated,
+        claims_deprecated: lifecycle.deprecatedClaims.length,
+        claims_restored: lifecycle.restoredClaims.length,
+      });
+    }
+    
     // Update domain state
-    domainState.lastCrawled = new Date().toISOString();
+    domainState.lastCrawled = clock().toISOString();
     domainState.pagesCrawled = domainStats.pagesProcessed;
+    completeDomainCheckpoint(domainState, clock());
     
-    console.log(`\n  ✅ Domain complete: ${domainStats.pagesSaved} saved, ${domainStats.pagesUnchanged} unchanged, ${domainStats.errors.length} errors`);
+    domainLog.info('domain.completed', `\n  ✅ Domain complete: ${domainStats.pagesSaved} saved, ${domainStats.pagesUnchanged} unchanged, ${domainStats.errors.length} errors`, {
+      stage: 'run',
+      outcome: 'completed',
+      duration_ms: domainElapsed(),
+      pages_saved: domainStats.pagesSaved,
+      pages_unchanged: domainStats.pagesUnchanged,
+      errors: domainStats.errors.length,
+    });
     
   } catch (e) {
-    console.error(`\n  ❌ Fatal error: ${e.message}`);
-    domainStats.errors.push(`Fatal: ${e.message}`);
+    domainLog.error('domain.fatal', `\n  ❌ Fatal error: ${e.message}`, { stage: 'run', outcome: 'error', duration_ms: domainElapsed(), error: e });
+    recordError({ stage: 'domain', error: e });
+    runStats.errors.push(...domainStats.errors);
+    emit('domain:done', { stats: domainStats, duration_ms: domainElapsed(), error: e.message });
     throw e;  // Re-throw to be caught by main
   }
   
@@ -521,72 +1602,218 @@ async function crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecra
   runStats.pagesUnchanged += domainStats.pagesUnchanged;
   runStats.docsDownloaded += domainStats.docsFound;
   runStats.claimsExtracted += domainStats.claimsExtracted;
+  runStats.claimsRefreshed += domainStats.claimsRefreshed;
+  runStats.claimsReverified += domainStats.claimsReverified;
+  runStats.claimsContradicted += domainStats.claimsContradicted;
+  runStats.claimsMarkedStale += domainStats.claimsMarkedStale;
+  runStats.pagesMissing += domainStats.pagesMissing;
+  runStats.pagesRemoved += domainStats.pagesRemoved;
+  runStats.pagesReactivated += domainStats.pagesReactivated;
+  runStats.claimsDeprecated += domainStats.claimsDeprecated;
+  runStats.claimsRestored += domainStats.claimsRestored;
   runStats.errors.push(...domainStats.errors);
   runStats.domainDetails.push(domainStats);
+  emit('domain:done', { stats: domainStats, duration_ms: domainElapsed() });
   
   return domainStats;
 }
 
 // ============================================================================
-// MAIN EXECUTION
+// EMBEDDABLE CRAWLER
 // ============================================================================
 
 /**
- * Main crawler entry point
- * 
- * This function can be run in two modes:
- * 1. Standalone (node scripts/crawl.js) - runs in planning mode without actual scraping
- * 2. MCP-orchestrated - when the AI agent provides scrape results via parameters
- * 
- * @param {Object} [mcpContext] - Optional MCP context with scrape/map functions
- * @param {Object} [mcpContext.bdgovlinksResult] - Pre-fetched bdgovlinks.com scrape result
- * @param {Function} [mcpContext.scrape] - Firecrawl scrape function
- * @param {Function} [mcpContext.map] - Firecrawl map function
+ * Create a crawler that runs in-process and reports its progress as events.
+ *
+ * Events (every payload carries `domain`, except run events):
+ * - `run:start` { domains, refresh, dry_run }
+ * - `domain:start` { label, start_urls }
+ * - `url:scraped` { url, source_page_id, canonical_url, outcome: 'saved' | 'unchanged', duration_ms }
+ * - `url:skipped` { url, source_page_id, reason }
+ * - `url:failed` { url, source_page_id, error, error_class, stage, attempts }
+ * - `claims:added` { url, source_page_id, added, refreshed }
+ * - `document:harvested` { url, page_url, hash, fetched_via }
+ * - `domain:done` { stats, duration_ms, error }
+ * - `run:done` { status, report, error }
+ *
+ * @param {Object} [options] - Configuration (keys of createDefaultConfig), plus:
+ * @param {Function} [options.scrape] - Firecrawl scrape function (url, options) => result
+ * @param {Function} [options.map] - Firecrawl map function (url, options) => URLs
+ * @param {Function} [options.fetchBinary] - Binary fetch function (url, options) => { buffer, contentType },
+ *   for documents and .xml.gz sitemaps (default: firecrawl_mcp.fetchBinary)
+ * @param {Object} [options.bdgovlinksResult] - Pre-fetched bdgovlinks.com scrape result
+ * @param {Object} [options.paths] - Overrides of PATHS (KB, seeds, snapshots, documents, state, runs)
+ * @param {Function} [options.clock] - () => Date, for crawl timestamps and revisit / stale claim planning
+ * @returns {EventEmitter} - Crawler; `crawler.run()` resolves to { seeds, config, state, kb, runStats, report }
  */
-async function main(mcpContext = null) {
-  console.log('\n' + '═'.repeat(70));
-  console.log('  🕷️  Bangladesh Government Services KB - Domain Deep Crawler');
-  console.log('═'.repeat(70) + '\n');
-  
-  const config = parseArgs();
-  
-  console.log('📋 Configuration:');
-  console.log(`   Seed Source: ${config.seedSource}`);
-  console.log(`   Category: ${config.category}`);
-  console.log(`   Refresh Mode: ${config.refresh}`);
-  console.log(`   Max Depth: ${config.maxDepth}`);
-  console.log(`   Max Pages/Domain: ${config.maxPages}`);
-  console.log(`   Rate Limit: ${config.rateLimit}ms`);
-  console.log(`   Dry Run: ${config.dryRun}`);
-  console.log(`   Require Firecrawl: ${config.requireFirecrawl} (fail loudly if unavailable)`);
-  console.log(`   Allow HTTP Doc Download: ${config.allowHttpDocDownload}`);
+function createCrawler(options = {}) {
+  const { scrape = null, map = null, fetchBinary = null, bdgovlinksResult = null, paths = {}, clock = null, ...overrides } = options;
+  
+  const crawler = new EventEmitter();
+  crawler.config = { ...createDefaultConfig(), ...overrides };
+  // Limits passed in explicitly win over crawl profile limits, like CLI flags
+  if (!overrides.cliLimits) {
+    crawler.config.cliLimits = { maxDepth: overrides.maxDepth !== undefined, maxPages: overrides.maxPages !== undefined };
+  }
+  crawler.paths = { ...PATHS, ...paths };
+  crawler.clock = clock || defaultClock;
+  crawler.run = () => runCrawler(crawler, { scrape, map, fetchBinary, bdgovlinksResult });
+  return crawler;
+}
+
+/**
+ * Run a crawl (see createCrawler). The firecrawl_mcp backends, configuration
+ * and cassette the run sets up are put back afterwards, so a later run in the
+ * same process does not keep recording or replaying, and the log file is closed.
+ * @param {EventEmitter} crawler - Crawler from createCrawler
+ * @param {Object} backend - { scrape, map, fetchBinary, bdgovlinksResult }
+ * @returns {Promise<Object>} - { seeds, config, state, kb, runStats, report }
+ */
+async function runCrawler(crawler, backend) {
+  const previousBackend = firecrawlMcp.saveState();
+  try {
+    return await executeCrawl(crawler, backend);
+  } finally {
+    firecrawlMcp.restoreState(previousBackend);
+    closeLogger();
+  }
+}
+
+/**
+ * Body of runCrawler
+ * @private
+ */
+async function executeCrawl(crawler, backend) {
+  const { config, paths, clock } = crawler;
+  if (!REFRESH_MODES.includes(config.refresh)) {
+    throw new Error(`Invalid --refresh mode '${config.refresh}' (expected ${REFRESH_MODES.join(' | ')})`);
+  }
+  configureLogger({ level: config.logLevel, format: config.logFormat, file: config.logFile, fileLevel: config.logFileLevel });
+  firecrawlMcp.setConfig('firecrawlRequired', config.requireFirecrawl);
+  firecrawlMcp.setConfig('allowHttpDocDownload', config.allowHttpDocDownload);
+  
+  log.print('\n' + '═'.repeat(70));
+  log.print('  🕷️  Bangladesh Government Services KB - Domain Deep Crawler');
+  log.print('═'.repeat(70) + '\n');
+  
+  log.info('run.started', '📋 Configuration:', {
+    stage: 'run',
+    refresh: config.refresh,
+    max_depth: config.maxDepth,
+    max_pages: config.maxPages,
+    follow_links: config.followLinks,
+    dry_run: config.dryRun,
+    resume: config.resume,
+    plan: config.planFile,
+    domains: config.domains,
+  });
+  log.print(`   Seed Source: ${config.seedSource}`);
+  log.print(`   Category: ${config.category}`);
+  log.print(`   Refresh Mode: ${config.refresh}`);
+  log.print(`   Max Depth: ${config.maxDepth}`);
+  log.print(`   Max Pages/Domain: ${config.maxPages}`);
+  log.print(`   Follow Links: ${config.followLinks}`);
+  log.print(`   Rate Limit: ${config.rateLimit}ms (max ${config.maxRetries} retries, backoff ≤ ${config.maxBackoff}ms)`);
+  log.print(`   Dry Run: ${config.dryRun}`);
+  log.print(`   Resume: ${config.resume} (checkpoint every ${config.checkpointEvery} URLs)`);
+  if (config.replaySnapshots) {
+    log.print(`   Replay: stored snapshots${config.replayAsOf ? ` as of ${config.replayAsOf}` : ''} (offline)`);
+  }
+  if (config.recordCassette) {
+    log.print(`   Record Cassette: ${config.recordCassette}`);
+  }
+  if (config.replayCassette) {
+    log.print(`   Replay Cassette: ${config.replayCassette} (offline)`);
+  }
+  if (config.outputDir) {
+    log.print(`   Output Dir: ${config.outputDir}`);
+  }
+  log.print(`   Require Firecrawl: ${config.requireFirecrawl} (fail loudly if unavailable)`);
+  log.print(`   Allow HTTP Doc Download: ${config.allowHttpDocDownload}`);
   if (config.domains.length > 0) {
-    console.log(`   Specific Domains: ${config.domains.join(', ')}`);
+    log.print(`   Specific Domains: ${config.domains.join(', ')}`);
   }
-  console.log('');
+  if (config.logFile) {
+    log.print(`   Log File: ${config.logFile} (JSON lines)`);
+  }
+  log.print();
   
   // Ensure directories exist
-  ensureDir(PATHS.seedsDir);
-  ensureDir(PATHS.snapshotsDir);
-  ensureDir(PATHS.documentsDir);
-  ensureDir(PATHS.docTextDir);
-  ensureDir(PATHS.runsDir);
+  ensureDir(paths.seedsDir);
+  ensureDir(paths.snapshotsDir);
+  ensureDir(paths.documentsDir);
+  ensureDir(paths.docTextDir);
+  ensureDir(paths.runsDir);
   
   // Load state and KB
-  const state = loadCrawlState(PATHS.stateFile);
-  const kb = loadOrCreateKB(PATHS.kbPath, PATHS.kbPathV2);
+  const state = loadCrawlState(paths.stateFile, clock());
+  const kb = loadOrCreateKB(paths.kbPath, paths.kbPathV2);
   
-  console.log(`📊 Loaded KB: ${kb.source_pages.length} pages, ${kb.claims.length} claims\n`);
+  log.info('kb.loaded', `📊 Loaded KB: ${kb.source_pages.length} pages, ${kb.claims.length} claims\n`, {
+    stage: 'kb', source_pages: kb.source_pages.length, claims: kb.claims.length,
+  });
   
   // Initialize run stats
-  const runStats = createRunStats(config);
+  const runStats = createRunStats(config, clock());
   
   // Check for MCP context
-  let firecrawlScrapeFunc = mcpContext?.scrape || null;
-  let firecrawlMapFunc = mcpContext?.map || null;
-  let bdgovlinksResult = mcpContext?.bdgovlinksResult || null;
+  let firecrawlScrapeFunc = backend.scrape || null;
+  let firecrawlMapFunc = backend.map || null;
+  let fetchBinaryFunc = backend.fetchBinary || null;
+  let bdgovlinksResult = backend.bdgovlinksResult || null;
   let firecrawlMode = 'none';
 
+  if (!SNAPSHOT_COMPRESSIONS.includes(config.snapshotCompression)) {
+    throw new Error(`Invalid --snapshot-compression '${config.snapshotCompression}' (expected ${SNAPSHOT_COMPRESSIONS.join(' or ')})`);
+  }
+
+  if (config.replayCassette && (config.recordCassette || config.replaySnapshots)) {
+    throw new Error('--replay cannot be combined with --record or --replay-snapshots');
+  }
+
+  // A recorded cassette takes precedence over any other backend
+  if (config.replayCassette) {
+    const cassette = replayCassette(config.replayCassette);
+    firecrawlMcp.setCassette(cassette);
+    // Retries replay the recorded attempts in order, no need to wait (crawlDomain
+    // also keeps the politeness controllers from sleeping)
+    firecrawlMcp.setConfig('retryDelay', 0);
+    firecrawlScrapeFunc = firecrawlMcp.firecrawlScrape;
+    firecrawlMapFunc = firecrawlMcp.firecrawlMap;
+    fetchBinaryFunc = firecrawlMcp.fetchBinary;
+    firecrawlMode = `cassette replay (${config.replayCassette})`;
+  }
+
+  // Offline replay from stored snapshots takes precedence over any live backend
+  if (config.replaySnapshots) {
+    if (config.replayAsOf && !/^\d{4}-\d{2}-\d{2}$/.test(config.replayAsOf)) {
+      throw new Error(`Invalid --replay-as-of date '${config.replayAsOf}' (expected YYYY-MM-DD)`);
+    }
+
+    const replayBackend = createReplayBackend({
+      snapshotsDir: paths.snapshotsDir,
+      mcpScrapesDir: paths.mcpScrapesDir,
+      documentsDir: paths.documentsDir,
+      asOfDate: config.replayAsOf,
+    });
+    log.info('replay.loaded', `♻️  Replay store: ${replayBackend.size} captured pages\n`, { stage: 'firecrawl', pages: replayBackend.size });
+
+    firecrawlMcp.initialize({
+      scrape: replayBackend.scrape,
+      map: replayBackend.map,
+      fetchBinary: replayBackend.fetchBinary,
+    }, {
+      firecrawlRequired: config.requireFirecrawl,
+      allowHttpDocDownload: config.allowHttpDocDownload,
+      // A replay miss is deterministic, retrying cannot help
+      maxRetries: 0,
+    });
+    firecrawlScrapeFunc = firecrawlMcp.firecrawlScrape;
+    firecrawlMapFunc = firecrawlMcp.firecrawlMap;
+    fetchBinaryFunc = firecrawlMcp.fetchBinary;
+    firecrawlMode = `replay (snapshots${config.replayAsOf ? ` as of ${config.replayAsOf}` : ''})`;
+  }
+
   // Try to get MCP functions from global scope (when run via Cursor MCP)
   if (!firecrawlScrapeFunc && typeof global.firecrawlScrape === 'function') {
     firecrawlScrapeFunc = global.firecrawlScrape;
@@ -602,6 +1829,7 @@ async function main(mcpContext = null) {
     });
     firecrawlScrapeFunc = firecrawlMcp.firecrawlScrape;
     firecrawlMapFunc = firecrawlMcp.firecrawlMap;
+    fetchBinaryFunc = firecrawlMcp.fetchBinary;
     firecrawlMode = 'Firecrawl API fallback';
   }
 
@@ -616,35 +1844,58 @@ async function main(mcpContext = null) {
     });
   }
   
+  // Transient failures are retried by the per-domain politeness controller
+  firecrawlMcp.setConfig('maxRetries', 0);
+  
+  // Record every request of whichever backend was selected. Scrape/map go through
+  // the firecrawl_mcp wrappers so the recorded options include per-URL overrides.
+  if (config.recordCassette && firecrawlScrapeFunc) {
+    if (firecrawlScrapeFunc !== firecrawlMcp.firecrawlScrape) {
+      firecrawlMcp.initialize({
+        scrape: firecrawlScrapeFunc,
+        map: firecrawlMapFunc,
+        ...(fetchBinaryFunc ? { fetchBinary: fetchBinaryFunc } : {}),
+      }, {
+        firecrawlRequired: config.requireFirecrawl,
+        allowHttpDocDownload: config.allowHttpDocDownload,
+      });
+      firecrawlScrapeFunc = firecrawlMcp.firecrawlScrape;
+      firecrawlMapFunc = firecrawlMapFunc ? firecrawlMcp.firecrawlMap : null;
+    }
+    fetchBinaryFunc = firecrawlMcp.fetchBinary;
+    firecrawlMcp.setCassette(recordCassette(config.recordCassette));
+    firecrawlMode += `, recording to ${config.recordCassette}`;
+  }
+  
   // STRICT MODE: Validate Firecrawl availability at startup
   if (config.requireFirecrawl && !config.dryRun) {
-    console.log('🔒 Strict Mode: Validating Firecrawl availability...');
+    log.info('firecrawl.validate', '🔒 Strict Mode: Validating Firecrawl availability...', { stage: 'firecrawl' });
 
     if (!firecrawlScrapeFunc || !firecrawlMapFunc) {
       const error = new FirecrawlUnavailableError(
         !firecrawlScrapeFunc ? 'scrape' : 'map'
       );
-      console.error(`\n❌ FATAL: ${error.message}\n`);
+      log.error('firecrawl.unavailable', `\n❌ FATAL: ${error.message}\n`, { stage: 'firecrawl', outcome: 'error', error });
 
       // Generate failure report
-      generateFailureReport(runStats, error, null, PATHS.runsDir);
+      generateFailureReport(runStats, error, null, paths.runsDir, clock());
 
       throw error;
     }
 
-    console.log(`   ✅ Mode: ${firecrawlMode}`);
-    console.log('   ✅ firecrawlScrape: available');
-    console.log('   ✅ firecrawlMap: available\n');
+    log.info('firecrawl.available', `   ✅ Mode: ${firecrawlMode}`, { stage: 'firecrawl', mode: firecrawlMode });
+    log.print('   ✅ firecrawlScrape: available');
+    log.print('   ✅ firecrawlMap: available\n');
   } else if (firecrawlScrapeFunc || bdgovlinksResult) {
-    console.log(`✅ Firecrawl available (${firecrawlMode})\n`);
+    log.info('firecrawl.available', `✅ Firecrawl available (${firecrawlMode})\n`, { stage: 'firecrawl', mode: firecrawlMode });
   } else {
-    console.log('⚠️  Firecrawl not detected');
-    console.log('   This script requires Firecrawl MCP or API key to perform actual crawling.');
+    log.warn('firecrawl.not_detected', '⚠️  Firecrawl not detected', { stage: 'firecrawl' });
+    log.print('   This script requires Firecrawl MCP or API key to perform actual crawling.');
     if (config.requireFirecrawl) {
-      console.log('   In strict mode, this will fail at domain crawl time.');
+      log.print('   In strict mode, this will fail at domain crawl time.');
     }
-    console.log('   Running in planning mode...');
-    console.log('   Tip: Use existing seeds if available.\n');
+    log.print('   Running in planning mode...');
+    log.print('   Tip: Use existing seeds if available.\n');
   }
   
   // Extract or load seeds
@@ -652,17 +1903,17 @@ async function main(mcpContext = null) {
   
   // Try to use existing seeds first if no live bdgovlinks data
   if (!bdgovlinksResult) {
-    const existingSeeds = loadExistingSeeds(PATHS.seedsDir);
+    const existingSeeds = loadExistingSeeds(paths.seedsDir);
     if (existingSeeds && existingSeeds.length > 0) {
-      console.log(`📂 Loaded ${existingSeeds.length} existing seeds from file\n`);
+      log.info('seeds.loaded', `📂 Loaded ${existingSeeds.length} existing seeds from file\n`, { stage: 'run', seeds: existingSeeds.length });
       seeds = existingSeeds;
     } else {
       // Generate seeds from fallback list
-      seeds = await extractPublicServicesSeeds(null, PATHS.seedsDir);
+      seeds = await extractPublicServicesSeeds(null, paths.seedsDir);
     }
   } else {
     // Generate seeds from live bdgovlinks data
-    seeds = await extractPublicServicesSeeds(bdgovlinksResult, PATHS.seedsDir);
+    seeds = await extractPublicServicesSeeds(bdgovlinksResult, paths.seedsDir);
   }
   
   // Filter seeds if specific domains requested
@@ -671,52 +1922,179 @@ async function main(mcpContext = null) {
     targetSeeds = seeds.filter(s => 
       config.domains.some(d => s.domain.includes(d) || d.includes(s.domain))
     );
-    console.log(`🎯 Filtered to ${targetSeeds.length} domains based on --domain flags\n`);
+    log.info('seeds.filtered', `🎯 Filtered to ${targetSeeds.length} domains based on --domain flags\n`, { stage: 'run', seeds: targetSeeds.length });
+  }
+  
+  // A reviewed crawl plan fixes the domains, the URLs and the refresh mode of the run
+  let reviewedPlan = null;
+  if (config.planFile) {
+    reviewedPlan = loadCrawlPlan(config.planFile);
+    if (!REFRESH_MODES.includes(reviewedPlan.refresh)) {
+      throw new Error(`Invalid refresh mode '${reviewedPlan.refresh}' in ${config.planFile}`);
+    }
+    config.refresh = reviewedPlan.refresh;
+    targetSeeds = reviewedPlan.domains
+      .filter(domainPlan => config.domains.length === 0 ||
+        config.domains.some(d => domainPlan.domain.includes(d) || d.includes(domainPlan.domain)))
+      .map(domainPlan => ({ label: domainPlan.label || domainPlan.domain, domain: domainPlan.domain, start_urls: domainPlan.start_urls }));
+    log.info('plan.loaded', `🗺️  Crawl plan ${config.planFile}: ${targetSeeds.length} domains, refresh mode ${config.refresh}\n`, {
+      stage: 'run', plan: config.planFile, domains: targetSeeds.length, refresh: config.refresh,
+    });
   }
   
   if (targetSeeds.length === 0) {
-    console.log('❌ No seeds to crawl. Exiting.');
-    process.exit(1);
+    log.error('seeds.empty', '❌ No seeds to crawl. Exiting.', { stage: 'run', outcome: 'error' });
+    throw new Error('No seeds to crawl');
+  }
+  
+  // Per-domain crawl profiles are validated up front: a bad profile fails the run before any request
+  const profiles = loadCrawlProfiles(paths.seedsDir, targetSeeds);
+  firecrawlOverrides.registerUrlOverrides(collectUrlOverrides(profiles));
+  const profiledCount = targetSeeds.filter(s => getCrawlProfile(profiles, s.domain)).length;
+  log.info('profiles.loaded', `🧭 Crawl profiles: ${profiledCount}/${targetSeeds.length} domains\n`, { stage: 'run', profiled: profiledCount, domains: targetSeeds.length });
+  
+  // --plan and --refresh due / stale-claims crawl planned pages only, grouped by seed domain
+  let revisitUrls = null;
+  let staleClaimIds = null;
+  if (reviewedPlan) {
+    revisitUrls = new Map(reviewedPlan.domains.map(domainPlan => [domainPlan.domain, getPlannedUrls(domainPlan)]));
+    staleClaimIds = reviewedPlan.stale_claim_ids ? new Set(reviewedPlan.stale_claim_ids) : null;
+  } else if (config.refresh === 'due') {
+    revisitUrls = planRevisitRun(kb, state, targetSeeds, config, runStats, clock());
+  } else if (config.refresh === 'stale-claims') {
+    const stalePlan = planStaleClaimRun(kb, targetSeeds, config, runStats, clock());
+    revisitUrls = stalePlan.urlsByDomain;
+    staleClaimIds = stalePlan.claimIds;
+    targetSeeds = [...targetSeeds, ...stalePlan.extraSeeds];
+  }
+  
+  // With --resume, checkpoints of the interrupted run are picked up (the run starts before the first domain)
+  let crawlRun = config.resume ? getInterruptedRun(state) : null;
+  if (config.resume) {
+    log.info('run.resume', crawlRun
+      ? `♻️  Resuming run ${crawlRun.runId} (started ${crawlRun.startedAt})\n`
+      : '♻️  No interrupted run to resume: crawling every domain\n', {
+      stage: 'run', resumed_run_id: crawlRun ? crawlRun.runId : null,
+    });
   }
   
-  console.log(`🚀 Ready to crawl ${targetSeeds.length} domains\n`);
+  log.info('run.ready', `🚀 Ready to crawl ${targetSeeds.length} domains\n`, { stage: 'run', domains: targetSeeds.length });
+  crawler.emit('run:start', { domains: targetSeeds.map(seed => seed.domain), refresh: config.refresh, dry_run: config.dryRun });
+  
+  /**
+   * Configuration of one domain crawl: its crawl profile, the crawler's paths,
+   * clock, events, binary fetcher and run, and the planned URLs in --plan / --refresh due / stale-claims mode
+   */
+  const buildDomainConfig = (seed) => {
+    const domainConfig = applyProfileToConfig(config, getCrawlProfile(profiles, seed.domain));
+    domainConfig.paths = paths;
+    domainConfig.clock = clock;
+    domainConfig.events = crawler;
+    domainConfig.fetchBinary = fetchBinaryFunc;
+    domainConfig.crawlRun = crawlRun;
+    if (revisitUrls) {
+      domainConfig.revisitUrls = revisitUrls.get(seed.domain) || [];
+      domainConfig.followLinks = false;
+      domainConfig.maxPages = domainConfig.revisitUrls.length;  // --budget already capped the plan
+      domainConfig.staleClaimIds = staleClaimIds;
+    }
+    return domainConfig;
+  };
   
   // In dry-run mode or without MCP, just show what would be crawled
   if (config.dryRun || (!firecrawlScrapeFunc && !bdgovlinksResult)) {
-    console.log('📋 Domains to crawl:');
+    log.print('📋 Domains to crawl:');
     for (const seed of targetSeeds) {
-      console.log(`   • ${seed.label}: ${seed.start_urls[0]}`);
+      log.print(`   • ${seed.label}: ${seed.start_urls[0]}`);
+    }
+    log.print();
+    
+    // Dry run: plan every domain and write the plan for review (and --plan)
+    if (config.dryRun) {
+      const plan = createCrawlPlan(config, clock());
+      if (staleClaimIds) plan.stale_claim_ids = [...staleClaimIds];
+      runStats.crawlPlan = plan;
+      // Discovery records robots rules, sitemaps and exclusions in the domain state:
+      // a dry run plans on a copy, and neither the state nor the KB is saved
+      const planState = structuredClone(state);
+      
+      for (const seed of targetSeeds) {
+        if (revisitUrls && !revisitUrls.has(seed.domain)) continue;
+        try {
+          await crawlDomain(seed, buildDomainConfig(seed), planState, kb, firecrawlScrapeFunc, firecrawlMapFunc, runStats);
+        } catch (error) {
+          log.error('plan.domain_failed', `\n❌ Domain ${seed.domain} could not be planned: ${error.message}`, {
+            domain: seed.domain, stage: 'discover', outcome: 'error', error,
+          });
+        }
+      }
+      
+      const planPath = config.planOut || path.join(paths.runsDir, getDateString(clock()), 'crawl_plan.json');
+      saveCrawlPlan(plan, planPath);
+      const scrapeCount = plan.domains.reduce((sum, d) => sum + d.summary.scrape, 0);
+      const droppedCount = plan.domains.reduce((sum, d) => sum + d.summary.dropped_source_pages, 0);
+      log.info('plan.saved', `\n🗺️  Crawl plan saved to: ${planPath}`, {
+        stage: 'report', plan: planPath, domains: plan.domains.length, scrape: scrapeCount, dropped_source_pages: droppedCount,
+      });
+      log.print(`   ${plan.domains.length} domains, ${scrapeCount} URLs to scrape, ${droppedCount} known pages dropping out`);
+      log.print(`   Run it as reviewed: node scripts/crawl.js --plan ${planPath}\n`);
     }
-    console.log('');
     
     if (!firecrawlScrapeFunc) {
-      console.log('💡 To perform actual crawling:');
-      console.log('   1. Run this in Cursor IDE with Firecrawl MCP enabled');
-      console.log('   2. The AI agent will orchestrate the crawl using Firecrawl tools\n');
+      log.print('💡 To perform actual crawling:');
+      log.print('   1. Run this in Cursor IDE with Firecrawl MCP enabled');
+      log.print('   2. The AI agent will orchestrate the crawl using Firecrawl tools\n');
       
       if (config.requireFirecrawl) {
-        console.log('⚠️  Note: Strict mode is enabled. Crawl will fail without Firecrawl MCP.\n');
+        log.print('⚠️  Note: Strict mode is enabled. Crawl will fail without Firecrawl MCP.\n');
       }
     }
     
-    // Save initial state
-    saveCrawlState(state, PATHS.stateFile);
-    saveKB(kb, PATHS.kbPath);
+    // Save initial state (a dry run leaves state and KB as they were)
+    if (!config.dryRun) {
+      saveCrawlState(state, paths.stateFile, clock());
+      saveKB(kb, paths.kbPath);
+    }
     
     runStats.status = 'dry_run';
+    crawler.emit('run:done', { status: runStats.status, report: null });
     return { seeds: targetSeeds, config, state, kb, runStats };
   }
   
   // Crawl each domain with error handling
   let currentDomain = null;
+  crawlRun = startCrawlRun(state, runStats.runId, { resume: config.resume, now: clock() });
   
   try {
   for (const seed of targetSeeds) {
     currentDomain = seed.domain;
     runStats.domainsAttempted++;
 
+    // When resuming, domains the interrupted run completed are not crawled again
+    // (domains completed by earlier runs are)
+    const checkpoint = config.resume ? getDomainCheckpoint(getDomainState(state, seed.domain)) : null;
+    if (checkpoint && checkpoint.completed && isCheckpointOfRun(checkpoint, crawlRun)) {
+      log.info('domain.skipped', `\n⏭️  Skipping ${seed.domain}: completed at ${checkpoint.completedAt} (resume mode)`, {
+        domain: seed.domain, stage: 'run', outcome: 'skipped', reason: 'resume_completed',
+      });
+      runStats.domainsSkipped++;
+      runStats.domainsSkippedReasons.resume_completed = (runStats.domainsSkippedReasons.resume_completed || 0) + 1;
+      continue;
+    }
+
+    // In due / stale-claims mode, domains with no planned pages are not crawled at all
+    if (revisitUrls && !reviewedPlan && !revisitUrls.has(seed.domain)) {
+      const reason = config.refresh === 'due' ? 'nothing_due' : 'no_stale_claims';
+      log.info('domain.skipped', `\n⏭️  Skipping ${seed.domain}: ${config.refresh === 'due' ? 'no pages due for a revisit' : 'no pages cited by stale claims'}`, {
+        domain: seed.domain, stage: 'run', outcome: 'skipped', reason,
+      });
+      runStats.domainsSkipped++;
+      runStats.domainsSkippedReasons[reason] = (runStats.domainsSkippedReasons[reason] || 0) + 1;
+      continue;
+    }
+
     try {
-      await crawlDomain(seed, config, state, kb, firecrawlScrapeFunc, firecrawlMapFunc, runStats);
+      await crawlDomain(seed, buildDomainConfig(seed), state, kb, firecrawlScrapeFunc, firecrawlMapFunc, runStats);
     } catch (error) {
       runStats.domainsFailed++;
 
@@ -727,40 +2105,126 @@ async function main(mcpContext = null) {
 
       runStats.domainsFailedReasons[reason] = (runStats.domainsFailedReasons[reason] || 0) + 1;
 
-      console.error(`\n❌ Domain ${seed.domain} failed: ${error.message}`);
+      log.error('domain.failed', `\n❌ Domain ${seed.domain} failed: ${error.message}`, { domain: seed.domain, stage: 'run', outcome: 'error', reason, error });
       // Continue with next domain instead of failing the entire crawl
     }
 
     // Save state after each domain
-    saveCrawlState(state, PATHS.stateFile);
-    saveKB(kb, PATHS.kbPath);
+    saveCrawlState(state, paths.stateFile, clock());
+    saveKB(kb, paths.kbPath);
   }
     
     runStats.status = 'completed';
+    completeCrawlRun(state, clock());
   } catch (error) {
     // Handle fatal errors and generate failure report
-    console.error(`\n❌ FATAL ERROR during crawl: ${error.message}\n`);
+    log.error('run.failed', `\n❌ FATAL ERROR during crawl: ${error.message}\n`, { domain: currentDomain, stage: 'run', outcome: 'error', error });
     
-    // Save current state before generating report
-    saveCrawlState(state, PATHS.stateFile);
-    saveKB(kb, PATHS.kbPath);
+    // Save current state before generating report (the run stays resumable)
+    saveCrawlState(state, paths.stateFile, clock());
+    saveKB(kb, paths.kbPath);
     
     // Generate failure report
-    generateFailureReport(runStats, error, currentDomain, PATHS.runsDir);
+    const failureReport = generateFailureReport(runStats, error, currentDomain, paths.runsDir, clock());
+    
+    // Failed runs are kept in the history but never compared with
+    const failedRun = buildRunRecord(runStats, state, kb);
+    failedRun.completed_at = failureReport.completed_at;
+    stripRunDetail(failedRun);
+    recordRun(state, failedRun);
+    saveCrawlState(state, paths.stateFile, clock());
+    crawler.emit('run:done', { status: runStats.status, report: null, error: error.message });
     
     // Re-throw to signal failure to caller
     throw error;
   }
   
+  // Compare with the previous run of the same scope, then record this run
+  const runRecord = buildRunRecord(runStats, state, kb);
+  const previousRun = findPreviousRun(state.runs, runRecord.scope.key);
+  runStats.comparison = previousRun ? compareRuns(previousRun, runRecord, config.comparisonThresholds || {}) : null;
+  
   // Generate success run report
-  const report = generateRunReport(runStats, PATHS.runsDir);
+  const report = generateRunReport(runStats, paths.runsDir, clock());
+  runRecord.completed_at = report.completed_at;
+  recordRun(state, runRecord);
+  saveCrawlState(state, paths.stateFile, clock());
   
   // Print summary
-  printSummary(report, PATHS);
+  printSummary(report, paths);
   
+  const activeCassette = firecrawlMcp.getCassette();
+  if (activeCassette) {
+    const { recorded, replayed, misses } = activeCassette.stats;
+    runStats.cassette = { mode: activeCassette.mode, recorded, replayed, misses };
+    log.info('cassette.stats', `📼 Cassette (${activeCassette.mode}): ${recorded} recorded, ${replayed} replayed, ${misses} misses\n`, {
+      stage: 'firecrawl', mode: activeCassette.mode, recorded, replayed, misses,
+    });
+  }
+  
+  crawler.emit('run:done', { status: report.status, report });
   return { seeds: targetSeeds, config, state, kb, runStats, report };
 }
 
+// ============================================================================
+// MAIN EXECUTION
+// ============================================================================
+
+/**
+ * Paths of a crawl that writes to its own output directory (--output-dir, and
+ * --replay by default). The crawl state and KB start as copies of the current
+ * ones, so the crawl decides exactly as a run against kb/ would; seeds are
+ * still read from kb/seeds.
+ * @param {string} outputDir - Output directory (created if missing)
+ * @param {Object} [basePaths] - Paths the state and KB are copied from (default: PATHS)
+ * @returns {Object} - Overrides of PATHS
+ */
+function createOutputPaths(outputDir, basePaths = PATHS) {
+  ensureDir(outputDir);
+  const paths = {
+    snapshotsDir: path.join(outputDir, 'snapshots'),
+    documentsDir: path.join(outputDir, 'snapshots', 'documents'),
+    docTextDir: path.join(outputDir, 'snapshots', 'doc_text'),
+    runsDir: path.join(outputDir, 'runs'),
+    stateFile: path.join(outputDir, path.basename(basePaths.stateFile)),
+    kbPath: path.join(outputDir, path.basename(basePaths.kbPath)),
+  };
+  // An output directory that already has a state or KB continues from it
+  for (const key of ['stateFile', 'kbPath']) {
+    if (!fs.existsSync(paths[key]) && fs.existsSync(basePaths[key])) {
+      fs.copyFileSync(basePaths[key], paths[key]);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Main crawler entry point: a thin CLI wrapper over createCrawler
+ * 
+ * This function can be run in two modes:
+ * 1. Standalone (node scripts/crawl.js) - runs in planning mode without actual scraping
+ * 2. MCP-orchestrated - when the AI agent provides scrape results via parameters
+ * 
+ * @param {Object} [mcpContext] - Optional MCP context with scrape/map functions
+ * @param {Object} [mcpContext.bdgovlinksResult] - Pre-fetched bdgovlinks.com scrape result
+ * @param {Function} [mcpContext.scrape] - Firecrawl scrape function
+ * @param {Function} [mcpContext.map] - Firecrawl map function
+ * @returns {Promise<Object|null>} - Crawl result (null for --help)
+ */
+async function main(mcpContext = null) {
+  const { help, ...config } = parseArgs();
+  if (help) {
+    printHelp();
+    return null;
+  }
+  // Reproducing a cassette must not touch the real KB and state
+  if (config.replayCassette && !config.outputDir) {
+    config.outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-replay-'));
+  }
+  const paths = config.outputDir ? createOutputPaths(config.outputDir) : {};
+  return createCrawler({ ...config, paths, ...mcpContext }).run();
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -772,11 +2236,16 @@ module.exports = {
   // Main entry point
   main,
   
+  // Embeddable crawler
+  createCrawler,
+  createDefaultConfig,
+  
   // Domain crawler
   crawlDomain,
   
   // Configuration
   PATHS,
+  createOutputPaths,
   
   // Crawler sub-modules (use these for access to all functions)
   crawler,
@@ -788,7 +2257,7 @@ module.exports = {
 // Run if executed directly
 if (require.main === module) {
   main().catch(err => {
-    console.error('💥 Fatal error:', err);
+    log.error('run.fatal', `💥 Fatal error: ${err.stack || err.message}`, { stage: 'run', outcome: 'error', error: err });
     process.exit(1);
   });
 }
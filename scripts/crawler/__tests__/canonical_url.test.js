@@ -0,0 +1,159 @@
+/**
+ * Tests for canonical_url.js module and the duplicate source page merge
+ *
+ * Run with: node scripts/crawler/__tests__/canonical_url.test.js
+ */
+
+// Import canonicalization module
+const {
+  canonicalizeUrl,
+  extractCanonicalLink,
+  resolveCanonicalUrl,
+} = require('../canonical_url');
+const { generateSourcePageId } = require('../utils');
+const { mergeDuplicateSourcePages, remapCrawlState } = require('../../merge_duplicate_sources');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================================================
+// Canonicalization Tests
+// ============================================================================
+
+console.log('\n🔹 canonicalizeUrl:');
+
+test('scheme, www., port, trailing slash and fragment variants collapse', () => {
+  const variants = [
+    'http://www.epassport.gov.bd/instructions/passport-fees/',
+    'https://epassport.gov.bd/instructions/passport-fees',
+    'https://WWW.EPASSPORT.GOV.BD:443/instructions/passport-fees#fees',
+    'http://epassport.gov.bd:80//instructions//passport-fees/',
+  ];
+  const expected = 'https://epassport.gov.bd/instructions/passport-fees';
+  for (const url of variants) {
+    assertEqual(canonicalizeUrl(url), expected, url);
+  }
+});
+
+test('tracking params are dropped and remaining params sorted', () => {
+  assertEqual(
+    canonicalizeUrl('https://nidw.gov.bd/notice?utm_source=fb&page=2&fbclid=abc&lang=bn'),
+    'https://nidw.gov.bd/notice?lang=bn&page=2'
+  );
+  assertEqual(canonicalizeUrl('https://nidw.gov.bd/?utm_medium=email'), 'https://nidw.gov.bd/');
+});
+
+test('root keeps its slash and path case is preserved', () => {
+  assertEqual(canonicalizeUrl('http://www.brta.gov.bd'), 'https://brta.gov.bd/');
+  assertEqual(canonicalizeUrl('https://passport.gov.bd/GenerateApplicationForm.aspx'),
+    'https://passport.gov.bd/GenerateApplicationForm.aspx');
+});
+
+test('non-http URLs are not canonicalized', () => {
+  assertEqual(canonicalizeUrl('mailto:info@nidw.gov.bd'), null);
+  assertEqual(canonicalizeUrl('not a url'), null);
+});
+
+// ============================================================================
+// rel=canonical Tests
+// ============================================================================
+
+console.log('\n🔹 <link rel="canonical">:');
+
+test('extractCanonicalLink resolves relative hrefs', () => {
+  const html = '<head><link rel="stylesheet" href="/a.css"><link href=\'/services/nid\' rel="Canonical"></head>';
+  assertEqual(extractCanonicalLink(html, 'https://nidw.gov.bd/services/nid?print=1'), 'https://nidw.gov.bd/services/nid');
+  assertEqual(extractCanonicalLink('<p>no head</p>', 'https://nidw.gov.bd/'), null);
+});
+
+test('resolveCanonicalUrl honours a same-site canonical and records aliases', () => {
+  const html = '<link rel="canonical" href="https://www.nidw.gov.bd/services/nid/">';
+  const result = resolveCanonicalUrl('http://nidw.gov.bd/services/nid?print=1', html);
+  assertEqual(result.canonicalUrl, 'https://nidw.gov.bd/services/nid');
+  assertEqual(result.declaredCanonical, 'https://nidw.gov.bd/services/nid');
+  assertEqual(result.aliases.length, 2, 'Fetch URL and its normalized form are aliases');
+  assert(result.aliases.includes('http://nidw.gov.bd/services/nid?print=1'));
+});
+
+test('resolveCanonicalUrl ignores a canonical pointing to another site', () => {
+  const html = '<link rel="canonical" href="https://example.com/copied-page">';
+  const result = resolveCanonicalUrl('https://www.brta.gov.bd/fees', html);
+  assertEqual(result.canonicalUrl, 'https://brta.gov.bd/fees');
+  assertEqual(result.declaredCanonical, null);
+});
+
+// ============================================================================
+// Merge Tests
+// ============================================================================
+
+console.log('\n🔹 mergeDuplicateSourcePages:');
+
+test('duplicate source pages merge and citations are rewritten', () => {
+  const oldA = generateSourcePageId('https://www.dip.gov.bd/');
+  const oldB = generateSourcePageId('http://dip.gov.bd');
+  const kb = {
+    source_pages: [
+      { source_page_id: oldA, canonical_url: 'https://www.dip.gov.bd/', last_crawled_at: '2026-01-01T00:00:00Z', content_hash: 'a' },
+      { source_page_id: oldB, canonical_url: 'http://dip.gov.bd', last_crawled_at: '2026-02-01T00:00:00Z', content_hash: 'b' },
+    ],
+    claims: [{
+      claim_id: 'claim.faq.visa.1',
+      citations: [
+        { source_page_id: oldA, canonical_url: 'https://www.dip.gov.bd/', quoted_text: 'q', locator: {} },
+        { source_page_id: oldB, quoted_text: 'q', locator: {} },
+      ],
+    }],
+  };
+
+  const result = mergeDuplicateSourcePages(kb);
+  const newId = generateSourcePageId('https://dip.gov.bd/');
+
+  assertEqual(kb.source_pages.length, 1);
+  assertEqual(kb.source_pages[0].source_page_id, newId);
+  assertEqual(kb.source_pages[0].content_hash, 'b', 'Most recent crawl wins');
+  assertEqual(kb.source_pages[0].alias_urls.length, 2);
+  assertEqual(kb.claims[0].citations.length, 1, 'Identical citations should collapse');
+  assertEqual(kb.claims[0].citations[0].source_page_id, newId);
+  assertEqual(kb.claims[0].citations[0].canonical_url, 'https://dip.gov.bd/');
+  assertEqual(result.mergedGroups.length, 1);
+
+  const state = { pageHashes: { [oldA]: 'a', [oldB]: 'b' }, pageCrawledAt: {} };
+  remapCrawlState(state, result.idMap);
+  assert(state.pageHashes[newId], 'Page hash should be re-keyed');
+  assertEqual(Object.keys(state.pageHashes).length, 1);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
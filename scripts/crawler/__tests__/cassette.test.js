@@ -0,0 +1,211 @@
+/**
+ * Tests for cassette.js module (and --record / --replay crawls)
+ *
+ * Run with: node scripts/crawler/__tests__/cassette.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import cassette module and crawler API
+const {
+  recordCassette,
+  replayCassette,
+  getCassetteKey,
+  CassetteMissError,
+} = require('../cassette');
+const { FirecrawlScrapeError } = require('../../firecrawl_mcp');
+const firecrawlMcp = require('../../firecrawl_mcp');
+const { createCrawler, createOutputPaths } = require('../../crawl');
+const { createTempPaths } = require('./crawl_test_paths');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const NOW = new Date('2026-03-01T08:00:00.000Z');
+
+const tempDir = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+/**
+ * Mock Firecrawl backend: two mapped pages, and a fees page that fails with a
+ * 503 before it answers
+ */
+function createBackend() {
+  const requests = [];
+  let feesCalls = 0;
+  const scrape = async (url) => {
+    requests.push(url);
+    if (url.endsWith('/robots.txt')) return { rawHtml: 'User-agent: *\nAllow: /\n' };
+    if (url.includes('sitemap')) return null;
+    if (url.endsWith('/service/fees') && ++feesCalls === 1) {
+      throw Object.assign(new Error('Service Unavailable'), { status: 503 });
+    }
+    return { markdown: `# Passport fees\n\nFee: Tk 3000 for regular delivery (${url})`, html: '', title: 'Passport' };
+  };
+  const map = async () => ['https://example.gov.bd/service/fees', 'https://example.gov.bd/service/apply'];
+  return { scrape, map, requests };
+}
+
+/**
+ * What a crawl produced, for comparing a recording with its replay
+ */
+const crawlOutcome = ({ kb, state }) => JSON.stringify({
+  pageHashes: state.pageHashes,
+  sourcePages: kb.source_pages.map(sp => [sp.canonical_url, sp.content_hash]).sort(),
+  claims: kb.claims.map(c => [c.claim_id, c.text]).sort(),
+});
+
+(async () => {
+  // ============================================================================
+  // Cassette Tests
+  // ============================================================================
+
+  console.log('\n🔹 Cassette:');
+
+  await test('keys do not depend on option order', () => {
+    assertEqual(getCassetteKey('scrape', 'https://a.gov.bd/', { formats: ['markdown'], onlyMainContent: true }),
+      getCassetteKey('scrape', 'https://a.gov.bd/', { onlyMainContent: true, formats: ['markdown'] }));
+    assert(getCassetteKey('scrape', 'https://a.gov.bd/') !== getCassetteKey('map', 'https://a.gov.bd/'), 'Operation is part of the key');
+  });
+
+  await test('recorded responses and errors replay in call order', async () => {
+    const dir = tempDir('cassette-');
+    try {
+      const recorder = recordCassette(dir);
+      const scrapeError = new FirecrawlScrapeError('https://a.gov.bd/', 'Firecrawl returned empty content');
+      await recorder.run('scrape', 'https://a.gov.bd/', {}, null, async () => { throw scrapeError; }).catch(() => {});
+      await recorder.run('scrape', 'https://a.gov.bd/', {}, null, async () => ({ markdown: '# A' }));
+      await recorder.run('fetchBinary', 'https://a.gov.bd/form.pdf', {}, null, async () => ({ buffer: Buffer.from('%PDF') }));
+      assertEqual(recorder.stats.recorded, 3);
+
+      const player = replayCassette(dir);
+      let error = null;
+      await player.run('scrape', 'https://a.gov.bd/', {}, null).catch(e => { error = e; });
+      assert(error instanceof FirecrawlScrapeError, 'The recorded error class');
+      assertEqual(error.message, scrapeError.message);
+      assertEqual((await player.run('scrape', 'https://a.gov.bd/', {}, null)).markdown, '# A');
+      assertEqual((await player.run('scrape', 'https://a.gov.bd/', {}, null)).markdown, '# A', 'The last call repeats');
+      assert(Buffer.isBuffer((await player.run('fetchBinary', 'https://a.gov.bd/form.pdf', {}, null)).buffer), 'Buffers are restored');
+
+      let miss = null;
+      await player.run('map', 'https://a.gov.bd/', {}, null).catch(e => { miss = e; });
+      assert(miss instanceof CassetteMissError, 'Unrecorded requests miss');
+      assertEqual(player.stats.misses, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('only cassette directories can be replayed', () => {
+    let error = null;
+    try {
+      replayCassette(path.join(os.tmpdir(), 'no-such-cassette'));
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('Not a cassette directory'), 'Throws');
+  });
+
+  // ============================================================================
+  // Record / Replay Crawl Tests
+  // ============================================================================
+
+  console.log('\n🔹 Record and Replay a Crawl:');
+
+  await test('a replayed crawl gives the recorded results, offline and without waiting', async () => {
+    const cassetteDir = path.join(tempDir('cassette-'), 'example');
+    const recordPaths = createTempPaths();
+    const replayPaths = createTempPaths();
+    try {
+      // Record without delays (maxBackoff 0 caps the 503 backoff too)
+      const backend = createBackend();
+      const recorded = await createCrawler({
+        scrape: backend.scrape, map: backend.map, paths: recordPaths, clock: () => NOW,
+        domains: ['example.gov.bd'], rateLimit: 0, maxBackoff: 0, logLevel: 'silent', recordCassette: cassetteDir,
+      }).run();
+      assert(backend.requests.filter(url => url.endsWith('/service/fees')).length === 2, 'The 503 was retried');
+      const recordedRequests = backend.requests.length;
+
+      // Replay with a 5s rate limit and the default backoff (2s, 4s, ...)
+      const startedAt = Date.now();
+      const replayed = await createCrawler({
+        paths: replayPaths, clock: () => NOW, domains: ['example.gov.bd'], rateLimit: 5000, logLevel: 'silent', replayCassette: cassetteDir,
+      }).run();
+      const elapsedMs = Date.now() - startedAt;
+
+      assert(elapsedMs < 5000, `Replay waited ${elapsedMs}ms`);
+      assertEqual(backend.requests.length, recordedRequests, 'No request reaches the backend');
+      assertEqual(crawlOutcome(replayed), crawlOutcome(recorded));
+      assertEqual(replayed.runStats.pagesKept, recorded.runStats.pagesKept);
+
+      const politeness = replayed.runStats.domainDetails[0].politeness;
+      assertEqual(politeness.retries, 1, 'Backoffs are still decided');
+      assertEqual(politeness.backoffs[0].delayMs, 2000);
+      assertEqual(replayed.runStats.cassette.misses, 0);
+      assertEqual(firecrawlMcp.getCassette(), null, 'The cassette is detached after the run');
+    } finally {
+      fs.rmSync(path.dirname(cassetteDir), { recursive: true, force: true });
+      fs.rmSync(recordPaths.kbDir, { recursive: true, force: true });
+      fs.rmSync(replayPaths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('replay output paths start from copies of the state and KB, away from kb/', () => {
+    const basePaths = createTempPaths();
+    try {
+      fs.writeFileSync(basePaths.stateFile, '{"version":"state"}');
+      fs.writeFileSync(basePaths.kbPath, '{"version":"kb"}');
+      const outputDir = path.join(basePaths.kbDir, 'replay-out');
+      const outputPaths = createOutputPaths(outputDir, basePaths);
+
+      for (const key of ['snapshotsDir', 'documentsDir', 'docTextDir', 'runsDir', 'stateFile', 'kbPath']) {
+        assert(outputPaths[key].startsWith(outputDir + path.sep), `${key} is in the output directory`);
+      }
+      assertEqual(fs.readFileSync(outputPaths.stateFile, 'utf-8'), '{"version":"state"}');
+      assertEqual(fs.readFileSync(outputPaths.kbPath, 'utf-8'), '{"version":"kb"}');
+
+      fs.writeFileSync(outputPaths.kbPath, '{"version":"replayed"}');
+      createOutputPaths(outputDir, basePaths);
+      assertEqual(fs.readFileSync(outputPaths.kbPath, 'utf-8'), '{"version":"replayed"}', 'An existing output KB is kept');
+      assertEqual(fs.readFileSync(basePaths.kbPath, 'utf-8'), '{"version":"kb"}', 'The source KB is untouched');
+    } finally {
+      fs.rmSync(basePaths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,217 @@
+/**
+ * Tests for claim_reverifier.js module
+ *
+ * Run with: node scripts/crawler/__tests__/claim_reverifier.test.js
+ */
+
+// Import claim re-verification module
+const {
+  wordSimilarity,
+  locateQuote,
+  reverifyClaims,
+} = require('../claim_reverifier');
+const { ChangeDetector } = require('../../../kb/change_detector_v2');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const PAGE_ID = 'source.0123456789abcdef0123456789abcdef01234567';
+const NEW_HASH = 'b'.repeat(64);
+const NOW = new Date('2026-03-12T08:00:00.000Z');
+
+const page = ({ regularFee = 'Tk 4,025', contact = 'Call 16445 for help.', delivery = '## Regular Delivery' } = {}) => [
+  '# Passport Fees',
+  '',
+  delivery,
+  '',
+  `The fee for a 48-page passport is **${regularFee}** including VAT.`,
+  '',
+  '## Express Delivery',
+  '',
+  'The fee for express delivery is Tk 6,325.',
+  '',
+  '## Contact',
+  '',
+  contact,
+].join('\n');
+
+const claim = (claimId, quotedText, heading, status = 'verified') => ({
+  claim_id: claimId,
+  status,
+  last_verified_at: '2026-01-05T08:00:00.000Z',
+  citations: [{
+    source_page_id: PAGE_ID,
+    quoted_text: quotedText,
+    locator: { type: 'heading_path', heading_path: ['Passport Fees', heading] },
+    retrieved_at: '2026-01-05T08:00:00.000Z',
+  }],
+});
+
+const createKB = () => ({
+  claims: [
+    claim('claim.fee.epassport.regular', 'The fee for a 48-page passport is Tk 4,025 including VAT', 'Regular Delivery'),
+    claim('claim.fee.epassport.express', 'The fee for express delivery is Tk 6,325', 'Express Delivery'),
+    claim('claim.contact.epassport.hotline', 'Call 16445 for help', 'Contact'),
+    claim('claim.contact.epassport.email', 'Email info@epassport.gov.bd', 'Contact', 'deprecated'),
+  ],
+  audit_log: [],
+});
+
+// ============================================================================
+// Quote Search Tests
+// ============================================================================
+
+console.log('\n🔹 Quote Search:');
+
+test('word similarity counts shared words', () => {
+  assertEqual(wordSimilarity('a b c d', 'a b c d'), 1);
+  assertEqual(wordSimilarity('a b c d', 'a b x y'), 0.5);
+  assertEqual(wordSimilarity('', 'a'), 0);
+});
+
+test('a quote is found word for word in its section, ignoring markdown and case', () => {
+  const found = locateQuote(page(), 'the fee for a 48-page passport is Tk 4,025 including VAT', ['Passport Fees', 'Regular Delivery']);
+  assertEqual(found.match, 'exact');
+  assertEqual(found.heading_path.join(' > '), 'Passport Fees > Regular Delivery');
+  assertEqual(found.similarity, 1);
+});
+
+test('a quote under a renamed heading is found elsewhere on the page', () => {
+  const found = locateQuote(page({ delivery: '## Normal Delivery' }), 'The fee for a 48-page passport is Tk 4,025', ['Passport Fees', 'Regular Delivery']);
+  assertEqual(found.match, 'exact');
+  assertEqual(found.heading_path.join(' > '), 'Passport Fees > Normal Delivery');
+});
+
+test('an edited quote is matched to its most similar line', () => {
+  const found = locateQuote(page({ regularFee: 'Tk 4,600' }), 'The fee for a 48-page passport is Tk 4,025 including VAT', ['Passport Fees', 'Regular Delivery']);
+  assertEqual(found.match, 'edited');
+  assertEqual(found.text, 'The fee for a 48-page passport is **Tk 4,600** including VAT.');
+  assert(found.similarity >= 0.6 && found.similarity < 1, `similarity ${found.similarity}`);
+});
+
+test('a quote with no similar line is missing', () => {
+  const found = locateQuote(page({ contact: 'Visit the regional passport office.' }), 'Call 16445 for help', ['Passport Fees', 'Contact']);
+  assertEqual(found.match, 'missing');
+  assertEqual(found.text, null);
+  assertEqual(locateQuote(page(), 'Call 16445 for help', ['Passport Fees', 'Contact'], { threshold: 1 }).match, 'exact');
+});
+
+// ============================================================================
+// Re-verification Tests
+// ============================================================================
+
+console.log('\n🔹 Re-verification:');
+
+test('unchanged quotes keep their status and get a fresh retrieved_at', () => {
+  const kb = createKB();
+  const result = reverifyClaims(kb, PAGE_ID, page({ delivery: '## Normal Delivery' }), { sourceHash: NEW_HASH, now: NOW });
+  assertEqual(result.unchanged.length, 3);
+  assertEqual(result.skipped.join(','), 'claim.contact.epassport.email', 'Deprecated claims are skipped');
+  const regular = kb.claims[0];
+  assertEqual(regular.status, 'verified');
+  assertEqual(regular.last_verified_at, '2026-01-05T08:00:00.000Z', 'Not a human verification');
+  assertEqual(regular.citations[0].retrieved_at, NOW.toISOString());
+  assertEqual(regular.citations[0].locator.heading_path.join(' > '), 'Passport Fees > Normal Delivery', 'Locator follows the quote');
+  assertEqual(kb.claims[3].citations[0].retrieved_at, '2026-01-05T08:00:00.000Z');
+});
+
+test('edited quotes mark claims contradicted and missing quotes mark them stale', () => {
+  const kb = createKB();
+  const result = reverifyClaims(kb, PAGE_ID, page({ regularFee: 'Tk 4,600', contact: 'Visit the regional passport office.' }), { sourceHash: NEW_HASH, now: NOW });
+  assertEqual(result.unchanged.join(','), 'claim.fee.epassport.express');
+  assertEqual(result.contradicted.join(','), 'claim.fee.epassport.regular');
+  assertEqual(result.stale.join(','), 'claim.contact.epassport.hotline');
+
+  const [regular, express, hotline] = kb.claims;
+  assertEqual(regular.status, 'contradicted');
+  assertEqual(regular.previous_status, 'verified');
+  assertEqual(regular.contradicted_at, NOW.toISOString());
+  assertEqual(regular.contradiction.reason, 'quote_edited');
+  assertEqual(regular.contradiction.current_text, 'The fee for a 48-page passport is **Tk 4,600** including VAT.');
+  assertEqual(regular.contradiction.source_hash, NEW_HASH);
+  assertEqual(express.status, 'verified');
+  assertEqual(hotline.status, 'stale');
+  assertEqual(hotline.stale_marked_at, NOW.toISOString());
+  assertEqual(hotline.stale_due_to_source_hash, NEW_HASH);
+});
+
+test('stale claims whose quote is found again get their previous status back', () => {
+  const kb = createKB();
+  Object.assign(kb.claims[2], { status: 'stale', previous_status: 'verified', stale_marked_at: NOW.toISOString(), stale_due_to_source_hash: NEW_HASH });
+  const result = reverifyClaims(kb, PAGE_ID, page(), { now: NOW, claimIds: new Set(['claim.contact.epassport.hotline']) });
+  assertEqual(result.restored.join(','), 'claim.contact.epassport.hotline');
+  assertEqual(result.unchanged.length, 0, 'Only the given claims are re-verified');
+  const hotline = kb.claims[2];
+  assertEqual(hotline.status, 'verified');
+  assertEqual(hotline.previous_status, 'stale');
+  assertEqual(hotline.stale_marked_at, undefined);
+  assertEqual(hotline.stale_due_to_source_hash, undefined);
+  assertEqual(kb.audit_log.map(e => e.metadata.outcome).join(','), 'restored');
+});
+
+test('each outcome is logged as one verification audit event', () => {
+  const kb = createKB();
+  reverifyClaims(kb, PAGE_ID, page({ regularFee: 'Tk 4,600', contact: 'Visit the regional passport office.' }), { sourceHash: NEW_HASH, now: NOW });
+  assertEqual(kb.audit_log.length, 3);
+  assertEqual(kb.audit_log.map(e => e.metadata.outcome).join(','), 'unchanged,contradicted,stale');
+  for (const entry of kb.audit_log) {
+    assertEqual(entry.event_type, 'verification');
+    assertEqual(entry.actor, 'script:claim_reverifier.js');
+    assertEqual(entry.timestamp, NOW.toISOString());
+    assertEqual(entry.metadata.hash_after, NEW_HASH);
+    assertEqual(entry.affected_entities.source_pages.join(','), PAGE_ID);
+  }
+  assertEqual(kb.audit_log[1].affected_entities.claims.join(','), 'claim.fee.epassport.regular');
+});
+
+test('change_detector_v2 re-verifies the claims of a changed page instead of staling them all', () => {
+  const kb = { ...createKB(), source_pages: [{ source_page_id: PAGE_ID, canonical_url: 'https://epassport.gov.bd/fees', content_hash: 'a'.repeat(64) }] };
+  const result = ChangeDetector.processSourceChange(kb, PAGE_ID, page({ regularFee: 'Tk 4,600' }), NOW.toISOString());
+  assertEqual(result.changed, true);
+  assertEqual(result.invalidatedClaimCount, 0);
+  assertEqual(result.contradictedClaims.join(','), 'claim.fee.epassport.regular');
+  assertEqual(kb.claims.map(c => c.status).join(','), 'contradicted,verified,verified,deprecated');
+  assertEqual(kb.claims[1].citations[0].retrieved_at, NOW.toISOString());
+  const verifications = kb.audit_log.filter(e => e.event_type === 'verification');
+  assertEqual(verifications.map(e => e.metadata.outcome).join(','), 'unchanged,contradicted');
+  assert(verifications.every(e => e.actor === 'script:change_detector_v2.js' && e.metadata.hash_after === result.newHash), 'Logged by the change detector');
+
+  const indexed = { ...createKB(), source_pages: [{ source_page_id: PAGE_ID, canonical_url: 'https://epassport.gov.bd/fees', content_hash: 'a'.repeat(64) }] };
+  ChangeDetector.processSourceChange(indexed, PAGE_ID, page({ contact: 'Visit the regional passport office.' }), NOW.toISOString(), { [PAGE_ID]: ['claim.fee.epassport.express'] });
+  assertEqual(indexed.claims[2].status, 'verified', 'Claims missing from the index are not re-verified');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
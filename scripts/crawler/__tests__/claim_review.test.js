@@ -0,0 +1,255 @@
+/**
+ * Tests for claim_review.js module
+ *
+ * Run with: node scripts/crawler/__tests__/claim_review.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import claim review module
+const {
+  getClaimGuides,
+  buildReviewQueue,
+  getCitationExcerpt,
+  applyClaimEdits,
+  applyReviewDecision,
+} = require('../claim_review');
+const { saveSnapshotManifest } = require('../snapshot_store');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const FEES_ID = 'source.1111111111111111111111111111111111111111';
+const FEES_HASH = 'a'.repeat(64);
+const NOW = new Date('2026-03-12T08:00:00.000Z');
+
+const claim = (claimId, claimType, status, { serviceId = 'svc.epassport', lastVerifiedAt, quote = 'Regular delivery: Taka 4,025' } = {}) => ({
+  claim_id: claimId,
+  entity_ref: { type: 'service', id: serviceId },
+  claim_type: claimType,
+  text: quote,
+  status,
+  ...(lastVerifiedAt ? { last_verified_at: lastVerifiedAt } : {}),
+  structured_data: claimType === 'fee' ? { amount_bdt: 4025, currency: 'BDT', variant: 'regular' } : {},
+  citations: [{
+    source_page_id: FEES_ID,
+    quoted_text: quote,
+    locator: { type: 'heading_path', heading_path: ['e-Passport Fees'] },
+    retrieved_at: '2026-01-05T10:42:41.219Z',
+  }],
+});
+
+const createKB = () => ({
+  source_pages: [{ source_page_id: FEES_ID, canonical_url: 'https://epassport.gov.bd/instructions/passport-fees', content_hash: FEES_HASH }],
+  claims: [
+    claim('claim.faq.epassport.a', 'faq', 'contradicted'),
+    claim('claim.fee.epassport.old', 'fee', 'stale', { lastVerifiedAt: '2025-06-01T00:00:00Z' }),
+    claim('claim.fee.epassport.new', 'fee', 'stale', { lastVerifiedAt: '2026-01-01T00:00:00Z' }),
+    claim('claim.step.epassport.a', 'step', 'unverified'),
+    claim('claim.fee.epassport.guide', 'fee', 'unverified'),
+    claim('claim.fee.epassport.done', 'fee', 'verified'),
+    claim('claim.fee.nid.a', 'fee', 'contradicted', { serviceId: 'svc.nid' }),
+  ],
+  service_guides: [{ guide_id: 'guide.epassport', fees: [{ label: 'Regular', claim_ids: ['claim.fee.epassport.guide'] }] }],
+  audit_log: [],
+});
+
+const FEES_PAGE = [
+  '# e-Passport Fees',
+  '',
+  'Fees include 15% VAT.',
+  '',
+  '- Regular delivery: Taka 4,025',
+  '- Express delivery: Taka 6,325',
+  '- Super express delivery: Taka 8,625',
+].join('\n');
+
+// ============================================================================
+// Queue Tests
+// ============================================================================
+
+console.log('\n🔹 Review Queue:');
+
+test('guides are found wherever they reference a claim', () => {
+  const guides = getClaimGuides(createKB());
+  assertEqual(guides.get('claim.fee.epassport.guide').join(','), 'guide.epassport');
+  assertEqual(guides.has('claim.fee.epassport.old'), false);
+});
+
+test('claims in guides come first, then by status, claim type and oldest verification', () => {
+  const queue = buildReviewQueue(createKB());
+  assertEqual(queue.map(item => item.claim.claim_id).join(','), [
+    'claim.fee.epassport.guide',
+    'claim.fee.nid.a',
+    'claim.faq.epassport.a',
+    'claim.fee.epassport.old',
+    'claim.fee.epassport.new',
+    'claim.step.epassport.a',
+  ].join(','));
+  assertEqual(queue[0].guides.join(','), 'guide.epassport');
+  assert(!queue.some(item => item.claim.status === 'verified'), 'Verified claims are not queued');
+});
+
+test('filters by service, claim type, guide and status', () => {
+  const kb = createKB();
+  const ids = filters => buildReviewQueue(kb, filters).map(item => item.claim.claim_id).join(',');
+  assertEqual(ids({ serviceIds: ['svc.nid'] }), 'claim.fee.nid.a');
+  assertEqual(ids({ claimTypes: ['step', 'faq'] }), 'claim.faq.epassport.a,claim.step.epassport.a');
+  assertEqual(ids({ guideIds: ['guide.epassport'] }), 'claim.fee.epassport.guide');
+  assertEqual(ids({ inGuides: true }), 'claim.fee.epassport.guide');
+  assertEqual(buildReviewQueue(kb, { inGuides: false }).length, 5);
+  assertEqual(ids({ statuses: ['verified'] }), 'claim.fee.epassport.done');
+});
+
+// ============================================================================
+// Excerpt Tests
+// ============================================================================
+
+console.log('\n🔹 Snapshot Excerpts:');
+
+test('the excerpt of the latest snapshot marks the quoted line', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-review-'));
+  try {
+    const page = { sourcePageId: FEES_ID, url: 'https://epassport.gov.bd/instructions/passport-fees' };
+    saveSnapshotManifest(dir, { ...page, markdown: '# e-Passport Fees\n\nOld page' }, { now: new Date('2026-01-05T08:00:00.000Z') });
+    saveSnapshotManifest(dir, { ...page, markdown: FEES_PAGE }, { now: new Date('2026-02-05T08:00:00.000Z') });
+
+    const excerpt = getCitationExcerpt(dir, createKB().claims[4].citations[0], { context: 1 });
+    assertEqual(excerpt.snapshot_date, '2026-02-05');
+    assertEqual(excerpt.match, 'exact');
+    assertEqual(excerpt.heading_path.join(' > '), 'e-Passport Fees');
+    assertEqual(excerpt.lines.filter(line => line.hit).map(line => line.text).join('|'), '- Regular delivery: Taka 4,025');
+    assertEqual(excerpt.lines.length, 3, 'One line of context on each side');
+
+    const edited = getCitationExcerpt(dir, claim('claim.fee.epassport.x', 'fee', 'stale', { quote: 'Express delivery: Taka 5,750' }).citations[0]);
+    assertEqual(edited.match, 'edited');
+    assertEqual(edited.lines.filter(line => line.hit).map(line => line.text).join('|'), '- Express delivery: Taka 6,325');
+
+    const missing = getCitationExcerpt(dir, claim('claim.fee.epassport.y', 'fee', 'stale', { quote: 'Apply at the regional passport office' }).citations[0]);
+    assertEqual(missing.match, 'missing');
+    assertEqual(missing.lines.length, 0);
+
+    assertEqual(getCitationExcerpt(dir, { ...createKB().claims[0].citations[0], source_page_id: 'source.none' }), null, 'No snapshot');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Decision Tests
+// ============================================================================
+
+console.log('\n🔹 Decisions:');
+
+test('verifying a stale claim clears its staleness and logs the reviewer', () => {
+  const kb = createKB();
+  const reviewed = kb.claims[1];
+  reviewed.stale_marked_at = '2026-02-01T00:00:00Z';
+  const entry = applyReviewDecision(kb, reviewed, 'verify', { actor: 'user:rahim.k', note: 'Checked on the fees page', now: NOW });
+
+  assertEqual(reviewed.status, 'verified');
+  assertEqual(reviewed.previous_status, 'stale');
+  assertEqual(reviewed.last_verified_at, NOW.toISOString());
+  assertEqual(reviewed.last_verified_by, 'user:rahim.k');
+  assertEqual(reviewed.last_verified_source_hash, FEES_HASH);
+  assertEqual(reviewed.stale_marked_at, undefined);
+  assertEqual(reviewed.notes.join('|'), 'Checked on the fees page');
+
+  assertEqual(kb.audit_log.length, 1);
+  assertEqual(entry.event_type, 'verification');
+  assertEqual(entry.actor, 'user:rahim.k');
+  assertEqual(entry.metadata.outcome, 'verified');
+  assertEqual(entry.metadata.hash_after, FEES_HASH);
+  assertEqual(entry.affected_entities.claims.join(','), 'claim.fee.epassport.old');
+});
+
+test('edits are applied and listed before the claim is verified', () => {
+  const kb = createKB();
+  const reviewed = kb.claims[0];
+  reviewed.contradiction = { reason: 'quote_edited' };
+  assertEqual(applyClaimEdits(claim('claim.x', 'fee', 'stale'), { text: 'Regular delivery: Taka 4,025' }).length, 0, 'Unchanged values are not edits');
+
+  const entry = applyReviewDecision(kb, reviewed, 'edit', {
+    actor: 'user:rahim.k',
+    edits: { text: 'Express delivery: Taka 6,325', quoted_text: '- Express delivery: Taka 6,325', structured_data: { amount_bdt: 6325 } },
+    now: NOW,
+  });
+  assertEqual(reviewed.status, 'verified');
+  assertEqual(reviewed.contradiction, undefined);
+  assertEqual(reviewed.text, 'Express delivery: Taka 6,325');
+  assertEqual(reviewed.citations[0].quoted_text, '- Express delivery: Taka 6,325');
+  assertEqual(reviewed.structured_data.amount_bdt, 6325);
+  assertEqual(entry.metadata.outcome, 'edited');
+  assertEqual(entry.metadata.fields_edited.join(','), 'text,citations[0].quoted_text,structured_data.amount_bdt');
+});
+
+test('rejected claims are deprecated and contradicted claims name the reviewer', () => {
+  const kb = createKB();
+  const rejected = kb.claims[3];
+  const rejection = applyReviewDecision(kb, rejected, 'reject', { actor: 'user:rahim.k', now: NOW });
+  assertEqual(rejected.status, 'deprecated');
+  assertEqual(rejected.deprecated_reason, 'rejected');
+  assertEqual(rejected.deprecated_at, NOW.toISOString());
+  assertEqual(rejection.metadata.outcome, 'rejected');
+  assertEqual(rejection.metadata.hash_after, undefined);
+
+  const contradicted = kb.claims[4];
+  const contradiction = applyReviewDecision(kb, contradicted, 'contradict', { actor: 'user:rahim.k', note: 'The page now says 4,600', now: NOW });
+  assertEqual(contradicted.status, 'contradicted');
+  assertEqual(contradicted.contradiction.reason, 'reviewer');
+  assertEqual(contradicted.contradiction.reviewer, 'user:rahim.k');
+  assertEqual(contradicted.contradiction.note, 'The page now says 4,600');
+  assertEqual(contradiction.metadata.outcome, 'contradicted');
+  assertEqual(contradiction.description, 'Claim contradicted by reviewer: The page now says 4,600');
+  assertEqual(kb.audit_log.length, 2);
+});
+
+test('unknown decisions are refused', () => {
+  const kb = createKB();
+  let error = null;
+  try {
+    applyReviewDecision(kb, kb.claims[1], 'approve');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Unknown review decision'), 'Throws');
+  assertEqual(kb.claims[1].status, 'stale');
+  assertEqual(kb.audit_log.length, 0);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
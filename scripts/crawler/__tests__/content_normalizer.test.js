@@ -0,0 +1,221 @@
+/**
+ * Tests for content_normalizer.js module
+ *
+ * Run with: node scripts/crawler/__tests__/content_normalizer.test.js
+ */
+
+// Import content normalizer module
+const {
+  DEFAULT_CHANGE_DETECTION,
+  normalizeContent,
+  computeContentFingerprint,
+} = require('../content_normalizer');
+const { validateCrawlProfile, compileCrawlProfile } = require('../crawl_profiles');
+const { addOrUpdateSourcePage } = require('../kb_writer');
+const { generateHash } = require('../utils');
+const { invalidateClaimsForSourceChange } = require('../../../kb/claim_invalidator');
+const { ChangeDetector } = require('../../../kb/change_detector_v2');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * A fee page with a visitor counter, a notice ticker and a "last updated" footer
+ */
+const page = ({ visitors = '1,204,331', notice = 'Office closed on 26 March', regularFee = 'Tk 4,025', expressFee = 'Tk 6,325', updated = '12 March 2026' } = {}) => [
+  '# Passport Fees',
+  '',
+  `<marquee>${notice}</marquee>`,
+  '',
+  '## Regular Delivery',
+  '',
+  `The fee for a 48-page passport is **${regularFee}** including VAT.`,
+  '',
+  '## Express Delivery',
+  '',
+  `The fee for express delivery is ${expressFee}.`,
+  '',
+  '## Latest Notices',
+  '',
+  `- ${notice}`,
+  '',
+  '---',
+  `Total Visitors: ${visitors}`,
+  `Last updated: ${updated} 10:42 AM`,
+].join('\n');
+
+const profile = (changeDetection) => compileCrawlProfile('epassport.gov.bd', { change_detection: changeDetection });
+
+// ============================================================================
+// Masking Tests
+// ============================================================================
+
+console.log('\n🔹 Volatile Regions:');
+
+test('visitor counters, "last updated" footers, marquees and timestamps are masked by default', () => {
+  const normalized = normalizeContent([
+    '# Fees',
+    '<marquee behavior="scroll">',
+    'Eid holiday notice',
+    '</marquee>',
+    'Fee:   Tk 3,000',
+    '| Visitors | 12,345 |',
+    'You are visitor number 98765',
+    'দর্শনার্থী: ১২,৩৪৫',
+    'Site last modified on 2026-03-12T10:42:13+06:00',
+    'সর্বশেষ হালনাগাদ: ১২ মার্চ ২০২৬',
+    'Generated at 2026-03-12T10:42:13Z',
+  ].join('\n'));
+  assertEqual(normalized, '# Fees\nFee: Tk 3,000\nGenerated at');
+});
+
+test('lines that merely mention visitors or updates are kept', () => {
+  const content = 'Visitors must bring 2 photos\nThe fee was last updated in July 2025';
+  assertEqual(normalizeContent(content), content);
+});
+
+test('per-domain patterns and sections are masked; default masks can be turned off', () => {
+  const rules = profile({ mask_patterns: ['^Server time:'], mask_sections: ['^Latest Notices$'] }).changeDetection;
+  const normalized = normalizeContent(`${page()}\nServer time: 10:42`, rules);
+  assert(!normalized.includes('Office closed'), 'Masked section removed');
+  assert(!normalized.includes('Server time'), 'Masked pattern removed');
+  assert(normalized.includes('The fee for express delivery is Tk 6,325.'), 'Section after a masked one kept');
+
+  const unmasked = profile({ default_masks: false }).changeDetection;
+  assert(normalizeContent(page(), unmasked).includes('Total Visitors: 1,204,331'), 'Default masks off');
+});
+
+// ============================================================================
+// Fingerprint Tests
+// ============================================================================
+
+console.log('\n🔹 Fingerprints:');
+
+test('the semantic hash ignores volatile regions but not content', () => {
+  const rules = profile({ mask_sections: ['^Latest Notices$'] }).changeDetection;
+  const base = computeContentFingerprint(page(), rules);
+  const ticked = computeContentFingerprint(page({ visitors: '1,204,398', notice: 'Server maintenance tonight', updated: '13 March 2026' }), rules);
+  assertEqual(ticked.semanticHash, base.semanticHash, 'Counter, notices and footer changed');
+  assertEqual(base.sectionHashes, null, 'No section hashes with hash_scope page');
+  assert(computeContentFingerprint(page({ regularFee: 'Tk 4,600' }), rules).semanticHash !== base.semanticHash, 'Fee changed');
+  assertEqual(computeContentFingerprint(page()).semanticHash, computeContentFingerprint(page(), DEFAULT_CHANGE_DETECTION).semanticHash);
+});
+
+test('with hash_scope cited_sections each section is hashed under its citation heading path', () => {
+  const rules = profile({ hash_scope: 'cited_sections' }).changeDetection;
+  const before = computeContentFingerprint(page(), rules).sectionHashes;
+  const after = computeContentFingerprint(page({ expressFee: 'Tk 6,900' }), rules).sectionHashes;
+  assertEqual(Object.keys(before).join(' | '), 'Passport Fees | Passport Fees > Regular Delivery | Passport Fees > Express Delivery | Passport Fees > Latest Notices');
+  assertEqual(after['Passport Fees > Regular Delivery'], before['Passport Fees > Regular Delivery']);
+  assert(after['Passport Fees > Express Delivery'] !== before['Passport Fees > Express Delivery'], 'Changed section');
+  assertEqual(computeContentFingerprint('No headings here', rules).sectionHashes['Page Content'].length, 16);
+});
+
+// ============================================================================
+// Profile and Invalidation Tests
+// ============================================================================
+
+console.log('\n🔹 Profiles and Claim Invalidation:');
+
+test('change_detection profile blocks are validated', () => {
+  assertEqual(validateCrawlProfile({ change_detection: { mask_patterns: ['^Visitors'], hash_scope: 'cited_sections', default_masks: true } }).length, 0);
+  const errors = validateCrawlProfile({ change_detection: { mask_sections: ['('], hash_scope: 'page_only', masks: [] } });
+  assertEqual(errors.length, 3);
+  assertEqual(errors[0], 'profile.change_detection.masks: unknown field');
+  assert(errors[1].startsWith('profile.change_detection.mask_sections[0]: invalid pattern'), errors[1]);
+  assertEqual(errors[2], 'profile.change_detection.hash_scope: must be one of page, cited_sections');
+});
+
+test('a volatile-only recrawl logs no change and invalidates no claim; a cited change does', () => {
+  const rules = profile({ hash_scope: 'cited_sections' }).changeDetection;
+  const url = 'https://www.epassport.gov.bd/fees';
+  const crawl = (kb, markdown) => {
+    const { semanticHash, sectionHashes } = computeContentFingerprint(markdown, rules);
+    return addOrUpdateSourcePage(kb, {
+      url, domain: 'epassport.gov.bd', title: 'Fees', markdown, contentHash: generateHash(markdown), semanticHash, sectionHashes,
+    }, () => ['fee_schedule']);
+  };
+  const citing = (claimId, heading) => ({
+    claim_id: claimId,
+    status: 'verified',
+    citations: [{ source_page_id: sourcePageId, locator: { type: 'heading_path', heading_path: ['Passport Fees', heading] } }],
+  });
+
+  const kb = { agencies: [], source_pages: [], claims: [] };
+  const sourcePageId = crawl(kb, page());
+  kb.claims.push(citing('claim.fee.epassport.regular', 'Regular Delivery'), citing('claim.fee.epassport.express', 'Express Delivery'));
+
+  let oldKB = JSON.parse(JSON.stringify(kb));
+  crawl(kb, page({ visitors: '1,204,398', updated: '13 March 2026' }));
+  assertEqual(kb.source_pages[0].change_log.length, 0, 'No change_log entry');
+  assertEqual(kb.source_pages[0].content_hash, generateHash(page({ visitors: '1,204,398', updated: '13 March 2026' })), 'Raw hash still tracks the snapshot');
+  let result = invalidateClaimsForSourceChange(oldKB, kb);
+  assertEqual(result.invalidatedClaims.length, 0);
+  assertEqual(result.volatileOnlySources.length, 1);
+
+  oldKB = JSON.parse(JSON.stringify(kb));
+  crawl(kb, page({ expressFee: 'Tk 6,900' }));
+  assertEqual(kb.source_pages[0].change_log.length, 1);
+  result = invalidateClaimsForSourceChange(oldKB, kb);
+  assertEqual(result.invalidatedClaims.map(c => c.claim_id).join(','), 'claim.fee.epassport.express');
+  assertEqual(result.unaffectedClaims.map(c => c.claim_id).join(','), 'claim.fee.epassport.regular');
+  assertEqual(kb.claims[0].status, 'verified');
+});
+
+test('change_detector_v2 keeps content_hash on the normalized content and masks only the semantic hash', () => {
+  const rules = profile({}).changeDetection;
+  const content = `${page()}\nGenerated 2026-03-12T10:42:00+06:00`;
+  const storedHash = ChangeDetector.computeHash(ChangeDetector.normalizeForContentHash(content));
+  const sourcePage = () => ({ source_page_id: 'source.fees', canonical_url: 'https://epassport.gov.bd/fees', content_hash: storedHash });
+
+  // A hash stored before semantic hashes existed still matches the same content
+  assertEqual(ChangeDetector.detectChange(sourcePage(), content.replace(/\n\n/g, '\n \n'), rules).hasChanged, false);
+  const kb = { source_pages: [sourcePage()], claims: [], audit_log: [] };
+  const unchanged = ChangeDetector.processSourceChange(kb, 'source.fees', `${page()}\nGenerated 2026-03-13T08:00:00+06:00`, '2026-03-13T08:00:00.000Z', null, rules);
+  assertEqual(unchanged.changed, false);
+  assertEqual(unchanged.volatileOnly, undefined, 'Nothing to record');
+
+  const changed = ChangeDetector.processSourceChange(kb, 'source.fees', page({ regularFee: 'Tk 4,600' }), '2026-03-13T08:00:00.000Z', null, rules);
+  assertEqual(changed.changed, true);
+  assertEqual(changed.newHash, ChangeDetector.computeHash(ChangeDetector.normalizeForContentHash(page({ regularFee: 'Tk 4,600' }))));
+  assertEqual(kb.source_pages[0].semantic_hash, computeContentFingerprint(page({ regularFee: 'Tk 4,600' }), rules).semanticHash);
+
+  const ticked = ChangeDetector.processSourceChange(kb, 'source.fees', page({ regularFee: 'Tk 4,600', visitors: '1,204,398' }), '2026-03-14T08:00:00.000Z', null, rules);
+  assertEqual(ticked.volatileOnly, true, 'Only the visitor counter changed');
+  assertEqual(kb.source_pages[0].content_hash, ticked.newHash);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
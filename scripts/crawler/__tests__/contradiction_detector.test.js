@@ -0,0 +1,238 @@
+/**
+ * Tests for contradiction_detector.js module
+ *
+ * Run with: node scripts/crawler/__tests__/contradiction_detector.test.js
+ */
+
+// Import contradiction detection module
+const {
+  getClaimVariant,
+  getClaimDimensions,
+  getClaimFact,
+  detectContradictions,
+  markContradictions,
+  buildContradictionReport,
+} = require('../contradiction_detector');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const FEES_ID = 'source.1111111111111111111111111111111111111111';
+const GUIDE_ID = 'source.2222222222222222222222222222222222222222';
+const NOW = new Date('2026-03-12T08:00:00.000Z');
+
+const fee = (claimId, amount, { variant = 'regular', pages, text, sourcePageId = FEES_ID, retrievedAt = '2026-01-05T10:42:41.219Z', status = 'unverified' } = {}) => ({
+  claim_id: claimId,
+  entity_ref: { type: 'service', id: 'svc.epassport' },
+  claim_type: 'fee',
+  text: text || `${variant} delivery Taka ${amount}`,
+  status,
+  structured_data: pages ? { amount_bdt: amount, pages, delivery_type: variant } : { amount_bdt: amount, currency: 'BDT', variant },
+  citations: [{
+    source_page_id: sourcePageId,
+    quoted_text: text || `- ${variant} delivery: Taka ${amount}`,
+    locator: { type: 'heading_path', heading_path: ['e-Passport Fees'] },
+    retrieved_at: retrievedAt,
+  }],
+});
+
+const step = (claimId, order, title, { sourcePageId = FEES_ID, headingPath = ['5 Easy Steps', `Step ${order}`], retrievedAt = '2026-01-05T10:42:41.219Z' } = {}) => ({
+  claim_id: claimId,
+  entity_ref: { type: 'service', id: 'svc.epassport' },
+  claim_type: 'step',
+  text: title,
+  status: 'unverified',
+  structured_data: { order, title },
+  citations: [{
+    source_page_id: sourcePageId,
+    quoted_text: title,
+    locator: { type: 'heading_path', heading_path: headingPath },
+    retrieved_at: retrievedAt,
+  }],
+});
+
+/**
+ * An old manual 48-page fee, and today's list of regular fees (48/64 pages,
+ * 5/10 years) whose rows were extracted without their pages and validity
+ */
+const createKB = () => ({
+  source_pages: [{ source_page_id: FEES_ID, canonical_url: 'https://epassport.gov.bd/instructions/passport-fees' }],
+  claims: [
+    fee('claim.fee.svc_epassport.regular_48page', 3450, { pages: 48, text: 'Regular Delivery - 48 Pages: 3,450 BDT', retrievedAt: '2025-12-31T14:45:00Z', status: 'verified' }),
+    fee('claim.fee.epassport.r4025', 4025),
+    fee('claim.fee.epassport.r5750', 5750),
+    fee('claim.fee.epassport.r6325', 6325),
+    fee('claim.fee.epassport.r8050', 8050),
+    fee('claim.fee.svc_epassport.super_express_48page', 13800, { variant: 'super_express', pages: 48, retrievedAt: '2025-12-31T14:45:00Z' }),
+    fee('claim.fee.epassport.s13800', 13800, { variant: 'super_express' }),
+    fee('claim.fee.epassport.s8625', 8625, { variant: 'super_express' }),
+  ],
+  service_guides: [{ guide_id: 'guide.epassport', fees: [{ label: 'Regular', claim_ids: ['claim.fee.svc_epassport.regular_48page'] }] }],
+  audit_log: [],
+});
+
+// ============================================================================
+// Fact Tests
+// ============================================================================
+
+console.log('\n🔹 Claim Facts:');
+
+test('variants and dimensions come from structured_data or the claim text', () => {
+  assertEqual(getClaimVariant({ structured_data: { delivery_type: 'super_express' } }), 'super_express');
+  assertEqual(getClaimVariant({ text: 'Express Delivery (7 working days)' }), 'express');
+  assertEqual(getClaimVariant({ structured_data: { variant: null, label: 'Fee 1' }, text: 'Fee 1' }), null);
+
+  const dimensions = getClaimDimensions({ text: '64 pages and 10 years validity: Tk 8,050', structured_data: {} });
+  assertEqual(dimensions.pages, 64);
+  assertEqual(dimensions.validity_years, 10);
+  assertEqual(getClaimDimensions({ text: 'Regular delivery: Tk 4,025', structured_data: { pages: 48 } }).pages, 48);
+});
+
+test('fees without a variant and steps outside any section are not compared', () => {
+  assertEqual(getClaimFact(fee('claim.fee.epassport.x', 100, { variant: null, text: 'Fee 1: 100 BDT' })), null);
+  assertEqual(getClaimFact(step('claim.step.epassport.x', 1, 'Apply online', { headingPath: ['Page Content'] })), null);
+  assertEqual(getClaimFact(step('claim.step.epassport.y', 1, 'Apply online')).key, `svc.epassport | step | ${FEES_ID} | 5 Easy Steps | 1`, 'Step N headings are dropped');
+  assertEqual(getClaimFact({ claim_type: 'faq', entity_ref: { id: 'svc.epassport' }, citations: [{}] }), null);
+});
+
+// ============================================================================
+// Detection Tests
+// ============================================================================
+
+console.log('\n🔹 Detection:');
+
+test('values of one page on one day are sibling rows, not contradictions', () => {
+  const kb = createKB();
+  const detection = detectContradictions(kb.claims.filter(c => !c.claim_id.includes('svc_epassport')));
+  assertEqual(detection.conflicts.length, 0);
+  assertEqual(detection.checked, 6);
+});
+
+test('a reading from another date with none of the same values contradicts', () => {
+  const kb = createKB();
+  const detection = detectContradictions(kb.claims);
+  assertEqual(detection.conflicts.length, 1, 'Super express 13,800 is still listed');
+  const [conflict] = detection.conflicts;
+  assertEqual(conflict.conflict_key, 'svc.epassport | fee | regular');
+  assertEqual(conflict.values.join(','), '3450,4025,5750,6325,8050');
+  assertEqual(conflict.readings.length, 2);
+  assertEqual(conflict.readings[0].retrieved_on, '2025-12-31');
+  assertEqual(conflict.readings[0].dimensions.pages, 48);
+  assertEqual([...detection.conflictingClaims.get('claim.fee.svc_epassport.regular_48page')].length, 4);
+  assertEqual([...detection.conflictingClaims.get('claim.fee.epassport.r4025')].join(','), 'claim.fee.svc_epassport.regular_48page');
+});
+
+test('readings with different stated dimensions are not compared', () => {
+  const claims = [
+    fee('claim.fee.epassport.p48', 4025, { pages: 48, retrievedAt: '2026-01-05T10:00:00Z' }),
+    fee('claim.fee.epassport.p64', 6325, { pages: 64, sourcePageId: GUIDE_ID }),
+  ];
+  assertEqual(detectContradictions(claims).conflicts.length, 0);
+  claims[1].structured_data.pages = 48;
+  assertEqual(detectContradictions(claims).conflicts.length, 1, 'Same 48 pages, another source');
+});
+
+test('steps contradict when the page later has a different step at the same place', () => {
+  const later = { retrievedAt: '2026-02-05T10:00:00Z' };
+  const claims = [
+    step('claim.step.epassport.a1', 1, 'Apply online at www.epassport.gov.bd'),
+    step('claim.step.epassport.b1', 1, 'Apply online at epassport.gov.bd', later),
+    step('claim.step.epassport.a2', 2, 'Pay the passport fee'),
+    step('claim.step.epassport.b2', 2, 'Book an appointment at the passport office', later),
+  ];
+  const detection = detectContradictions(claims);
+  assertEqual(detection.conflicts.length, 1);
+  assertEqual(detection.conflicts[0].conflict_key, `svc.epassport | step | ${FEES_ID} | 5 Easy Steps | 2`);
+  assertEqual(detectContradictions(claims, { claimTypes: ['fee'] }).checked, 0);
+});
+
+test('same-named sections of different pages are not compared', () => {
+  const officerList = ['Officer List'];
+  const claims = [
+    step('claim.step.dip.a1', 1, 'মোঃ সালাহ উদ্দিন', { headingPath: officerList }),
+    step('claim.step.dip.b1', 1, 'কনটেন্টটি শেয়ার করতে ক্লিক করুন', { headingPath: officerList, sourcePageId: GUIDE_ID }),
+  ];
+  const detection = detectContradictions(claims);
+  assertEqual(detection.checked, 2);
+  assertEqual(detection.conflicts.length, 0);
+});
+
+// ============================================================================
+// Marking and Report Tests
+// ============================================================================
+
+console.log('\n🔹 Marking and Report:');
+
+test('contradicting claims are marked, linked and logged once', () => {
+  const kb = createKB();
+  const detection = detectContradictions(kb.claims);
+  const marked = markContradictions(kb, detection, { now: NOW });
+  assertEqual(marked.length, 5);
+
+  const manual = kb.claims[0];
+  assertEqual(manual.status, 'contradicted');
+  assertEqual(manual.previous_status, 'verified');
+  assertEqual(manual.contradicted_at, NOW.toISOString());
+  assertEqual(manual.contradiction.reason, 'conflicting_claims');
+  assertEqual(manual.contradiction.conflict_key, 'svc.epassport | fee | regular');
+  assertEqual(manual.contradiction.conflicting_claim_ids.join(','), 'claim.fee.epassport.r4025,claim.fee.epassport.r5750,claim.fee.epassport.r6325,claim.fee.epassport.r8050');
+  assertEqual(kb.claims[6].status, 'unverified', 'Super express not contradicted');
+
+  assertEqual(kb.audit_log.length, 1);
+  assertEqual(kb.audit_log[0].event_type, 'claim_invalidation');
+  assertEqual(kb.audit_log[0].metadata.status_to, 'contradicted');
+  assertEqual(kb.audit_log[0].actor, 'script:contradiction_detector.js');
+  assertEqual(kb.audit_log[0].affected_entities.claims.length, 5);
+
+  assertEqual(markContradictions(kb, detectContradictions(kb.claims), { now: NOW }).length, 0, 'Nothing new on a second run');
+  assertEqual(kb.audit_log.length, 1);
+});
+
+test('the review report lists conflicts with their pages and guides', () => {
+  const kb = createKB();
+  const detection = detectContradictions(kb.claims);
+  const report = buildContradictionReport(kb, detection, markContradictions(kb, detection, { now: NOW }), { now: NOW });
+  assertEqual(report.generated_at, NOW.toISOString());
+  assertEqual(report.summary.conflicts, 1);
+  assertEqual(report.summary.conflicts_in_guides, 1);
+  assertEqual(report.summary.claims_contradicted, 5);
+  assertEqual(report.summary.claims_newly_marked, 5);
+  assertEqual(report.conflicts[0].guides.join(','), 'guide.epassport');
+  assertEqual(report.conflicts[0].readings[0].canonical_url, 'https://epassport.gov.bd/instructions/passport-fees');
+  assert(report.conflicts[0].claim_ids.includes('claim.fee.epassport.r8050'), 'All claims of the conflict');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
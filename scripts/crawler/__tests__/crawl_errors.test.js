@@ -0,0 +1,158 @@
+/**
+ * Tests for crawl_errors.js module
+ *
+ * Run with: node scripts/crawler/__tests__/crawl_errors.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import crawl errors module
+const {
+  classifyCrawlError,
+  createCrawlError,
+  formatCrawlError,
+  summarizeCrawlErrors,
+  saveCrawlErrors,
+} = require('../crawl_errors');
+const { FirecrawlScrapeError } = require('../../firecrawl_mcp');
+const { ReplayMissError } = require('../replay');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const NOW = new Date('2026-03-01T08:00:00.000Z');
+
+function httpError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================================================
+// Classification Tests
+// ============================================================================
+
+console.log('\n🔹 Classification:');
+
+test('transient failures are classified by what went wrong, whatever wraps them', () => {
+  const wrapped = new FirecrawlScrapeError('https://example.gov.bd/', 'upstream error');
+  wrapped.cause = httpError(429, 'Too Many Requests');
+  const rateLimited = classifyCrawlError(wrapped);
+  assertEqual(rateLimited.error_class, 'rate_limited');
+  assertEqual(rateLimited.status, 429);
+  assertEqual(rateLimited.retryable, true);
+  assertEqual(classifyCrawlError(httpError(503)).error_class, 'server_error');
+});
+
+test('other failures are classified by their error class or HTTP status', () => {
+  assertEqual(classifyCrawlError(new ReplayMissError('https://example.gov.bd/')).error_class, 'replay_miss');
+  assertEqual(classifyCrawlError(new FirecrawlScrapeError('https://example.gov.bd/', 'empty')).error_class, 'firecrawl_scrape_failed');
+  const notFound = classifyCrawlError(httpError(404));
+  assertEqual(notFound.error_class, 'http_error');
+  assertEqual(notFound.status, 404);
+  assertEqual(notFound.retryable, false);
+  assertEqual(classifyCrawlError(new TypeError('x is undefined')).error_class, 'unexpected_error');
+});
+
+// ============================================================================
+// Error Record Tests
+// ============================================================================
+
+console.log('\n🔹 Error Records:');
+
+test('a record carries stage, class, URL, status, code, retryable flag and timestamp', () => {
+  const error = new ReplayMissError('https://example.gov.bd/fees');
+  const record = createCrawlError({ stage: 'scrape', error, domain: 'example.gov.bd', now: NOW });
+  assertEqual(record.stage, 'scrape');
+  assertEqual(record.error_class, 'replay_miss');
+  assertEqual(record.error_name, 'ReplayMissError');
+  assertEqual(record.url, 'https://example.gov.bd/fees', 'URL taken from the error');
+  assertEqual(record.code, 'REPLAY_MISS');
+  assertEqual(record.retryable, false);
+  assertEqual(record.attempts, 1);
+  assertEqual(record.timestamp, NOW.toISOString());
+});
+
+test('failures without an error take their class and message as given', () => {
+  const record = createCrawlError({ stage: 'scrape', errorClass: 'no_content', url: 'https://example.gov.bd/', message: 'No content', now: NOW });
+  assertEqual(record.error_class, 'no_content');
+  assertEqual(record.error_name, null);
+  assertEqual(record.status, null);
+  assertEqual(formatCrawlError(record), '[scrape/no_content] https://example.gov.bd/: No content');
+  assertEqual(formatCrawlError('legacy message'), 'legacy message');
+});
+
+// ============================================================================
+// Aggregation Tests
+// ============================================================================
+
+console.log('\n🔹 Aggregation:');
+
+const ERRORS = [
+  createCrawlError({ stage: 'scrape', error: httpError(429), domain: 'a.gov.bd', now: NOW }),
+  createCrawlError({ stage: 'scrape', error: httpError(429), domain: 'a.gov.bd', now: NOW }),
+  createCrawlError({ stage: 'document', error: httpError(404), domain: 'b.gov.bd', now: NOW }),
+  createCrawlError({ stage: 'run', error: new Error('disk full'), now: NOW }),
+];
+
+test('errors are counted by class, stage and domain', () => {
+  const summary = summarizeCrawlErrors(ERRORS);
+  assertEqual(summary.total, 4);
+  assertEqual(summary.retryable, 2);
+  assertEqual(summary.by_class.rate_limited, 2);
+  assertEqual(summary.by_class.http_error, 1);
+  assertEqual(summary.by_stage.scrape, 2);
+  assertEqual(summary.by_domain['a.gov.bd'].by_class.rate_limited, 2);
+  assertEqual(summary.by_domain['b.gov.bd'].total, 1);
+  assertEqual(summary.by_domain['(run)'].by_class.unexpected_error, 1, 'Run-level errors have no domain');
+  assertEqual(summarizeCrawlErrors(['free-form']).by_class.unexpected_error, 1);
+});
+
+test('the full error list is written with its summary', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-errors-'));
+  const filePath = path.join(dir, 'runs', 'crawl_errors.json');
+  saveCrawlErrors(ERRORS, filePath, { run_id: 'run_1' });
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  assertEqual(saved.run_id, 'run_1');
+  assertEqual(saved.errors.length, 4);
+  assertEqual(saved.summary.by_class.rate_limited, 2);
+  assert(saved.errors.every(e => e.timestamp === NOW.toISOString()), 'Timestamps kept');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
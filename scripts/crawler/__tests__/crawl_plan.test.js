@@ -0,0 +1,196 @@
+/**
+ * Tests for crawl_plan.js module
+ *
+ * Run with: node scripts/crawler/__tests__/crawl_plan.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import crawl plan module
+const {
+  PLAN_VERSION,
+  CrawlPlanError,
+  createCrawlPlan,
+  buildDomainPlan,
+  getPlannedUrls,
+  validateCrawlPlan,
+  saveCrawlPlan,
+  loadCrawlPlan,
+} = require('../crawl_plan');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const SEED = { label: 'Example', domain: 'example.gov.bd', start_urls: ['https://example.gov.bd/'] };
+
+/**
+ * Source page ID of a URL, ignoring a trailing slash (stands in for canonicalization)
+ */
+function idOf(url) {
+  return 'source.' + url.replace(/\/$/, '');
+}
+
+/**
+ * Build a domain plan from a list of scraped URLs and candidates
+ */
+function planFor(prioritizedUrls, candidateUrls, knownPages = []) {
+  const candidates = new Map(candidateUrls.map(url => [url, ['map']]));
+  return buildDomainPlan(SEED, {
+    prioritizedUrls,
+    candidates,
+    classifyUrl: url => {
+      if (!url.includes('example.gov.bd')) return { allowed: false, reason: 'domain', rule: null };
+      if (url.includes('/private')) return { allowed: false, reason: 'robots', rule: 'Disallow: /private' };
+      return { allowed: true };
+    },
+    describeUrl: url => ({
+      source_page_id: idOf(url),
+      priority_score: 0,
+      depth: 1,
+      known_source_page: knownPages.some(sp => sp.source_page_id === idOf(url)),
+      snapshot_exists_today: false,
+      predicted: url.includes('fees') ? 'rescrape' : 'new_page',
+    }),
+    knownPages,
+  });
+}
+
+/**
+ * Write a plan file to a temp directory and return its path
+ */
+function writeTempPlan(contents) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-plan-')), 'plan.json');
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+// ============================================================================
+// Domain Plan Tests
+// ============================================================================
+
+console.log('\n🔹 Domain Plan:');
+
+test('every candidate gets a decision and an exclusion reason', () => {
+  const plan = planFor(
+    ['https://example.gov.bd/fees', 'https://example.gov.bd/'],
+    ['https://example.gov.bd/', 'https://example.gov.bd/fees', 'https://example.gov.bd/private/admin', 'https://other.gov.bd/x', 'https://example.gov.bd/news']
+  );
+  assertEqual(plan.urls.map(u => u.decision).join(','), 'scrape,scrape,exclude,exclude,exclude');
+  assertEqual(plan.urls[2].reason, 'robots');
+  assertEqual(plan.urls[2].rule, 'Disallow: /private');
+  assertEqual(plan.urls[3].reason, 'domain');
+  assertEqual(plan.urls[4].reason, 'priority_cutoff', 'Allowed but not scheduled');
+  assertEqual(plan.urls[4].predicted, null, 'Excluded URLs have no prediction');
+  assertEqual(plan.summary.candidates, 5);
+  assertEqual(plan.summary.scrape, 2);
+  assertEqual(JSON.stringify(plan.summary.excluded), '{"robots":1,"domain":1,"priority_cutoff":1}');
+  assertEqual(JSON.stringify(plan.summary.predicted), '{"rescrape":1,"new_page":1}');
+});
+
+test('a second URL of the same page is predicted as a duplicate skip', () => {
+  const plan = planFor(['https://example.gov.bd/tbc', 'https://example.gov.bd/tbc/'], []);
+  assertEqual(plan.urls[0].predicted, 'new_page');
+  assertEqual(plan.urls[1].predicted, 'skip_duplicate');
+});
+
+test('known pages that would not be scraped are listed as dropped', () => {
+  const knownPages = [
+    { source_page_id: idOf('https://example.gov.bd/fees'), canonical_url: 'https://example.gov.bd/fees' },
+    { source_page_id: 'source.legacy-id', canonical_url: 'https://example.gov.bd/' },
+    { source_page_id: idOf('https://example.gov.bd/private/a'), canonical_url: 'https://example.gov.bd/private/a' },
+    { source_page_id: idOf('https://example.gov.bd/old'), canonical_url: 'https://example.gov.bd/old' },
+  ];
+  const plan = planFor(['https://example.gov.bd/fees', 'https://example.gov.bd/'], [], knownPages);
+  assertEqual(plan.dropped_source_pages.map(d => `${d.url}:${d.reason}`).join(','),
+    'https://example.gov.bd/private/a:robots,https://example.gov.bd/old:not_discovered',
+    'Legacy IDs match through their canonical URL');
+  assertEqual(plan.summary.dropped_source_pages, 2);
+});
+
+test('planned URLs are the scrape decisions in plan order', () => {
+  const plan = planFor(['https://example.gov.bd/b', 'https://example.gov.bd/a'], ['https://other.gov.bd/']);
+  plan.urls.unshift({ url: 'https://example.gov.bd/removed', decision: 'exclude' });
+  assertEqual(getPlannedUrls(plan).join(','), 'https://example.gov.bd/b,https://example.gov.bd/a');
+});
+
+// ============================================================================
+// Validation Tests
+// ============================================================================
+
+console.log('\n🔹 Validation:');
+
+test('a built plan round-trips through save and load', () => {
+  const plan = createCrawlPlan({ refresh: 'changed', maxDepth: 2, maxPages: 20, followLinks: true });
+  plan.domains.push(planFor(['https://example.gov.bd/'], []));
+  assertEqual(validateCrawlPlan(plan).length, 0);
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-plan-')), 'runs', 'plan.json');
+  saveCrawlPlan(plan, file);
+  const loaded = loadCrawlPlan(file);
+  assertEqual(loaded.plan_version, PLAN_VERSION);
+  assertEqual(getPlannedUrls(loaded.domains[0]).join(','), 'https://example.gov.bd/');
+});
+
+test('invalid plans report every problem', () => {
+  const errors = validateCrawlPlan({
+    plan_version: 99,
+    refresh: 'changed',
+    domains: [
+      { domain: 'example.gov.bd', start_urls: [], urls: [{ url: 'https://example.gov.bd/', decision: 'maybe' }, { url: '/relative', decision: 'scrape' }] },
+      { domain: 'example.gov.bd', start_urls: [], urls: [] },
+    ],
+  });
+  assertEqual(errors.length, 4, errors.join(' | '));
+  assert(errors[0].startsWith('plan_version'));
+  assert(errors.some(e => e.includes('planned twice')));
+});
+
+test('loading a missing, malformed or invalid plan throws CrawlPlanError', () => {
+  for (const file of ['/nonexistent/plan.json', writeTempPlan('{ not json'), writeTempPlan({ plan_version: PLAN_VERSION })]) {
+    let error = null;
+    try {
+      loadCrawlPlan(file);
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof CrawlPlanError, `${file} throws CrawlPlanError`);
+    assertEqual(error.code, 'CRAWL_PLAN_INVALID');
+    assertEqual(error.source, file);
+  }
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
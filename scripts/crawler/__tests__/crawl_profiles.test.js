@@ -0,0 +1,226 @@
+/**
+ * Tests for crawl_profiles.js module
+ *
+ * Run with: node scripts/crawler/__tests__/crawl_profiles.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import crawl profiles module
+const {
+  CrawlProfileError,
+  validateCrawlProfile,
+  loadCrawlProfiles,
+  loadProfileMappings,
+  getCrawlProfile,
+  applyProfileToConfig,
+  matchProfilePatterns,
+  getProfileScrapeOptions,
+  collectUrlOverrides,
+} = require('../crawl_profiles');
+const { getUrlPriority, sortUrlsByPriority } = require('../filtering');
+const { DOMAIN_TO_SERVICE_MAP } = require('../service_map');
+const { AGENCY_MAP } = require('../kb_writer');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Write a crawl_profiles.json to a temp seeds dir
+ */
+function writeProfilesFile(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-profiles-'));
+  fs.writeFileSync(path.join(dir, 'crawl_profiles.json'), JSON.stringify(data), 'utf-8');
+  return dir;
+}
+
+const BRTA_PROFILE = {
+  service_id: 'svc.brta',
+  agency: { id: 'agency.brta', name: 'Bangladesh Road Transport Authority' },
+  include_patterns: ['^/$', '^/(service|fees|notice)'],
+  exclude_patterns: ['/archive/'],
+  max_depth: 2,
+  max_pages: 50,
+  render: { waitFor: 3000 },
+  url_overrides: {
+    'https://bsp.brta.gov.bd/fees': { onlyMainContent: false, postprocess: 'tk_to_bdt' },
+  },
+};
+
+// ============================================================================
+// Validation Tests
+// ============================================================================
+
+console.log('\n🔹 Profile Validation:');
+
+test('a complete profile is valid', () => {
+  assertEqual(validateCrawlProfile(BRTA_PROFILE).length, 0, 'Errors');
+});
+
+test('every problem is reported with its location', () => {
+  const errors = validateCrawlProfile({
+    service_id: 'brta',
+    agency: { id: 'agency.brta' },
+    include_patterns: ['('],
+    max_pages: 0,
+    render: { formats: ['html'], waitfor: 10 },
+    url_overrides: { 'https://bsp.brta.gov.bd/fees': { postprocess: 'nope' } },
+    maxPages: 10,
+  }, 'profiles["bsp.brta.gov.bd"]');
+  assertEqual(errors.length, 8, `Errors: ${errors.join('; ')}`);
+  assert(errors.every(e => e.startsWith('profiles["bsp.brta.gov.bd"].')), 'Errors carry their location');
+  assert(errors.some(e => e.includes('.maxPages: unknown field')), 'Typos are caught');
+});
+
+test('loadCrawlProfiles throws CrawlProfileError on an invalid file', () => {
+  const dir = writeProfilesFile({ profiles: { 'www.brta.gov.bd': { max_depth: -1 } } });
+  try {
+    loadCrawlProfiles(dir);
+    throw new Error('Expected CrawlProfileError');
+  } catch (e) {
+    assert(e instanceof CrawlProfileError, `Unexpected error: ${e.message}`);
+    assertEqual(e.code, 'CRAWL_PROFILE_INVALID');
+    assertEqual(e.errors.length, 2, 'www. key and max_depth');
+  }
+});
+
+// ============================================================================
+// Loading and Applying Tests
+// ============================================================================
+
+console.log('\n🔹 Applying Profiles:');
+
+test('inline seed profiles override the profiles file field by field', () => {
+  const dir = writeProfilesFile({ $description: 'test', profiles: { 'bsp.brta.gov.bd': BRTA_PROFILE } });
+  const profiles = loadCrawlProfiles(dir, [
+    { domain: 'bsp.brta.gov.bd', profile: { max_pages: 20 } },
+    { domain: 'bdpost.gov.bd' },
+  ]);
+  const profile = getCrawlProfile(profiles, 'www.bsp.brta.gov.bd');
+  assertEqual(profile.maxPages, 20);
+  assertEqual(profile.maxDepth, 2);
+  assertEqual(profile.serviceId, 'svc.brta');
+  assertEqual(getCrawlProfile(profiles, 'bdpost.gov.bd'), null);
+});
+
+test('profile limits apply unless set on the command line', () => {
+  const profiles = loadCrawlProfiles(writeProfilesFile({ profiles: { 'bsp.brta.gov.bd': BRTA_PROFILE } }));
+  const profile = getCrawlProfile(profiles, 'bsp.brta.gov.bd');
+  const config = applyProfileToConfig({ maxDepth: 4, maxPages: 300, cliLimits: { maxPages: true } }, profile);
+  assertEqual(config.maxDepth, 2);
+  assertEqual(config.maxPages, 300, 'Explicit --maxPages wins');
+  assertEqual(config.profile, profile);
+  assertEqual(applyProfileToConfig({ maxDepth: 4 }, null).maxDepth, 4);
+});
+
+test('exclude patterns win over include patterns', () => {
+  const profile = getCrawlProfile(loadCrawlProfiles(writeProfilesFile({ profiles: { 'bsp.brta.gov.bd': BRTA_PROFILE } })), 'bsp.brta.gov.bd');
+  assert(matchProfilePatterns('https://bsp.brta.gov.bd/', profile).allowed, 'Root is included');
+  assert(matchProfilePatterns('https://bsp.brta.gov.bd/service/licence', profile).allowed, 'Service page is included');
+  const archived = matchProfilePatterns('https://bsp.brta.gov.bd/notice/archive/2019', profile);
+  assertEqual(archived.allowed, false);
+  assertEqual(archived.rule.type, 'exclude');
+  assertEqual(matchProfilePatterns('https://bsp.brta.gov.bd/gallery', profile).rule.type, 'include');
+  assert(matchProfilePatterns('https://bsp.brta.gov.bd/gallery', null).allowed, 'No profile allows everything');
+});
+
+test('render options and URL overrides are compiled for Firecrawl', () => {
+  const profiles = loadCrawlProfiles(writeProfilesFile({ profiles: { 'bsp.brta.gov.bd': BRTA_PROFILE } }));
+  const options = getProfileScrapeOptions({ formats: ['markdown'], onlyMainContent: true }, getCrawlProfile(profiles, 'bsp.brta.gov.bd'));
+  assertEqual(options.waitFor, 3000);
+  assertEqual(options.onlyMainContent, true);
+  const override = collectUrlOverrides(profiles)['https://bsp.brta.gov.bd/fees'];
+  assertEqual(override.onlyMainContent, false);
+  assertEqual(override.postprocessMarkdown('Fee: 500 TK'), 'Fee: 500 BDT');
+});
+
+test('URL globs and action presets are accepted and expanded', () => {
+  const raw = {
+    render: { actions: [{ type: 'expandAccordions' }] },
+    url_overrides: {
+      'services.nidw.gov.bd/**/faq*': { priority: 5, actions: [{ type: 'clickTab', selector: '#faq-tab' }] },
+    },
+  };
+  assertEqual(validateCrawlProfile(raw).length, 0, 'Errors');
+  const errors = validateCrawlProfile({
+    render: { actions: [{ type: 'hover' }, { type: 'click' }] },
+    url_overrides: { 'https://nidw.gov.bd/fee': { priority: 1 } },
+  });
+  assertEqual(errors.length, 3, `Errors: ${errors.join('; ')}`);
+
+  const dir = writeProfilesFile({ profiles: { 'services.nidw.gov.bd': raw } });
+  const profile = getCrawlProfile(loadCrawlProfiles(dir), 'services.nidw.gov.bd');
+  assertEqual(profile.render.actions[0].type, 'executeJavascript');
+  const override = profile.urlOverrides['services.nidw.gov.bd/**/faq*'];
+  assertEqual(override.priority, 5);
+  assertEqual(override.actions.map(a => a.type).join(','), 'wait,click,wait');
+});
+
+test('priority patterns are validated and added to the built-in ones', () => {
+  const errors = validateCrawlProfile({ priority_patterns: { urgent: ['/x'], high: ['('] } });
+  assertEqual(errors.length, 2, `Errors: ${errors.join('; ')}`);
+
+  const dir = writeProfilesFile({ profiles: { 'bsp.brta.gov.bd': { priority_patterns: { very_high: ['/dl-(fee|renew)'], low: ['/english/'] } } } });
+  const profile = getCrawlProfile(loadCrawlProfiles(dir), 'bsp.brta.gov.bd');
+  const url = 'https://bsp.brta.gov.bd/dl-renew';
+  assertEqual(getUrlPriority(url, profile.priorityPatterns) - getUrlPriority(url), 15, 'very_high weight');
+  const urls = ['https://bsp.brta.gov.bd/english/dl', 'https://bsp.brta.gov.bd/dl-fee'];
+  assertEqual(sortUrlsByPriority(urls, profile.priorityPatterns)[0], 'https://bsp.brta.gov.bd/dl-fee');
+  assertEqual(getCrawlProfile(loadCrawlProfiles(writeProfilesFile({ profiles: { 'bsp.brta.gov.bd': BRTA_PROFILE } })), 'bsp.brta.gov.bd').priorityPatterns, null);
+});
+
+test('service and agency lookups come from the profiles file', () => {
+  const dir = writeProfilesFile({ profiles: { 'bsp.brta.gov.bd': BRTA_PROFILE, 'bdpost.gov.bd': { max_pages: 5 } } });
+  const mappings = loadProfileMappings(dir);
+  assertEqual(mappings.services['bsp.brta.gov.bd'], 'svc.brta');
+  assertEqual(mappings.agencies['bsp.brta.gov.bd'].id, BRTA_PROFILE.agency.id);
+  assertEqual(mappings.services['bdpost.gov.bd'], undefined, 'No service_id, no mapping');
+  assertEqual(DOMAIN_TO_SERVICE_MAP['services.nidw.gov.bd'], 'svc.nid');
+  assertEqual(AGENCY_MAP['nbr.gov.bd'].id, 'agency.nbr');
+});
+
+test('the repository profiles file is valid', () => {
+  const seedsDir = path.join(__dirname, '..', '..', '..', 'kb', 'seeds');
+  const seeds = JSON.parse(fs.readFileSync(path.join(seedsDir, 'public_services_seeds.json'), 'utf-8')).seeds;
+  const profiles = loadCrawlProfiles(seedsDir, seeds);
+  for (const seed of seeds) {
+    assert(getCrawlProfile(profiles, seed.domain), `No profile for ${seed.domain}`);
+  }
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,220 @@
+/**
+ * Tests for crawl runs and domain checkpoints (crawl_state.js) and --resume
+ *
+ * Run with: node scripts/crawler/__tests__/crawl_state.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Import crawl state module and crawler API
+const {
+  getInterruptedRun,
+  startCrawlRun,
+  completeCrawlRun,
+  startDomainCheckpoint,
+  isCheckpointOfRun,
+  recordUrlOutcome,
+  completeDomainCheckpoint,
+} = require('../crawl_state');
+const { createCrawler } = require('../../crawl');
+const { createTempPaths } = require('./crawl_test_paths');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const FULL_RUN = new Date('2026-03-01T08:00:00.000Z');
+const INTERRUPTED_RUN = new Date('2026-03-02T08:00:00.000Z');
+const RESUMED_RUN = new Date('2026-03-02T09:00:00.000Z');
+
+// Two seed domains
+const SEEDS = [
+  { label: 'Alpha', domain: 'alpha.gov.bd', start_urls: ['https://alpha.gov.bd/'] },
+  { label: 'Beta', domain: 'beta.gov.bd', start_urls: ['https://beta.gov.bd/'] },
+];
+
+/**
+ * Mock Firecrawl backend: each domain maps to its start URL plus two pages.
+ * With `hangOn`, the scrape of that URL never returns (the run is interrupted there).
+ * `links` adds links to pages (page URL -> linked URLs).
+ */
+function createBackend({ hangOn = null, links = {} } = {}) {
+  const scraped = [];
+  let interrupted;
+  const reachedHang = new Promise(resolve => { interrupted = resolve; });
+  const scrape = async (url) => {
+    if (url.endsWith('/robots.txt')) return { rawHtml: 'User-agent: *\nAllow: /\n' };
+    if (url.includes('sitemap')) return null;
+    if (url === hangOn) {
+      interrupted();
+      return new Promise(() => {});
+    }
+    scraped.push(url);
+    const linked = (links[url] || []).map(link => `\n\n[More](${link})`).join('');
+    return { markdown: `# Service\n\nFee: Tk 3000 for regular delivery (${url})${linked}`, html: '', title: 'Service' };
+  };
+  const map = async (url) => {
+    const origin = new URL(url).origin;
+    return [`${origin}/service/apply`, `${origin}/service/fees`];
+  };
+  return { scrape, map, scraped, reachedHang };
+}
+
+const crawl = (paths, backend, clock, options = {}) => createCrawler({
+  scrape: backend.scrape, map: backend.map, paths, clock: () => clock,
+  rateLimit: 0, maxRetries: 0, checkpointEvery: 1, logLevel: 'silent', ...options,
+});
+
+const readState = (paths) => JSON.parse(fs.readFileSync(paths.stateFile, 'utf-8'));
+
+(async () => {
+  // ============================================================================
+  // Crawl Run Tests
+  // ============================================================================
+
+  console.log('\n🔹 Crawl Runs:');
+
+  await test('a run stays resumable until it completes', () => {
+    const state = { currentRun: null };
+    const run = startCrawlRun(state, 'run_a', { now: FULL_RUN });
+    assertEqual(run.startedAt, FULL_RUN.toISOString());
+    assertEqual(getInterruptedRun(state), run);
+
+    assertEqual(startCrawlRun(state, 'run_b', { resume: true, now: RESUMED_RUN }), run, 'Resuming carries on the interrupted run');
+    assertEqual(run.resumedAt, RESUMED_RUN.toISOString());
+
+    completeCrawlRun(state, RESUMED_RUN);
+    assertEqual(getInterruptedRun(state), null);
+    assertEqual(startCrawlRun(state, 'run_c', { resume: true, now: RESUMED_RUN }).runId, 'run_c', 'Nothing left to resume');
+  });
+
+  await test('domain checkpoints record their run and the injected time', () => {
+    const domainState = {};
+    const checkpoint = startDomainCheckpoint(domainState, ['https://alpha.gov.bd/'], { runId: 'run_a', now: FULL_RUN });
+    recordUrlOutcome(domainState, 'https://alpha.gov.bd/', 'saved', {}, INTERRUPTED_RUN);
+    completeDomainCheckpoint(domainState, RESUMED_RUN);
+
+    assertEqual(checkpoint.runId, 'run_a');
+    assertEqual(checkpoint.startedAt, FULL_RUN.toISOString());
+    assertEqual(domainState.urlOutcomes['https://alpha.gov.bd/'].at, INTERRUPTED_RUN.toISOString());
+    assertEqual(checkpoint.completedAt, RESUMED_RUN.toISOString());
+    assertEqual(isCheckpointOfRun(checkpoint, { runId: 'run_a' }), true);
+    assertEqual(isCheckpointOfRun(checkpoint, { runId: 'run_b' }), false);
+    assertEqual(isCheckpointOfRun({ completed: true }, { runId: 'run_a' }), false, 'Checkpoints without a run belong to none');
+  });
+
+  // ============================================================================
+  // Resume Tests
+  // ============================================================================
+
+  console.log('\n🔹 Resume:');
+
+  await test('--resume skips only the domains the interrupted run completed', async () => {
+    const paths = createTempPaths({ seeds: SEEDS });
+    try {
+      // A full run completes both domains
+      await crawl(paths, createBackend(), FULL_RUN).run();
+      const fullRun = readState(paths).currentRun;
+      assertEqual(fullRun.completedAt, FULL_RUN.toISOString());
+
+      // A crawl of alpha alone dies on its last page (the start page ranks last)
+      const interruptedBackend = createBackend({ hangOn: 'https://alpha.gov.bd/' });
+      crawl(paths, interruptedBackend, INTERRUPTED_RUN, { domains: ['alpha.gov.bd'] }).run();
+      await interruptedBackend.reachedHang;
+      const interrupted = readState(paths);
+      assertEqual(interrupted.currentRun.completedAt, null);
+      assert(interrupted.currentRun.runId !== fullRun.runId, 'A new run');
+      assertEqual(interrupted.domainStates['alpha.gov.bd'].checkpoint.runId, interrupted.currentRun.runId);
+      assertEqual(interrupted.domainStates['alpha.gov.bd'].checkpoint.completed, false);
+      assertEqual(interrupted.domainStates['beta.gov.bd'].checkpoint.runId, fullRun.runId, 'Beta was completed by the full run');
+
+      // Resuming finishes alpha and crawls beta, which the interrupted run never reached
+      const resumedBackend = createBackend();
+      const { runStats, state } = await crawl(paths, resumedBackend, RESUMED_RUN, { resume: true }).run();
+      assertEqual(resumedBackend.scraped.filter(url => url.includes('alpha')).join(','), 'https://alpha.gov.bd/', 'Alpha continues where it stopped');
+      assertEqual(resumedBackend.scraped.filter(url => url.includes('beta')).length, 3, 'Beta is crawled again');
+      assertEqual(runStats.domainsSkipped, 0);
+      assertEqual(state.currentRun.runId, interrupted.currentRun.runId, 'The resumed run carries on');
+      assertEqual(state.currentRun.completedAt, RESUMED_RUN.toISOString());
+      assertEqual(state.domainStates['beta.gov.bd'].checkpoint.runId, interrupted.currentRun.runId);
+    } finally {
+      fs.rmSync(paths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('domains the interrupted run completed are skipped', async () => {
+    const paths = createTempPaths({ seeds: SEEDS });
+    try {
+      // The run completes alpha and dies in beta
+      const interruptedBackend = createBackend({ hangOn: 'https://beta.gov.bd/' });
+      crawl(paths, interruptedBackend, INTERRUPTED_RUN).run();
+      await interruptedBackend.reachedHang;
+
+      const resumedBackend = createBackend();
+      const { runStats } = await crawl(paths, resumedBackend, RESUMED_RUN, { resume: true }).run();
+      assertEqual(resumedBackend.scraped.join(','), 'https://beta.gov.bd/');
+      assertEqual(runStats.domainsSkippedReasons.resume_completed, 1);
+
+      // Once completed, there is nothing left to resume
+      const againBackend = createBackend();
+      await crawl(paths, againBackend, RESUMED_RUN, { resume: true }).run();
+      assertEqual(againBackend.scraped.length, 6, 'Every domain is crawled');
+    } finally {
+      fs.rmSync(paths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('links followed before the interruption are crawled on resume', async () => {
+    const paths = createTempPaths({ seeds: SEEDS });
+    try {
+      const links = { 'https://alpha.gov.bd/service/fees': ['https://alpha.gov.bd/service/fees/express'] };
+      const interruptedBackend = createBackend({ hangOn: 'https://alpha.gov.bd/service/fees/express', links });
+      crawl(paths, interruptedBackend, INTERRUPTED_RUN, { domains: ['alpha.gov.bd'] }).run();
+      await interruptedBackend.reachedHang;
+      const checkpoint = readState(paths).domainStates['alpha.gov.bd'].checkpoint;
+      assertEqual(checkpoint.frontier[checkpoint.frontier.length - 1], 'https://alpha.gov.bd/service/fees/express', 'Followed link checkpointed');
+      assertEqual(checkpoint.updatedAt, INTERRUPTED_RUN.toISOString());
+
+      const resumedBackend = createBackend({ links });
+      await crawl(paths, resumedBackend, RESUMED_RUN, { resume: true, domains: ['alpha.gov.bd'] }).run();
+      assertEqual(resumedBackend.scraped.join(','), 'https://alpha.gov.bd/service/fees/express');
+    } finally {
+      fs.rmSync(paths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
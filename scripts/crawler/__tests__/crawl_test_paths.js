@@ -0,0 +1,43 @@
+/**
+ * Temp crawler paths shared by the tests that run whole crawls
+ * (cassette, crawl_state, crawler_api, replay and sitemaps tests)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EXAMPLE_SEED = { label: 'Example', domain: 'example.gov.bd', start_urls: ['https://example.gov.bd/'] };
+
+/**
+ * Temp directories for every path the crawler writes to, with a seeds file
+ * @param {Object} [options]
+ * @param {Object[]} [options.seeds] - Seeds (default: example.gov.bd, from its home page)
+ * @param {string} [options.snapshotsDir] - Existing snapshots directory to use instead of a new one
+ * @returns {Object} - Crawler paths (kbDir is the temp directory to remove)
+ */
+function createTempPaths(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-test-'));
+  const paths = {
+    kbDir: dir,
+    seedsDir: path.join(dir, 'seeds'),
+    snapshotsDir: options.snapshotsDir || path.join(dir, 'snapshots'),
+    documentsDir: path.join(dir, 'documents'),
+    docTextDir: path.join(dir, 'doc_text'),
+    runsDir: path.join(dir, 'runs'),
+    mcpScrapesDir: path.join(dir, 'mcp_scrapes'),
+    stateFile: path.join(dir, 'crawl_state.json'),
+    kbPath: path.join(dir, 'kb.json'),
+    kbPathV2: path.join(dir, 'kb_v2.json'),
+  };
+  fs.mkdirSync(paths.seedsDir);
+  fs.writeFileSync(path.join(paths.seedsDir, 'public_services_seeds.json'), JSON.stringify({
+    seeds: options.seeds || [EXAMPLE_SEED],
+  }));
+  return paths;
+}
+
+module.exports = {
+  EXAMPLE_SEED,
+  createTempPaths,
+};
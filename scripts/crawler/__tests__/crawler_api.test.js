@@ -0,0 +1,458 @@
+/**
+ * Tests for the embeddable crawler API (createCrawler in crawl.js)
+ *
+ * Run with: node scripts/crawler/__tests__/crawler_api.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Import crawler API
+const { createCrawler, createDefaultConfig, parseArgs, PATHS } = require('../../crawl');
+const { getLoggerSettings } = require('../logger');
+const { createTempPaths } = require('./crawl_test_paths');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const NOW = new Date('2026-03-01T08:00:00.000Z');
+
+/**
+ * Mock Firecrawl backend: robots.txt, no sitemap, a map of two pages (one failing)
+ */
+const scrape = async (url) => {
+  if (url.endsWith('/robots.txt')) return { rawHtml: 'User-agent: *\nAllow: /\n' };
+  if (url.includes('sitemap')) return null;
+  if (url.includes('/broken')) throw new Error('upstream timeout');
+  return { markdown: `# Passport fees\n\nFee: Tk 3000 for regular delivery (${url})`, html: '', title: 'Passport' };
+};
+const map = async () => ['https://example.gov.bd/service/fees', 'https://example.gov.bd/broken'];
+
+/**
+ * Run a crawler to completion and collect its events in order
+ */
+async function runWithEvents(options) {
+  const crawler = createCrawler({
+    scrape, map, domains: ['example.gov.bd'], rateLimit: 0, maxRetries: 0, logLevel: 'silent', ...options,
+  });
+  const events = [];
+  for (const name of ['run:start', 'domain:start', 'url:scraped', 'url:skipped', 'url:failed', 'claims:added', 'document:harvested', 'domain:done', 'run:done']) {
+    crawler.on(name, payload => events.push({ name, payload }));
+  }
+  const result = await crawler.run();
+  return { crawler, events, result };
+}
+
+(async () => {
+  // ============================================================================
+  // Configuration Tests
+  // ============================================================================
+
+  console.log('\n🔹 Configuration:');
+
+  await test('crawler config is the defaults plus the given options', () => {
+    const crawler = createCrawler({ maxPages: 5, paths: { kbPath: '/tmp/kb.json' } });
+    assertEqual(crawler.config.maxPages, 5);
+    assertEqual(crawler.config.maxDepth, createDefaultConfig().maxDepth);
+    assertEqual(crawler.config.cliLimits.maxPages, true, 'Explicit limits win over profiles');
+    assertEqual(crawler.config.cliLimits.maxDepth, false);
+    assertEqual(crawler.paths.kbPath, '/tmp/kb.json');
+    assertEqual(crawler.paths.stateFile, PATHS.stateFile, 'Other paths keep their defaults');
+    assert(!('scrape' in crawler.config) && !('paths' in crawler.config), 'Backend and paths stay out of the config');
+  });
+
+  await test('numeric CLI flags are parsed and invalid values rejected', () => {
+    const config = parseArgs(['--budget', '200', '--near-duplicate-threshold', '0.9', '--claim-age', '7.5', '--maxDepth', '0']);
+    assertEqual(config.budget, 200);
+    assertEqual(config.nearDuplicateThreshold, 0.9);
+    assertEqual(config.claimAge, 7.5);
+    assertEqual(config.maxDepth, 0);
+
+    const invalid = [
+      ['--budget', 'abc'], ['--budget', '50pages'], ['--maxPages', '0'], ['--rate-limit'],
+      ['--near-duplicate-threshold', 'high'], ['--near-duplicate-threshold', '1.5'], ['--remove-after-days', '-1'],
+    ];
+    for (const args of invalid) {
+      let error = null;
+      try {
+        parseArgs(args);
+      } catch (e) {
+        error = e;
+      }
+      assert(error && error.message.startsWith(`Invalid ${args[0]} `), `${args.join(' ')} is rejected`);
+    }
+  });
+
+  // ============================================================================
+  // Progress Event Tests
+  // ============================================================================
+
+  console.log('\n🔹 Progress Events:');
+
+  await test('a crawl emits run, domain and URL events in order', async () => {
+    const paths = createTempPaths();
+    const { events, result } = await runWithEvents({ paths, clock: () => NOW });
+    const names = events.map(e => e.name);
+    assertEqual(names[0], 'run:start');
+    assertEqual(names[1], 'domain:start');
+    assertEqual(names[names.length - 2], 'domain:done');
+    assertEqual(names[names.length - 1], 'run:done');
+
+    const scraped = events.filter(e => e.name === 'url:scraped').map(e => e.payload);
+    assertEqual(scraped.map(p => p.url).sort().join(','), 'https://example.gov.bd/,https://example.gov.bd/service/fees');
+    assert(scraped.every(p => p.domain === 'example.gov.bd' && p.outcome === 'saved' && p.source_page_id), 'Scraped payloads');
+
+    const claims = events.filter(e => e.name === 'claims:added').map(e => e.payload);
+    assertEqual(claims.length, 2, 'One claims event per saved page');
+    assertEqual(names.indexOf('claims:added') < names.indexOf('url:scraped'), true, 'Claims are added before the page is done');
+
+    const failures = events.filter(e => e.name === 'url:failed').map(e => e.payload);
+    assertEqual(failures.length, 1);
+    assertEqual(failures[0].url, 'https://example.gov.bd/broken');
+    assertEqual(failures[0].error, 'upstream timeout');
+
+    const done = events.find(e => e.name === 'domain:done').payload;
+    assertEqual(done.stats.pagesSaved, 2);
+    assertEqual(events[names.length - 1].payload.report, result.report);
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('skipped URLs report why', async () => {
+    const paths = createTempPaths();
+    await runWithEvents({ paths });
+    const { events } = await runWithEvents({ paths, refresh: 'missing' });
+    const skipped = events.filter(e => e.name === 'url:skipped').map(e => e.payload.reason);
+    assertEqual(skipped.join(','), 'snapshot_exists_today,snapshot_exists_today');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('a URL is checked under its known canonical page before it is fetched', async () => {
+    const paths = createTempPaths();
+    const scraped = [];
+    const scrapeVariant = async (url, options) => {
+      scraped.push(url);
+      if (url.endsWith('/service/fees?lang=en')) {
+        return {
+          markdown: '# Passport fees\n\nFee: Tk 3000 for regular delivery',
+          rawHtml: '<link rel="canonical" href="https://example.gov.bd/service/fees">',
+          title: 'Passport',
+        };
+      }
+      return scrape(url, options);
+    };
+    const mapVariant = async () => ['https://example.gov.bd/service/fees?lang=en'];
+    const { result } = await runWithEvents({ paths, scrape: scrapeVariant, map: mapVariant });
+    assert(result.kb.source_pages.some(sp => sp.canonical_url === 'https://example.gov.bd/service/fees'), 'Saved under its canonical URL');
+    scraped.length = 0;
+    const { events } = await runWithEvents({ paths, scrape: scrapeVariant, map: mapVariant, refresh: 'missing' });
+    assert(!scraped.includes('https://example.gov.bd/service/fees?lang=en'), `Scraped: ${scraped.join(', ')}`);
+    const skipped = events.find(e => e.name === 'url:skipped' && e.payload.url.endsWith('?lang=en'));
+    assertEqual(skipped.payload.reason, 'snapshot_exists_today');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Injection Tests
+  // ============================================================================
+
+  console.log('\n🔹 Injected Paths and Clock:');
+
+  await test('state, KB, snapshots and reports go to the injected paths', async () => {
+    const paths = createTempPaths();
+    const realState = fs.existsSync(PATHS.stateFile) ? fs.statSync(PATHS.stateFile).mtimeMs : null;
+    const realKb = fs.existsSync(PATHS.kbPath) ? fs.statSync(PATHS.kbPath).mtimeMs : null;
+    await runWithEvents({ paths });
+    assert(fs.existsSync(paths.stateFile), 'State saved');
+    assertEqual(JSON.parse(fs.readFileSync(paths.kbPath, 'utf-8')).source_pages.length, 2, 'KB saved');
+    assert(fs.readdirSync(paths.snapshotsDir).length > 0, 'Snapshots saved');
+    assert(fs.readdirSync(paths.runsDir, { recursive: true }).some(f => f.endsWith('crawl_report.json')), 'Run report saved');
+    assertEqual(fs.existsSync(PATHS.stateFile) ? fs.statSync(PATHS.stateFile).mtimeMs : null, realState, 'Real state untouched');
+    assertEqual(fs.existsSync(PATHS.kbPath) ? fs.statSync(PATHS.kbPath).mtimeMs : null, realKb, 'Real KB untouched');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('crawl timestamps come from the injected clock', async () => {
+    const paths = createTempPaths();
+    const { result } = await runWithEvents({ paths, clock: () => NOW });
+    const crawledAt = Object.values(result.state.pageCrawledAt);
+    assertEqual(crawledAt.length, 2);
+    assert(crawledAt.every(ts => ts === NOW.toISOString()), `Page timestamps: ${crawledAt.join(', ')}`);
+    assertEqual(result.state.domainStates['example.gov.bd'].lastCrawled, NOW.toISOString());
+    for (const sourcePage of result.kb.source_pages) {
+      assertEqual(sourcePage.first_crawled_at, NOW.toISOString());
+      assertEqual(sourcePage.last_crawled_at, NOW.toISOString());
+    }
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('the failure report of a failed run is timed by the injected clock', async () => {
+    const paths = createTempPaths();
+    let error = null;
+    try {
+      await runWithEvents({ paths, scrape: null, map: null, clock: () => NOW });
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.name, 'FirecrawlUnavailableError');
+    const report = JSON.parse(fs.readFileSync(path.join(paths.runsDir, '2026-03-01', 'crawl_report.json'), 'utf-8'));
+    assertEqual(report.errors.length, 1);
+    assertEqual(report.errors[0].timestamp, NOW.toISOString());
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('a silent run still writes its log file, and closes it when done', async () => {
+    const paths = createTempPaths();
+    const logFile = path.join(paths.kbDir, 'crawl.jsonl');
+    await runWithEvents({ paths, logFile });
+    assertEqual(getLoggerSettings().file, null, 'Log file closed');
+    const events = fs.readFileSync(logFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line).event);
+    assert(events.includes('page.saved') && events.includes('run.summary'), `Events: ${[...new Set(events)].join(', ')}`);
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('documents and .xml.gz sitemaps are fetched through the injected fetchBinary', async () => {
+    const paths = createTempPaths();
+    const fetched = [];
+    const fetchBinary = async (url) => {
+      fetched.push(url);
+      if (url.endsWith('.xml.gz')) {
+        return { buffer: zlib.gzipSync('<urlset><url><loc>https://example.gov.bd/service/apply</loc></url></urlset>') };
+      }
+      return { buffer: Buffer.from('%PDF-1.4 application form'), contentType: 'application/pdf' };
+    };
+    const scrapeWithForm = async (url, options) => {
+      if (url.endsWith('/robots.txt')) return { rawHtml: 'User-agent: *\nAllow: /\nSitemap: https://example.gov.bd/sitemap.xml.gz\n' };
+      if (url.endsWith('/service/fees')) {
+        return { markdown: '# Passport fees\n\nFee: Tk 3000.\n\n[Application form](https://example.gov.bd/forms/application.pdf)', html: '', title: 'Passport' };
+      }
+      return scrape(url, options);
+    };
+    const { events, result } = await runWithEvents({ paths, scrape: scrapeWithForm, fetchBinary, clock: () => NOW });
+    assertEqual(fetched.join(','), 'https://example.gov.bd/sitemap.xml.gz,https://example.gov.bd/forms/application.pdf');
+    assert(result.kb.source_pages.some(sp => sp.canonical_url === 'https://example.gov.bd/service/apply'), 'Sitemap URL crawled');
+    const harvested = events.filter(e => e.name === 'document:harvested');
+    assertEqual(harvested.length, 1);
+    assertEqual(harvested[0].payload.url, 'https://example.gov.bd/forms/application.pdf');
+    assertEqual(result.runStats.errors.filter(e => e.stage === 'document').length, 0);
+    assert(fs.readdirSync(path.join(paths.documentsDir, 'example.gov.bd')).some(f => f.endsWith('.pdf')), 'Document saved');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('the run ID, report times and report directory come from the injected clock', async () => {
+    const paths = createTempPaths();
+    const { result } = await runWithEvents({ paths, clock: () => NOW });
+    assertEqual(result.report.run_id, `run_2026-03-01_${NOW.getTime()}`);
+    assertEqual(result.report.started_at, NOW.toISOString());
+    assertEqual(result.report.completed_at, NOW.toISOString());
+    assertEqual(fs.readdirSync(paths.runsDir).join(','), '2026-03-01');
+    const saved = JSON.parse(fs.readFileSync(path.join(paths.runsDir, '2026-03-01', 'crawl_report.json'), 'utf-8'));
+    assertEqual(saved.run_id, result.report.run_id);
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Link Following Tests
+  // ============================================================================
+
+  console.log('\n🔹 Following Links:');
+
+  /**
+   * Mock backend whose start page links to the given URLs (nothing else is mapped)
+   */
+  const linkingBackend = (links, robotsTxt = 'User-agent: *\nAllow: /\n') => {
+    const scraped = [];
+    const scrapeLinks = async (url, options) => {
+      if (url.endsWith('/robots.txt')) return { rawHtml: robotsTxt };
+      if (!url.includes('sitemap')) scraped.push(url);
+      if (url === 'https://example.gov.bd/') {
+        return { markdown: `# Services\n\n${links.map((link, i) => `- [Service ${i}](${link})`).join('\n')}`, html: '', title: 'Services' };
+      }
+      return scrape(url, options);
+    };
+    return { scrape: scrapeLinks, map: async () => [], scraped };
+  };
+
+  await test('followed links respect robots.txt, maxDepth and the domain', async () => {
+    const paths = createTempPaths();
+    const backend = linkingBackend([
+      'https://example.gov.bd/service/fees',
+      'https://example.gov.bd/private/forms',
+      'https://example.gov.bd/service/fees/regular/48-pages/details',
+      'https://other.gov.bd/service/fees',
+    ], 'User-agent: *\nDisallow: /private/\n');
+    const { events, result } = await runWithEvents({ paths, scrape: backend.scrape, map: backend.map, maxDepth: 3 });
+    assertEqual(backend.scraped.join(','), 'https://example.gov.bd/,https://example.gov.bd/service/fees', 'Too deep and off-domain links are not followed');
+    const excluded = result.state.domainStates['example.gov.bd'].excludedUrls;
+    assertEqual(excluded.map(e => `${e.url} ${e.reason}`).join(','), 'https://example.gov.bd/private/forms robots');
+    assertEqual(events.find(e => e.name === 'domain:done').payload.stats.pagesDiscoveredViaLinks, 1);
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('discovered and followed pages together stop at maxPages', async () => {
+    const paths = createTempPaths();
+    const links = ['apply', 'fees', 'status', 'delivery'].map(page => `https://example.gov.bd/service/${page}`);
+    const backend = linkingBackend(links);
+    await runWithEvents({ paths, scrape: backend.scrape, map: backend.map, maxPages: 3 });
+    assertEqual(backend.scraped.length, 3, `Scraped: ${backend.scraped.join(', ')}`);
+    assertEqual(backend.scraped[0], 'https://example.gov.bd/');
+
+    const mappedPaths = createTempPaths();
+    const mapped = linkingBackend(links);
+    await runWithEvents({ paths: mappedPaths, scrape: mapped.scrape, map: async () => links, maxPages: 2 });
+    assertEqual(mapped.scraped.length, 2, `Scraped: ${mapped.scraped.join(', ')}`);
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+    fs.rmSync(mappedPaths.kbDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Stale Claim Tests
+  // ============================================================================
+
+  console.log('\n🔹 Stale Claims:');
+
+  await test('a stale-claims recrawl of an unchanged page takes its claims out of stale', async () => {
+    const paths = createTempPaths();
+    await runWithEvents({ paths, clock: () => NOW });
+    const kb = JSON.parse(fs.readFileSync(paths.kbPath, 'utf-8'));
+    const staleClaim = kb.claims.find(c => c.citations.some(cit => cit.quoted_text));
+    Object.assign(staleClaim, { status: 'stale', previous_status: 'unverified', stale_marked_at: NOW.toISOString(), stale_due_to_source_hash: 'x' });
+    fs.writeFileSync(paths.kbPath, JSON.stringify(kb));
+
+    const { result } = await runWithEvents({ paths, refresh: 'stale-claims', clock: () => NOW });
+    const claim = result.kb.claims.find(c => c.claim_id === staleClaim.claim_id);
+    assertEqual(claim.status, 'unverified');
+    assertEqual(claim.previous_status, 'stale');
+    assertEqual(claim.stale_marked_at, undefined);
+    assertEqual(result.kb.audit_log.filter(e => e.metadata && e.metadata.outcome === 'restored').length, 1);
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Crawl Plan Tests
+  // ============================================================================
+
+  console.log('\n🔹 Crawl Plans:');
+
+  await test('a dry run writes its plan and leaves state and KB untouched', async () => {
+    const paths = createTempPaths();
+    await runWithEvents({ paths });
+    const stateBefore = fs.readFileSync(paths.stateFile, 'utf-8');
+    const kbBefore = fs.readFileSync(paths.kbPath, 'utf-8');
+    const planOut = path.join(paths.kbDir, 'plan.json');
+    const scrapeDisallowing = async (url, options) => url.endsWith('/robots.txt')
+      ? { rawHtml: 'User-agent: *\nDisallow: /broken\n' }
+      : scrape(url, options);
+    const { result } = await runWithEvents({ paths, scrape: scrapeDisallowing, dryRun: true, planOut, clock: () => NOW });
+    assertEqual(result.runStats.status, 'dry_run');
+    assertEqual(fs.readFileSync(paths.stateFile, 'utf-8'), stateBefore, 'State file untouched');
+    assertEqual(fs.readFileSync(paths.kbPath, 'utf-8'), kbBefore, 'KB untouched');
+    assertEqual(result.state.domainStates['example.gov.bd'].excludedUrls.length, 0, 'Discovery stays out of the run state');
+    const plan = JSON.parse(fs.readFileSync(planOut, 'utf-8'));
+    assertEqual(plan.created_at, NOW.toISOString());
+    assertEqual(plan.domains[0].urls.find(u => u.url.endsWith('/broken')).reason, 'robots');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  await test('a reviewed plan skips URLs robots.txt has disallowed since', async () => {
+    const paths = createTempPaths();
+    const planOut = path.join(paths.kbDir, 'plan.json');
+    await runWithEvents({ paths, dryRun: true, planOut });
+    const scrapedUrls = [];
+    const scrapeDisallowing = async (url, options) => {
+      scrapedUrls.push(url);
+      return url.endsWith('/robots.txt') ? { rawHtml: 'User-agent: *\nDisallow: /service/\n' } : scrape(url, options);
+    };
+    const { result } = await runWithEvents({ paths, scrape: scrapeDisallowing, planFile: planOut });
+    assert(!scrapedUrls.some(url => url.includes('/service/')), `Scraped: ${scrapedUrls.join(', ')}`);
+    assert(scrapedUrls.includes('https://example.gov.bd/'), 'Allowed planned URLs are crawled');
+    assertEqual(result.state.domainStates['example.gov.bd'].excludedUrls.find(e => e.url.endsWith('/service/fees')).reason, 'robots');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Near-Duplicate Tests
+  // ============================================================================
+
+  console.log('\n🔹 Near-Duplicates:');
+
+  await test('a recrawl never leaves two pages near-duplicates of each other', async () => {
+    const paths = createTempPaths();
+    const fees = [
+      '# e-Passport Fees',
+      '- 48 pages and 5 years validity: Tk 4,025 for regular delivery within 15 working days',
+      '- 48 pages and 10 years validity: Tk 5,750 for regular delivery within 15 working days',
+      '- 64 pages and 5 years validity: Tk 6,325 for regular delivery within 15 working days',
+      '- 64 pages and 10 years validity: Tk 8,050 for regular delivery within 15 working days',
+      '- 48 pages and 5 years validity: Tk 6,325 for express delivery within 7 working days',
+      '- 48 pages and 10 years validity: Tk 8,050 for express delivery within 7 working days',
+      '- 64 pages and 5 years validity: Tk 8,625 for express delivery within 7 working days',
+      '- 64 pages and 10 years validity: Tk 10,350 for express delivery within 7 working days',
+      'Fees can be paid online through the payment gateway or at designated banks before enrolment.',
+      'Applicants must bring the payment slip to the passport office on the day of enrolment.',
+    ].join('\n\n');
+    const faq = [
+      '# Frequently Asked Questions',
+      'Visit the status check page and enter your enrolment ID and date of birth to see your application.',
+      'Appointments can be rescheduled once from the online portal up to two days before the date.',
+      'A birth registration certificate and the national ID cards of both parents are required for a minor.',
+      'Lost passports must be reported to the nearest police station before applying for a replacement.',
+      'Applicants living abroad can apply through the Bangladesh mission in their country of residence.',
+      'The delivery slip and the old passport must be brought when collecting the new passport.',
+      'Biometric enrolment takes place at the regional passport office chosen in the online application.',
+    ].join('\n\n');
+    let round = 1;
+    const pages = {
+      1: { '/service/a': faq, '/service/b': fees },
+      // The two pages swap content: a now duplicates b, and b matches what a used to be
+      2: { '/service/a': `${fees}\n\n[Print](https://example.gov.bd/print)`, '/service/b': `${faq}\n\nContact the passport office for help.` },
+    };
+    const scrapePages = async (url, options) => {
+      const page = Object.keys(pages[round]).find(p => url.endsWith(p));
+      return page ? { markdown: pages[round][page], html: '', title: 'Passport' } : scrape(url, options);
+    };
+    const mapPages = async () => ['https://example.gov.bd/service/a', 'https://example.gov.bd/service/b'];
+    await runWithEvents({ paths, scrape: scrapePages, map: mapPages });
+    round = 2;
+    const { result } = await runWithEvents({ paths, scrape: scrapePages, map: mapPages });
+    const byUrl = url => result.kb.source_pages.find(sp => sp.canonical_url === `https://example.gov.bd${url}`);
+    assertEqual(byUrl('/service/a').near_duplicate_of, byUrl('/service/b').source_page_id, 'The changed page is a near-duplicate');
+    assertEqual(byUrl('/service/b').near_duplicate_of, undefined, 'Its canonical page stays canonical');
+    fs.rmSync(paths.kbDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -18,6 +18,7 @@ const {
   extractFees,
   extractFAQs,
   extractDocumentLinks,
+  extractPageLinks,
 } = require('../extraction');
 
 // Import Firecrawl overrides for postprocess testing
@@ -326,6 +327,22 @@ test('extractDocumentLinks extracts from fixture', () => {
   assertEqual(docs.length, 3, 'Should find 3 documents in fixture');
 });
 
+test('extractPageLinks resolves relative links and drops fragments', () => {
+  const markdown = '[Fees](/services/fees#table) [Apply](apply) [Fees again](https://example.gov.bd/services/fees)';
+  const links = extractPageLinks(markdown, '', 'https://example.gov.bd/services/');
+  assertEqual(links.length, 2, 'Should dedupe after dropping fragment');
+  assertEqual(links[0], 'https://example.gov.bd/services/fees');
+  assertEqual(links[1], 'https://example.gov.bd/services/apply');
+});
+
+test('extractPageLinks skips documents, images and non-http links', () => {
+  const markdown = '[Form](/form.pdf) ![Logo](/logo.png) [Mail](mailto:info@example.gov.bd) [Top](#top)';
+  const html = '<a href="/notice?id=1&amp;lang=bn">Notice</a><link href="/style.css">';
+  const links = extractPageLinks(markdown, html, 'https://example.gov.bd');
+  assertEqual(links.length, 1, 'Should only keep the HTML page link');
+  assertEqual(links[0], 'https://example.gov.bd/notice?id=1&lang=bn');
+});
+
 // ============================================================================
 // Full Extraction Pipeline Tests
 // ============================================================================
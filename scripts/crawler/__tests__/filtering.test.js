@@ -0,0 +1,144 @@
+/**
+ * Tests for filtering.js module (robots.txt semantics)
+ *
+ * Run with: node scripts/crawler/__tests__/filtering.test.js
+ */
+
+// Import filtering module
+const {
+  parseRobotsTxt,
+  matchRobotsRule,
+  isPathAllowed,
+} = require('../filtering');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================================================
+// Group Selection Tests
+// ============================================================================
+
+console.log('\n🔹 robots.txt Groups:');
+
+const GROUPED_ROBOTS = `
+# Global sitemap
+Sitemap: https://example.gov.bd/sitemap.xml
+
+User-agent: Googlebot
+User-agent: InfobaseBot
+Disallow: /private
+Crawl-delay: 5
+
+User-agent: *
+Disallow: /
+
+User-agent: infobasebot
+Allow: /private/forms
+`;
+
+test('parseRobotsTxt merges all groups naming our product token', () => {
+  const rules = parseRobotsTxt(GROUPED_ROBOTS);
+  assertEqual(rules.userAgent, 'InfobaseBot', 'Should select our own groups');
+  assertEqual(rules.disallow.length, 1, 'Should not inherit the * group');
+  assertEqual(rules.disallow[0], '/private');
+  assertEqual(rules.allow[0], '/private/forms', 'Should merge the second matching group');
+  assertEqual(rules.crawlDelay, 5, 'Should read Crawl-delay of the selected group');
+  assertEqual(rules.sitemaps.length, 1, 'Sitemaps apply regardless of group');
+});
+
+test('parseRobotsTxt falls back to the * group', () => {
+  const rules = parseRobotsTxt(GROUPED_ROBOTS, 'OtherBot');
+  assertEqual(rules.userAgent, '*');
+  assertEqual(rules.disallow[0], '/');
+  assertEqual(rules.crawlDelay, null, 'Crawl-delay of other groups does not apply');
+});
+
+test('parseRobotsTxt treats an empty Disallow as allow-all', () => {
+  const rules = parseRobotsTxt('User-agent: *\nDisallow:\n');
+  assertEqual(rules.rules.length, 0);
+  assert(isPathAllowed('/anything', rules), 'Everything should be allowed');
+});
+
+test('parseRobotsTxt without any group allows everything', () => {
+  const rules = parseRobotsTxt('Sitemap: https://example.gov.bd/sitemap.xml\n');
+  assertEqual(rules.userAgent, null);
+  assert(isPathAllowed('/admin', rules), 'No group means no restrictions');
+});
+
+// ============================================================================
+// Matching Tests
+// ============================================================================
+
+console.log('\n🔹 robots.txt Matching:');
+
+test('longest match wins over rule order', () => {
+  const rules = parseRobotsTxt('User-agent: *\nAllow: /services/\nDisallow: /services/internal/\n');
+  assert(isPathAllowed('/services/passport', rules), 'Shorter allow applies');
+  const match = matchRobotsRule('/services/internal/report', rules);
+  assertEqual(match.allowed, false, 'Longer disallow should win');
+  assertEqual(match.rule.pattern, '/services/internal/');
+  assertEqual(match.rule.line, 3, 'Should report the deciding line');
+});
+
+test('allow wins a tie of equal length', () => {
+  const rules = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page\n');
+  assert(isPathAllowed('/page', rules), 'Allow should win the tie');
+});
+
+test('* wildcard and $ anchor are supported', () => {
+  const rules = parseRobotsTxt('User-agent: *\nDisallow: /*.php$\nDisallow: /*?print=\n');
+  assertEqual(isPathAllowed('/index.php', rules), false, '$ should anchor the end');
+  assert(isPathAllowed('/index.php?lang=bn', rules), 'Anchored rule should not match with a query');
+  assertEqual(isPathAllowed('/notice?print=1', rules), false, 'Wildcard should match the query');
+});
+
+test('percent-encoded and raw paths match the same rule', () => {
+  const rules = parseRobotsTxt('User-agent: *\nDisallow: /সেবা\n');
+  assertEqual(isPathAllowed('/%E0%A6%B8%E0%A7%87%E0%A6%AC%E0%A6%BE/list', rules), false);
+});
+
+test('/robots.txt is always allowed', () => {
+  const rules = parseRobotsTxt('User-agent: *\nDisallow: /\n');
+  assert(isPathAllowed('/robots.txt', rules), 'robots.txt must stay fetchable');
+});
+
+test('rules without per-rule records are still matched', () => {
+  const legacy = { disallow: ['/admin'], allow: ['/admin/public'], sitemaps: [] };
+  assertEqual(isPathAllowed('/admin/users', legacy), false);
+  assert(isPathAllowed('/admin/public/notice', legacy), 'Longer allow should win');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
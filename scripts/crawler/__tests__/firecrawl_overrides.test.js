@@ -0,0 +1,134 @@
+/**
+ * Tests for firecrawl_overrides.js module
+ *
+ * Run with: node scripts/crawler/__tests__/firecrawl_overrides.test.js
+ */
+
+// Import Firecrawl overrides module
+const {
+  getFirecrawlOverridesForUrl,
+  registerUrlOverrides,
+  formatOverrideLog,
+  globToRegExp,
+  clickTab,
+  expandAccordions,
+  expandActionPresets,
+} = require('../firecrawl_overrides');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  } finally {
+    registerUrlOverrides({});
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================================================
+// Glob Tests
+// ============================================================================
+
+console.log('\n🔹 URL Globs:');
+
+test('* stays within a path segment, ** crosses segments', () => {
+  assert(globToRegExp('brta.gov.bd/fee*').test('brta.gov.bd/fees'), 'fee* matches fees');
+  assert(!globToRegExp('brta.gov.bd/*').test('brta.gov.bd/service/fees'), '* does not cross /');
+  assert(globToRegExp('brta.gov.bd/**').test('brta.gov.bd/service/fees'), '** crosses /');
+  assert(globToRegExp('*.brta.gov.bd/**/faq').test('bsp.brta.gov.bd/en/help/faq'), 'Host and path wildcards');
+  assert(!globToRegExp('brta.gov.bd/fee?').test('brta.gov.bd/fee/x'), '? is one non-slash character');
+});
+
+// ============================================================================
+// Precedence Tests
+// ============================================================================
+
+console.log('\n🔹 Override Precedence:');
+
+test('exact URL overrides win over URL rules', () => {
+  const overrides = getFirecrawlOverridesForUrl('https://epassport.gov.bd/instructions/passport-fees/');
+  assertEqual(overrides.waitFor, 5000);
+  assertEqual(typeof overrides.postprocessMarkdown, 'function');
+});
+
+test('built-in rules render SPA accordions with page actions', () => {
+  const faq = getFirecrawlOverridesForUrl('https://www.epassport.gov.bd/landing/faqs');
+  assert(faq.actions.some(a => a.type === 'executeJavascript' && a.script.includes('ngb-accordion')), 'Expands ngb-accordion');
+  const brtaFees = getFirecrawlOverridesForUrl('https://bsp.brta.gov.bd/service/fees?lang=en');
+  assertEqual(brtaFees.onlyMainContent, false);
+  assert(Array.isArray(brtaFees.actions), 'BRTA fee page gets actions');
+  assertEqual(getFirecrawlOverridesForUrl('https://bsp.brta.gov.bd/notice'), null);
+  assert(getFirecrawlOverridesForUrl('https://nidw.gov.bd/faq/'), 'FAQ page with trailing slash');
+  assertEqual(getFirecrawlOverridesForUrl('https://nidw.gov.bd/feedback'), null, '/feedback is not a fee page');
+  assertEqual(getFirecrawlOverridesForUrl('https://brta.gov.bd/coffee'), null, '/coffee is not a fee page');
+});
+
+test('the highest-priority matching rule wins, profile rules first on ties', () => {
+  registerUrlOverrides({
+    'nidw.gov.bd/**': { waitFor: 1000 },
+    'nidw.gov.bd/fee*': { waitFor: 2000, priority: 5 },
+  });
+  assertEqual(getFirecrawlOverridesForUrl('https://nidw.gov.bd/fees').waitFor, 2000, 'Priority 5 rule');
+  assertEqual(getFirecrawlOverridesForUrl('https://nidw.gov.bd/faq').waitFor, 1000, 'Profile rule beats built-in rule of equal priority');
+  assertEqual(getFirecrawlOverridesForUrl('https://nidw.gov.bd/about').waitFor, 1000);
+});
+
+test('registered exact overrides replace built-in ones', () => {
+  registerUrlOverrides({ 'https://epassport.gov.bd/instructions/passport-fees': { waitFor: 9000 } });
+  const overrides = getFirecrawlOverridesForUrl('https://www.epassport.gov.bd/instructions/passport-fees');
+  assertEqual(overrides.waitFor, 9000);
+  assertEqual(overrides.postprocessMarkdown, undefined);
+});
+
+// ============================================================================
+// Action Tests
+// ============================================================================
+
+console.log('\n🔹 Page Actions:');
+
+test('action presets expand to Firecrawl actions', () => {
+  const actions = expandActionPresets([
+    { type: 'selectLanguage', selector: '.switch-language__button:not(.switch-language__button--active)' },
+    { type: 'expandAccordions', settleMs: 2000 },
+    { type: 'scroll', direction: 'down' },
+  ]);
+  assertEqual(actions.map(a => a.type).join(','), 'wait,click,wait,executeJavascript,wait,scroll');
+  assertEqual(actions[4].milliseconds, 2000);
+  assertEqual(clickTab('#fees-tab')[1].selector, '#fees-tab');
+  assert(expandAccordions()[0].script.includes('[aria-expanded=\\"false\\"]'), 'Default selector is escaped into the script');
+});
+
+test('formatOverrideLog lists actions', () => {
+  const log = formatOverrideLog(getFirecrawlOverridesForUrl('https://epassport.gov.bd/landing/faqs'), 'u');
+  assert(log.includes('actions=executeJavascript,wait'), log);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
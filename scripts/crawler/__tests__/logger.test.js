@@ -0,0 +1,192 @@
+/**
+ * Tests for logger.js module
+ *
+ * Run with: node scripts/crawler/__tests__/logger.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import logger module
+const {
+  LOG_FIELDS,
+  LoggerConfigError,
+  configureLogger,
+  closeLogger,
+  getLoggerSettings,
+  getLogger,
+  startTimer,
+} = require('../logger');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Run fn with the given logger settings and return what reached the console
+ */
+function capture(options, fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = (line) => lines.push(line);
+  console.error = (line) => lines.push(`[stderr] ${line}`);
+  try {
+    configureLogger(options);
+    fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+    configureLogger({ level: 'info', format: 'text', file: null });
+  }
+  return lines;
+}
+
+const log = getLogger('test', { domain: 'example.gov.bd' });
+
+// ============================================================================
+// Text Output Tests
+// ============================================================================
+
+console.log('\n🔹 Text Output:');
+
+test('text format prints messages as they are', () => {
+  const lines = capture({ format: 'text' }, () => {
+    log.info('page.saved', '        ✓ Saved (3 claims, 0 docs)', { outcome: 'saved' });
+    log.error('page.error', '        ❌ Error: timeout', { outcome: 'error' });
+    log.info('page.timing', null, { duration_ms: 12 });
+    log.print('═══');
+  });
+  assertEqual(lines.join('|'), '        ✓ Saved (3 claims, 0 docs)|[stderr]         ❌ Error: timeout|═══');
+});
+
+test('levels below the configured level are dropped', () => {
+  const lines = capture({ level: 'warn' }, () => {
+    log.debug('a', 'debug');
+    log.info('b', 'info');
+    log.print('decoration');
+    log.warn('c', 'warn');
+  });
+  assertEqual(lines.join('|'), 'warn');
+  const verbose = capture({ level: 'debug' }, () => log.debug('a', 'debug'));
+  assertEqual(verbose.join('|'), 'debug');
+});
+
+// ============================================================================
+// JSON Output Tests
+// ============================================================================
+
+console.log('\n🔹 JSON Output:');
+
+test('json format writes one event per line with the schema fields first', () => {
+  const lines = capture({ format: 'json' }, () => {
+    log.child({ stage: 'scrape' }).info('page.saved', '        ✓ Saved', {
+      claims_added: 3, outcome: 'saved', url: 'https://example.gov.bd/fees', duration_ms: 840, source_page_id: 'source.abc',
+    });
+    log.print('decoration is not an event');
+  });
+  assertEqual(lines.length, 1);
+  const record = JSON.parse(lines[0]);
+  assertEqual(Object.keys(record).join(','),
+    'ts,level,component,event,domain,url,source_page_id,stage,duration_ms,outcome,claims_added,msg');
+  assertEqual(record.component, 'test');
+  assertEqual(record.msg, '✓ Saved', 'Message is trimmed');
+  assert(LOG_FIELDS.every(field => field in record), 'Every schema field is present');
+});
+
+test('errors are serialized by name, message and code', () => {
+  const error = new LoggerConfigError('bad');
+  const [line] = capture({ format: 'json' }, () => log.error('x', 'failed', { error }));
+  const record = JSON.parse(line);
+  assertEqual(record.error.name, 'LoggerConfigError');
+  assertEqual(record.error.code, 'LOGGER_CONFIG_INVALID');
+});
+
+test('a log file receives JSON lines alongside text output', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-log-')), 'logs', 'crawl.jsonl');
+  const lines = capture({ format: 'text', file }, () => {
+    log.info('page.saved', 'saved', { outcome: 'saved' });
+    log.info('page.timing', null, { duration_ms: 5 });
+    assertEqual(getLoggerSettings().file, file);
+  });
+  assertEqual(lines.join('|'), 'saved');
+  const events = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assertEqual(events.map(e => e.event).join(','), 'page.saved,page.timing');
+  assertEqual(getLoggerSettings().file, null, 'File is closed on reconfiguration');
+  fs.rmSync(path.dirname(path.dirname(file)), { recursive: true, force: true });
+});
+
+test('the log file keeps its own level when the console is silent', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-log-')), 'crawl.jsonl');
+  const lines = capture({ level: 'silent', file }, () => {
+    assertEqual(getLoggerSettings().fileLevel, 'info');
+    log.debug('page.timing', 'timing');
+    log.info('page.saved', 'saved');
+    configureLogger({ fileLevel: 'debug' });
+    log.debug('page.timing', 'timing');
+  });
+  assertEqual(lines.length, 0, 'Nothing reaches the console');
+  const events = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assertEqual(events.map(e => e.event).join(','), 'page.saved,page.timing');
+  configureLogger({ fileLevel: null });
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+// ============================================================================
+// Configuration Tests
+// ============================================================================
+
+console.log('\n🔹 Configuration:');
+
+test('unknown levels and formats are rejected', () => {
+  for (const options of [{ level: 'loud' }, { format: 'xml' }]) {
+    let error = null;
+    try {
+      configureLogger(options);
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof LoggerConfigError, `${JSON.stringify(options)} is rejected`);
+  }
+  assertEqual(getLoggerSettings().level, 'info', 'Settings are unchanged');
+  closeLogger();
+});
+
+test('timers measure elapsed milliseconds', () => {
+  const elapsed = startTimer();
+  assert(elapsed() >= 0 && elapsed() < 1000);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
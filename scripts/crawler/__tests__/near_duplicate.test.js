@@ -0,0 +1,157 @@
+/**
+ * Tests for near_duplicate.js module
+ *
+ * Run with: node scripts/crawler/__tests__/near_duplicate.test.js
+ */
+
+// Import near-duplicate module
+const {
+  computeSimhash,
+  hammingDistance,
+  simhashSimilarity,
+  getNearDuplicateIndex,
+  clusterNearDuplicates,
+} = require('../near_duplicate');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================================================
+// Fixtures
+// ============================================================================
+
+const FEES_PAGE = `# e-Passport Fees
+
+## Regular Delivery (within 15 working days)
+- 48 pages and 5 years validity: Tk 4,025
+- 48 pages and 10 years validity: Tk 5,750
+- 64 pages and 5 years validity: Tk 6,325
+- 64 pages and 10 years validity: Tk 8,050
+
+## Express Delivery (within 7 working days)
+- 48 pages and 5 years validity: Tk 6,325
+- 48 pages and 10 years validity: Tk 8,050
+
+Fees can be paid online through the payment gateway or at designated banks.
+Applicants must bring the payment slip to the passport office on the day of enrolment.`;
+
+// Print view: same content with a print banner and a different footer link
+const FEES_PRINT_VIEW = `${FEES_PAGE}
+
+[Back to page](https://www.epassport.gov.bd/instructions/passport-fees)`;
+
+const FAQ_PAGE = `# Frequently Asked Questions
+
+## How do I check my application status?
+Visit the status check page and enter your enrolment ID and date of birth.
+
+## Can I change my appointment date?
+Yes, appointments can be rescheduled once from the online portal up to two days before the date.
+
+## What documents are needed for a minor?
+A birth registration certificate and the national ID cards of both parents are required.`;
+
+// ============================================================================
+// Fingerprint Tests
+// ============================================================================
+
+console.log('\n🔹 SimHash Fingerprints:');
+
+test('computeSimhash is deterministic and 16 hex chars', () => {
+  const a = computeSimhash(FEES_PAGE);
+  assert(/^[a-f0-9]{16}$/.test(a), `Unexpected fingerprint: ${a}`);
+  assertEqual(computeSimhash(FEES_PAGE), a);
+});
+
+test('short pages get no fingerprint', () => {
+  assertEqual(computeSimhash('# Notice\n\nOffice closed today.'), null);
+});
+
+test('a print view is near-identical, a different page is not', () => {
+  const fees = computeSimhash(FEES_PAGE);
+  assert(simhashSimilarity(fees, computeSimhash(FEES_PRINT_VIEW)) >= 0.95, 'Print view should be a near-duplicate');
+  assert(simhashSimilarity(fees, computeSimhash(FAQ_PAGE)) < 0.8, 'FAQ page should not match the fees page');
+});
+
+test('hammingDistance counts differing bits', () => {
+  assertEqual(hammingDistance('0000000000000000', '0000000000000007'), 3);
+  assertEqual(hammingDistance('ffffffffffffffff', 'ffffffffffffffff'), 0);
+});
+
+// ============================================================================
+// Index and Cluster Tests
+// ============================================================================
+
+console.log('\n🔹 Near-Duplicate Index:');
+
+test('index is seeded from canonical KB pages and ignores the page itself', () => {
+  const fees = computeSimhash(FEES_PAGE);
+  const kb = {
+    source_pages: [
+      { source_page_id: 'source.a', canonical_url: 'https://epassport.gov.bd/fees', content_simhash: fees },
+      { source_page_id: 'source.b', canonical_url: 'https://epassport.gov.bd/fees?view=print', content_simhash: fees, near_duplicate_of: 'source.a' },
+    ],
+  };
+  const index = getNearDuplicateIndex(kb, 0.95);
+  assertEqual(index.size(), 1, 'Near-duplicates are not canonical');
+  assertEqual(index.findMatch(computeSimhash(FEES_PRINT_VIEW)).source_page_id, 'source.a');
+  assertEqual(index.findMatch(fees, 'source.a'), null, 'A page is not its own near-duplicate');
+  assertEqual(index.findMatch(computeSimhash(FAQ_PAGE)), null);
+});
+
+test('a removed page is no longer matched', () => {
+  const fees = computeSimhash(FEES_PAGE);
+  const kb = { source_pages: [{ source_page_id: 'source.a', canonical_url: 'https://epassport.gov.bd/fees', content_simhash: fees }] };
+  const index = getNearDuplicateIndex(kb, 0.95);
+  index.add('source.b', 'https://epassport.gov.bd/fees?view=print', computeSimhash(FEES_PRINT_VIEW));
+  index.remove('source.a');
+  assertEqual(index.size(), 1);
+  assertEqual(index.findMatch(fees, 'source.b'), null);
+});
+
+test('clusterNearDuplicates groups matches by canonical page', () => {
+  const clusters = clusterNearDuplicates([
+    { source_page_id: 'source.b', url: 'b', canonical_source_page_id: 'source.a', canonical_url: 'a', similarity: 0.984375 },
+    { source_page_id: 'source.c', url: 'c', canonical_source_page_id: 'source.a', canonical_url: 'a', similarity: 1 },
+    { source_page_id: 'source.e', url: 'e', canonical_source_page_id: 'source.d', canonical_url: 'd', similarity: 0.96875 },
+  ]);
+  assertEqual(clusters.length, 2);
+  assertEqual(clusters[0].canonical_source_page_id, 'source.a', 'Largest cluster first');
+  assertEqual(clusters[0].duplicates.length, 2);
+  assertEqual(clusters[0].duplicates[0].similarity, 0.984);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,235 @@
+/**
+ * Tests for politeness.js module
+ *
+ * Run with: node scripts/crawler/__tests__/politeness.test.js
+ */
+
+// Import politeness module
+const {
+  createPolitenessController,
+  classifyTransientError,
+  getErrorStatus,
+  getRetryAfterMs,
+  summarizePoliteness,
+} = require('../politeness');
+const { configureLogger } = require('../logger');
+
+configureLogger({ level: 'silent' });
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Controller on a fake clock: sleeping advances the clock, and every sleep is recorded
+ */
+function createTestController(options = {}) {
+  const clock = { now: 0, sleeps: [] };
+  const controller = createPolitenessController('example.gov.bd', {
+    baseDelayMs: 1000,
+    backoffBaseMs: 100,
+    sleep: async (ms) => { clock.sleeps.push(ms); clock.now += ms; },
+    now: () => clock.now,
+    ...options,
+  });
+  return { controller, clock };
+}
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`Firecrawl API error`), { status, ...extra });
+
+/**
+ * A request that fails with the given errors, then succeeds
+ */
+function failingThen(errors, result = 'ok') {
+  let calls = 0;
+  const fn = async () => {
+    calls++;
+    if (calls <= errors.length) throw errors[calls - 1];
+    return result;
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+(async () => {
+  // ============================================================================
+  // Status Detection Tests
+  // ============================================================================
+
+  console.log('\n🔹 Status Detection:');
+
+  await test('the status comes from the error or the errors it wraps', () => {
+    assertEqual(getErrorStatus(httpError(503)), 503);
+    assertEqual(getErrorStatus({ message: 'failed', statusCode: 429 }), 429);
+    assertEqual(getErrorStatus({ message: 'failed', response: { status: 502 } }), 502);
+    assertEqual(getErrorStatus(Object.assign(new Error('Scrape failed'), { cause: httpError(504) })), 504);
+    assertEqual(getErrorStatus(new Error('Scrape failed')), null);
+  });
+
+  await test('only a status after "HTTP" or "status" in the message counts', () => {
+    assertEqual(getErrorStatus(new Error('HTTP 503 Service Unavailable')), 503);
+    assertEqual(getErrorStatus(new Error('Request failed with status code 429')), 429);
+    assertEqual(getErrorStatus(new Error('upstream status: 502')), 502);
+    assertEqual(getErrorStatus(new Error('HTTP/1.1 500 Internal Server Error')), 500);
+    assertEqual(getErrorStatus(new Error('Scrape of https://example.gov.bd/notice/512 failed')), null, 'A URL path');
+    assertEqual(getErrorStatus(new Error('Document 599 has no content')), null, 'An ID');
+  });
+
+  await test('transient errors are classified by status, code and message', () => {
+    assertEqual(classifyTransientError(httpError(429)).reason, 'rate_limited');
+    assertEqual(classifyTransientError(new Error('Too Many Requests')).reason, 'rate_limited');
+    assertEqual(classifyTransientError(httpError(503)).reason, 'server_error');
+    assertEqual(classifyTransientError(Object.assign(new Error('connect'), { code: 'ETIMEDOUT' })).reason, 'timeout');
+    assertEqual(classifyTransientError(new Error('socket hang up')).reason, 'network');
+    assertEqual(classifyTransientError(Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' })).reason, 'network');
+    assertEqual(classifyTransientError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })).retryable, false, 'An unknown host');
+
+    const notFound = classifyTransientError(httpError(404));
+    assertEqual(notFound.retryable, false);
+    assertEqual(notFound.status, 404);
+    assertEqual(classifyTransientError(new Error('No content at https://example.gov.bd/circular/503')).retryable, false, 'A number in a URL is no 5xx');
+  });
+
+  await test('Retry-After is read as seconds or as a date', () => {
+    assertEqual(getRetryAfterMs(httpError(429, { retryAfter: '7' })), 7000);
+    const nowMs = Date.parse('2026-03-01T08:00:00Z');
+    assertEqual(getRetryAfterMs(httpError(503, { retryAfter: 'Sun, 01 Mar 2026 08:00:30 GMT' }), nowMs), 30000);
+    assertEqual(getRetryAfterMs(httpError(503)), null);
+  });
+
+  // ============================================================================
+  // Rate Limiting Tests
+  // ============================================================================
+
+  console.log('\n🔹 Rate Limiting:');
+
+  await test('requests to a domain are spaced by the rate limit', async () => {
+    const { controller, clock } = createTestController();
+    const scrape = controller.wrap(async (url) => url);
+    assertEqual(await scrape('https://example.gov.bd/a'), 'https://example.gov.bd/a');
+    await scrape('https://example.gov.bd/b');
+    clock.now += 400;
+    await scrape('https://example.gov.bd/c');
+    assertEqual(clock.sleeps.join(','), '1000,600', 'Time spent elsewhere counts');
+    assertEqual(controller.stats.requests, 3);
+  });
+
+  await test('robots.txt Crawl-delay raises the delay, up to its cap', async () => {
+    const { controller, clock } = createTestController({ maxCrawlDelayMs: 5000 });
+    controller.setCrawlDelay(3);
+    assertEqual(controller.stats.crawlDelayMs, 3000);
+    await controller.waitTurn();
+    await controller.waitTurn();
+    assertEqual(clock.sleeps.join(','), '3000');
+
+    controller.setCrawlDelay(120);
+    assertEqual(controller.stats.crawlDelayMs, 5000);
+    controller.setCrawlDelay(0);
+    assertEqual(controller.stats.crawlDelayMs, 5000, 'Invalid delays are ignored');
+  });
+
+  // ============================================================================
+  // Backoff Tests
+  // ============================================================================
+
+  console.log('\n🔹 Retries and Backoff:');
+
+  await test('transient failures are retried with exponential backoff', async () => {
+    const { controller } = createTestController();
+    const fn = failingThen([httpError(503), httpError(503)]);
+    assertEqual(await controller.execute('https://example.gov.bd/a', fn), 'ok');
+    assertEqual(fn.calls(), 3);
+    assertEqual(controller.stats.retries, 2);
+    assertEqual(controller.stats.backoffs.map(b => b.delayMs).join(','), '100,200');
+    assertEqual(controller.stats.backoffs[0].reason, 'server_error');
+    assertEqual(controller.stats.backoffs[0].decision, 'retry');
+    assertEqual(controller.stats.currentDelayMs, 4000, 'The domain slows down on 5xx');
+  });
+
+  await test('Retry-After wins over the computed backoff', async () => {
+    const { controller } = createTestController();
+    await controller.execute('https://example.gov.bd/a', failingThen([httpError(429, { retryAfter: '5' })]));
+    assertEqual(controller.stats.backoffs[0].delayMs, 5000);
+    assertEqual(controller.stats.backoffs[0].status, 429);
+  });
+
+  await test('retries stop after maxRetries and the error says how often it was tried', async () => {
+    const { controller } = createTestController({ maxRetries: 1 });
+    let error = null;
+    try {
+      await controller.execute('https://example.gov.bd/a', failingThen([httpError(502), httpError(502), httpError(502)]));
+    } catch (e) {
+      error = e;
+    }
+    assert(error, 'Throws');
+    assertEqual(error.attempts, 2);
+    assertEqual(controller.stats.giveUps, 1);
+    assertEqual(controller.stats.backoffs[1].decision, 'give_up');
+  });
+
+  await test('other failures are thrown right away', async () => {
+    const { controller, clock } = createTestController();
+    const fn = failingThen([httpError(404), httpError(404)]);
+    let error = null;
+    try {
+      await controller.execute('https://example.gov.bd/missing', fn);
+    } catch (e) {
+      error = e;
+    }
+    assertEqual(error && error.status, 404);
+    assertEqual(fn.calls(), 1);
+    assertEqual(controller.stats.backoffCount, 0);
+    assertEqual(clock.sleeps.length, 0);
+  });
+
+  await test('a raised delay is halved again after a run of successes', async () => {
+    const { controller } = createTestController({ recoverAfter: 2 });
+    await controller.execute('https://example.gov.bd/a', failingThen([httpError(503)]));
+    assertEqual(controller.stats.currentDelayMs, 2000);
+    await controller.execute('https://example.gov.bd/b', async () => 'ok');
+    assertEqual(controller.stats.currentDelayMs, 1000);
+  });
+
+  await test('politeness stats are summed over domains for the report', () => {
+    const summary = summarizePoliteness([
+      { politeness: { retries: 2, backoffCount: 3, giveUps: 1, crawlDelayMs: 2000 } },
+      { politeness: { retries: 1, backoffCount: 1, giveUps: 0, crawlDelayMs: null } },
+      { politeness: null },
+    ]);
+    assertEqual(JSON.stringify(summary), JSON.stringify({ retries: 3, backoffs: 4, give_ups: 1, domains_with_crawl_delay: 1 }));
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
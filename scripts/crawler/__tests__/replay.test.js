@@ -0,0 +1,200 @@
+/**
+ * Tests for replay.js module (and --replay-snapshots crawls)
+ *
+ * Run with: node scripts/crawler/__tests__/replay.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import replay module and crawler API
+const { createReplayBackend, getReplayKey, ReplayMissError } = require('../replay');
+const { saveSnapshotManifest } = require('../snapshot_store');
+const { createCrawler } = require('../../crawl');
+const { createTempPaths } = require('./crawl_test_paths');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const FEES_ID = 'source.1111111111111111111111111111111111111111';
+const FEES_URL = 'https://www.example.gov.bd/service/fees';
+const NOW = new Date('2026-03-01T08:00:00.000Z');
+
+/**
+ * A replay store: two dated snapshots of the fees page, an MCP capture of the
+ * apply page, one of another host, and a harvested PDF
+ */
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  const store = {
+    dir,
+    snapshotsDir: path.join(dir, 'snapshots'),
+    mcpScrapesDir: path.join(dir, 'mcp_scrapes'),
+    documentsDir: path.join(dir, 'documents'),
+  };
+  const page = { sourcePageId: FEES_ID, url: FEES_URL, title: 'Passport fees' };
+  saveSnapshotManifest(store.snapshotsDir, { ...page, markdown: '# Fees\n\nTk 3000' }, { now: new Date('2026-01-05T08:00:00Z') });
+  saveSnapshotManifest(store.snapshotsDir, { ...page, markdown: '# Fees\n\nTk 3450' }, { now: new Date('2026-02-05T08:00:00Z') });
+
+  fs.mkdirSync(store.mcpScrapesDir);
+  fs.writeFileSync(path.join(store.mcpScrapesDir, 'apply.json'), JSON.stringify({
+    url: 'https://example.gov.bd/service/apply', markdown: '# Apply', rawHtml: '<h1>Apply</h1>', retrieved_at: '2026-01-10T08:00:00Z',
+  }));
+  fs.writeFileSync(path.join(store.mcpScrapesDir, 'other.json'), JSON.stringify({
+    url: 'https://other.gov.bd/', markdown: '# Other', retrieved_at: '2026-01-10T08:00:00Z',
+  }));
+  fs.writeFileSync(path.join(store.mcpScrapesDir, 'broken.json'), '{ not json');
+
+  const docDir = path.join(store.documentsDir, 'example.gov.bd');
+  fs.mkdirSync(docDir, { recursive: true });
+  fs.writeFileSync(path.join(docDir, 'abc.pdf'), '%PDF-1.4');
+  fs.writeFileSync(path.join(docDir, 'abc.meta.json'), JSON.stringify({
+    url: 'https://example.gov.bd/forms/application.pdf', filename: 'abc.pdf', mime: 'application/pdf',
+  }));
+  return store;
+}
+
+// One seed whose second start URL never answers (so no capture of it is stored)
+const SEEDS = [{ label: 'Example', domain: 'example.gov.bd', start_urls: ['https://example.gov.bd/', 'https://example.gov.bd/contact'] }];
+
+const scrape = async (url) => {
+  if (url.endsWith('/robots.txt')) return { rawHtml: 'User-agent: *\nAllow: /\n' };
+  if (url.includes('sitemap')) return null;
+  if (url.endsWith('/contact')) throw new Error('upstream timeout');
+  return { markdown: `# Passport fees\n\nFee: Tk 3000 for regular delivery (${url})`, html: '', title: 'Passport' };
+};
+const map = async () => ['https://example.gov.bd/service/fees'];
+
+(async () => {
+  // ============================================================================
+  // Replay Backend Tests
+  // ============================================================================
+
+  console.log('\n🔹 Replay Backend:');
+
+  await test('URLs are keyed without protocol, www, trailing slash or fragment', () => {
+    assertEqual(getReplayKey('http://www.Example.gov.bd/Service/Fees/#top'), getReplayKey('https://example.gov.bd/service/fees'));
+    assert(getReplayKey('https://example.gov.bd/news?page=2') !== getReplayKey('https://example.gov.bd/news?page=3'), 'Queries are kept');
+    assertEqual(getReplayKey('not a url'), null);
+  });
+
+  await test('scrapes are served from the latest capture, up to --replay-as-of', async () => {
+    const store = createStore();
+    try {
+      const backend = createReplayBackend(store);
+      assertEqual(backend.size, 3, 'Unreadable captures are skipped');
+      const latest = await backend.scrape('https://example.gov.bd/service/fees');
+      assertEqual(latest.markdown, '# Fees\n\nTk 3450');
+      assertEqual(latest.title, 'Passport fees');
+      assertEqual(latest.metadata.replay.date, '2026-02-05');
+      assertEqual(latest.metadata.replay.source_page_id, FEES_ID);
+      assertEqual((await backend.scrape('https://example.gov.bd/service/apply')).rawHtml, '<h1>Apply</h1>');
+
+      const asOf = createReplayBackend({ ...store, asOfDate: '2026-01-31' });
+      assertEqual((await asOf.scrape(FEES_URL)).markdown, '# Fees\n\nTk 3000');
+    } finally {
+      fs.rmSync(store.dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('a URL missing from the store fails with ReplayMissError', async () => {
+    const store = createStore();
+    try {
+      const backend = createReplayBackend(store);
+      let error = null;
+      await backend.scrape('https://example.gov.bd/contact').catch(e => { error = e; });
+      assert(error instanceof ReplayMissError, 'ReplayMissError');
+      assertEqual(error.code, 'REPLAY_MISS');
+      assertEqual(backend.stats.scrapeMisses, 1);
+
+      let binaryError = null;
+      await backend.fetchBinary('https://example.gov.bd/forms/missing.pdf').catch(e => { binaryError = e; });
+      assert(binaryError instanceof ReplayMissError, 'Documents miss too');
+    } finally {
+      fs.rmSync(store.dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('map lists the captured URLs of the host, and documents are served', async () => {
+    const store = createStore();
+    try {
+      const backend = createReplayBackend(store);
+      assertEqual((await backend.map('https://example.gov.bd/')).join(','), `https://example.gov.bd/service/apply,${FEES_URL}`);
+      assertEqual((await backend.map('https://example.gov.bd/', { limit: 1 })).length, 1);
+      const doc = await backend.fetchBinary('https://example.gov.bd/forms/application.pdf');
+      assertEqual(doc.buffer.toString(), '%PDF-1.4');
+      assertEqual(doc.contentType, 'application/pdf');
+      assertEqual(doc.filename, 'application.pdf');
+    } finally {
+      fs.rmSync(store.dir, { recursive: true, force: true });
+    }
+  });
+
+  // ============================================================================
+  // Replayed Crawl Tests
+  // ============================================================================
+
+  console.log('\n🔹 Replaying a Stored Run:');
+
+  await test('a stored run replays offline, and a missing capture is an error outcome', async () => {
+    const stored = createTempPaths({ seeds: SEEDS });
+    const replayPaths = createTempPaths({ seeds: SEEDS, snapshotsDir: stored.snapshotsDir });
+    try {
+      const original = await createCrawler({
+        scrape, map, paths: stored, clock: () => NOW, domains: ['example.gov.bd'], rateLimit: 0, maxRetries: 0, logLevel: 'silent',
+      }).run();
+      assertEqual(original.kb.source_pages.length, 2, 'The contact page never answered');
+
+      const replayed = await createCrawler({
+        paths: replayPaths, clock: () => NOW, domains: ['example.gov.bd'], rateLimit: 0, logLevel: 'silent', replaySnapshots: true,
+      }).run();
+      const hashes = ({ kb }) => kb.source_pages.map(sp => `${sp.canonical_url} ${sp.content_hash}`).sort().join('\n');
+      assertEqual(hashes(replayed), hashes(original));
+      assertEqual(replayed.kb.claims.length, original.kb.claims.length);
+
+      const outcomes = replayed.state.domainStates['example.gov.bd'].urlOutcomes;
+      assertEqual(outcomes['https://example.gov.bd/contact'].outcome, 'error');
+      const misses = replayed.runStats.errors.filter(e => e.error_class === 'replay_miss' && e.url === 'https://example.gov.bd/contact');
+      assertEqual(misses.length, 1, 'Recorded as a replay miss');
+    } finally {
+      fs.rmSync(stored.kbDir, { recursive: true, force: true });
+      fs.rmSync(replayPaths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
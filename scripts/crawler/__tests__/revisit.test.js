@@ -0,0 +1,175 @@
+/**
+ * Tests for revisit.js module
+ *
+ * Run with: node scripts/crawler/__tests__/revisit.test.js
+ */
+
+// Import revisit scheduling module
+const {
+  PAGE_TYPE_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS,
+  getPriorityFactor,
+  estimateRevisitInterval,
+  planDueRevisits,
+} = require('../revisit');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const NOW = '2026-03-01T00:00:00.000Z';
+
+/**
+ * Timestamp a number of days before NOW
+ */
+function daysAgo(days) {
+  return new Date(new Date(NOW).getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Build a KB source page
+ */
+function sourcePage(id, overrides = {}) {
+  return {
+    source_page_id: `source.${id}`,
+    canonical_url: `https://example.gov.bd/${id}`,
+    page_type: 'general',
+    status: 'active',
+    last_crawled_at: daysAgo(10),
+    change_log: [],
+    ...overrides,
+  };
+}
+
+// ============================================================================
+// Interval Estimation Tests
+// ============================================================================
+
+console.log('\n🔹 Interval Estimation:');
+
+test('a new page starts at its page type interval', () => {
+  const estimate = estimateRevisitInterval(sourcePage('p1', { page_type: 'contact' }));
+  assertEqual(estimate.basis, 'page_type');
+  assertEqual(estimate.interval_days, PAGE_TYPE_INTERVAL_DAYS.contact);
+});
+
+test('frequently changing pages are revisited sooner', () => {
+  const page = sourcePage('p2', {
+    first_crawled_at: daysAgo(40),
+    change_log: [{ detected_at: daysAgo(30) }, { detected_at: daysAgo(20) }, { detected_at: daysAgo(10) }, { detected_at: daysAgo(5) }],
+  });
+  const estimate = estimateRevisitInterval(page, { lastCheckedAt: daysAgo(0) });
+  assertEqual(estimate.basis, 'change_history');
+  assertEqual(estimate.changes, 4);
+  assertEqual(estimate.interval_days, 5, '40 days / 4 changes / 2');
+});
+
+test('a change history shorter than the page type interval is not trusted yet', () => {
+  const page = sourcePage('p4', {
+    last_crawled_at: daysAgo(3),
+    change_log: [{ detected_at: daysAgo(4) }, { detected_at: daysAgo(3) }],
+  });
+  const estimate = estimateRevisitInterval(page);
+  assertEqual(estimate.basis, 'page_type');
+  assertEqual(estimate.interval_days, PAGE_TYPE_INTERVAL_DAYS.general);
+});
+
+test('stable pages back off, up to a cap', () => {
+  const page = sourcePage('p3', { last_crawled_at: daysAgo(100) });
+  const checkedRecently = estimateRevisitInterval(page, { lastCheckedAt: daysAgo(80) });
+  assertEqual(checkedRecently.interval_days, 40, '30 + 20 / 2');
+  const checkedToday = estimateRevisitInterval(page, { lastCheckedAt: daysAgo(0) });
+  assertEqual(checkedToday.interval_days, 80, '30 + 100 / 2');
+  const longStable = estimateRevisitInterval(sourcePage('x', { last_crawled_at: daysAgo(1000) }), { lastCheckedAt: daysAgo(0) });
+  assertEqual(longStable.interval_days, MAX_INTERVAL_DAYS, 'Capped');
+});
+
+test('high-priority service URLs are revisited sooner', () => {
+  assertEqual(getPriorityFactor(20), 0.5);
+  assertEqual(getPriorityFactor(-5), 1.5);
+  const fees = estimateRevisitInterval(sourcePage('x', { canonical_url: 'https://example.gov.bd/service/fees', page_type: 'fees' }));
+  assert(fees.priority_score > 0, `Fee URL has a positive score (${fees.priority_score})`);
+  assert(fees.interval_days < PAGE_TYPE_INTERVAL_DAYS.fees, `Interval ${fees.interval_days}`);
+});
+
+// ============================================================================
+// Due Planning Tests
+// ============================================================================
+
+console.log('\n🔹 Due Planning:');
+
+test('only overdue pages are planned, most overdue first', () => {
+  const kb = {
+    source_pages: [
+      sourcePage('a', { last_crawled_at: daysAgo(45) }),
+      sourcePage('b', { last_crawled_at: daysAgo(90) }),
+      sourcePage('c', { last_crawled_at: daysAgo(5) }),
+    ],
+  };
+  const plan = planDueRevisits(kb, { now: NOW });
+  assertEqual(plan.due.map(p => p.source_page_id).join(','), 'source.b,source.a');
+  assertEqual(plan.notDue, 1);
+  assertEqual(plan.due[1].overdue_days, 15);
+  assertEqual(plan.due[1].due_at, daysAgo(15));
+});
+
+test('the last scrape from crawl state counts even when the page was unchanged', () => {
+  const kb = { source_pages: [sourcePage('a', { last_crawled_at: daysAgo(45) })] };
+  const plan = planDueRevisits(kb, { now: NOW, getLastCheckedAt: () => daysAgo(2) });
+  assertEqual(plan.due.length, 0);
+});
+
+test('the budget defers the least overdue pages', () => {
+  const kb = { source_pages: [10, 50, 70, 90].map(days => sourcePage(`p${days}`, { last_crawled_at: daysAgo(days) })) };
+  const plan = planDueRevisits(kb, { now: NOW, budget: 2 });
+  assertEqual(plan.due.length, 3);
+  assertEqual(plan.scheduled.map(p => p.source_page_id).join(','), 'source.p90,source.p70');
+  assertEqual(plan.deferred.map(p => p.source_page_id).join(','), 'source.p50');
+});
+
+test('removed pages, near-duplicates and excluded pages are not planned', () => {
+  const kb = {
+    source_pages: [
+      sourcePage('gone', { last_crawled_at: daysAgo(90), status: 'removed' }),
+      sourcePage('copy', { last_crawled_at: daysAgo(90), near_duplicate_of: 'source.a' }),
+      sourcePage('other', { last_crawled_at: daysAgo(90), canonical_url: 'https://other.gov.bd/' }),
+      sourcePage('kept', { last_crawled_at: daysAgo(90) }),
+    ],
+  };
+  const plan = planDueRevisits(kb, { now: NOW, includePage: sp => sp.canonical_url.startsWith('https://example.gov.bd/') });
+  assertEqual(plan.due.map(p => p.source_page_id).join(','), 'source.kept');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
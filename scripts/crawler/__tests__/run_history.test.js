@@ -0,0 +1,199 @@
+/**
+ * Tests for run_history.js module
+ *
+ * Run with: node scripts/crawler/__tests__/run_history.test.js
+ */
+
+// Import run history module
+const {
+  getRunScope,
+  buildRunRecord,
+  findPreviousRun,
+  recordRun,
+  compareRuns,
+} = require('../run_history');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const CONFIG = { seedSource: 'bdgovlinks', category: 'public_services', refresh: 'all', domains: [] };
+
+/**
+ * Run statistics, state and KB of a run over example.gov.bd
+ */
+function runOf({ urls, processed = 4, fees = 8, errors = 0, claims = [], config = CONFIG }) {
+  const runStats = {
+    runId: `run_${urls.length}_${claims.length}`,
+    startedAt: '2026-03-01T08:00:00.000Z',
+    status: 'completed',
+    config,
+    pagesKept: processed,
+    claimsExtracted: claims.length,
+    errors: Array(errors).fill('x'),
+    extractionDetails: {
+      'example.gov.bd': { steps_extracted: 6, fees_extracted: fees, faq_pairs_extracted: 0, doc_links_found: 2, pages_processed: processed },
+    },
+    domainDetails: [{ domain: 'example.gov.bd', pagesDiscovered: urls.length, pagesProcessed: processed, claimsExtracted: claims.length, errors: Array(errors).fill('x') }],
+  };
+  const state = { domainStates: { 'example.gov.bd': { discoveredUrls: urls } } };
+  const kb = {
+    source_pages: [
+      { source_page_id: 'source.a', canonical_url: 'https://www.example.gov.bd/fees' },
+      { source_page_id: 'source.b', canonical_url: 'https://other.gov.bd/' },
+    ],
+    claims: claims.map(([claimId, serviceId, sourcePageId]) => ({
+      claim_id: claimId,
+      entity_ref: { type: 'service', id: serviceId },
+      citations: [{ source_page_id: sourcePageId || 'source.a' }],
+    })),
+  };
+  return buildRunRecord(runStats, state, kb);
+}
+
+const URLS = ['https://example.gov.bd/', 'https://example.gov.bd/fees', 'https://example.gov.bd/apply', 'https://example.gov.bd/faq'];
+const CLAIMS = [['claim.fee.svc_a.1', 'svc.a'], ['claim.fee.svc_a.2', 'svc.a'], ['claim.step.svc_b.1', 'svc.b'], ['claim.step.svc_c.1', 'svc.c', 'source.b']];
+
+// ============================================================================
+// Run Record Tests
+// ============================================================================
+
+console.log('\n🔹 Run Records:');
+
+test('runs with the same seed source, category, refresh mode and domains share a scope', () => {
+  assertEqual(getRunScope(CONFIG).key, 'bdgovlinks|public_services|all|*');
+  assertEqual(getRunScope({ ...CONFIG, domains: ['b.gov.bd', 'a.gov.bd'] }).key, getRunScope({ ...CONFIG, domains: ['a.gov.bd', 'b.gov.bd'] }).key);
+  assert(getRunScope({ ...CONFIG, refresh: 'due' }).key !== getRunScope(CONFIG).key, 'Refresh mode is part of the scope');
+});
+
+test('a record lists pages per domain and claims per service of the crawled domains', () => {
+  const record = runOf({ urls: [...URLS, 'https://example.gov.bd/fees/'], claims: CLAIMS });
+  const domain = record.domains['example.gov.bd'];
+  assertEqual(domain.urls.length, 4, 'URLs are canonicalized');
+  assertEqual(domain.extraction.fees_extracted, 8);
+  assertEqual(Object.keys(record.services).sort().join(','), 'svc.a,svc.b', 'Claims of other domains are out of scope');
+  assertEqual(record.services['svc.a'].claim_ids.join(','), 'claim.fee.svc_a.1,claim.fee.svc_a.2');
+  assertEqual(record.totals.claims_in_scope, 3);
+});
+
+test('only the latest completed run of a scope keeps its lists', () => {
+  const state = { runs: [] };
+  const first = runOf({ urls: URLS, claims: CLAIMS });
+  recordRun(state, first);
+  const second = runOf({ urls: URLS.slice(1), claims: CLAIMS });
+  assertEqual(findPreviousRun(state.runs, second.scope.key), first);
+  recordRun(state, second);
+  assertEqual(first.detail, false);
+  assertEqual(first.domains['example.gov.bd'].urls, undefined);
+  assertEqual(first.services['svc.a'].claims, 2, 'Counts are kept');
+  assertEqual(findPreviousRun(state.runs, second.scope.key), second);
+  assertEqual(findPreviousRun(state.runs, getRunScope({ ...CONFIG, refresh: 'due' }).key), null);
+});
+
+test('failed runs are never compared with and the history is capped', () => {
+  const state = { runs: [] };
+  recordRun(state, runOf({ urls: URLS }));
+  const failedRun = { ...runOf({ urls: URLS }), status: 'failed' };
+  recordRun(state, failedRun);
+  assertEqual(findPreviousRun(state.runs, failedRun.scope.key), state.runs[0]);
+  for (let i = 0; i < 5; i++) recordRun(state, runOf({ urls: URLS }), 3);
+  assertEqual(state.runs.length, 3);
+});
+
+// ============================================================================
+// Comparison Tests
+// ============================================================================
+
+console.log('\n🔹 Comparison:');
+
+test('pages and claims are diffed against the previous run', () => {
+  const previous = runOf({ urls: URLS, claims: CLAIMS });
+  const current = runOf({ urls: [...URLS.slice(0, 3), 'https://example.gov.bd/new'], claims: [CLAIMS[0], CLAIMS[2], ['claim.fee.svc_b.1', 'svc.b']] });
+  const comparison = compareRuns(previous, current);
+  const pages = comparison.pages['example.gov.bd'];
+  assertEqual(pages.discovered.join(','), 'https://example.gov.bd/new');
+  assertEqual(pages.disappeared.join(','), 'https://example.gov.bd/faq');
+  assertEqual(comparison.claims_by_service['svc.a'].removed.join(','), 'claim.fee.svc_a.2');
+  assertEqual(comparison.claims_by_service['svc.b'].added.join(','), 'claim.fee.svc_b.1');
+  assertEqual(comparison.summary.claims_added, 1);
+  assertEqual(comparison.summary.claims_removed, 1);
+  assertEqual(comparison.previous_run_id, previous.run_id);
+  assertEqual(comparison.anomalies.map(a => a.type).join(','), 'pages_disappeared,claims_removed');
+});
+
+test('pages are not diffed when either run crawled a planned subset', () => {
+  for (const config of [{ ...CONFIG, refresh: 'due' }, { ...CONFIG, refresh: 'stale-claims' }, { ...CONFIG, planFile: 'plan.json' }]) {
+    const previous = runOf({ urls: URLS, config });
+    const current = runOf({ urls: URLS.slice(0, 1), config });
+    assertEqual(current.complete_discovery, false);
+    const comparison = compareRuns(previous, current);
+    assertEqual(comparison.anomalies.length, 0, `No pages_disappeared in ${config.planFile ? 'a plan run' : config.refresh}`);
+    assertEqual(Object.keys(comparison.pages).length, 0);
+  }
+  assertEqual(compareRuns(runOf({ urls: URLS }), runOf({ urls: URLS.slice(0, 1), config: { ...CONFIG, planFile: 'plan.json' } })).anomalies.length, 0,
+    'A plan run is not compared with the full discovery before it');
+});
+
+test('a domain suddenly yielding zero fees is an anomaly', () => {
+  const comparison = compareRuns(runOf({ urls: URLS }), runOf({ urls: URLS, fees: 0 }));
+  assertEqual(comparison.anomalies.length, 1);
+  assertEqual(comparison.anomalies[0].type, 'zero_yield');
+  assertEqual(comparison.anomalies[0].metric, 'fees_extracted');
+  assertEqual(comparison.extraction['example.gov.bd'].fees_extracted.delta, -8);
+});
+
+test('yield is judged per processed page and only over enough pages', () => {
+  const halved = compareRuns(runOf({ urls: URLS, processed: 4, fees: 8 }), runOf({ urls: URLS, processed: 8, fees: 6 }));
+  const feeDrop = halved.anomalies.find(a => a.metric === 'fees_extracted');
+  assertEqual(feeDrop.type, 'yield_drop');
+  assertEqual(feeDrop.current, 0.75, '2 fees per page fell to 0.75');
+  const steady = compareRuns(runOf({ urls: URLS, processed: 4, fees: 8 }), runOf({ urls: URLS, processed: 6, fees: 12 }));
+  assertEqual(steady.anomalies.length, 0, 'Same yield over fewer pages');
+  const tooFew = compareRuns(runOf({ urls: URLS }), runOf({ urls: URLS, processed: 1, fees: 0 }));
+  assertEqual(tooFew.anomalies.length, 0, 'One processed page is not judged');
+});
+
+test('error rate increases and missing domains are flagged, within configurable thresholds', () => {
+  const comparison = compareRuns(runOf({ urls: URLS }), runOf({ urls: URLS, errors: 1 }));
+  assertEqual(comparison.anomalies.map(a => a.type).join(','), 'error_rate');
+  assertEqual(comparison.error_rates['example.gov.bd'].current, 0.25);
+  assertEqual(compareRuns(runOf({ urls: URLS }), runOf({ urls: URLS, errors: 1 }), { errorRateIncrease: 0.5 }).anomalies.length, 0);
+
+  const empty = runOf({ urls: URLS });
+  empty.domains = {};
+  assertEqual(compareRuns(runOf({ urls: URLS }), empty).anomalies.map(a => a.type).join(','), 'domain_missing');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
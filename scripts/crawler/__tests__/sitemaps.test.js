@@ -0,0 +1,241 @@
+/**
+ * Tests for sitemaps.js module (and sitemap lastmod skipping in crawls)
+ *
+ * Run with: node scripts/crawler/__tests__/sitemaps.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Import sitemaps module and crawler API
+const {
+  isGzipSitemapUrl,
+  decodeSitemapBuffer,
+  fetchSitemapContent,
+  collectSitemapEntries,
+  isUnmodifiedSince,
+} = require('../sitemaps');
+const { createCrawler } = require('../../crawl');
+const { createTempPaths } = require('./crawl_test_paths');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const sitemapIndex = (...locs) =>
+  `<?xml version="1.0" encoding="UTF-8"?><sitemapindex>${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+const urlset = (...entries) =>
+  `<?xml version="1.0" encoding="UTF-8"?><urlset>${entries.map(([loc, lastmod]) =>
+    `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('')}</urlset>`;
+
+/**
+ * Mock scrape over a map of sitemap URL -> XML (a function value throws or
+ * returns whatever it likes); every requested URL is recorded
+ */
+function createSitemapScrape(sitemaps) {
+  const requests = [];
+  const scrape = async (url) => {
+    requests.push(url);
+    const content = sitemaps[url];
+    if (typeof content === 'function') return content();
+    return content === undefined ? null : { rawHtml: content };
+  };
+  return { scrape, requests };
+}
+
+(async () => {
+  // ============================================================================
+  // Gzip Tests
+  // ============================================================================
+
+  console.log('\n🔹 Gzip Sitemaps:');
+
+  await test('gzip sitemaps are recognised by their URL', () => {
+    assertEqual(isGzipSitemapUrl('https://example.gov.bd/sitemap.xml.gz'), true);
+    assertEqual(isGzipSitemapUrl('https://example.gov.bd/sitemap.xml.GZ?v=2'), true);
+    assertEqual(isGzipSitemapUrl('https://example.gov.bd/sitemap.xml'), false);
+  });
+
+  await test('buffers are gunzipped only when they are gzip', () => {
+    const xml = urlset(['https://example.gov.bd/service/fees']);
+    assertEqual(decodeSitemapBuffer(zlib.gzipSync(xml)), xml);
+    assertEqual(decodeSitemapBuffer(Buffer.from(xml)), xml, 'Servers that already decompressed');
+  });
+
+  await test('.gz sitemaps are fetched as binary and decoded', async () => {
+    const xml = urlset(['https://example.gov.bd/service/fees', '2026-01-10']);
+    const { scrape, requests } = createSitemapScrape({});
+    const fetchBinary = async () => ({ buffer: zlib.gzipSync(xml) });
+    assertEqual(await fetchSitemapContent('https://example.gov.bd/sitemap.xml.gz', scrape, fetchBinary), xml);
+    assertEqual(requests.length, 0, 'Not scraped');
+
+    const { entries, fetched } = await collectSitemapEntries(['https://example.gov.bd/sitemap.xml.gz'], scrape, { fetchBinary });
+    assertEqual(fetched.length, 1);
+    assertEqual(entries['https://example.gov.bd/service/fees'].lastmod, '2026-01-10');
+  });
+
+  await test('a .gz sitemap without a binary fetcher fails', async () => {
+    const { scrape } = createSitemapScrape({});
+    const { failed: failures, fetched } = await collectSitemapEntries(['https://example.gov.bd/sitemap.xml.gz'], scrape);
+    assertEqual(fetched.length, 0);
+    assertEqual(failures.join(','), 'https://example.gov.bd/sitemap.xml.gz');
+  });
+
+  // ============================================================================
+  // Sitemap Index Tests
+  // ============================================================================
+
+  console.log('\n🔹 Sitemap Indexes:');
+
+  await test('nested sitemap indexes are followed down to their URLs', async () => {
+    const { scrape, requests } = createSitemapScrape({
+      'https://example.gov.bd/sitemap.xml': sitemapIndex('https://example.gov.bd/sitemaps/index-2.xml', 'https://example.gov.bd/sitemaps/news.xml'),
+      'https://example.gov.bd/sitemaps/index-2.xml': sitemapIndex('https://example.gov.bd/sitemaps/services.xml', 'https://example.gov.bd/sitemap.xml'),
+      'https://example.gov.bd/sitemaps/services.xml': urlset(['https://example.gov.bd/service/fees', '2026-01-10'], ['https://example.gov.bd/service/apply']),
+      'https://example.gov.bd/sitemaps/news.xml': urlset(['https://example.gov.bd/news/1'], ['https://example.gov.bd/service/fees', '2026-02-20']),
+    });
+    const { entries, fetched, failed: failures, truncated } = await collectSitemapEntries(['https://example.gov.bd/sitemap.xml'], scrape);
+
+    assertEqual(Object.keys(entries).sort().join(','),
+      'https://example.gov.bd/news/1,https://example.gov.bd/service/apply,https://example.gov.bd/service/fees');
+    assertEqual(fetched.length, 4);
+    assertEqual(failures.length, 0);
+    assertEqual(truncated, false);
+    assertEqual(requests.filter(url => url === 'https://example.gov.bd/sitemap.xml').length, 1, 'An index listing itself is fetched once');
+    assertEqual(entries['https://example.gov.bd/service/fees'].sitemap, 'https://example.gov.bd/sitemaps/news.xml', 'The shallowest sitemap listing a URL wins');
+    assertEqual(entries['https://example.gov.bd/service/fees'].lastmod, '2026-02-20');
+    assertEqual(entries['https://example.gov.bd/service/apply'].lastmod, null);
+  });
+
+  await test('traversal stops after maxSitemaps', async () => {
+    const { scrape } = createSitemapScrape({
+      'https://example.gov.bd/sitemap.xml': sitemapIndex('https://example.gov.bd/sitemaps/a.xml', 'https://example.gov.bd/sitemaps/b.xml'),
+      'https://example.gov.bd/sitemaps/a.xml': urlset(['https://example.gov.bd/a']),
+      'https://example.gov.bd/sitemaps/b.xml': urlset(['https://example.gov.bd/b']),
+    });
+    const { entries, fetched, truncated } = await collectSitemapEntries(['https://example.gov.bd/sitemap.xml'], scrape, { maxSitemaps: 2 });
+    assertEqual(fetched.length, 2);
+    assertEqual(truncated, true);
+    assertEqual(Object.keys(entries).join(','), 'https://example.gov.bd/a');
+  });
+
+  await test('unreachable sitemaps fail without stopping the others', async () => {
+    const { scrape } = createSitemapScrape({
+      'https://example.gov.bd/sitemap.xml': sitemapIndex(
+        'https://example.gov.bd/sitemaps/down.xml', 'https://example.gov.bd/sitemaps/gone.xml', 'https://example.gov.bd/sitemaps/ok.xml'),
+      'https://example.gov.bd/sitemaps/down.xml': () => { throw new Error('HTTP 503 Service Unavailable'); },
+      'https://example.gov.bd/sitemaps/ok.xml': urlset(['https://example.gov.bd/service/fees']),
+    });
+    const { entries, fetched, failed: failures } = await collectSitemapEntries(['https://example.gov.bd/sitemap.xml'], scrape);
+    assertEqual(failures.sort().join(','), 'https://example.gov.bd/sitemaps/down.xml,https://example.gov.bd/sitemaps/gone.xml');
+    assertEqual(fetched.length, 2);
+    assertEqual(Object.keys(entries).join(','), 'https://example.gov.bd/service/fees');
+  });
+
+  await test('a malformed sitemap yields no URLs', async () => {
+    const { scrape } = createSitemapScrape({
+      'https://example.gov.bd/sitemap.xml': '<html><body>404 Not Found</body></html>',
+      'https://example.gov.bd/sitemap_index.xml': '<urlset><url><lastmod>2026-01-10</lastmod></url><url><loc>https://example.gov.bd/ok</loc>',
+    });
+    const { entries, failed: failures } = await collectSitemapEntries(
+      ['https://example.gov.bd/sitemap.xml', 'https://example.gov.bd/sitemap_index.xml'], scrape);
+    assertEqual(Object.keys(entries).length, 0);
+    assertEqual(failures.length, 0, 'The sitemaps answered');
+  });
+
+  // ============================================================================
+  // Lastmod Tests
+  // ============================================================================
+
+  console.log('\n🔹 Lastmod:');
+
+  await test('a page is unmodified only when lastmod is before the last crawl', () => {
+    const crawledAt = '2026-03-01T08:00:00.000Z';
+    assertEqual(isUnmodifiedSince({ lastmod: '2026-02-20' }, crawledAt), true);
+    assertEqual(isUnmodifiedSince({ lastmod: '2026-03-01T09:00:00+00:00' }, crawledAt), false);
+    assertEqual(isUnmodifiedSince({ lastmod: '2026-03-05' }, crawledAt), false);
+  });
+
+  await test('a missing or invalid date never skips a page', () => {
+    assertEqual(isUnmodifiedSince(undefined, '2026-03-01T08:00:00.000Z'), false);
+    assertEqual(isUnmodifiedSince({ lastmod: null }, '2026-03-01T08:00:00.000Z'), false);
+    assertEqual(isUnmodifiedSince({ lastmod: 'last week' }, '2026-03-01T08:00:00.000Z'), false);
+    assertEqual(isUnmodifiedSince({ lastmod: '2026-02-20' }, null), false);
+  });
+
+  await test('--refresh changed does not scrape pages the sitemap says are unmodified', async () => {
+    const paths = createTempPaths();
+    try {
+      const sitemaps = {
+        'https://example.gov.bd/sitemap.xml': sitemapIndex('https://example.gov.bd/sitemaps/services.xml'),
+        'https://example.gov.bd/sitemaps/services.xml': urlset(
+          ['https://example.gov.bd/service/fees', '2026-02-20'], ['https://example.gov.bd/service/apply', '2026-03-05']),
+      };
+      const createBackend = () => {
+        const scraped = [];
+        const sitemapScrape = createSitemapScrape(sitemaps).scrape;
+        const scrape = async (url, options) => {
+          if (url.endsWith('/robots.txt')) return { rawHtml: 'User-agent: *\nAllow: /\n' };
+          if (url.includes('sitemap')) return sitemapScrape(url, options);
+          scraped.push(url);
+          return { markdown: `# Passport fees\n\nFee: Tk 3000 for regular delivery (${url})`, html: '', title: 'Passport' };
+        };
+        return { scrape, map: async () => [], scraped };
+      };
+      const crawl = (backend, now) => createCrawler({
+        scrape: backend.scrape, map: backend.map, paths, clock: () => now,
+        domains: ['example.gov.bd'], rateLimit: 0, maxRetries: 0, logLevel: 'silent',
+      }).run();
+
+      const first = createBackend();
+      await crawl(first, new Date('2026-03-01T08:00:00.000Z'));
+      assertEqual(first.scraped.length, 3, 'Everything is new');
+
+      const second = createBackend();
+      const { state, runStats } = await crawl(second, new Date('2026-03-10T08:00:00.000Z'));
+      assertEqual(second.scraped.sort().join(','), 'https://example.gov.bd/,https://example.gov.bd/service/apply');
+      assertEqual(runStats.domainDetails[0].pagesSkippedByLastmod, 1);
+      const outcome = state.domainStates['example.gov.bd'].urlOutcomes['https://example.gov.bd/service/fees'];
+      assertEqual(outcome.outcome, 'skipped');
+      assertEqual(outcome.reason, 'sitemap_lastmod');
+    } finally {
+      fs.rmSync(paths.kbDir, { recursive: true, force: true });
+    }
+  });
+
+  // ============================================================================
+  // Summary
+  // ============================================================================
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
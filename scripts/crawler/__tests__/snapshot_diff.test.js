@@ -0,0 +1,186 @@
+/**
+ * Tests for snapshot_diff.js module
+ *
+ * Run with: node scripts/crawler/__tests__/snapshot_diff.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import snapshot diff module
+const {
+  diffMarkdown,
+  diffSnapshots,
+  summarizeSnapshotDiff,
+  formatSnapshotDiff,
+  summarizePageChange,
+} = require('../snapshot_diff');
+const { saveSnapshotManifest } = require('../snapshot_store');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const PAGE_ID = 'source.0123456789abcdef0123456789abcdef01234567';
+
+const BEFORE = [
+  '# Passport Fees',
+  '',
+  '## Regular Delivery',
+  '',
+  'The fee for a 48-page passport is **Tk 4,025** including VAT.',
+  'Delivery takes 15 working days.',
+  '',
+  '## Express Delivery',
+  '',
+  'The fee for express delivery is Tk 6,325.',
+  '',
+  '## Contact',
+  '',
+  'Call 16445 for help.',
+].join('\n');
+
+const AFTER = [
+  '# Passport Fees',
+  '',
+  '## Regular Delivery',
+  '',
+  'The fee for a 48-page passport is **Tk 4,600** including VAT.',
+  'Delivery takes 15 working days.',
+  '',
+  '## Express Delivery',
+  '',
+  'The fee for express delivery is Tk 6,325.',
+  '',
+].join('\n');
+
+const claim = (claimId, quotedText) => ({
+  claim_id: claimId,
+  citations: [{ source_page_id: PAGE_ID, quoted_text: quotedText }],
+});
+
+const CLAIMS = [
+  claim('claim.fee.epassport.regular', 'The fee for a 48-page passport is Tk 4,025 including VAT'),
+  claim('claim.fee.epassport.express', 'The fee for express delivery is Tk 6,325'),
+  claim('claim.contact.epassport.hotline', 'Call 16445 for help'),
+  { claim_id: 'claim.fee.other.1', citations: [{ source_page_id: 'source.other', quoted_text: 'Call 16445 for help' }] },
+];
+
+// ============================================================================
+// Line Diff Tests
+// ============================================================================
+
+console.log('\n🔹 Line Diff:');
+
+test('changed lines are grouped into hunks under their heading path', () => {
+  const diff = diffMarkdown(BEFORE, AFTER);
+  assertEqual(diff.hunks.length, 2);
+  assertEqual(diff.hunks[0].heading_path.join(' > '), 'Passport Fees > Regular Delivery');
+  assertEqual(diff.hunks[0].removed[0], 'The fee for a 48-page passport is **Tk 4,025** including VAT.');
+  assertEqual(diff.hunks[0].added[0], 'The fee for a 48-page passport is **Tk 4,600** including VAT.');
+  assertEqual(diff.hunks[0].old_line, 5);
+  assertEqual(diff.hunks[1].heading_path.join(' > '), 'Passport Fees > Contact');
+  assertEqual(diff.hunks[1].added.length, 0);
+  assertEqual(diff.lines_removed, 3, 'Blank lines are ignored');
+  assertEqual(diff.lines_added, 1);
+});
+
+test('identical documents have no hunks and huge rewrites are diffed as replaced', () => {
+  assertEqual(diffMarkdown(BEFORE, BEFORE).hunks.length, 0);
+  const rewrite = diffMarkdown('a\nb\nc\nd', 'w\nx\ny\nz', { maxEditDistance: 3 });
+  assertEqual(rewrite.replaced, true);
+  assertEqual(rewrite.lines_removed, 4);
+  assertEqual(rewrite.lines_added, 4);
+});
+
+// ============================================================================
+// Claim Quote Tests
+// ============================================================================
+
+console.log('\n🔹 Claim Quotes:');
+
+test('quotes that were rewritten or deleted are reported, others are not', () => {
+  const diff = diffSnapshots({ markdown: BEFORE, date: '2026-01-05' }, { markdown: AFTER, date: '2026-02-05' }, { sourcePageId: PAGE_ID, claims: CLAIMS });
+  assertEqual(diff.claims.map(c => `${c.claim_id}:${c.status}`).join(','), 'claim.fee.epassport.regular:changed,claim.contact.epassport.hotline:removed');
+  assertEqual(diff.claims[0].replacement[0], 'The fee for a 48-page passport is **Tk 4,600** including VAT.', 'Markdown emphasis is ignored when matching');
+  assertEqual(diff.sections_changed.join(' | '), 'Passport Fees > Regular Delivery | Passport Fees > Contact');
+
+  const summary = summarizeSnapshotDiff(diff, new Date('2026-02-05T08:00:00.000Z'));
+  assertEqual(summary.before_snapshot, '2026-01-05');
+  assertEqual(summary.claims_changed.join(','), 'claim.fee.epassport.regular');
+  assertEqual(summary.claims_removed.join(','), 'claim.contact.epassport.hotline');
+  assertEqual(summary.diffed_at, '2026-02-05T08:00:00.000Z');
+
+  const text = formatSnapshotDiff(diff);
+  assert(text.includes('## Passport Fees > Contact'), 'Hunks titled by heading path');
+  assert(text.includes('- Call 16445 for help.'), 'Removed lines');
+  assert(text.includes('**changed** `claim.fee.epassport.regular`'), 'Affected claims');
+});
+
+// ============================================================================
+// Change Log Tests
+// ============================================================================
+
+console.log('\n🔹 Change Log Summary:');
+
+test('the latest change_log entry gets a summary of the diff against the previous snapshot', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-diff-'));
+  try {
+    const page = { sourcePageId: PAGE_ID, url: 'https://www.epassport.gov.bd/fees' };
+    const before = saveSnapshotManifest(dir, { ...page, markdown: BEFORE }, { now: new Date('2026-01-05T08:00:00.000Z') });
+    const after = saveSnapshotManifest(dir, { ...page, markdown: AFTER }, { now: new Date('2026-02-05T08:00:00.000Z') });
+    const kb = {
+      source_pages: [{
+        source_page_id: PAGE_ID,
+        content_hash: after.contentHash,
+        change_log: [{ detected_at: '2026-02-05T08:00:00.000Z', hash_before: before.contentHash, hash_after: after.contentHash }],
+      }],
+      claims: CLAIMS,
+    };
+
+    const result = summarizePageChange(kb, PAGE_ID, { markdown: AFTER, date: '2026-02-05' }, dir);
+    const summary = kb.source_pages[0].change_log[0].diff_summary;
+    assertEqual(result.entry.diff_summary, summary);
+    assertEqual(summary.before_snapshot, '2026-01-05');
+    assertEqual(summary.lines_removed, 3);
+    assertEqual(summary.claims_removed.join(','), 'claim.contact.epassport.hotline');
+    assertEqual(summarizePageChange(kb, PAGE_ID, { markdown: AFTER, date: '2026-02-05' }, dir), null, 'Summarized once');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
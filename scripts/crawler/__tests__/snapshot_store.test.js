@@ -0,0 +1,224 @@
+/**
+ * Tests for snapshot_store.js module
+ *
+ * Run with: node scripts/crawler/__tests__/snapshot_store.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import snapshot store module
+const {
+  saveSnapshotManifest,
+  listPageSnapshots,
+  readSnapshotContent,
+  findSnapshot,
+  hasSnapshotOn,
+  migrateLegacySnapshots,
+  selectRetainedSnapshots,
+  pruneSnapshots,
+} = require('../snapshot_store');
+const { generateHash } = require('../utils');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const PAGE_ID = 'source.0123456789abcdef0123456789abcdef01234567';
+const PAGE_URL = 'https://example.gov.bd/fees';
+
+/**
+ * Run a test against a fresh snapshots directory
+ */
+function withStore(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-store-'));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const save = (dir, date, markdown, options = {}) => saveSnapshotManifest(dir, {
+  sourcePageId: PAGE_ID, url: PAGE_URL, markdown, html: `<p>${markdown}</p>`, title: 'Fees',
+}, { now: new Date(`${date}T08:00:00.000Z`), ...options });
+
+const countBlobs = (dir) => fs.readdirSync(path.join(dir, 'blobs'), { recursive: true }).filter(f => /\.(gz|br)$/.test(f)).length;
+
+// ============================================================================
+// Storage Tests
+// ============================================================================
+
+console.log('\n🔹 Content-Addressed Storage:');
+
+test('an unchanged page costs a manifest per day, not another copy', () => withStore((dir) => {
+  const first = save(dir, '2026-03-01', '# Fees\n\nTk 3000');
+  save(dir, '2026-03-02', '# Fees\n\nTk 3000');
+  assertEqual(countBlobs(dir), 2, 'One markdown and one HTML blob');
+  assertEqual(listPageSnapshots(dir, PAGE_ID).map(s => s.date).join(','), '2026-03-01,2026-03-02');
+  assertEqual(first.snapshotRef, `snapshots/${PAGE_ID}/2026-03-01`);
+  assertEqual(first.contentHash, generateHash('# Fees\n\nTk 3000'));
+  assert(first.manifest.blobs.markdown.path.startsWith(`blobs/${first.contentHash.slice(0, 2)}/`), 'Blobs named by content hash');
+}));
+
+test('a page that changes twice in a day keeps both versions', () => withStore((dir) => {
+  const morning = save(dir, '2026-03-01', '# Fees\n\nTk 3000');
+  const noon = save(dir, '2026-03-01', '# Fees\n\nTk 3500', { now: new Date('2026-03-01T12:00:00.000Z') });
+  const recheck = save(dir, '2026-03-01', '# Fees\n\nTk 3500', { now: new Date('2026-03-01T16:00:00.000Z') });
+  assertEqual(morning.snapshotRef, `snapshots/${PAGE_ID}/2026-03-01`);
+  assertEqual(noon.snapshotRef, `snapshots/${PAGE_ID}/2026-03-01.2`);
+  assertEqual(recheck.snapshotRef, noon.snapshotRef, 'Same content replaces the latest manifest of the day');
+  assertEqual(listPageSnapshots(dir, PAGE_ID).map(s => s.version).join(','), '2026-03-01,2026-03-01.2');
+  assertEqual(readSnapshotContent(dir, findSnapshot(dir, PAGE_ID, morning.contentHash)).markdown, '# Fees\n\nTk 3000');
+  assertEqual(findSnapshot(dir, PAGE_ID, '2026-03-01').version, '2026-03-01.2', 'A date finds the latest version of the day');
+  assertEqual(findSnapshot(dir, PAGE_ID, '2026-03-01', { earliest: true }).version, '2026-03-01');
+  assertEqual(findSnapshot(dir, PAGE_ID, '2026-03-01.2').version, '2026-03-01.2');
+  assert(hasSnapshotOn(dir, PAGE_ID, new Date('2026-03-01T20:00:00.000Z')), 'Has a snapshot on the day');
+}));
+
+test('blobs are compressed with gzip or brotli and read back', () => withStore((dir) => {
+  const markdown = '# Fees\n\n' + 'Regular delivery: Tk 3000\n'.repeat(200);
+  save(dir, '2026-03-01', markdown);
+  save(dir, '2026-03-02', `${markdown}Express: Tk 5000\n`, { compression: 'brotli' });
+  const [gzipped, brotli] = listPageSnapshots(dir, PAGE_ID);
+  const content = readSnapshotContent(dir, gzipped);
+  assertEqual(content.markdown, markdown);
+  assertEqual(content.html, `<p>${markdown}</p>`);
+  assertEqual(content.meta.title, 'Fees');
+  assertEqual(readSnapshotContent(dir, brotli).meta.blobs.markdown.compression, 'brotli');
+  assert(fs.statSync(path.join(dir, content.meta.blobs.markdown.path)).size < markdown.length / 5, 'Blob is compressed');
+}));
+
+test('legacy snapshot directories are read and migrated into the store', () => withStore((dir) => {
+  const legacyDir = path.join(dir, PAGE_ID, '2026-01-15');
+  fs.mkdirSync(legacyDir, { recursive: true });
+  fs.writeFileSync(path.join(legacyDir, 'page.md'), '# Old fees');
+  fs.writeFileSync(path.join(legacyDir, 'meta.json'), JSON.stringify({ canonical_url: PAGE_URL, fetched_at: '2026-01-15T23:30:00.000Z', title: 'Old' }));
+  assertEqual(listPageSnapshots(dir, PAGE_ID)[0].format, 'legacy');
+  assert(hasSnapshotOn(dir, PAGE_ID, new Date('2026-01-15T12:00:00.000Z')), 'Legacy snapshot counts for its day');
+
+  assertEqual(migrateLegacySnapshots(dir).migrated, 1);
+  const [migrated] = listPageSnapshots(dir, PAGE_ID);
+  assertEqual(migrated.format, 'manifest');
+  assertEqual(migrated.date, '2026-01-15');
+  assertEqual(readSnapshotContent(dir, migrated).markdown, '# Old fees');
+  assert(!fs.existsSync(legacyDir), 'Legacy directory removed');
+}));
+
+// ============================================================================
+// Retention Tests
+// ============================================================================
+
+console.log('\n🔹 Retention Policy:');
+
+const NOW = new Date('2026-06-30T12:00:00.000Z');
+
+test('distinct versions, the last 30 days and the last snapshot of each month are kept', () => {
+  const snapshots = [
+    { date: '2026-01-10', contentHash: 'a' },
+    { date: '2026-01-20', contentHash: 'a' },
+    { date: '2026-01-31', contentHash: 'a' },
+    { date: '2026-02-05', contentHash: 'b' },
+    { date: '2026-02-06', contentHash: 'b' },
+    { date: '2026-06-05', contentHash: 'b' },
+    { date: '2026-06-20', contentHash: 'b' },
+    { date: '2026-06-29', contentHash: 'b' },
+  ];
+  const kept = selectRetainedSnapshots(snapshots, { now: NOW });
+  assertEqual([...kept.keys()].sort().join(','), '2026-01-10,2026-01-31,2026-02-05,2026-02-06,2026-06-05,2026-06-20,2026-06-29');
+  assertEqual(kept.get('2026-01-10'), 'distinct_version');
+  assertEqual(kept.get('2026-01-31'), 'monthly');
+  assertEqual(kept.get('2026-06-05'), 'daily');
+
+  const strict = selectRetainedSnapshots(snapshots, { now: NOW, policy: { keepDistinctVersions: false, monthly: false, dailyDays: 5 } });
+  assertEqual([...strict.keys()].join(','), '2026-06-29', 'Only the latest snapshot survives the strictest policy');
+});
+
+test('prune deletes what the policy drops, then the blobs nothing points at', () => withStore((dir) => {
+  save(dir, '2026-01-10', 'version 1');
+  save(dir, '2026-01-20', 'version 2');
+  save(dir, '2026-01-21', 'version 2');
+  save(dir, '2026-06-29', 'version 3');
+  const policy = { keepDistinctVersions: false };
+
+  const dryRun = pruneSnapshots(dir, { now: NOW, policy, dryRun: true });
+  assertEqual(dryRun.deleted_manifests.join(','), `${PAGE_ID}/2026-01-10,${PAGE_ID}/2026-01-20`);
+  assertEqual(listPageSnapshots(dir, PAGE_ID).length, 4, 'Dry run deletes nothing');
+
+  const result = pruneSnapshots(dir, { now: NOW, policy });
+  assertEqual(result.manifests_deleted, 2);
+  assertEqual(result.blobs_deleted, 2, 'Markdown and HTML of version 1');
+  assertEqual(listPageSnapshots(dir, PAGE_ID).map(s => s.date).join(','), '2026-01-21,2026-06-29');
+  assertEqual(countBlobs(dir), 4);
+}));
+
+test('snapshots and blobs that claim citations depend on are never pruned', () => withStore((dir) => {
+  save(dir, '2026-01-10', 'version 1');
+  save(dir, '2026-01-20', 'version 2');
+  save(dir, '2026-06-29', 'version 3');
+  const kb = {
+    source_pages: [{ source_page_id: PAGE_ID, snapshot_ref: `snapshots/${PAGE_ID}/2026-06-29`, content_hash: generateHash('version 3') }],
+    claims: [{ claim_id: 'claim.fee.svc_a.1', citations: [{ source_page_id: PAGE_ID, retrieved_at: '2026-01-15T10:00:00Z' }] }],
+  };
+  const result = pruneSnapshots(dir, { now: NOW, kb, policy: { keepDistinctVersions: false, monthly: false } });
+  assertEqual(listPageSnapshots(dir, PAGE_ID).map(s => s.date).join(','), '2026-01-10,2026-06-29', 'Snapshot the citation was retrieved from');
+  assertEqual(result.kept_by_reason.cited, 2);
+  assertEqual(result.deleted_manifests.join(','), `${PAGE_ID}/2026-01-20`);
+  const current = readSnapshotContent(dir, listPageSnapshots(dir, PAGE_ID)[1]);
+  assertEqual(current.markdown, 'version 3');
+}));
+
+test('prune skips stray files in the blobs directory', () => withStore((dir) => {
+  save(dir, '2026-01-10', 'version 1');
+  save(dir, '2026-06-29', 'version 2');
+  fs.writeFileSync(path.join(dir, 'blobs', '.DS_Store'), '');
+  const result = pruneSnapshots(dir, { now: NOW, policy: { keepDistinctVersions: false, monthly: false } });
+  assertEqual(result.blobs_deleted, 2, 'Markdown and HTML of version 1');
+  assert(fs.existsSync(path.join(dir, 'blobs', '.DS_Store')), 'Stray file left alone');
+}));
+
+test('same-day versions are pruned one by one', () => withStore((dir) => {
+  save(dir, '2026-06-29', 'version 1');
+  save(dir, '2026-06-29', 'version 2', { now: new Date('2026-06-29T12:00:00.000Z') });
+  const kept = pruneSnapshots(dir, { now: NOW, policy: { dailyDays: 0, monthly: false } });
+  assertEqual(kept.manifests_deleted, 0, 'Both versions are distinct');
+
+  const result = pruneSnapshots(dir, { now: NOW, policy: { keepDistinctVersions: false, dailyDays: 0, monthly: false } });
+  assertEqual(result.deleted_manifests.join(','), `${PAGE_ID}/2026-06-29`);
+  assertEqual(listPageSnapshots(dir, PAGE_ID).map(s => s.version).join(','), '2026-06-29.2');
+}));
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,231 @@
+/**
+ * Tests for source_lifecycle.js module
+ *
+ * Run with: node scripts/crawler/__tests__/source_lifecycle.test.js
+ */
+
+// Import source lifecycle module
+const {
+  isTrackedSourcePage,
+  detectRemovalSignal,
+  updateSourceLifecycle,
+} = require('../source_lifecycle');
+const { addOrUpdateSourcePage } = require('../kb_writer');
+const { generateSourcePageId } = require('../utils');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const FEES_URL = 'https://epassport.gov.bd/fees';
+const NOTICE_URL = 'https://epassport.gov.bd/notice';
+const FEES_ID = generateSourcePageId(FEES_URL);
+const NOTICE_ID = generateSourcePageId(NOTICE_URL);
+
+const day = (n) => new Date(Date.UTC(2026, 2, 1 + n, 8));
+
+const createKB = () => ({
+  agencies: [],
+  source_pages: [
+    { source_page_id: FEES_ID, canonical_url: FEES_URL, alias_urls: [], status: 'active' },
+    { source_page_id: NOTICE_ID, canonical_url: NOTICE_URL, alias_urls: [], status: 'active' },
+  ],
+  claims: [
+    { claim_id: 'claim.fee.epassport.regular', status: 'verified', citations: [{ source_page_id: FEES_ID }] },
+    { claim_id: 'claim.fee.epassport.express', status: 'stale', citations: [{ source_page_id: FEES_ID }, { source_page_id: NOTICE_ID }] },
+  ],
+  audit_log: [],
+});
+
+const observe = ({ seen = [], signals = {}, listed = null } = {}) => ({
+  seen: new Set(seen),
+  signals: new Map(Object.entries(signals)),
+  listedUrls: listed ? new Set(listed) : null,
+});
+
+const NOT_FOUND = { reason: 'not_found', status_code: 404 };
+const REDIRECTED = { reason: 'redirected', redirected_to: 'https://epassport.gov.bd/' };
+
+// ============================================================================
+// Signal Tests
+// ============================================================================
+
+console.log('\n🔹 Removal Signals:');
+
+test('404/410 responses and redirects to another page are removal signals', () => {
+  assertEqual(detectRemovalSignal(FEES_URL, { markdown: 'Not Found', metadata: { statusCode: 404 } }).reason, 'not_found');
+  const error = Object.assign(new Error('Gone'), { status: 410 });
+  assertEqual(detectRemovalSignal(FEES_URL, null, error).status_code, 410);
+  assertEqual(detectRemovalSignal(FEES_URL, null, new Error('socket hang up')), null);
+
+  const redirect = detectRemovalSignal(FEES_URL, { markdown: '# Home', metadata: { statusCode: 200, url: 'https://www.epassport.gov.bd/' } });
+  assertEqual(redirect.reason, 'redirected');
+  assertEqual(redirect.redirected_to, 'https://epassport.gov.bd/', 'Canonical URL of the target');
+  assertEqual(detectRemovalSignal(FEES_URL, { markdown: '# Fees', metadata: { statusCode: 200, url: 'http://www.epassport.gov.bd/fees/' } }), null, 'Same page after canonicalization');
+  assertEqual(detectRemovalSignal(FEES_URL, { markdown: '# Fees' }), null);
+});
+
+// ============================================================================
+// Transition Tests
+// ============================================================================
+
+console.log('\n🔹 Transitions:');
+
+test('a 404 marks a page missing at once; an unlisted page after missingAfterRuns discoveries', () => {
+  const kb = createKB();
+  let result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: NOT_FOUND } }), { now: day(0), missingAfterRuns: 2 });
+  assertEqual(result.missing.join(','), FEES_ID);
+  assertEqual(kb.source_pages[0].status, 'missing');
+  assertEqual(kb.source_pages[0].lifecycle.missing_since, day(0).toISOString());
+  assertEqual(kb.source_pages[0].lifecycle.status_code, 404);
+  assertEqual(kb.source_pages[1].status, 'active', 'Nothing known about it');
+
+  result = updateSourceLifecycle(kb, kb.source_pages, observe({ listed: [FEES_URL] }), { now: day(1), missingAfterRuns: 2 });
+  assertEqual(kb.source_pages[1].lifecycle.signal_runs, 1);
+  assertEqual(kb.source_pages[1].status, 'active');
+  updateSourceLifecycle(kb, kb.source_pages, observe(), { now: day(2), missingAfterRuns: 2 });
+  assertEqual(kb.source_pages[1].lifecycle.signal_runs, 1, 'No listing, no count');
+  result = updateSourceLifecycle(kb, kb.source_pages, observe({ listed: [FEES_URL] }), { now: day(3), missingAfterRuns: 2 });
+  assertEqual(result.missing.join(','), NOTICE_ID);
+  assertEqual(kb.source_pages[1].lifecycle.reason, 'not_listed');
+  assertEqual(kb.audit_log.length, 2);
+  assertEqual(kb.audit_log[1].event_type, 'source_change');
+  assertEqual(kb.audit_log[1].metadata.status_to, 'missing');
+});
+
+test('a page listed again before its grace period ends keeps no unlisted streak', () => {
+  const kb = createKB();
+  updateSourceLifecycle(kb, kb.source_pages, observe({ listed: [FEES_URL] }), { now: day(0) });
+  assertEqual(kb.source_pages[1].lifecycle.signal_runs, 1);
+  updateSourceLifecycle(kb, kb.source_pages, observe({ listed: [FEES_URL, NOTICE_URL] }), { now: day(1) });
+  assertEqual(kb.source_pages[1].lifecycle, undefined);
+  assertEqual(kb.audit_log.length, 0);
+});
+
+test('a page still gone after removeAfterDays is removed and claims citing only removed pages are deprecated', () => {
+  const kb = createKB();
+  const gone = observe({ signals: { [FEES_ID]: NOT_FOUND, [NOTICE_ID]: { reason: 'not_found', status_code: 410 } } });
+  updateSourceLifecycle(kb, kb.source_pages, gone, { now: day(0), removeAfterDays: 30 });
+  let result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: NOT_FOUND } }), { now: day(29), removeAfterDays: 30 });
+  assertEqual(result.removed.length, 0, 'Within the grace period');
+
+  result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: NOT_FOUND } }), { now: day(30), removeAfterDays: 30 });
+  assertEqual(result.removed.join(','), FEES_ID);
+  assertEqual(kb.source_pages[0].lifecycle.removed_at, day(30).toISOString());
+  assertEqual(kb.source_pages[1].status, 'missing', 'No signal this run');
+  assertEqual(result.deprecatedClaims.join(','), 'claim.fee.epassport.regular');
+  assertEqual(kb.claims[0].status, 'deprecated');
+  assertEqual(kb.claims[0].previous_status, 'verified');
+  assertEqual(kb.claims[0].deprecated_reason, 'source_removed');
+  assertEqual(kb.claims[1].status, 'stale', 'Also cites a page that is not removed');
+
+  const [sourceChange, invalidation] = kb.audit_log.slice(-2);
+  assertEqual(sourceChange.metadata.status_to, 'removed');
+  assertEqual(invalidation.event_type, 'claim_invalidation');
+  assertEqual(invalidation.affected_entities.claims.join(','), 'claim.fee.epassport.regular');
+  assertEqual(invalidation.affected_entities.source_pages.join(','), FEES_ID);
+  assertEqual(invalidation.timestamp, day(30).toISOString());
+
+  result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [NOTICE_ID]: NOT_FOUND } }), { now: day(31), removeAfterDays: 30 });
+  assertEqual(result.deprecatedClaims.join(','), 'claim.fee.epassport.express', 'Its last page was removed');
+});
+
+test('a redirect marks a page missing only after missingAfterRuns runs in a row', () => {
+  const kb = createKB();
+  let result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: REDIRECTED } }), { now: day(0), missingAfterRuns: 2 });
+  assertEqual(result.missing.length, 0, 'A start URL redirecting to /home once is not gone');
+  assertEqual(kb.source_pages[0].status, 'active');
+  assertEqual(kb.source_pages[0].lifecycle.reason, 'redirected');
+  assertEqual(kb.source_pages[0].lifecycle.signal_runs, 1);
+
+  updateSourceLifecycle(kb, kb.source_pages, observe({ listed: [FEES_URL, NOTICE_URL] }), { now: day(1), missingAfterRuns: 2 });
+  assertEqual(kb.source_pages[0].lifecycle.signal_runs, 1, 'Not scraped, the streak goes on');
+  result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: REDIRECTED } }), { now: day(2), missingAfterRuns: 2 });
+  assertEqual(result.missing.join(','), FEES_ID);
+  assertEqual(kb.source_pages[0].lifecycle.redirected_to, 'https://epassport.gov.bd/');
+  assertEqual(kb.audit_log[0].description, '1 source page(s) missing (redirected)');
+
+  // A redirect streak ends when the page answers at its own URL
+  updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [NOTICE_ID]: REDIRECTED } }), { now: day(3), missingAfterRuns: 2 });
+  updateSourceLifecycle(kb, kb.source_pages, observe({ seen: [NOTICE_ID] }), { now: day(4), missingAfterRuns: 2 });
+  result = updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [NOTICE_ID]: REDIRECTED } }), { now: day(5), missingAfterRuns: 2 });
+  assertEqual(result.missing.length, 0);
+  assertEqual(kb.source_pages[1].lifecycle.signal_runs, 1);
+});
+
+test('a page scraped again is active again; statuses set by hand are left alone', () => {
+  const kb = createKB();
+  updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: NOT_FOUND } }), { now: day(0) });
+  kb.source_pages[1].status = 'archived';
+
+  // A recrawl keeps the page's status; the lifecycle update reactivates it
+  addOrUpdateSourcePage(kb, { url: FEES_URL, domain: 'epassport.gov.bd', title: 'Fees', markdown: '# Fees', contentHash: 'a'.repeat(64) }, () => ['fees']);
+  assertEqual(kb.source_pages[0].status, 'missing');
+  const result = updateSourceLifecycle(kb, kb.source_pages, observe({ seen: [FEES_ID], signals: { [NOTICE_ID]: NOT_FOUND } }), { now: day(1) });
+  assertEqual(result.reactivated.join(','), FEES_ID);
+  assertEqual(kb.source_pages[0].status, 'active');
+  assertEqual(kb.source_pages[0].lifecycle, undefined);
+  assertEqual(kb.source_pages[1].status, 'archived');
+  assertEqual(kb.audit_log[kb.audit_log.length - 1].metadata.status_to, 'active');
+  assert(isTrackedSourcePage({ status: 'missing' }) && !isTrackedSourcePage({ status: 'removed' }), 'Missing pages are still crawled');
+});
+
+test('claims deprecated with a removed page get their previous status back when it is scraped again', () => {
+  const kb = createKB();
+  kb.claims.push({ claim_id: 'claim.doc.epassport.rejected', status: 'deprecated', deprecated_reason: 'rejected', citations: [{ source_page_id: FEES_ID }] });
+  updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: NOT_FOUND, [NOTICE_ID]: NOT_FOUND } }), { now: day(0) });
+  updateSourceLifecycle(kb, kb.source_pages, observe({ signals: { [FEES_ID]: NOT_FOUND, [NOTICE_ID]: NOT_FOUND } }), { now: day(30) });
+  assertEqual(kb.claims[0].status, 'deprecated');
+  assertEqual(kb.claims[1].status, 'deprecated');
+
+  const result = updateSourceLifecycle(kb, kb.source_pages, observe({ seen: [NOTICE_ID] }), { now: day(31) });
+  assertEqual(result.reactivated.join(','), NOTICE_ID);
+  assertEqual(result.restoredClaims.join(','), 'claim.fee.epassport.express', 'Only the claims citing the page found again');
+  const express = kb.claims[1];
+  assertEqual(express.status, 'stale');
+  assertEqual(express.previous_status, 'deprecated');
+  assertEqual(express.deprecated_at, undefined);
+  assertEqual(express.deprecated_reason, undefined);
+  assertEqual(kb.claims[0].status, 'deprecated', 'Its only page is still removed');
+  assertEqual(kb.claims[2].status, 'deprecated', 'Rejected by a reviewer');
+
+  const restored = kb.audit_log[kb.audit_log.length - 1];
+  assertEqual(restored.event_type, 'claim_invalidation');
+  assertEqual(restored.metadata.status_to, 'stale');
+  assertEqual(restored.affected_entities.claims.join(','), 'claim.fee.epassport.express');
+  assertEqual(restored.affected_entities.source_pages.join(','), NOTICE_ID);
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
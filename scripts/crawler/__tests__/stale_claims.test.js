@@ -0,0 +1,169 @@
+/**
+ * Tests for stale_claims.js module
+ *
+ * Run with: node scripts/crawler/__tests__/stale_claims.test.js
+ */
+
+// Import stale claims module
+const {
+  getClaimAgeDays,
+  selectClaimsForRecrawl,
+  planStaleClaimRecrawl,
+} = require('../stale_claims');
+const { refreshClaimEvidence } = require('../kb_writer');
+const { IndexBuilder } = require('../../../kb/index_builder');
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const NOW = '2026-03-01T00:00:00.000Z';
+
+/**
+ * Timestamp a number of days before NOW
+ */
+function daysAgo(days) {
+  return new Date(new Date(NOW).getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Build a KB claim citing the given source pages
+ */
+function claim(id, status, verifiedDaysAgo, sourcePageIds) {
+  return {
+    claim_id: id,
+    status,
+    last_verified_at: daysAgo(verifiedDaysAgo),
+    citations: sourcePageIds.map(sourcePageId => ({ source_page_id: sourcePageId, quoted_text: 'old', retrieved_at: daysAgo(verifiedDaysAgo) })),
+  };
+}
+
+/**
+ * Build a small KB with its claims_by_source_page index
+ */
+function buildKb() {
+  const kb = {
+    source_pages: [
+      { source_page_id: 'source.fees', canonical_url: 'https://bsp.brta.gov.bd/fees' },
+      { source_page_id: 'source.faq', canonical_url: 'https://www.epassport.gov.bd/landing/faqs' },
+      { source_page_id: 'source.about', canonical_url: 'https://bsp.brta.gov.bd/about' },
+    ],
+    claims: [
+      claim('claim.fee.1', 'stale', 2, ['source.fees']),
+      claim('claim.fee.2', 'verified', 90, ['source.fees']),
+      claim('claim.faq.1', 'unverified', 45, ['source.faq']),
+      claim('claim.faq.2', 'unverified', 5, ['source.faq']),
+      claim('claim.about.1', 'unverified', 10, ['source.about']),
+      claim('claim.lost.1', 'stale', 10, ['source.missing']),
+    ],
+  };
+  const builder = new IndexBuilder(kb);
+  // Index building logs progress; keep test output readable
+  const log = console.log;
+  console.log = () => {};
+  builder.buildClaimsBySourcePage(new Map(kb.claims.map(c => [c.claim_id, c])));
+  console.log = log;
+  return { kb, index: builder.mapOfSetsToObject(builder.claimsBySourcePage) };
+}
+
+const fixture = buildKb();
+
+// ============================================================================
+// Claim Selection Tests
+// ============================================================================
+
+console.log('\n🔹 Claim Selection:');
+
+test('stale claims always qualify, unverified claims past the age', () => {
+  const ids = selectClaimsForRecrawl(fixture.kb, { maxAgeDays: 30, now: NOW }).map(c => c.claim_id);
+  assertEqual(ids.join(','), 'claim.fee.1,claim.faq.1,claim.lost.1');
+  const all = selectClaimsForRecrawl(fixture.kb, { maxAgeDays: 0, now: NOW });
+  assertEqual(all.length, 5, 'Age 0 selects every unverified claim');
+});
+
+test('claim age falls back to the newest citation', () => {
+  const c = { claim_id: 'c', citations: [{ retrieved_at: daysAgo(40) }, { retrieved_at: daysAgo(12) }] };
+  assertEqual(Math.round(getClaimAgeDays(c, new Date(NOW).getTime())), 12);
+  assertEqual(getClaimAgeDays({ claim_id: 'c' }, Date.now()), Infinity);
+});
+
+// ============================================================================
+// Recrawl Planning Tests
+// ============================================================================
+
+console.log('\n🔹 Recrawl Planning:');
+
+test('claims resolve to the source pages they cite, across domains', () => {
+  const plan = planStaleClaimRecrawl(fixture.kb, fixture.index, { maxAgeDays: 30, now: NOW });
+  assertEqual(plan.pages.map(p => p.source_page_id).join(','), 'source.fees,source.faq', 'Stale pages first');
+  assertEqual(plan.pages[0].claim_ids.join(','), 'claim.fee.1', 'Only affected claims');
+  assertEqual(plan.unresolved.join(','), 'source.missing');
+});
+
+test('the budget and page filter narrow the plan', () => {
+  const budgeted = planStaleClaimRecrawl(fixture.kb, fixture.index, { maxAgeDays: 0, now: NOW, budget: 1 });
+  assertEqual(budgeted.scheduled.length, 1);
+  assertEqual(budgeted.deferred.length, 2);
+  const brtaOnly = planStaleClaimRecrawl(fixture.kb, fixture.index, {
+    maxAgeDays: 0,
+    now: NOW,
+    includePage: sp => sp.canonical_url.includes('brta.gov.bd'),
+  });
+  assertEqual(brtaOnly.pages.map(p => p.source_page_id).join(','), 'source.fees,source.about');
+  assertEqual(brtaOnly.excluded, 1);
+});
+
+// ============================================================================
+// Evidence Refresh Tests
+// ============================================================================
+
+console.log('\n🔹 Evidence Refresh:');
+
+test('recrawled evidence replaces the citations of the targeted claims only', () => {
+  const { kb } = buildKb();
+  kb.claims[0].citations.push({ source_page_id: 'source.other', quoted_text: 'kept' });
+  const extracted = [
+    { claim_id: 'claim.fee.1', citations: [{ source_page_id: 'source.fees', quoted_text: 'new', retrieved_at: NOW }] },
+    { claim_id: 'claim.fee.2', citations: [{ source_page_id: 'source.fees', quoted_text: 'new', retrieved_at: NOW }] },
+  ];
+  const refreshed = refreshClaimEvidence(kb, extracted, new Set(['claim.fee.1']), 'source.fees');
+  assertEqual(refreshed, 1);
+  const [fee1, fee2] = kb.claims;
+  assertEqual(fee1.citations.map(c => c.quoted_text).join(','), 'kept,new');
+  assertEqual(fee1.status, 'stale', 'Status is left to verification');
+  assertEqual(fee2.citations[0].quoted_text, 'old', 'Untargeted claims are untouched');
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+console.log('\n' + '═'.repeat(50));
+console.log(`  Tests: ${passed + failed} total, ${passed} passed, ${failed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,146 @@
+/**
+ * URL Canonicalization Module
+ *
+ * Reduces the URL variants of one page (http/https, www., default ports,
+ * trailing slashes, fragments, tracking query params) to a single canonical
+ * URL, so every variant hashes to the same source_page_id. A
+ * <link rel="canonical"> declared by the page itself takes precedence when it
+ * points to the same site.
+ *
+ * @module crawler/canonical_url
+ */
+
+'use strict';
+
+const { URL } = require('url');
+
+// Query params that only track the visit and never change the page
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', 'igshid', 'ref_src',
+]);
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Check if a query param only tracks the visit
+ * @param {string} name - Query param name
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Canonicalize a page URL:
+ * - https scheme, lowercase host without "www.", no default port or credentials
+ * - no fragment, no tracking params, remaining params sorted
+ * - no duplicate or trailing slashes in the path (the root stays "/")
+ * @param {string} url - Page URL
+ * @returns {string|null} - Canonical URL, or null if not an http(s) URL
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  parsed.port = '';
+  parsed.username = '';
+  parsed.password = '';
+  parsed.hash = '';
+
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (isTrackingParam(name)) parsed.searchParams.delete(name);
+  }
+  parsed.searchParams.sort();
+  if (!parsed.searchParams.toString()) parsed.search = '';
+
+  let pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+  if (pathname.length > 1 && pathname.endsWith('/')) {
+    pathname = pathname.replace(/\/+$/, '') || '/';
+  }
+  parsed.pathname = pathname;
+
+  return parsed.toString();
+}
+
+// ============================================================================
+// <link rel="canonical">
+// ============================================================================
+
+/**
+ * Get an attribute value from an HTML tag
+ * @private
+ */
+function _getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Find the <link rel="canonical"> URL declared in a page
+ * @param {string} html - Page HTML (head included)
+ * @param {string} pageUrl - Page URL (resolves relative hrefs)
+ * @returns {string|null} - Absolute canonical URL or null
+ */
+function extractCanonicalLink(html, pageUrl) {
+  if (!html) return null;
+
+  for (const tag of html.match(/<link\b[^>]*>/gi) || []) {
+    const rel = _getAttribute(tag, 'rel');
+    if (!rel || !rel.toLowerCase().split(/\s+/).includes('canonical')) continue;
+
+    const href = _getAttribute(tag, 'href');
+    if (!href || !href.trim()) continue;
+    try {
+      return new URL(href.trim().replace(/&amp;/g, '&'), pageUrl).toString();
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the canonical URL of a scraped page.
+ * The page's own <link rel="canonical"> wins if it stays on the same host;
+ * otherwise the normalized fetch URL is used. Every other variant seen is an alias.
+ * @param {string} pageUrl - URL the page was fetched from
+ * @param {string} [html] - Page HTML
+ * @returns {{canonicalUrl: string, declaredCanonical: string|null, aliases: string[]}}
+ */
+function resolveCanonicalUrl(pageUrl, html = '') {
+  const normalized = canonicalizeUrl(pageUrl);
+  if (!normalized) {
+    return { canonicalUrl: pageUrl, declaredCanonical: null, aliases: [] };
+  }
+  let canonicalUrl = normalized;
+  let declaredCanonical = null;
+
+  const declared = canonicalizeUrl(extractCanonicalLink(html, pageUrl));
+  if (declared && new URL(declared).hostname === new URL(normalized).hostname) {
+    declaredCanonical = declared;
+    canonicalUrl = declared;
+  }
+
+  const aliases = [...new Set([pageUrl, normalized])].filter(url => url !== canonicalUrl);
+  return { canonicalUrl, declaredCanonical, aliases };
+}
+
+module.exports = {
+  TRACKING_PARAMS,
+  isTrackingParam,
+  canonicalizeUrl,
+  extractCanonicalLink,
+  resolveCanonicalUrl,
+};
@@ -0,0 +1,313 @@
+/**
+ * Firecrawl Cassette Module
+ *
+ * Records every Firecrawl scrape, map and binary fetch (request, effective
+ * options, per-URL overrides, and response or error) to a cassette directory,
+ * and plays them back later. Unlike snapshots, cassettes also cover robots.txt,
+ * sitemap and map responses, so a whole crawl can be reproduced exactly from a
+ * cassette attached to a bug report.
+ *
+ * @module crawler/cassette
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+  FirecrawlScrapeError,
+  FirecrawlUnavailableError,
+  FirecrawlMapError,
+  HttpDownloadNotAllowedError,
+} = require('../firecrawl_mcp');
+const { ensureDir } = require('./utils');
+
+const CASSETTE_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'cassette.json';
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+/**
+ * Error thrown in replay mode when the cassette has no recording for a request.
+ * Extends FirecrawlScrapeError so the scrape wrapper does not retry it.
+ */
+class CassetteMissError extends FirecrawlScrapeError {
+  constructor(operation, url, key) {
+    super(url, `No cassette recording for ${operation} (key ${key})`);
+    this.name = 'CassetteMissError';
+    this.code = 'CASSETTE_MISS';
+    this.operation = operation;
+    this.key = key;
+  }
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * JSON.stringify with sorted object keys, so equal options give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value === undefined || typeof value === 'function') return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value)
+    .filter(k => value[k] !== undefined && typeof value[k] !== 'function')
+    .sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+/**
+ * Build the cassette key of a request
+ * @param {string} operation - 'scrape' | 'map' | 'fetchBinary'
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Effective request options
+ * @returns {string} - 16-char hex key
+ */
+function getCassetteKey(operation, url, options = {}) {
+  return crypto.createHash('sha1')
+    .update(`${operation}\n${url}\n${stableStringify(options || {})}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * JSON replacer that stores Buffers as base64
+ * @private
+ */
+function _bufferReplacer(key, value) {
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return { __buffer_base64: Buffer.from(value.data).toString('base64') };
+  }
+  return value;
+}
+
+/**
+ * JSON reviver that restores Buffers stored as base64
+ * @private
+ */
+function _bufferReviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.__buffer_base64 === 'string') {
+    return Buffer.from(value.__buffer_base64, 'base64');
+  }
+  return value;
+}
+
+/**
+ * Serialize an error for a cassette entry
+ * @param {Error} error - Error to serialize
+ * @returns {Object}
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+  };
+  for (const key of ['code', 'url', 'reason', 'domain', 'operation', 'status', 'retryAfter']) {
+    if (error && error[key] !== undefined) serialized[key] = error[key];
+  }
+  return serialized;
+}
+
+/**
+ * Rebuild a recorded error, using the Firecrawl error classes where possible
+ * so callers that check instanceof behave exactly as during recording
+ * @param {Object} recorded - Serialized error
+ * @returns {Error}
+ */
+function deserializeError(recorded) {
+  let error;
+  switch (recorded.name) {
+    case 'FirecrawlScrapeError':
+      error = new FirecrawlScrapeError(recorded.url, recorded.reason);
+      break;
+    case 'FirecrawlUnavailableError':
+      error = new FirecrawlUnavailableError(recorded.operation);
+      break;
+    case 'FirecrawlMapError':
+      error = new FirecrawlMapError(recorded.domain, { message: recorded.message });
+      break;
+    case 'HttpDownloadNotAllowedError':
+      error = new HttpDownloadNotAllowedError(recorded.url);
+      break;
+    default:
+      error = new Error(recorded.message);
+      error.name = recorded.name;
+  }
+  // Keep the recorded message and fields verbatim
+  Object.assign(error, recorded);
+  return error;
+}
+
+// ============================================================================
+// CASSETTE
+// ============================================================================
+
+/**
+ * A cassette directory in record or replay mode.
+ *
+ * Each request key maps to one file holding the ordered list of calls made
+ * with that key, so retries replay in the same order they were recorded
+ * (the last call is repeated once the list is exhausted).
+ */
+class Cassette {
+  /**
+   * @param {string} dir - Cassette directory
+   * @param {'record' | 'replay'} mode - Cassette mode
+   */
+  constructor(dir, mode) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Invalid cassette mode '${mode}' (expected record or replay)`);
+    }
+
+    this.dir = dir;
+    this.mode = mode;
+    this.callCounts = new Map();
+    this.stats = { recorded: 0, replayed: 0, misses: 0 };
+
+    if (mode === 'record') {
+      ensureDir(dir);
+      const manifest = {
+        format_version: CASSETTE_FORMAT_VERSION,
+        recorded_at: new Date().toISOString(),
+        argv: process.argv.slice(2),
+      };
+      fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf-8');
+    } else if (!fs.existsSync(path.join(dir, MANIFEST_FILE))) {
+      throw new Error(`Not a cassette directory (no ${MANIFEST_FILE}): ${dir}`);
+    }
+  }
+
+  /**
+   * Get the file path of a cassette entry
+   * @private
+   */
+  _entryPath(operation, key) {
+    return path.join(this.dir, `${operation}_${key}.json`);
+  }
+
+  /**
+   * Run a Firecrawl request through the cassette.
+   * In record mode the request is executed and its outcome stored;
+   * in replay mode the stored outcome is returned (or thrown).
+   * @param {string} operation - 'scrape' | 'map' | 'fetchBinary'
+   * @param {string} url - Request URL
+   * @param {Object} options - Effective request options (part of the key)
+   * @param {Object|null} overrides - Per-URL Firecrawl overrides applied (recorded only)
+   * @param {Function} execute - Performs the real request (record mode only)
+   * @returns {Promise<*>} - Response
+   */
+  async run(operation, url, options, overrides, execute) {
+    const key = getCassetteKey(operation, url, options);
+    const callIndex = this.callCounts.get(key) || 0;
+    this.callCounts.set(key, callIndex + 1);
+
+    if (this.mode === 'replay') {
+      return this._replay(operation, url, key, callIndex);
+    }
+
+    let response;
+    let error = null;
+    try {
+      response = await execute();
+    } catch (e) {
+      error = e;
+    }
+
+    this._record(operation, url, options, overrides, key, callIndex, error ? { error: serializeError(error) } : { response });
+
+    if (error) throw error;
+    return response;
+  }
+
+  /**
+   * Append a call to its cassette entry (the first call of a session starts the entry afresh)
+   * @private
+   */
+  _record(operation, url, options, overrides, key, callIndex, outcome) {
+    const entryPath = this._entryPath(operation, key);
+    let entry = null;
+
+    if (callIndex > 0 && fs.existsSync(entryPath)) {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'), _bufferReviver);
+    }
+    if (!entry) {
+      entry = {
+        operation,
+        url,
+        key,
+        options: options || {},
+        overrides: overrides || null,
+        calls: [],
+      };
+    }
+
+    entry.calls.push({ recorded_at: new Date().toISOString(), ...outcome });
+    fs.writeFileSync(entryPath, JSON.stringify(entry, _bufferReplacer, 2), 'utf-8');
+    this.stats.recorded++;
+  }
+
+  /**
+   * Replay a recorded call
+   * @private
+   */
+  _replay(operation, url, key, callIndex) {
+    const entryPath = this._entryPath(operation, key);
+    if (!fs.existsSync(entryPath)) {
+      this.stats.misses++;
+      throw new CassetteMissError(operation, url, key);
+    }
+
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'), _bufferReviver);
+    const call = entry.calls[Math.min(callIndex, entry.calls.length - 1)];
+    this.stats.replayed++;
+
+    if (call.error) {
+      throw deserializeError(call.error);
+    }
+    return call.response;
+  }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Open a cassette for recording (overwrites recordings of repeated requests)
+ * @param {string} dir - Cassette directory
+ * @returns {Cassette}
+ */
+function recordCassette(dir) {
+  return new Cassette(dir, 'record');
+}
+
+/**
+ * Open a recorded cassette for replay
+ * @param {string} dir - Cassette directory
+ * @returns {Cassette}
+ */
+function replayCassette(dir) {
+  return new Cassette(dir, 'replay');
+}
+
+module.exports = {
+  Cassette,
+  recordCassette,
+  replayCassette,
+  getCassetteKey,
+  stableStringify,
+  serializeError,
+  deserializeError,
+  CassetteMissError,
+  CASSETTE_FORMAT_VERSION,
+};
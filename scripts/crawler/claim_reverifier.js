@@ -0,0 +1,263 @@
+/**
+ * Claim Re-verification Module
+ *
+ * After a source page changes, looks for the quoted_text of every claim that
+ * cites it in the new content, starting in the section its heading_path
+ * locator points at, instead of marking them all stale:
+ *
+ * - quote found word for word: the claim keeps its status, and the citation
+ *   gets a fresh retrieved_at (and a new locator if the quote moved); a
+ *   stale claim gets the status it had before it was marked stale back
+ * - quote found with edits: the claim is marked `contradicted`
+ * - quote gone: the claim is marked `stale` (kb/claim_invalidator.js)
+ *
+ * Each outcome is written to the audit log as a `verification` event.
+ *
+ * @module crawler/claim_reverifier
+ */
+
+'use strict';
+
+const { splitNormalizedSections, PAGE_CONTENT_SECTION } = require('./content_normalizer');
+const { normalizeForMatch } = require('./snapshot_diff');
+const { markClaimAsStale } = require('../../kb/claim_invalidator');
+const { createVerificationEntry, appendToAuditLog, scriptActor } = require('../../kb/audit_log');
+
+const SCRIPT_ACTOR = scriptActor('claim_reverifier.js');
+
+// Minimum word overlap (Dice coefficient) for a line to be an edited version of a quote
+const EDIT_SIMILARITY_THRESHOLD = 0.6;
+
+// Outcome -> audit description of the claims it applies to
+const OUTCOMES = Object.freeze({
+  unchanged: 'quote found unchanged in the new snapshot',
+  contradicted: 'quote found with edits in the new snapshot, marked contradicted',
+  stale: 'quote no longer in the new snapshot, marked stale',
+  restored: 'quote of a stale claim found unchanged in the new snapshot, no longer stale',
+});
+
+// Claims with these statuses are not re-verified
+const SKIPPED_STATUSES = ['deprecated'];
+
+// Quotes are searched in the page as scraped (no volatile region masking)
+const UNMASKED = Object.freeze({ defaultMasks: false, maskPatterns: [], maskSections: [], hashScope: 'page' });
+
+// ============================================================================
+// QUOTE SEARCH
+// ============================================================================
+
+/**
+ * Heading path of a section as citation locators write it
+ * @param {{headingPath: string[]}} section - Section from splitNormalizedSections
+ * @returns {string[]}
+ */
+const locatorPath = (section) => (section.headingPath.length > 0 ? section.headingPath : [PAGE_CONTENT_SECTION]);
+
+/**
+ * Split page markdown into the sections quotes are searched in
+ * @param {string} markdown - Page markdown
+ * @returns {{headingPath: string[], lines: string[]}[]}
+ */
+function splitPageSections(markdown) {
+  return splitNormalizedSections(markdown, UNMASKED);
+}
+
+/**
+ * Word overlap of two normalized texts (Dice coefficient over word multisets)
+ * @param {string} a - Normalized text
+ * @param {string} b - Normalized text
+ * @returns {number} - 0..1
+ */
+function wordSimilarity(a, b) {
+  const wordsA = a.split(' ').filter(Boolean);
+  const wordsB = b.split(' ').filter(Boolean);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const counts = new Map();
+  for (const word of wordsA) counts.set(word, (counts.get(word) || 0) + 1);
+  let common = 0;
+  for (const word of wordsB) {
+    const count = counts.get(word) || 0;
+    if (count > 0) {
+      common++;
+      counts.set(word, count - 1);
+    }
+  }
+  return (2 * common) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Find a quote in page content.
+ * The quote is first looked for word for word (markdown, case and whitespace
+ * ignored) in the section of headingPath, then anywhere on the page. If it is
+ * not there, the most similar line (or pair of lines) of that section - of the
+ * whole page when the section is gone - is an edited version of it if it is
+ * at least EDIT_SIMILARITY_THRESHOLD similar.
+ *
+ * @param {string|Object[]} content - Page markdown (or its sections from splitPageSections)
+ * @param {string} quotedText - Quote
+ * @param {string[]|null} [headingPath] - Section the quote was cited from
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Similarity threshold for an edited quote
+ * @returns {{match: 'exact'|'edited'|'missing', heading_path: string[]|null, text: string|null, similarity: number}}
+ */
+function locateQuote(content, quotedText, headingPath = null, options = {}) {
+  const threshold = options.threshold ?? EDIT_SIMILARITY_THRESHOLD;
+  const quote = normalizeForMatch(quotedText);
+  const sections = Array.isArray(content) ? content : splitPageSections(content);
+  const key = (headingPath || []).join(' > ');
+  const cited = sections.filter(section => locatorPath(section).join(' > ') === key);
+
+  const ordered = [...cited, ...sections.filter(section => !cited.includes(section))];
+  for (const section of ordered) {
+    if (quote && normalizeForMatch(section.lines.join('\n')).includes(quote)) {
+      return { match: 'exact', heading_path: locatorPath(section), text: quotedText, similarity: 1 };
+    }
+  }
+
+  let best = { match: 'missing', heading_path: null, text: null, similarity: 0 };
+  for (const section of cited.length > 0 ? cited : sections) {
+    const lines = section.lines.filter(line => !/^#{1,6}\s/.test(line));
+    const candidates = [...lines, ...lines.slice(1).map((line, i) => `${lines[i]}\n${line}`)];
+    for (const candidate of candidates) {
+      const similarity = wordSimilarity(quote, normalizeForMatch(candidate));
+      if (similarity > best.similarity) {
+        best = { match: 'edited', heading_path: locatorPath(section), text: candidate, similarity };
+      }
+    }
+  }
+  if (best.similarity < threshold) {
+    return { match: 'missing', heading_path: null, text: null, similarity: best.similarity };
+  }
+  best.similarity = Math.round(best.similarity * 1000) / 1000;
+  return best;
+}
+
+// ============================================================================
+// RE-VERIFICATION
+// ============================================================================
+
+/**
+ * Mark a claim as contradicted by an edited version of its quote
+ * (last_verified_* fields are preserved, like stale invalidation)
+ * @param {Object} claim - Claim (will be modified)
+ * @param {Object} contradiction - What contradicts it
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {boolean} - True if the status changed
+ */
+function markClaimAsContradicted(claim, contradiction, timestamp) {
+  const previousStatus = claim.status;
+  if (previousStatus !== 'contradicted') {
+    claim.previous_status = previousStatus;
+    claim.status = 'contradicted';
+  }
+  claim.contradicted_at = timestamp;
+  claim.contradiction = contradiction;
+  return previousStatus !== 'contradicted';
+}
+
+/**
+ * Give a stale claim whose quote was found again its previous status back
+ * (last_verified_* fields are preserved, like stale invalidation)
+ * @param {Object} claim - Stale claim (will be modified)
+ */
+function unmarkClaimAsStale(claim) {
+  claim.status = ['verified', 'unverified'].includes(claim.previous_status) ? claim.previous_status : 'unverified';
+  claim.previous_status = 'stale';
+  delete claim.stale_marked_at;
+  delete claim.stale_due_to_source_hash;
+}
+
+/**
+ * Re-verify the claims citing a source page against its new content, and
+ * log each outcome as a verification audit event
+ *
+ * @param {Object} kb - KB data structure (claims and audit_log are modified)
+ * @param {string} sourcePageId - Source page that changed
+ * @param {string} markdown - New content of the page (its new snapshot)
+ * @param {Object} [options]
+ * @param {string} [options.sourceHash] - content_hash of the new content
+ * @param {Date} [options.now] - Current time
+ * @param {string} [options.actor] - Audit log actor (default: script:claim_reverifier.js)
+ * @param {number} [options.threshold] - Similarity threshold for an edited quote
+ * @param {Set<string>} [options.claimIds] - Only re-verify these claims
+ * @returns {{unchanged: string[], contradicted: string[], stale: string[], restored: string[], skipped: string[], results: Object[]}}
+ */
+function reverifyClaims(kb, sourcePageId, markdown, options = {}) {
+  const timestamp = (options.now || new Date()).toISOString();
+  const result = { unchanged: [], contradicted: [], stale: [], restored: [], skipped: [], results: [] };
+  const sections = splitPageSections(markdown);
+
+  for (const claim of kb.claims || []) {
+    if (options.claimIds && !options.claimIds.has(claim.claim_id)) continue;
+    const citations = (claim.citations || []).filter(c => c.source_page_id === sourcePageId && c.quoted_text);
+    if (citations.length === 0) continue;
+    if (SKIPPED_STATUSES.includes(claim.status)) {
+      result.skipped.push(claim.claim_id);
+      continue;
+    }
+
+    const found = citations.map((citation) => {
+      const locator = citation.locator && citation.locator.type === 'heading_path' ? citation.locator.heading_path : null;
+      return { citation, ...locateQuote(sections, citation.quoted_text, locator, options) };
+    });
+    const edited = found.find(f => f.match === 'edited');
+    let outcome = edited ? 'contradicted' : found.some(f => f.match === 'missing') ? 'stale' : 'unchanged';
+    if (outcome === 'unchanged' && claim.status === 'stale') outcome = 'restored';
+
+    if (outcome === 'unchanged' || outcome === 'restored') {
+      if (outcome === 'restored') unmarkClaimAsStale(claim);
+      for (const { citation, heading_path: headingPath } of found) {
+        citation.retrieved_at = timestamp;
+        if (citation.locator && citation.locator.type === 'heading_path') {
+          citation.locator.heading_path = headingPath;
+        }
+      }
+    } else if (outcome === 'contradicted') {
+      markClaimAsContradicted(claim, {
+        reason: 'quote_edited',
+        source_page_id: sourcePageId,
+        source_hash: options.sourceHash || null,
+        quoted_text: edited.citation.quoted_text,
+        current_text: edited.text,
+        heading_path: edited.heading_path,
+        similarity: edited.similarity,
+      }, timestamp);
+    } else {
+      markClaimAsStale(claim, options.sourceHash, timestamp);
+    }
+
+    result[outcome].push(claim.claim_id);
+    result.results.push({
+      claim_id: claim.claim_id,
+      outcome,
+      ...(edited ? { current_text: edited.text, similarity: edited.similarity } : {}),
+    });
+  }
+
+  for (const outcome of Object.keys(OUTCOMES)) {
+    if (result[outcome].length === 0) continue;
+    appendToAuditLog(kb, createVerificationEntry({
+      claimIds: result[outcome],
+      sourcePageIds: [sourcePageId],
+      actor: options.actor || SCRIPT_ACTOR,
+      description: `${result[outcome].length} claim(s) re-verified: ${OUTCOMES[outcome]}`,
+      metadata: options.sourceHash ? { hash_after: options.sourceHash, outcome } : { outcome },
+      timestamp,
+    }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  EDIT_SIMILARITY_THRESHOLD,
+  OUTCOMES,
+  locatorPath,
+  splitPageSections,
+  wordSimilarity,
+  locateQuote,
+  markClaimAsContradicted,
+  unmarkClaimAsStale,
+  reverifyClaims,
+};
@@ -0,0 +1,260 @@
+/**
+ * Claim Review Module
+ *
+ * Human verification of claims (scripts/verify_claims.js):
+ *
+ * - a review queue: claims shown in a service guide first, then contradicted,
+ *   stale and unverified claims, fees and steps before the rest
+ * - the excerpt of the latest snapshot of a cited page around the quote
+ * - the reviewer's decision: verify, edit (then verify), reject (the claim is
+ *   deprecated) or mark contradicted
+ *
+ * Each decision sets the claim status, last_verified_at and last_verified_by,
+ * and is written to the audit log as a `verification` event whose actor is
+ * the reviewer (user:<name>).
+ *
+ * @module crawler/claim_review
+ */
+
+'use strict';
+
+const { locateQuote, locatorPath, splitPageSections, markClaimAsContradicted } = require('./claim_reverifier');
+const { normalizeForMatch } = require('./snapshot_diff');
+const { listPageSnapshots, readSnapshotContent } = require('./snapshot_store');
+const { createVerificationEntry, appendToAuditLog, ACTOR_PATTERNS } = require('../../kb/audit_log');
+
+// Reviewer decision -> audit outcome
+const REVIEW_DECISIONS = Object.freeze({
+  verify: 'verified',
+  edit: 'edited',
+  reject: 'rejected',
+  contradict: 'contradicted',
+});
+
+// Statuses queued by default, most urgent first
+const DEFAULT_REVIEW_STATUSES = ['contradicted', 'stale', 'unverified'];
+
+// Claim types reviewed first (others follow in claim ID order)
+const CLAIM_TYPE_PRIORITY = ['fee', 'processing_time', 'step', 'eligibility_requirement', 'document_requirement'];
+
+// Lines of context shown around a quote
+const DEFAULT_EXCERPT_CONTEXT = 2;
+
+// ============================================================================
+// REVIEW QUEUE
+// ============================================================================
+
+/**
+ * Map claims to the service guides that show them
+ * @param {Object} kb - KB data structure
+ * @returns {Map<string, string[]>} - Claim ID -> guide IDs
+ */
+function getClaimGuides(kb) {
+  const guidesByClaim = new Map();
+  for (const guide of kb.service_guides || []) {
+    const referenced = new Set(JSON.stringify(guide).match(/claim\.[a-z0-9_.]+/g) || []);
+    for (const claimId of referenced) {
+      if (!guidesByClaim.has(claimId)) guidesByClaim.set(claimId, []);
+      guidesByClaim.get(claimId).push(guide.guide_id);
+    }
+  }
+  return guidesByClaim;
+}
+
+/**
+ * Rank of a value in a priority list (values not in it rank last)
+ * @param {string[]} list - Priority list
+ * @param {string} value - Value
+ * @returns {number}
+ */
+const rankIn = (list, value) => (list.includes(value) ? list.indexOf(value) : list.length);
+
+/**
+ * Build the prioritized review queue.
+ * Claims shown in a guide come first, then by status (contradicted, stale,
+ * unverified), claim type (fees, processing times, steps first) and the
+ * oldest last_verified_at.
+ *
+ * @param {Object} kb - KB data structure
+ * @param {Object} [filters]
+ * @param {string[]} [filters.serviceIds] - Only claims of these services
+ * @param {string[]} [filters.claimTypes] - Only claims of these types
+ * @param {string[]} [filters.guideIds] - Only claims shown in these guides
+ * @param {boolean} [filters.inGuides] - true: only claims shown in a guide, false: only claims shown in none
+ * @param {string[]} [filters.statuses] - Statuses to queue (default: contradicted, stale, unverified)
+ * @returns {{claim: Object, guides: string[]}[]}
+ */
+function buildReviewQueue(kb, filters = {}) {
+  const statuses = filters.statuses || DEFAULT_REVIEW_STATUSES;
+  const guidesByClaim = getClaimGuides(kb);
+
+  const queue = (kb.claims || [])
+    .map(claim => ({ claim, guides: guidesByClaim.get(claim.claim_id) || [] }))
+    .filter(({ claim, guides }) =>
+      statuses.includes(claim.status || 'unverified') &&
+      (!filters.serviceIds || filters.serviceIds.includes(claim.entity_ref && claim.entity_ref.id)) &&
+      (!filters.claimTypes || filters.claimTypes.includes(claim.claim_type)) &&
+      (!filters.guideIds || guides.some(guideId => filters.guideIds.includes(guideId))) &&
+      (filters.inGuides === undefined || filters.inGuides === null || filters.inGuides === guides.length > 0));
+
+  return queue.sort((a, b) =>
+    (b.guides.length > 0) - (a.guides.length > 0) ||
+    rankIn(statuses, a.claim.status || 'unverified') - rankIn(statuses, b.claim.status || 'unverified') ||
+    rankIn(CLAIM_TYPE_PRIORITY, a.claim.claim_type) - rankIn(CLAIM_TYPE_PRIORITY, b.claim.claim_type) ||
+    String(a.claim.last_verified_at || '').localeCompare(String(b.claim.last_verified_at || '')) ||
+    a.claim.claim_id.localeCompare(b.claim.claim_id));
+}
+
+// ============================================================================
+// SNAPSHOT EXCERPTS
+// ============================================================================
+
+/**
+ * Excerpt of the latest snapshot of a cited page around the quote
+ * (located like claim re-verification does: word for word, else its most
+ * similar line)
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {Object} citation - Claim citation
+ * @param {Object} [options]
+ * @param {number} [options.context] - Lines shown before and after the quote
+ * @returns {{snapshot_date: string, match: string, similarity: number, heading_path: string[]|null, lines: {text: string, hit: boolean}[]}|null}
+ *   null when the page has no snapshot
+ */
+function getCitationExcerpt(snapshotsDir, citation, options = {}) {
+  const context = options.context ?? DEFAULT_EXCERPT_CONTEXT;
+  const snapshots = listPageSnapshots(snapshotsDir, citation.source_page_id);
+  if (snapshots.length === 0) return null;
+
+  const snapshot = snapshots[snapshots.length - 1];
+  const { markdown } = readSnapshotContent(snapshotsDir, snapshot);
+  const sections = splitPageSections(markdown);
+  const headingPath = citation.locator && citation.locator.type === 'heading_path' ? citation.locator.heading_path : null;
+  const found = locateQuote(sections, citation.quoted_text, headingPath);
+  const excerpt = { snapshot_date: snapshot.date, match: found.match, similarity: found.similarity, heading_path: found.heading_path, lines: [] };
+  if (found.match === 'missing') return excerpt;
+
+  const section = sections.find(s => locatorPath(s).join(' > ') === found.heading_path.join(' > '));
+  // The line holding the quote, else the lines it spans
+  const quote = normalizeForMatch(found.text);
+  const texts = section.lines.map(line => normalizeForMatch(line));
+  let hits = found.match === 'edited'
+    ? section.lines.map(line => found.text.split('\n').includes(line))
+    : texts.map(text => text.includes(quote));
+  if (!hits.includes(true)) hits = texts.map(text => text.length > 0 && quote.includes(text));
+  const first = hits.indexOf(true);
+  const last = hits.lastIndexOf(true);
+  const start = Math.max(0, (first === -1 ? 0 : first) - context);
+  const end = Math.min(section.lines.length, (last === -1 ? 0 : last) + context + 1);
+  excerpt.lines = section.lines.slice(start, end).map((text, i) => ({ text, hit: hits[start + i] }));
+  return excerpt;
+}
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+/**
+ * Apply a reviewer's corrections to a claim
+ * @param {Object} claim - Claim (will be modified)
+ * @param {Object} edits
+ * @param {string} [edits.text] - Claim text
+ * @param {string} [edits.quoted_text] - Quote of the first citation
+ * @param {Object} [edits.structured_data] - structured_data fields to set
+ * @returns {string[]} - Fields that changed
+ */
+function applyClaimEdits(claim, edits = {}) {
+  const changed = [];
+  if (edits.text !== undefined && edits.text !== claim.text) {
+    claim.text = edits.text;
+    changed.push('text');
+  }
+  const citation = (claim.citations || [])[0];
+  if (citation && edits.quoted_text !== undefined && edits.quoted_text !== citation.quoted_text) {
+    citation.quoted_text = edits.quoted_text;
+    changed.push('citations[0].quoted_text');
+  }
+  for (const [field, value] of Object.entries(edits.structured_data || {})) {
+    if (claim.structured_data && claim.structured_data[field] === value) continue;
+    claim.structured_data = { ...claim.structured_data, [field]: value };
+    changed.push(`structured_data.${field}`);
+  }
+  return changed;
+}
+
+/**
+ * content_hash of the page a claim cites first (what a verification was made against)
+ * @param {Object} kb - KB data structure
+ * @param {Object} claim - Claim
+ * @returns {string|null}
+ */
+function getCitedSourceHash(kb, claim) {
+  const citation = (claim.citations || [])[0];
+  const sourcePage = citation && (kb.source_pages || []).find(sp => sp.source_page_id === citation.source_page_id);
+  return sourcePage && /^[a-f0-9]{64}$/.test(sourcePage.content_hash || '') ? sourcePage.content_hash : null;
+}
+
+/**
+ * Record a reviewer's decision on a claim, and log it as a verification audit event
+ *
+ * @param {Object} kb - KB data structure (the claim and audit_log are modified)
+ * @param {Object} claim - Claim reviewed
+ * @param {string} decision - verify, edit, reject or contradict
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Reviewer actor (user:<name>, default: user)
+ * @param {string} [options.note] - Reviewer's note (added to claim.notes)
+ * @param {Object} [options.edits] - Corrections of an edit (applyClaimEdits)
+ * @param {Date} [options.now] - Current time
+ * @returns {Object} - Audit log entry
+ */
+function applyReviewDecision(kb, claim, decision, options = {}) {
+  const outcome = REVIEW_DECISIONS[decision];
+  if (!outcome) {
+    throw new Error(`Unknown review decision: ${decision}. Must be one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}`);
+  }
+  const actor = options.actor || ACTOR_PATTERNS.USER;
+  const timestamp = (options.now || new Date()).toISOString();
+  const previousStatus = claim.status;
+  const fieldsEdited = decision === 'edit' ? applyClaimEdits(claim, options.edits) : [];
+  const sourceHash = getCitedSourceHash(kb, claim);
+
+  if (decision === 'verify' || decision === 'edit') {
+    claim.status = 'verified';
+    if (sourceHash) claim.last_verified_source_hash = sourceHash;
+    for (const field of ['stale_marked_at', 'stale_due_to_source_hash', 'contradicted_at', 'contradiction', 'deprecated_at', 'deprecated_reason']) {
+      delete claim[field];
+    }
+  } else if (decision === 'reject') {
+    claim.status = 'deprecated';
+    claim.deprecated_at = timestamp;
+    claim.deprecated_reason = 'rejected';
+  } else {
+    markClaimAsContradicted(claim, { reason: 'reviewer', reviewer: actor, ...(options.note ? { note: options.note } : {}) }, timestamp);
+  }
+  if (previousStatus !== claim.status) claim.previous_status = previousStatus;
+  claim.last_verified_at = timestamp;
+  claim.last_verified_by = actor;
+  if (options.note) claim.notes = [...(claim.notes || []), options.note];
+
+  const metadata = { outcome };
+  if (fieldsEdited.length > 0) metadata.fields_edited = fieldsEdited;
+  if (sourceHash && outcome !== 'rejected') metadata.hash_after = sourceHash;
+  return appendToAuditLog(kb, createVerificationEntry({
+    claimIds: [claim.claim_id],
+    sourcePageIds: [...new Set((claim.citations || []).map(c => c.source_page_id))],
+    actor,
+    description: `Claim ${outcome} by reviewer${options.note ? `: ${options.note}` : ''}`,
+    metadata,
+    timestamp,
+  }));
+}
+
+module.exports = {
+  REVIEW_DECISIONS,
+  DEFAULT_REVIEW_STATUSES,
+  CLAIM_TYPE_PRIORITY,
+  getClaimGuides,
+  buildReviewQueue,
+  getCitationExcerpt,
+  applyClaimEdits,
+  applyReviewDecision,
+};
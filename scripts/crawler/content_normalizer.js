@@ -0,0 +1,184 @@
+/**
+ * Content Normalizer Module
+ *
+ * Masks the volatile regions of a page (visitor counters, "last updated"
+ * footers, rotating notice marquees, timestamps) before it is hashed, so a
+ * page whose only change is a ticking counter keeps its semantic hash and its
+ * claims are not marked stale. Domains add their own masking rules in the
+ * `change_detection` block of their crawl profile (crawl_profiles.js).
+ *
+ * With `hash_scope: "cited_sections"`, each heading section is also hashed on
+ * its own. kb/claim_invalidator.js then only invalidates the claims whose
+ * cited section changed.
+ *
+ * @module crawler/content_normalizer
+ */
+
+'use strict';
+
+const { generateHash } = require('./utils');
+
+const HASH_SCOPES = ['page', 'cited_sections'];
+
+// Section key of the lines before the first heading (same as extraction's citation locator)
+const PAGE_CONTENT_SECTION = 'Page Content';
+
+// Section hashes are truncated; they only need to tell versions of one section apart
+const SECTION_HASH_LENGTH = 16;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+)/;
+const MARQUEE_PATTERN = /<marquee\b[\s\S]*?<\/marquee>/gi;
+const ISO_TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g;
+const DYNAMIC_ATTRIBUTE_PATTERN = /\bdata-(timestamp|session)="[^"]*"/g;
+
+// Lines masked on every domain unless its profile sets default_masks: false
+const DEFAULT_MASK_PATTERNS = [
+  // "Visitors: 1,234,567", "Total Visitor Count : 98765", "দর্শনার্থী: ১২,৩৪৫"
+  {
+    name: 'visitor_counter',
+    regex: /^[\W_]*(total\s+|today'?s?\s+)?(visitors?|visits?|hits?|page\s*views?|দর্শনার্থী|ভিজিটর)(\s+(count|counter|today|total))?[\W_]*[\d০-৯][\d০-৯,.\s]*[\W_]*$/i,
+  },
+  // "You are visitor number 12345"
+  { name: 'visitor_counter', regex: /^[\W_]*you\s+are\s+(the\s+)?visitor\s+(no\.?|number|#)?\s*[\d,]+[\W_]*$/i },
+  // "Last updated: 12 March 2026", "Site last modified on ...", "সর্বশেষ হালনাগাদ: ..."
+  { name: 'last_updated', regex: /^[\W_]*((site|page|website)\s+)?(last\s+(updated|modified|update)|updated\s+on)(\s|:|$)/i },
+  { name: 'last_updated', regex: /^[\W_]*(সর্বশেষ\s+)?হালনাগাদ(\s|:|$)/ },
+];
+
+// Rules used when a domain has no change_detection profile
+const DEFAULT_CHANGE_DETECTION = Object.freeze({
+  defaultMasks: true,
+  maskPatterns: [],
+  maskSections: [],
+  hashScope: 'page',
+});
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Compile a validated `change_detection` profile block into masking rules
+ * @param {Object} [raw] - { default_masks, mask_patterns, mask_sections, hash_scope }
+ * @returns {Object} - { defaultMasks, maskPatterns, maskSections, hashScope }
+ */
+function compileChangeDetectionRules(raw) {
+  if (!raw) return DEFAULT_CHANGE_DETECTION;
+  const compile = (pattern) => ({ pattern, regex: new RegExp(pattern, 'i') });
+  return {
+    defaultMasks: raw.default_masks !== false,
+    maskPatterns: (raw.mask_patterns || []).map(compile),
+    maskSections: (raw.mask_sections || []).map(compile),
+    hashScope: raw.hash_scope || 'page',
+  };
+}
+
+/**
+ * Check whether a (whitespace-collapsed) line is a volatile region
+ * @param {string} line - Line
+ * @param {Object} rules - Compiled rules
+ * @returns {boolean}
+ */
+function isMaskedLine(line, rules) {
+  if (rules.defaultMasks && DEFAULT_MASK_PATTERNS.some(mask => mask.regex.test(line))) return true;
+  return rules.maskPatterns.some(mask => mask.regex.test(line));
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Split normalized content into heading sections.
+ * Heading paths are built the way extraction builds citation locators
+ * (by heading level, `**` stripped), so they match locator.heading_path.
+ * @param {string} content - Markdown content
+ * @param {Object} [rules] - Compiled rules (sections matching maskSections are dropped)
+ * @returns {{headingPath: string[], lines: string[]}[]} - Sections in page order
+ */
+function splitNormalizedSections(content, rules = DEFAULT_CHANGE_DETECTION) {
+  const text = String(content || '')
+    .replace(MARQUEE_PATTERN, '')
+    .replace(ISO_TIMESTAMP_PATTERN, '')
+    .replace(DYNAMIC_ATTRIBUTE_PATTERN, '');
+
+  const sections = [{ headingPath: [], lines: [] }];
+  let headingPath = [];
+  let maskedLevel = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      const title = heading[2].replace(/\*\*/g, '').trim();
+      headingPath = [...headingPath.slice(0, level - 1), title];
+      // A masked section runs until the next heading of the same or a higher level
+      if (maskedLevel !== null && level > maskedLevel) continue;
+      maskedLevel = rules.maskSections.some(mask => mask.regex.test(title)) ? level : null;
+      if (maskedLevel !== null) continue;
+      sections.push({ headingPath, lines: [line] });
+      continue;
+    }
+
+    if (maskedLevel !== null || isMaskedLine(line, rules)) continue;
+    sections[sections.length - 1].lines.push(line);
+  }
+
+  return sections.filter(section => section.lines.length > 0);
+}
+
+/**
+ * Normalize page content for hashing: volatile regions masked, whitespace
+ * collapsed, blank lines dropped
+ * @param {string} content - Markdown content
+ * @param {Object} [rules] - Compiled rules (default: DEFAULT_CHANGE_DETECTION)
+ * @returns {string} - Normalized content
+ */
+function normalizeContent(content, rules = DEFAULT_CHANGE_DETECTION) {
+  return splitNormalizedSections(content, rules)
+    .map(section => section.lines.join('\n'))
+    .join('\n');
+}
+
+/**
+ * Compute the hashes change detection compares
+ * @param {string} content - Markdown content
+ * @param {Object} [rules] - Compiled rules (default: DEFAULT_CHANGE_DETECTION)
+ * @returns {{semanticHash: string, sectionHashes: Object<string, string>|null}} - sectionHashes
+ *   (heading path joined with ' > ' -> hash) only with hash_scope cited_sections
+ */
+function computeContentFingerprint(content, rules = DEFAULT_CHANGE_DETECTION) {
+  const sections = splitNormalizedSections(content, rules);
+  const semanticHash = generateHash(sections.map(section => section.lines.join('\n')).join('\n'));
+  if (rules.hashScope !== 'cited_sections') {
+    return { semanticHash, sectionHashes: null };
+  }
+
+  // A heading repeated on the page shares one hash over all its lines
+  const sectionLines = new Map();
+  for (const section of sections) {
+    const key = section.headingPath.length > 0 ? section.headingPath.join(' > ') : PAGE_CONTENT_SECTION;
+    if (!sectionLines.has(key)) sectionLines.set(key, []);
+    sectionLines.get(key).push(...section.lines);
+  }
+  const sectionHashes = {};
+  for (const [key, lines] of sectionLines) {
+    sectionHashes[key] = generateHash(lines.join('\n')).slice(0, SECTION_HASH_LENGTH);
+  }
+  return { semanticHash, sectionHashes };
+}
+
+module.exports = {
+  HASH_SCOPES,
+  PAGE_CONTENT_SECTION,
+  DEFAULT_MASK_PATTERNS,
+  DEFAULT_CHANGE_DETECTION,
+  compileChangeDetectionRules,
+  isMaskedLine,
+  splitNormalizedSections,
+  normalizeContent,
+  computeContentFingerprint,
+};
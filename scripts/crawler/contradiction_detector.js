@@ -0,0 +1,394 @@
+/**
+ * Contradiction Detection Module
+ *
+ * Finds claims of the same service that state incompatible values for the
+ * same thing, and marks them `contradicted`:
+ *
+ * - fee: amount_bdt, per delivery variant (regular, express, super_express)
+ * - processing_time: days, per delivery variant
+ * - step: the step text, per source page, section of the page and step order
+   (section names repeat across pages, so steps are only compared across
+   dates of the same page)
+ *
+ * Pages and validity years (e.g. "48 pages", "10 years") are dimensions of a
+ * fee or processing time. A claim that does not state one matches every value
+ * of it, so "Regular delivery: Taka 4,025" is compared with the 48-page and the
+ * 64-page regular fees alike.
+ *
+ * The claims cited from one source page on one day are a reading. Several
+ * values within a reading are sibling rows of a table whose other dimensions
+ * were not extracted, never a contradiction. Two readings from different
+ * sources or dates contradict each other when no value of one matches a value
+ * of the other.
+ *
+ * @module crawler/contradiction_detector
+ */
+
+'use strict';
+
+const { wordSimilarity, markClaimAsContradicted, EDIT_SIMILARITY_THRESHOLD } = require('./claim_reverifier');
+const { normalizeForMatch } = require('./snapshot_diff');
+const { PAGE_CONTENT_SECTION } = require('./content_normalizer');
+const { getClaimGuides } = require('./claim_review');
+const {
+  createClaimInvalidationEntry,
+  appendToAuditLog,
+  scriptActor,
+} = require('../../kb/audit_log');
+
+const SCRIPT_ACTOR = scriptActor('contradiction_detector.js');
+
+// Claim types compared, and what their value is
+const CONTRADICTION_CLAIM_TYPES = ['fee', 'processing_time', 'step'];
+
+// Claims with these statuses are not compared
+const SKIPPED_STATUSES = ['deprecated'];
+
+// Delivery variants as fee and processing time claims name them
+const VARIANT_PATTERNS = [
+  ['super_express', /super[\s_-]*express/i],
+  ['express', /express/i],
+  ['regular', /regular|normal/i],
+];
+
+// Dimensions read from structured_data, or else from the claim text
+const DIMENSION_PATTERNS = {
+  pages: /\b(\d{2})[\s-]*pages?\b/i,
+  validity_years: /\b(\d{1,2})[\s-]*years?\b/i,
+};
+
+// Headings that only number a step (the step's section is the heading above)
+const STEP_HEADING = /^step\s*\d+$/i;
+
+// ============================================================================
+// FACTS
+// ============================================================================
+
+/**
+ * Delivery variant of a fee or processing time claim
+ * @param {Object} claim - KB claim
+ * @returns {string|null} - regular, express, super_express or null
+ */
+function getClaimVariant(claim) {
+  const data = claim.structured_data || {};
+  const named = [data.variant, data.delivery_type, data.label, claim.text].filter(v => typeof v === 'string');
+  for (const text of named) {
+    const match = VARIANT_PATTERNS.find(([, pattern]) => pattern.test(text));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Pages and validity years a fee or processing time claim applies to (null when not stated)
+ * @param {Object} claim - KB claim
+ * @returns {{pages: number|null, validity_years: number|null}}
+ */
+function getClaimDimensions(claim) {
+  const data = claim.structured_data || {};
+  const citation = (claim.citations || [])[0] || {};
+  const text = [claim.text, data.label, citation.quoted_text].filter(Boolean).join('\n');
+  const dimensions = {};
+  for (const [name, pattern] of Object.entries(DIMENSION_PATTERNS)) {
+    const stated = typeof data[name] === 'number' ? data[name] : null;
+    const match = stated === null ? text.match(pattern) : null;
+    dimensions[name] = stated !== null ? stated : match ? parseInt(match[1], 10) : null;
+  }
+  return dimensions;
+}
+
+/**
+ * Section of the page a step belongs to (its citation heading path, without "Step N" headings)
+ * @param {Object} claim - KB step claim
+ * @returns {string|null} - null for steps outside any section
+ */
+function getStepSection(claim) {
+  const citation = (claim.citations || [])[0] || {};
+  const headingPath = (citation.locator && citation.locator.heading_path) || [];
+  const section = headingPath.filter(heading => !STEP_HEADING.test(heading.trim()));
+  if (section.length === 0 || (section.length === 1 && section[0] === PAGE_CONTENT_SECTION)) return null;
+  return section.join(' > ');
+}
+
+/**
+ * What a claim states, as compared by the detector.
+ * Fees and processing times without a variant (offer lists, tariff tables) and
+ * steps outside any section of their page cannot be told apart from their
+ * siblings, so they are not compared. Steps are keyed by the page they are
+ * cited from: a section of one page says nothing about the same-named section
+ * of another.
+ *
+ * @param {Object} claim - KB claim
+ * @returns {{key: string, claim_type: string, service_id: string, dimensions: Object, value: number|string}|null}
+ */
+function getClaimFact(claim) {
+  if (!CONTRADICTION_CLAIM_TYPES.includes(claim.claim_type)) return null;
+  const serviceId = claim.entity_ref && claim.entity_ref.id;
+  const data = claim.structured_data || {};
+  if (!serviceId || !(claim.citations || [])[0]) return null;
+
+  if (claim.claim_type === 'step') {
+    const section = getStepSection(claim);
+    const value = data.title || claim.text;
+    if (!section || typeof data.order !== 'number' || !normalizeForMatch(value)) return null;
+    return {
+      key: `${serviceId} | step | ${claim.citations[0].source_page_id} | ${section} | ${data.order}`,
+      claim_type: 'step',
+      service_id: serviceId,
+      dimensions: {},
+      value,
+    };
+  }
+
+  const value = claim.claim_type === 'fee'
+    ? data.amount_bdt
+    : [data.days, data.working_days, data.delivery_days, data.max_days].find(v => typeof v === 'number');
+  const variant = getClaimVariant(claim);
+  if (typeof value !== 'number' || !variant) return null;
+  return {
+    key: `${serviceId} | ${claim.claim_type} | ${variant}`,
+    claim_type: claim.claim_type,
+    service_id: serviceId,
+    dimensions: getClaimDimensions(claim),
+    value,
+  };
+}
+
+/**
+ * Check whether two values of a claim type state the same thing
+ * @param {string} claimType - Claim type
+ * @param {number|string} a - Value
+ * @param {number|string} b - Value
+ * @returns {boolean}
+ */
+function valuesMatch(claimType, a, b) {
+  if (claimType !== 'step') return a === b;
+  return wordSimilarity(normalizeForMatch(a), normalizeForMatch(b)) >= EDIT_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Check whether two sets of dimensions may describe the same thing
+ * (a dimension only one of them states matches)
+ * @param {Object} a - Dimensions
+ * @param {Object} b - Dimensions
+ * @returns {boolean}
+ */
+function dimensionsMatch(a, b) {
+  return Object.keys({ ...a, ...b }).every(name => a[name] == null || b[name] == null || a[name] === b[name]);
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Group claims into readings: the claims of one key and dimensions cited from
+ * one source page on one day (by their first citation)
+ * @param {Object[]} claims - KB claims
+ * @returns {{groups: Map<string, Object[]>, checked: number, unkeyed: number}}
+ */
+function groupReadings(claims) {
+  const groups = new Map();
+  let checked = 0;
+  let unkeyed = 0;
+
+  for (const claim of claims) {
+    if (SKIPPED_STATUSES.includes(claim.status) || !CONTRADICTION_CLAIM_TYPES.includes(claim.claim_type)) continue;
+    const fact = getClaimFact(claim);
+    if (!fact) {
+      unkeyed++;
+      continue;
+    }
+    checked++;
+
+    const citation = claim.citations[0];
+    const retrievedOn = String(citation.retrieved_at || '').slice(0, 10) || null;
+    const readingKey = [citation.source_page_id, retrievedOn, JSON.stringify(fact.dimensions)].join('|');
+    if (!groups.has(fact.key)) groups.set(fact.key, new Map());
+    const readings = groups.get(fact.key);
+    if (!readings.has(readingKey)) {
+      readings.set(readingKey, {
+        source_page_id: citation.source_page_id,
+        retrieved_on: retrievedOn,
+        dimensions: fact.dimensions,
+        claim_type: fact.claim_type,
+        service_id: fact.service_id,
+        values: [],
+        claim_ids: [],
+      });
+    }
+    const reading = readings.get(readingKey);
+    if (!reading.values.some(value => valuesMatch(fact.claim_type, value, fact.value))) {
+      reading.values.push(fact.value);
+    }
+    reading.claim_ids.push(claim.claim_id);
+  }
+
+  return {
+    groups: new Map([...groups].map(([key, readings]) => [key, [...readings.values()]])),
+    checked,
+    unkeyed,
+  };
+}
+
+/**
+ * Check whether two readings contradict each other
+ * @param {Object} a - Reading
+ * @param {Object} b - Reading
+ * @returns {boolean}
+ */
+function readingsConflict(a, b) {
+  if (a.source_page_id === b.source_page_id && a.retrieved_on === b.retrieved_on) return false;
+  if (!dimensionsMatch(a.dimensions, b.dimensions)) return false;
+  return !a.values.some(value => b.values.some(other => valuesMatch(a.claim_type, value, other)));
+}
+
+/**
+ * Find the claims that contradict each other.
+ *
+ * @param {Object[]} claims - KB claims
+ * @param {Object} [options]
+ * @param {string[]} [options.serviceIds] - Only compare claims of these services
+ * @param {string[]} [options.claimTypes] - Only compare claims of these types
+ * @returns {{conflicts: Object[], conflictingClaims: Map<string, Set<string>>, checked: number, unkeyed: number}}
+ *   conflicts: one entry per key with contradicting readings; conflictingClaims:
+ *   claim ID -> IDs of the claims it contradicts
+ */
+function detectContradictions(claims, options = {}) {
+  const selected = (claims || []).filter(claim =>
+    (!options.serviceIds || options.serviceIds.includes(claim.entity_ref && claim.entity_ref.id)) &&
+    (!options.claimTypes || options.claimTypes.includes(claim.claim_type)));
+  const { groups, checked, unkeyed } = groupReadings(selected);
+  const conflicts = [];
+  const conflictingClaims = new Map();
+
+  for (const [key, readings] of groups) {
+    const involved = new Set();
+    for (let i = 0; i < readings.length; i++) {
+      for (let j = i + 1; j < readings.length; j++) {
+        if (!readingsConflict(readings[i], readings[j])) continue;
+        involved.add(readings[i]).add(readings[j]);
+        for (const [reading, other] of [[readings[i], readings[j]], [readings[j], readings[i]]]) {
+          for (const claimId of reading.claim_ids) {
+            if (!conflictingClaims.has(claimId)) conflictingClaims.set(claimId, new Set());
+            other.claim_ids.forEach(id => conflictingClaims.get(claimId).add(id));
+          }
+        }
+      }
+    }
+    if (involved.size === 0) continue;
+
+    const conflictReadings = readings.filter(reading => involved.has(reading));
+    conflicts.push({
+      conflict_key: key,
+      claim_type: conflictReadings[0].claim_type,
+      service_id: conflictReadings[0].service_id,
+      values: [...new Set(conflictReadings.flatMap(reading => reading.values))],
+      readings: conflictReadings.map(({ claim_type: _type, service_id: _service, ...reading }) => reading),
+      claim_ids: conflictReadings.flatMap(reading => reading.claim_ids),
+    });
+  }
+
+  return { conflicts, conflictingClaims, checked, unkeyed };
+}
+
+/**
+ * Mark the claims found by detectContradictions as contradicted, linking the
+ * claims each one contradicts, and log them as one claim_invalidation event.
+ * A claim already contradicted by the same claims is left as it is.
+ *
+ * @param {Object} kb - KB data structure (claims and audit_log are modified)
+ * @param {{conflicts: Object[], conflictingClaims: Map<string, Set<string>>}} detection - detectContradictions result
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {string} [options.actor] - Audit log actor (default: script:contradiction_detector.js)
+ * @returns {string[]} - IDs of the claims newly marked or linked to other claims
+ */
+function markContradictions(kb, detection, options = {}) {
+  const timestamp = (options.now || new Date()).toISOString();
+  const keyByClaim = new Map();
+  for (const conflict of detection.conflicts) {
+    conflict.claim_ids.forEach(id => keyByClaim.set(id, conflict.conflict_key));
+  }
+
+  const marked = [];
+  const sourcePageIds = new Set();
+  for (const claim of kb.claims || []) {
+    const conflicting = detection.conflictingClaims.get(claim.claim_id);
+    if (!conflicting) continue;
+    const conflictingIds = [...conflicting].sort();
+    const current = claim.contradiction;
+    if (claim.status === 'contradicted' && current && current.reason === 'conflicting_claims' &&
+        (current.conflicting_claim_ids || []).join(',') === conflictingIds.join(',')) continue;
+
+    markClaimAsContradicted(claim, {
+      reason: 'conflicting_claims',
+      conflict_key: keyByClaim.get(claim.claim_id),
+      conflicting_claim_ids: conflictingIds,
+    }, timestamp);
+    marked.push(claim.claim_id);
+    (claim.citations || []).forEach(citation => sourcePageIds.add(citation.source_page_id));
+  }
+
+  if (marked.length > 0) {
+    appendToAuditLog(kb, createClaimInvalidationEntry({
+      claimIds: marked,
+      sourcePageIds: [...sourcePageIds],
+      actor: options.actor || SCRIPT_ACTOR,
+      description: `${marked.length} claim(s) contradicted by claims of the same service from other sources or dates`,
+      metadata: { status_to: 'contradicted' },
+      timestamp,
+    }));
+  }
+  return marked;
+}
+
+// ============================================================================
+// REVIEW REPORT
+// ============================================================================
+
+/**
+ * Build the review report of a detection: every conflict with its readings,
+ * the URL of their source pages and the service guides showing their claims
+ * @param {Object} kb - KB data structure
+ * @param {Object} detection - detectContradictions result
+ * @param {string[]} marked - markContradictions result
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Object} - Report
+ */
+function buildContradictionReport(kb, detection, marked, options = {}) {
+  const urlById = new Map((kb.source_pages || []).map(sp => [sp.source_page_id, sp.canonical_url]));
+  const guidesByClaim = getClaimGuides(kb);
+
+  const conflicts = detection.conflicts.map(conflict => ({
+    ...conflict,
+    readings: conflict.readings.map(reading => ({ ...reading, canonical_url: urlById.get(reading.source_page_id) || null })),
+    guides: [...new Set(conflict.claim_ids.flatMap(id => guidesByClaim.get(id) || []))],
+  }));
+  // Conflicts shown in a guide first, then by number of claims
+  conflicts.sort((a, b) => (b.guides.length > 0) - (a.guides.length > 0) || b.claim_ids.length - a.claim_ids.length);
+
+  return {
+    generated_at: (options.now || new Date()).toISOString(),
+    summary: {
+      claims_checked: detection.checked,
+      claims_not_comparable: detection.unkeyed,
+      conflicts: conflicts.length,
+      conflicts_in_guides: conflicts.filter(conflict => conflict.guides.length > 0).length,
+      claims_contradicted: detection.conflictingClaims.size,
+      claims_newly_marked: marked.length,
+    },
+    conflicts,
+  };
+}
+
+module.exports = {
+  CONTRADICTION_CLAIM_TYPES,
+  getClaimVariant,
+  getClaimDimensions,
+  getClaimFact,
+  detectContradictions,
+  markContradictions,
+  buildContradictionReport,
+};
@@ -0,0 +1,173 @@
+/**
+ * Crawl Errors Module
+ *
+ * Typed error records for every crawl failure (a map call, a page, a document,
+ * a domain or the run): the stage it happened in, its error class, the URL,
+ * the HTTP status and Firecrawl error code, whether it was worth retrying and
+ * when it happened. The run report aggregates them by class, stage and domain;
+ * the full list goes to `kb/runs/<date>/crawl_errors.json`.
+ *
+ * @module crawler/crawl_errors
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { classifyTransientError } = require('./politeness');
+
+// Where in the pipeline an error happened
+const ERROR_STAGES = ['map', 'scrape', 'save', 'extract', 'document', 'domain', 'run'];
+
+// Error classes, from the most to the least specific
+const ERROR_CLASSES = [
+  'rate_limited',             // 429 / rate limit (retried)
+  'server_error',             // 5xx (retried)
+  'timeout',                  // request timed out (retried)
+  'network',                  // connection reset / refused / DNS (retried)
+  'replay_miss',              // URL missing from the offline replay store
+  'cassette_miss',            // request missing from the replayed cassette
+  'firecrawl_unavailable',    // no Firecrawl backend
+  'firecrawl_map_failed',     // map failed in required mode
+  'firecrawl_scrape_failed',  // scrape failed or returned nothing in required mode
+  'http_download_blocked',    // document needs HTTP fallback, which is not allowed
+  'http_error',               // other HTTP status (e.g. 403, 404)
+  'no_content',               // scrape returned no content
+  'unexpected_error',         // anything else
+];
+
+// Error classes by error name (subclasses before the classes they extend)
+const CLASS_BY_ERROR_NAME = {
+  ReplayMissError: 'replay_miss',
+  CassetteMissError: 'cassette_miss',
+  FirecrawlUnavailableError: 'firecrawl_unavailable',
+  FirecrawlMapError: 'firecrawl_map_failed',
+  FirecrawlScrapeError: 'firecrawl_scrape_failed',
+  HttpDownloadNotAllowedError: 'http_download_blocked',
+};
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify an error.
+ * Transient failures are classified by what went wrong (they were retried
+ * whatever error wraps them), other failures by their error class.
+ *
+ * @param {Error|{name: string, message: string}} error - Error
+ * @returns {{error_class: string, status: number|null, retryable: boolean}}
+ */
+function classifyCrawlError(error) {
+  const { retryable, reason, status } = classifyTransientError(error);
+  if (retryable) {
+    return { error_class: reason, status, retryable: true };
+  }
+  const byName = error && CLASS_BY_ERROR_NAME[error.name];
+  if (byName) {
+    return { error_class: byName, status, retryable: false };
+  }
+  if (status && status >= 400) {
+    return { error_class: 'http_error', status, retryable: false };
+  }
+  return { error_class: 'unexpected_error', status, retryable: false };
+}
+
+/**
+ * Build a typed error record
+ * @param {Object} details
+ * @param {string} details.stage - One of ERROR_STAGES
+ * @param {Error|Object} [details.error] - The error (omit for failures without one, e.g. no_content)
+ * @param {string} [details.errorClass] - Error class (default: classified from the error)
+ * @param {string} [details.message] - Message (default: the error message)
+ * @param {string|null} [details.url] - Page, map or document URL
+ * @param {string|null} [details.domain] - Seed domain
+ * @param {number} [details.attempts] - Attempts made (default: error.attempts or 1)
+ * @param {Date} [details.now] - When the error happened
+ * @returns {Object} - Error record
+ */
+function createCrawlError(details) {
+  const { stage, error = null } = details;
+  const classified = error
+    ? classifyCrawlError(error)
+    : { error_class: 'unexpected_error', status: null, retryable: false };
+
+  return {
+    stage,
+    error_class: details.errorClass || classified.error_class,
+    error_name: error ? error.name || 'Error' : null,
+    message: details.message || (error ? error.message || String(error) : details.errorClass || 'Unknown error'),
+    url: details.url || (error && error.url) || null,
+    domain: details.domain || null,
+    status: classified.status,
+    code: error && typeof error.code === 'string' ? error.code : null,
+    retryable: classified.retryable,
+    attempts: details.attempts || (error && error.attempts) || 1,
+    timestamp: (details.now || new Date()).toISOString(),
+  };
+}
+
+/**
+ * One-line description of an error record (console and legacy string lists)
+ * @param {Object|string} record - Error record (strings are returned as is)
+ * @returns {string}
+ */
+function formatCrawlError(record) {
+  if (typeof record === 'string') return record;
+  const where = record.url ? `${record.url}: ` : '';
+  const attempts = record.attempts > 1 ? ` (after ${record.attempts} attempts)` : '';
+  return `[${record.stage}/${record.error_class}] ${where}${record.message}${attempts}`;
+}
+
+// ============================================================================
+// AGGREGATION AND I/O
+// ============================================================================
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Aggregate error records by class, stage and domain
+ * @param {Object[]} errors - Error records (free-form strings count as unexpected_error)
+ * @returns {{total: number, retryable: number, by_class: Object, by_stage: Object, by_domain: Object}}
+ */
+function summarizeCrawlErrors(errors) {
+  const summary = { total: 0, retryable: 0, by_class: {}, by_stage: {}, by_domain: {} };
+  for (const error of errors || []) {
+    const record = typeof error === 'string' ? { error_class: 'unexpected_error', stage: 'run', domain: null } : error;
+    summary.total++;
+    if (record.retryable) summary.retryable++;
+    increment(summary.by_class, record.error_class);
+    increment(summary.by_stage, record.stage);
+
+    const domain = record.domain || '(run)';
+    if (!summary.by_domain[domain]) summary.by_domain[domain] = { total: 0, by_class: {} };
+    summary.by_domain[domain].total++;
+    increment(summary.by_domain[domain].by_class, record.error_class);
+  }
+  return summary;
+}
+
+/**
+ * Write the full error list of a run
+ * @param {Object[]} errors - Error records
+ * @param {string} filePath - Output path
+ * @param {Object} [meta] - Extra top-level fields (e.g. run_id)
+ */
+function saveCrawlErrors(errors, filePath, meta = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const contents = { ...meta, summary: summarizeCrawlErrors(errors), errors };
+  fs.writeFileSync(filePath, JSON.stringify(contents, null, 2), 'utf-8');
+}
+
+module.exports = {
+  ERROR_STAGES,
+  ERROR_CLASSES,
+  classifyCrawlError,
+  createCrawlError,
+  formatCrawlError,
+  summarizeCrawlErrors,
+  saveCrawlErrors,
+};
@@ -0,0 +1,272 @@
+/**
+ * Crawl Plan Module
+ *
+ * Machine-readable dry-run plans. `--dry-run` writes, per domain, every
+ * candidate URL with the decision taken for it (scrape, or excluded for
+ * domain / profile / robots / depth / priority cutoff), its priority score,
+ * whether a snapshot exists today, what the crawl is predicted to do with it,
+ * and which known source pages would drop out of the crawl.
+ *
+ * A saved plan is also crawler input (`--plan plan.json`): the scraped URLs
+ * are exactly the plan's `scrape` URLs, in plan order, with no discovery and
+ * no link following, so a reviewed plan runs as reviewed.
+ *
+ * @module crawler/crawl_plan
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const PLAN_VERSION = 1;
+
+const PLAN_DECISIONS = ['scrape', 'exclude'];
+
+// Why a candidate URL is not scraped
+const PLAN_EXCLUSION_REASONS = ['domain', 'profile', 'robots', 'depth', 'priority_cutoff'];
+
+// What the crawl is predicted to do with a URL it scrapes
+const PLAN_PREDICTIONS = ['new_page', 'rescrape', 'skip_snapshot_exists', 'skip_not_modified', 'skip_duplicate'];
+
+/**
+ * Error thrown when a crawl plan file fails validation.
+ * Carries every problem found, not just the first.
+ */
+class CrawlPlanError extends Error {
+  constructor(errors, source = 'crawl plan') {
+    super(`Invalid crawl plan in ${source}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'CrawlPlanError';
+    this.code = 'CRAWL_PLAN_INVALID';
+    this.errors = errors;
+    this.source = source;
+  }
+}
+
+// ============================================================================
+// BUILDING
+// ============================================================================
+
+/**
+ * Create an empty crawl plan for a run
+ * @param {Object} config - Crawler configuration
+ * @param {Date} [now] - Current time (the run clock)
+ * @returns {Object} - Crawl plan
+ */
+function createCrawlPlan(config, now = new Date()) {
+  return {
+    plan_version: PLAN_VERSION,
+    created_at: now.toISOString(),
+    refresh: config.refresh,
+    max_depth: config.maxDepth,
+    max_pages: config.maxPages,
+    follow_links: config.followLinks,
+    domains: [],
+  };
+}
+
+/**
+ * Build the plan of one domain.
+ *
+ * @param {Object} seed - Domain seed
+ * @param {Object} options
+ * @param {string[]} options.prioritizedUrls - URLs that would be scraped, in crawl order
+ * @param {Map<string, string[]>} options.candidates - Every candidate URL -> where it was found
+ *   (start_url, sitemap, map, kb, revisit, checkpoint)
+ * @param {Function} options.classifyUrl - (url) => { allowed, reason, rule }
+ * @param {Function} options.describeUrl - (url) => { source_page_id, priority_score, depth,
+ *   known_source_page, snapshot_exists_today, predicted }
+ * @param {Object[]} [options.knownPages] - KB source pages of the domain
+ * @param {string} [options.unlistedReason] - Reason for known pages that were no candidate
+ * @returns {Object} - Domain plan
+ */
+function buildDomainPlan(seed, options) {
+  const { prioritizedUrls, candidates, classifyUrl, describeUrl } = options;
+  const knownPages = options.knownPages || [];
+  const scheduled = new Set(prioritizedUrls);
+
+  const urls = [];
+  const scrapedIds = new Set();
+  for (const url of prioritizedUrls) {
+    const entry = { url, decision: 'scrape', reason: null, rule: null, sources: candidates.get(url) || [], ...describeUrl(url) };
+    // A second URL of the same canonical page is skipped when it is reached
+    if (scrapedIds.has(entry.source_page_id)) entry.predicted = 'skip_duplicate';
+    scrapedIds.add(entry.source_page_id);
+    urls.push(entry);
+  }
+
+  for (const [url, sources] of candidates) {
+    if (scheduled.has(url)) continue;
+    const check = classifyUrl(url);
+    urls.push({
+      url,
+      decision: 'exclude',
+      reason: check.allowed ? 'priority_cutoff' : check.reason,
+      rule: check.rule || null,
+      sources,
+      ...describeUrl(url),
+      predicted: null,
+    });
+  }
+
+  // Known source pages the crawl would not scrape (stored IDs may predate URL canonicalization)
+  const excludedById = new Map(urls.filter(u => u.decision === 'exclude').map(u => [u.source_page_id, u]));
+  const droppedSourcePages = [];
+  for (const sourcePage of knownPages) {
+    if (scrapedIds.has(sourcePage.source_page_id) ||
+        scrapedIds.has(describeUrl(sourcePage.canonical_url).source_page_id)) continue;
+
+    const excluded = excludedById.get(sourcePage.source_page_id);
+    const check = excluded ? null : classifyUrl(sourcePage.canonical_url);
+    droppedSourcePages.push({
+      source_page_id: sourcePage.source_page_id,
+      url: sourcePage.canonical_url,
+      reason: excluded ? excluded.reason : (check.allowed ? options.unlistedReason || 'not_discovered' : check.reason),
+      rule: excluded ? excluded.rule : (check.rule || null),
+    });
+  }
+
+  const excludedCounts = {};
+  for (const entry of urls) {
+    if (entry.decision === 'exclude') {
+      excludedCounts[entry.reason] = (excludedCounts[entry.reason] || 0) + 1;
+    }
+  }
+  const predictedCounts = {};
+  for (const entry of urls) {
+    if (entry.predicted) {
+      predictedCounts[entry.predicted] = (predictedCounts[entry.predicted] || 0) + 1;
+    }
+  }
+
+  return {
+    domain: seed.domain,
+    label: seed.label,
+    start_urls: seed.start_urls,
+    summary: {
+      candidates: urls.length,
+      scrape: prioritizedUrls.length,
+      excluded: excludedCounts,
+      predicted: predictedCounts,
+      dropped_source_pages: droppedSourcePages.length,
+    },
+    urls,
+    dropped_source_pages: droppedSourcePages,
+  };
+}
+
+/**
+ * URLs a domain plan scrapes, in plan order
+ * @param {Object} domainPlan - Domain plan
+ * @returns {string[]}
+ */
+function getPlannedUrls(domainPlan) {
+  return domainPlan.urls.filter(entry => entry.decision === 'scrape').map(entry => entry.url);
+}
+
+// ============================================================================
+// VALIDATION AND I/O
+// ============================================================================
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a crawl plan
+ * @param {*} plan - Parsed plan file
+ * @returns {string[]} - Errors (empty when valid)
+ */
+function validateCrawlPlan(plan) {
+  if (!isPlainObject(plan)) return ['plan: must be an object'];
+
+  const errors = [];
+  if (plan.plan_version !== PLAN_VERSION) {
+    errors.push(`plan_version: expected ${PLAN_VERSION}, got ${JSON.stringify(plan.plan_version)}`);
+  }
+  if (typeof plan.refresh !== 'string') {
+    errors.push('refresh: must be a refresh mode');
+  }
+  if (plan.stale_claim_ids !== undefined && !Array.isArray(plan.stale_claim_ids)) {
+    errors.push('stale_claim_ids: must be an array of claim IDs');
+  }
+  if (!Array.isArray(plan.domains)) {
+    errors.push('domains: must be an array');
+    return errors;
+  }
+
+  const seen = new Set();
+  plan.domains.forEach((domainPlan, i) => {
+    const at = `domains[${i}]`;
+    if (!isPlainObject(domainPlan)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof domainPlan.domain !== 'string' || !domainPlan.domain) {
+      errors.push(`${at}.domain: must be a domain name`);
+    } else if (seen.has(domainPlan.domain)) {
+      errors.push(`${at}.domain: "${domainPlan.domain}" is planned twice`);
+    } else {
+      seen.add(domainPlan.domain);
+    }
+    if (!Array.isArray(domainPlan.start_urls) || domainPlan.start_urls.some(url => typeof url !== 'string')) {
+      errors.push(`${at}.start_urls: must be an array of URLs`);
+    }
+    if (!Array.isArray(domainPlan.urls)) {
+      errors.push(`${at}.urls: must be an array`);
+      return;
+    }
+    domainPlan.urls.forEach((entry, j) => {
+      if (!isPlainObject(entry) || typeof entry.url !== 'string') {
+        errors.push(`${at}.urls[${j}].url: must be a URL`);
+      } else if (!PLAN_DECISIONS.includes(entry.decision)) {
+        errors.push(`${at}.urls[${j}].decision: must be one of ${PLAN_DECISIONS.join(', ')}`);
+      } else if (entry.decision === 'scrape' && !/^https?:\/\//.test(entry.url)) {
+        errors.push(`${at}.urls[${j}].url: "${entry.url}" is not an absolute http(s) URL`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Write a crawl plan to disk
+ * @param {Object} plan - Crawl plan
+ * @param {string} filePath - Output path
+ */
+function saveCrawlPlan(plan, filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(plan, null, 2), 'utf-8');
+}
+
+/**
+ * Load and validate a crawl plan
+ * @param {string} filePath - Plan file
+ * @returns {Object} - Crawl plan
+ * @throws {CrawlPlanError} - When the file is missing, not JSON or invalid
+ */
+function loadCrawlPlan(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new CrawlPlanError(['file: not found'], filePath);
+  }
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    throw new CrawlPlanError([`file: not valid JSON (${e.message})`], filePath);
+  }
+  const errors = validateCrawlPlan(plan);
+  if (errors.length > 0) throw new CrawlPlanError(errors, filePath);
+  return plan;
+}
+
+module.exports = {
+  PLAN_VERSION,
+  PLAN_EXCLUSION_REASONS,
+  PLAN_PREDICTIONS,
+  CrawlPlanError,
+  createCrawlPlan,
+  buildDomainPlan,
+  getPlannedUrls,
+  validateCrawlPlan,
+  saveCrawlPlan,
+  loadCrawlPlan,
+};
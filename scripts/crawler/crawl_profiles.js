@@ -0,0 +1,545 @@
+/**
+ * Crawl Profiles Module
+ *
+ * Per-domain crawl behaviour declared as data instead of code: URL
+ * include/exclude patterns, URL priority hints, depth and page limits,
+ * Firecrawl render options, service mapping, agency and change detection
+ * (volatile regions to mask before hashing). Profiles live in kb/seeds/crawl_profiles.json
+ * (keyed by seed domain) and/or in a `profile` object on a seed in
+ * public_services_seeds.json; the seed's own profile wins field by field.
+ *
+ * Profiles are validated when the crawler starts. The service and agency
+ * lookups of service_map.js and kb_writer.js (DOMAIN_TO_SERVICE_MAP,
+ * AGENCY_MAP) are built from the profiles file, so a new portal is onboarded
+ * by adding its profile. Domains without a profile fall back to
+ * EXACT_URL_OVERRIDES and the CLI limits.
+ *
+ * @module crawler/crawl_profiles
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  MARKDOWN_POSTPROCESSORS,
+  ACTION_PRESETS,
+  FIRECRAWL_ACTION_TYPES,
+  expandActionPresets,
+} = require('./firecrawl_overrides');
+const { HASH_SCOPES, compileChangeDetectionRules } = require('./content_normalizer');
+
+const PROFILES_FILENAME = 'crawl_profiles.json';
+const DEFAULT_SEEDS_DIR = path.join(__dirname, '..', '..', 'kb', 'seeds');
+
+// Render options a profile may set (passed through to Firecrawl scrape)
+const RENDER_KEYS = ['waitFor', 'onlyMainContent', 'formats', 'timeout', 'includeTags', 'excludeTags', 'actions'];
+const RENDER_FORMATS = ['markdown', 'html', 'rawHtml'];
+
+const PROFILE_KEYS = [
+  'service_id', 'agency', 'include_patterns', 'exclude_patterns', 'priority_patterns',
+  'max_depth', 'max_pages', 'render', 'url_overrides', 'change_detection',
+];
+
+// Levels of PRIORITY_PATTERNS (filtering.js) a profile may add URL patterns to;
+// exclusion is left to exclude_patterns
+const PRIORITY_LEVELS = ['very_high', 'high', 'medium', 'low'];
+
+const CHANGE_DETECTION_KEYS = ['default_masks', 'mask_patterns', 'mask_sections', 'hash_scope'];
+
+/**
+ * Error thrown when crawl profiles fail validation.
+ * Carries every problem found, not just the first.
+ */
+class CrawlProfileError extends Error {
+  constructor(errors, source = PROFILES_FILENAME) {
+    super(`Invalid crawl profiles in ${source}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'CrawlProfileError';
+    this.code = 'CRAWL_PROFILE_INVALID';
+    this.errors = errors;
+    this.source = source;
+  }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isInteger = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Validate Firecrawl page actions (and action presets)
+ * @param {*} actions - Actions
+ * @param {string} where - Location for error messages
+ * @returns {string[]} - Errors
+ */
+function validateActions(actions, where) {
+  if (!Array.isArray(actions)) return [`${where}: must be an array of actions`];
+
+  const errors = [];
+  actions.forEach((action, i) => {
+    const at = `${where}[${i}]`;
+    if (!isPlainObject(action)) {
+      errors.push(`${at}: must be an object`);
+    } else if (!FIRECRAWL_ACTION_TYPES.includes(action.type) && !ACTION_PRESETS[action.type]) {
+      errors.push(`${at}.type: unknown action "${action.type}" (known: ${[...FIRECRAWL_ACTION_TYPES, ...Object.keys(ACTION_PRESETS)].join(', ')})`);
+    } else if (['click', 'clickTab', 'selectLanguage'].includes(action.type) && typeof action.selector !== 'string') {
+      errors.push(`${at}.selector: ${action.type} needs a CSS selector`);
+    } else if (action.type === 'wait' && !isInteger(action.milliseconds, 0) && typeof action.selector !== 'string') {
+      errors.push(`${at}: wait needs milliseconds or a selector`);
+    } else if (action.type === 'executeJavascript' && typeof action.script !== 'string') {
+      errors.push(`${at}.script: executeJavascript needs a script`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate render options (profile-wide or per URL)
+ * @param {*} render - Render options
+ * @param {string} where - Location for error messages
+ * @param {boolean} isUrlOverride - Whether this is a url_overrides entry
+ *   (which may name a markdown postprocessor, and a priority for globs)
+ * @returns {string[]} - Errors
+ */
+function validateRenderOptions(render, where, isUrlOverride = false) {
+  if (!isPlainObject(render)) return [`${where}: must be an object`];
+
+  const errors = [];
+  const allowed = isUrlOverride ? [...RENDER_KEYS, 'postprocess', 'priority'] : RENDER_KEYS;
+  for (const key of Object.keys(render)) {
+    if (!allowed.includes(key)) errors.push(`${where}.${key}: unknown render option`);
+  }
+  if ('waitFor' in render && !isInteger(render.waitFor, 0)) {
+    errors.push(`${where}.waitFor: must be a non-negative integer (ms)`);
+  }
+  if ('timeout' in render && !isInteger(render.timeout, 1)) {
+    errors.push(`${where}.timeout: must be a positive integer (ms)`);
+  }
+  if ('onlyMainContent' in render && typeof render.onlyMainContent !== 'boolean') {
+    errors.push(`${where}.onlyMainContent: must be a boolean`);
+  }
+  if ('formats' in render) {
+    if (!Array.isArray(render.formats) || !render.formats.includes('markdown')) {
+      errors.push(`${where}.formats: must be an array that includes "markdown"`);
+    } else {
+      for (const format of render.formats) {
+        if (!RENDER_FORMATS.includes(format)) errors.push(`${where}.formats: unknown format "${format}"`);
+      }
+    }
+  }
+  for (const key of ['includeTags', 'excludeTags']) {
+    if (key in render && (!Array.isArray(render[key]) || render[key].some(t => typeof t !== 'string'))) {
+      errors.push(`${where}.${key}: must be an array of strings`);
+    }
+  }
+  if ('actions' in render) {
+    errors.push(...validateActions(render.actions, `${where}.actions`));
+  }
+  if ('priority' in render && !Number.isInteger(render.priority)) {
+    errors.push(`${where}.priority: must be an integer`);
+  }
+  if ('postprocess' in render && !MARKDOWN_POSTPROCESSORS[render.postprocess]) {
+    errors.push(`${where}.postprocess: unknown postprocessor "${render.postprocess}" (known: ${Object.keys(MARKDOWN_POSTPROCESSORS).join(', ')})`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a list of regular expressions
+ * @param {*} patterns - Patterns
+ * @param {string} where - Location for error messages
+ * @returns {string[]} - Errors
+ */
+function validatePatterns(patterns, where) {
+  if (!Array.isArray(patterns)) return [`${where}: must be an array of regular expressions`];
+
+  const errors = [];
+  patterns.forEach((pattern, i) => {
+    try {
+      if (typeof pattern !== 'string' || !pattern) throw new Error('must be a non-empty string');
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      errors.push(`${where}[${i}]: invalid pattern (${e.message})`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate change detection rules (content_normalizer.js)
+ * @param {*} rules - Raw change_detection block
+ * @param {string} where - Location for error messages
+ * @returns {string[]} - Errors
+ */
+function validateChangeDetection(rules, where) {
+  if (!isPlainObject(rules)) return [`${where}: must be an object`];
+
+  const errors = [];
+  for (const key of Object.keys(rules)) {
+    if (!CHANGE_DETECTION_KEYS.includes(key)) errors.push(`${where}.${key}: unknown field`);
+  }
+  if ('default_masks' in rules && typeof rules.default_masks !== 'boolean') {
+    errors.push(`${where}.default_masks: must be a boolean`);
+  }
+  for (const key of ['mask_patterns', 'mask_sections']) {
+    if (key in rules) errors.push(...validatePatterns(rules[key], `${where}.${key}`));
+  }
+  if ('hash_scope' in rules && !HASH_SCOPES.includes(rules.hash_scope)) {
+    errors.push(`${where}.hash_scope: must be one of ${HASH_SCOPES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Validate one domain's crawl profile
+ * @param {*} profile - Raw profile
+ * @param {string} where - Location for error messages (e.g. 'profiles["brta.gov.bd"]')
+ * @returns {string[]} - Errors (empty if valid)
+ */
+function validateCrawlProfile(profile, where = 'profile') {
+  if (!isPlainObject(profile)) return [`${where}: must be an object`];
+
+  const errors = [];
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_KEYS.includes(key)) errors.push(`${where}.${key}: unknown field`);
+  }
+
+  if ('service_id' in profile && !/^svc\.[a-z0-9_]+$/.test(profile.service_id)) {
+    errors.push(`${where}.service_id: must match svc.<slug> (lowercase letters, digits, _)`);
+  }
+
+  if ('agency' in profile) {
+    const agency = profile.agency;
+    if (!isPlainObject(agency)) {
+      errors.push(`${where}.agency: must be an object with id and name`);
+    } else {
+      if (!/^agency\.[a-z0-9_]+$/.test(agency.id)) {
+        errors.push(`${where}.agency.id: must match agency.<slug> (lowercase letters, digits, _)`);
+      }
+      if (typeof agency.name !== 'string' || !agency.name.trim()) {
+        errors.push(`${where}.agency.name: must be a non-empty string`);
+      }
+    }
+  }
+
+  for (const key of ['include_patterns', 'exclude_patterns']) {
+    if (key in profile) errors.push(...validatePatterns(profile[key], `${where}.${key}`));
+  }
+
+  if ('priority_patterns' in profile) {
+    if (!isPlainObject(profile.priority_patterns)) {
+      errors.push(`${where}.priority_patterns: must be an object keyed by priority level (${PRIORITY_LEVELS.join(', ')})`);
+    } else {
+      for (const [level, patterns] of Object.entries(profile.priority_patterns)) {
+        if (!PRIORITY_LEVELS.includes(level)) {
+          errors.push(`${where}.priority_patterns.${level}: unknown priority level (known: ${PRIORITY_LEVELS.join(', ')})`);
+        } else {
+          errors.push(...validatePatterns(patterns, `${where}.priority_patterns.${level}`));
+        }
+      }
+    }
+  }
+
+  if ('max_depth' in profile && !isInteger(profile.max_depth, 0)) {
+    errors.push(`${where}.max_depth: must be a non-negative integer`);
+  }
+  if ('max_pages' in profile && !isInteger(profile.max_pages, 1)) {
+    errors.push(`${where}.max_pages: must be a positive integer`);
+  }
+
+  if ('render' in profile) {
+    errors.push(...validateRenderOptions(profile.render, `${where}.render`));
+  }
+
+  if ('url_overrides' in profile) {
+    if (!isPlainObject(profile.url_overrides)) {
+      errors.push(`${where}.url_overrides: must be an object keyed by URL or URL glob`);
+    } else {
+      for (const [url, override] of Object.entries(profile.url_overrides)) {
+        const isGlob = !/^https?:\/\//.test(url);
+        if (isGlob && (/^[a-z]+:/i.test(url) || !url.includes('/'))) {
+          errors.push(`${where}.url_overrides["${url}"]: key must be an absolute URL or a host/path glob`);
+        }
+        if (!isGlob && isPlainObject(override) && 'priority' in override) {
+          errors.push(`${where}.url_overrides["${url}"].priority: only URL globs have a priority`);
+        }
+        errors.push(...validateRenderOptions(override, `${where}.url_overrides["${url}"]`, true));
+      }
+    }
+  }
+
+  if ('change_detection' in profile) {
+    errors.push(...validateChangeDetection(profile.change_detection, `${where}.change_detection`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a crawl profiles file
+ * @param {*} data - Parsed crawl_profiles.json
+ * @returns {string[]} - Errors (empty if valid)
+ */
+function validateCrawlProfilesFile(data) {
+  if (!isPlainObject(data)) return ['file: must be a JSON object'];
+
+  const errors = [];
+  for (const key of Object.keys(data)) {
+    if (key !== 'profiles' && !key.startsWith('$')) errors.push(`${key}: unknown top-level field`);
+  }
+  if (!isPlainObject(data.profiles)) {
+    errors.push('profiles: must be an object keyed by seed domain');
+    return errors;
+  }
+  for (const [domain, profile] of Object.entries(data.profiles)) {
+    if (domain !== normalizeDomain(domain)) {
+      errors.push(`profiles["${domain}"]: key must be a lowercase domain without www.`);
+    }
+    errors.push(...validateCrawlProfile(profile, `profiles["${domain}"]`));
+  }
+  return errors;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Normalize a domain for profile lookup (lowercase, no www.)
+ * @param {string} domain - Domain
+ * @returns {string}
+ */
+function normalizeDomain(domain) {
+  return String(domain || '').toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Compile a URL pattern (case-insensitive), keeping its source for exclusion records
+ * @param {string} pattern - Regular expression source
+ * @returns {{pattern: string, regex: RegExp}}
+ */
+function compilePattern(pattern) {
+  return { pattern, regex: new RegExp(pattern, 'i') };
+}
+
+/**
+ * Copy render options, replacing action presets with Firecrawl actions
+ * @param {Object} render - Validated render options
+ * @returns {Object}
+ */
+function compileRenderOptions(render) {
+  return render.actions ? { ...render, actions: expandActionPresets(render.actions) } : { ...render };
+}
+
+/**
+ * Compile URL priority hints into the form of PRIORITY_PATTERNS (filtering.js)
+ * @param {Object<string, string[]>} priorityPatterns - Validated patterns by priority level
+ * @returns {Object<string, RegExp[]>}
+ */
+function compilePriorityPatterns(priorityPatterns) {
+  const compiled = {};
+  for (const [level, patterns] of Object.entries(priorityPatterns)) {
+    compiled[level] = patterns.map(pattern => new RegExp(pattern, 'i'));
+  }
+  return compiled;
+}
+
+/**
+ * Compile a validated raw profile into the form the crawler uses
+ * @param {string} domain - Seed domain
+ * @param {Object} raw - Validated raw profile
+ * @returns {Object} - Compiled profile
+ */
+function compileCrawlProfile(domain, raw) {
+  const urlOverrides = {};
+  for (const [url, override] of Object.entries(raw.url_overrides || {})) {
+    const { postprocess, ...options } = compileRenderOptions(override);
+    urlOverrides[url] = postprocess
+      ? { ...options, postprocessMarkdown: MARKDOWN_POSTPROCESSORS[postprocess] }
+      : options;
+  }
+
+  return {
+    domain,
+    serviceId: raw.service_id || null,
+    agency: raw.agency ? { id: raw.agency.id, name: raw.agency.name } : null,
+    includePatterns: (raw.include_patterns || []).map(compilePattern),
+    excludePatterns: (raw.exclude_patterns || []).map(compilePattern),
+    priorityPatterns: raw.priority_patterns ? compilePriorityPatterns(raw.priority_patterns) : null,
+    maxDepth: raw.max_depth ?? null,
+    maxPages: raw.max_pages ?? null,
+    render: compileRenderOptions(raw.render || {}),
+    urlOverrides,
+    changeDetection: compileChangeDetectionRules(raw.change_detection),
+  };
+}
+
+/**
+ * Load, validate and compile the crawl profiles of the given seeds.
+ * Profiles come from crawl_profiles.json in the seeds directory and from
+ * each seed's inline `profile` (which wins field by field).
+ *
+ * @param {string} seedsDir - Directory containing crawl_profiles.json
+ * @param {Array} [seeds] - Seeds, for inline profiles
+ * @returns {Map<string, Object>} - Seed domain (no www.) -> compiled profile
+ * @throws {CrawlProfileError} if the file or any profile is invalid
+ */
+function loadCrawlProfiles(seedsDir, seeds = []) {
+  const profilesPath = path.join(seedsDir, PROFILES_FILENAME);
+  let fileProfiles = {};
+
+  if (fs.existsSync(profilesPath)) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(profilesPath, 'utf-8'));
+    } catch (e) {
+      throw new CrawlProfileError([`file: not valid JSON (${e.message})`], profilesPath);
+    }
+    const errors = validateCrawlProfilesFile(data);
+    if (errors.length > 0) throw new CrawlProfileError(errors, profilesPath);
+    fileProfiles = data.profiles;
+  }
+
+  const merged = {};
+  for (const [domain, profile] of Object.entries(fileProfiles)) {
+    merged[domain] = { ...profile };
+  }
+
+  const seedErrors = [];
+  for (const seed of seeds) {
+    if (!seed || seed.profile === undefined) continue;
+    const domain = normalizeDomain(seed.domain);
+    const errors = validateCrawlProfile(seed.profile, `seeds["${domain}"].profile`);
+    if (errors.length > 0) {
+      seedErrors.push(...errors);
+      continue;
+    }
+    merged[domain] = { ...(merged[domain] || {}), ...seed.profile };
+  }
+  if (seedErrors.length > 0) throw new CrawlProfileError(seedErrors, 'public_services_seeds.json');
+
+  const profiles = new Map();
+  for (const [domain, raw] of Object.entries(merged)) {
+    profiles.set(domain, compileCrawlProfile(domain, raw));
+  }
+  return profiles;
+}
+
+/**
+ * Build the domain lookups of service_map.js and kb_writer.js from the
+ * profiles file (seed profiles are per run, so they are not included)
+ * @param {string} [seedsDir] - Directory containing crawl_profiles.json (default: kb/seeds)
+ * @returns {{services: Object<string, string>, agencies: Object<string, {id: string, name: string}>}}
+ *   Domain (no www.) -> service ID, and domain -> agency
+ * @throws {CrawlProfileError} if the file is invalid
+ */
+function loadProfileMappings(seedsDir = DEFAULT_SEEDS_DIR) {
+  const services = {};
+  const agencies = {};
+  for (const [domain, profile] of loadCrawlProfiles(seedsDir)) {
+    if (profile.serviceId) services[domain] = profile.serviceId;
+    if (profile.agency) agencies[domain] = profile.agency;
+  }
+  return { services, agencies };
+}
+
+// ============================================================================
+// APPLYING PROFILES
+// ============================================================================
+
+/**
+ * Get the profile of a seed domain
+ * @param {Map<string, Object>|null} profiles - Compiled profiles
+ * @param {string} domain - Seed domain
+ * @returns {Object|null}
+ */
+function getCrawlProfile(profiles, domain) {
+  if (!profiles) return null;
+  return profiles.get(normalizeDomain(domain)) || null;
+}
+
+/**
+ * Build the crawl config of one domain: profile limits replace the defaults,
+ * but limits given explicitly on the command line (config.cliLimits) win.
+ * @param {Object} config - Crawler configuration
+ * @param {Object|null} profile - Compiled profile
+ * @returns {Object} - Domain configuration (config.profile is set)
+ */
+function applyProfileToConfig(config, profile) {
+  const domainConfig = { ...config, profile: profile || null };
+  if (!profile) return domainConfig;
+
+  const cliLimits = config.cliLimits || {};
+  if (profile.maxDepth !== null && !cliLimits.maxDepth) domainConfig.maxDepth = profile.maxDepth;
+  if (profile.maxPages !== null && !cliLimits.maxPages) domainConfig.maxPages = profile.maxPages;
+  return domainConfig;
+}
+
+/**
+ * Check a URL against a profile's include/exclude patterns (path + query).
+ * Exclude patterns win; with include patterns, the URL must match one.
+ * @param {string} url - URL to check
+ * @param {Object|null} profile - Compiled profile
+ * @returns {{allowed: boolean, rule: {type: string, pattern: string}|null}}
+ */
+function matchProfilePatterns(url, profile) {
+  if (!profile) return { allowed: true, rule: null };
+
+  let target;
+  try {
+    const { pathname, search } = new URL(url);
+    target = pathname + search;
+  } catch (e) {
+    return { allowed: false, rule: null };
+  }
+
+  const excluded = profile.excludePatterns.find(p => p.regex.test(target));
+  if (excluded) return { allowed: false, rule: { type: 'exclude', pattern: excluded.pattern } };
+
+  if (profile.includePatterns.length > 0 && !profile.includePatterns.some(p => p.regex.test(target))) {
+    return { allowed: false, rule: { type: 'include', pattern: null } };
+  }
+  return { allowed: true, rule: null };
+}
+
+/**
+ * Merge a profile's render options into page scrape options
+ * @param {Object} options - Default scrape options
+ * @param {Object|null} profile - Compiled profile
+ * @returns {Object}
+ */
+function getProfileScrapeOptions(options, profile) {
+  return profile ? { ...options, ...profile.render } : options;
+}
+
+/**
+ * Collect the per-URL Firecrawl overrides of all profiles
+ * (for firecrawl_overrides.registerUrlOverrides)
+ * @param {Map<string, Object>} profiles - Compiled profiles
+ * @returns {Object<string, Object>} - URL -> partial scrape options
+ */
+function collectUrlOverrides(profiles) {
+  const overrides = {};
+  for (const profile of profiles.values()) {
+    Object.assign(overrides, profile.urlOverrides);
+  }
+  return overrides;
+}
+
+module.exports = {
+  PROFILES_FILENAME,
+  PRIORITY_LEVELS,
+  CrawlProfileError,
+  validateCrawlProfile,
+  validateCrawlProfilesFile,
+  compileCrawlProfile,
+  loadCrawlProfiles,
+  loadProfileMappings,
+  getCrawlProfile,
+  applyProfileToConfig,
+  matchProfilePatterns,
+  getProfileScrapeOptions,
+  collectUrlOverrides,
+};
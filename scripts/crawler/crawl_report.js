@@ -11,6 +11,12 @@ const path = require('path');
 
 // Import shared utilities
 const { getDateString, ensureDir } = require('./utils');
+const { summarizePoliteness } = require('./politeness');
+const { clusterNearDuplicates } = require('./near_duplicate');
+const { createCrawlError, summarizeCrawlErrors, saveCrawlErrors } = require('./crawl_errors');
+const { getLogger } = require('./logger');
+
+const log = getLogger('crawl_report');
 
 // ============================================================================
 // RUN REPORT GENERATION
@@ -20,19 +26,23 @@ const { getDateString, ensureDir } = require('./utils');
  * Generate a crawl run report
  * @param {Object} runStats - Run statistics
  * @param {string} runsDir - Directory to save reports
+ * @param {Date} [now] - Completion time (the crawler's clock); also names the runs/<date> directory
  * @returns {Object} - Generated report
  */
-function generateRunReport(runStats, runsDir) {
-  const date = getDateString();
+function generateRunReport(runStats, runsDir, now = new Date()) {
+  const date = getDateString(now);
   const runDir = path.join(runsDir, date);
   ensureDir(runDir);
   
   const config = runStats.config || {};
+  const politeness = summarizePoliteness(runStats.domainDetails);
+  const nearDuplicateClusters = clusterNearDuplicates(runStats.nearDuplicates);
+  const errorSummary = summarizeCrawlErrors(runStats.errors);
   
   const report = {
-    run_id: `run_${date}_${Date.now()}`,
+    run_id: runStats.runId || `run_${date}_${now.getTime()}`,
     started_at: runStats.startedAt,
-    completed_at: new Date().toISOString(),
+    completed_at: now.toISOString(),
     status: runStats.status || 'completed',
     // Always include explicit config fields for clarity
     seed_source: config.seedSource || 'unknown',
@@ -60,16 +70,57 @@ function generateRunReport(runStats, runsDir) {
       documents_fetched_via_firecrawl: runStats.documentsFetchedViaFirecrawl || 0,
       documents_fetched_via_http_fallback: runStats.documentsFetchedViaHttpFallback || 0,
       claims_extracted: runStats.claimsExtracted,
+      claims_refreshed: runStats.claimsRefreshed || 0,
+      // Re-verification of the claims of changed pages (claim_reverifier.js)
+      claims_reverified: runStats.claimsReverified || 0,
+      claims_contradicted: runStats.claimsContradicted || 0,
+      claims_marked_stale: runStats.claimsMarkedStale || 0,
+      // Source page lifecycle (source_lifecycle.js)
+      pages_missing: runStats.pagesMissing || 0,
+      pages_removed: runStats.pagesRemoved || 0,
+      pages_reactivated: runStats.pagesReactivated || 0,
+      claims_deprecated: runStats.claimsDeprecated || 0,
+      claims_restored: runStats.claimsRestored || 0,
       errors: runStats.errors.length,
+      retryable_errors: errorSummary.retryable,
       // Extraction counters across all domains
       steps_extracted: runStats.stepsExtracted || 0,
       fees_extracted: runStats.feesExtracted || 0,
       faq_pairs_extracted: runStats.faqPairsExtracted || 0,
       doc_links_found: runStats.docLinksFound || 0,
+      // Politeness decisions across all domains (details per domain in domains[].politeness)
+      retries: politeness.retries,
+      backoffs: politeness.backoffs,
+      give_ups: politeness.give_ups,
+      domains_with_crawl_delay: politeness.domains_with_crawl_delay,
+      // Pages that mint no claims because they repeat an earlier page
+      near_duplicates: (runStats.nearDuplicates || []).length,
+      near_duplicate_clusters: nearDuplicateClusters.length,
+      // --refresh due: overdue pages, those revisited within --budget and those deferred
+      pages_due: runStats.revisit ? runStats.revisit.due : 0,
+      pages_scheduled: runStats.revisit ? runStats.revisit.scheduled : 0,
+      pages_deferred: runStats.revisit ? runStats.revisit.deferred : 0,
+      // Changes beyond the comparison thresholds since the previous run of the same scope
+      anomalies: runStats.comparison ? runStats.comparison.anomalies.length : 0,
     },
     // Extraction breakdown by domain
     extraction_details: runStats.extractionDetails || {},
+    // Near-duplicate pages grouped by the canonical page they repeat
+    near_duplicate_clusters: nearDuplicateClusters,
+    // Revisit plan of a --refresh due run (null for other refresh modes)
+    revisit_plan: runStats.revisit || null,
+    // Claims and source pages of a --refresh stale-claims run (null for other refresh modes)
+    stale_claim_plan: runStats.staleClaims || null,
+    // Comparison with the previous run of the same scope (full version in run_comparison.json)
+    comparison: runStats.comparison ? {
+      previous_run_id: runStats.comparison.previous_run_id,
+      summary: runStats.comparison.summary,
+      anomalies: runStats.comparison.anomalies,
+    } : null,
     domains: runStats.domainDetails,
+    // Errors by class, stage and domain (every error record is in crawl_errors.json)
+    error_summary: errorSummary,
+    errors_file: 'crawl_errors.json',
     errors: runStats.errors.slice(0, 50),  // Keep first 50 errors
   };
   
@@ -84,8 +135,14 @@ function generateRunReport(runStats, runsDir) {
   
   const reportPath = path.join(runDir, 'crawl_report.json');
   fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+  saveCrawlErrors(runStats.errors, path.join(runDir, 'crawl_errors.json'), { run_id: report.run_id });
+  
+  if (runStats.comparison) {
+    const comparisonPath = path.join(runDir, 'run_comparison.json');
+    fs.writeFileSync(comparisonPath, JSON.stringify(runStats.comparison, null, 2), 'utf-8');
+  }
   
-  console.log(`\n📊 Run report saved to: ${reportPath}`);
+  log.info('report.saved', `\n📊 Run report saved to: ${reportPath}`, { stage: 'report', report: reportPath, outcome: report.status });
   return report;
 }
 
@@ -95,9 +152,10 @@ function generateRunReport(runStats, runsDir) {
  * @param {Error} error - The error that caused the failure
  * @param {string|null} currentDomain - Domain being crawled when error occurred
  * @param {string} runsDir - Directory to save reports
+ * @param {Date} [now] - Failure time (the crawler's clock)
  * @returns {Object} - Generated failure report
  */
-function generateFailureReport(runStats, error, currentDomain, runsDir) {
+function generateFailureReport(runStats, error, currentDomain, runsDir, now = new Date()) {
   runStats.status = 'failed';
   runStats.errorSummary = error.message || String(error);
   runStats.currentDomain = currentDomain;
@@ -120,25 +178,21 @@ function generateFailureReport(runStats, error, currentDomain, runsDir) {
     runStats.failureStage = 'unknown';
   }
   
-  runStats.errors.push({
-    type: runStats.failureType,
-    stage: runStats.failureStage,
-    message: error.message,
-    domain: currentDomain,
-    timestamp: new Date().toISOString(),
-  });
+  runStats.errors.push(createCrawlError({ stage: 'run', error, domain: currentDomain, now }));
   
-  return generateRunReport(runStats, runsDir);
+  return generateRunReport(runStats, runsDir, now);
 }
 
 /**
  * Create initial run statistics object
  * @param {Object} config - Crawler configuration
+ * @param {Date} [now] - Start time (the crawler's clock)
  * @returns {Object} - Run statistics object
  */
-function createRunStats(config) {
+function createRunStats(config, now = new Date()) {
   return {
-    startedAt: new Date().toISOString(),
+    runId: `run_${getDateString(now)}_${now.getTime()}`,
+    startedAt: now.toISOString(),
     status: 'running',
     config: config,
     // Domain tracking
@@ -157,12 +211,28 @@ function createRunStats(config) {
     documentsFetchedViaFirecrawl: 0,
     documentsFetchedViaHttpFallback: 0,
     claimsExtracted: 0,
+    claimsRefreshed: 0,
+    // Claims on changed pages whose quote was found unchanged / edited / gone
+    claimsReverified: 0,
+    claimsContradicted: 0,
+    claimsMarkedStale: 0,
+    // Source page lifecycle transitions, and claims deprecated and restored with their pages
+    pagesMissing: 0,
+    pagesRemoved: 0,
+    pagesReactivated: 0,
+    claimsDeprecated: 0,
+    claimsRestored: 0,
     // Extraction counters
     stepsExtracted: 0,
     feesExtracted: 0,
     faqPairsExtracted: 0,
     docLinksFound: 0,
     extractionDetails: {},
+    nearDuplicates: [],
+    revisit: null,
+    staleClaims: null,
+    crawlPlan: null,  // --dry-run plan (written separately, not part of the report)
+    comparison: null,  // comparison with the previous run of the same scope
     errors: [],
     domainDetails: [],
   };
@@ -209,10 +279,11 @@ function updateExtractionStats(runStats, structuredData, domain) {
  * @param {Object} paths - Path configuration
  */
 function printSummary(report, paths) {
-  console.log('\n' + '═'.repeat(70));
-  console.log('  CRAWL SUMMARY');
-  console.log('═'.repeat(70));
-  console.log(`
+  log.info('run.summary', null, { stage: 'report', outcome: report.status, ...report.summary });
+  log.print('\n' + '═'.repeat(70));
+  log.print('  CRAWL SUMMARY');
+  log.print('═'.repeat(70));
+  log.print(`
   Domains Attempted: ${report.summary.domains_attempted}
   Domains Crawled:   ${report.summary.domains_crawled}
   Domains Failed:    ${report.summary.domains_failed}
@@ -221,42 +292,118 @@ function printSummary(report, paths) {
   Pages Saved:       ${report.summary.pages_kept}
   Pages Unchanged:   ${report.summary.pages_unchanged}
   Pages Excluded:    ${report.summary.pages_excluded}
+  Pages Gone:        ${report.summary.pages_missing} missing, ${report.summary.pages_removed} removed (${report.summary.claims_deprecated} claims deprecated), ${report.summary.pages_reactivated} back (${report.summary.claims_restored} claims restored)
   Docs Found:        ${report.summary.docs_downloaded}
   Claims Extracted:  ${report.summary.claims_extracted}
+  Claims Rechecked:  ${report.summary.claims_reverified} unchanged, ${report.summary.claims_contradicted} contradicted, ${report.summary.claims_marked_stale} stale
   Errors:            ${report.summary.errors}
+  Retries:           ${report.summary.retries || 0} (${report.summary.give_ups || 0} gave up)
+  Near-Duplicates:   ${report.summary.near_duplicates || 0} (${report.summary.near_duplicate_clusters || 0} clusters)
 `);
 
+  if (report.stale_claim_plan) {
+    const plan = report.stale_claim_plan;
+    log.print(`  Stale Claims:      ${plan.claims} selected, evidence refreshed for ${report.summary.claims_refreshed} from ${plan.scheduled}/${plan.pages} source pages`);
+    log.print('');
+  }
+
+  if (report.revisit_plan) {
+    log.print(`  Revisits:          ${report.summary.pages_scheduled}/${report.summary.pages_due} due pages (${report.summary.pages_deferred} deferred by --budget)`);
+    log.print('');
+  }
+
   // Print extraction breakdown
-  console.log('  EXTRACTION DETAILS:');
-  console.log(`    Steps Extracted:     ${report.summary.steps_extracted}`);
-  console.log(`    Fees Extracted:      ${report.summary.fees_extracted}`);
-  console.log(`    FAQ Pairs:           ${report.summary.faq_pairs_extracted}`);
-  console.log(`    Doc Links Found:     ${report.summary.doc_links_found}`);
-  console.log('');
+  log.print('  EXTRACTION DETAILS:');
+  log.print(`    Steps Extracted:     ${report.summary.steps_extracted}`);
+  log.print(`    Fees Extracted:      ${report.summary.fees_extracted}`);
+  log.print(`    FAQ Pairs:           ${report.summary.faq_pairs_extracted}`);
+  log.print(`    Doc Links Found:     ${report.summary.doc_links_found}`);
+  log.print('');
 
   // Print per-domain breakdown if available
   if (report.domains && report.domains.length > 0) {
-    console.log('  PER-DOMAIN BREAKDOWN:');
-    console.log('  Domain                    Pages  Steps  Fees  FAQs  Docs  Claims  Errors');
-    console.log('  ───────────────────────── ────── ────── ───── ───── ───── ─────── ──────');
+    log.print('  PER-DOMAIN BREAKDOWN:');
+    log.print('  Domain                    Pages  Steps  Fees  FAQs  Docs  Claims  Errors');
+    log.print('  ───────────────────────── ────── ────── ───── ───── ───── ─────── ──────');
 
     for (const domain of report.domains) {
       const extraction = report.extraction_details[domain.domain] || {};
       const label = domain.label || domain.domain;
       const truncatedLabel = label.length > 24 ? label.substring(0, 21) + '...' : label.padEnd(24);
 
-      console.log(`  ${truncatedLabel} ${String(domain.pagesProcessed || 0).padStart(5)} ${String(extraction.steps_extracted || 0).padStart(6)} ${String(extraction.fees_extracted || 0).padStart(5)} ${String(extraction.faq_pairs_extracted || 0).padStart(5)} ${String(extraction.doc_links_found || 0).padStart(5)} ${String(domain.claimsExtracted || 0).padStart(7)} ${String((domain.errors || []).length).padStart(6)}`);
+      log.print(`  ${truncatedLabel} ${String(domain.pagesProcessed || 0).padStart(5)} ${String(extraction.steps_extracted || 0).padStart(6)} ${String(extraction.fees_extracted || 0).padStart(5)} ${String(extraction.faq_pairs_extracted || 0).padStart(5)} ${String(extraction.doc_links_found || 0).padStart(5)} ${String(domain.claimsExtracted || 0).padStart(7)} ${String((domain.errors || []).length).padStart(6)}`);
+    }
+    log.print('');
+
+    // Print politeness decisions for domains that needed them
+    const politeDomains = report.domains.filter(d =>
+      d.politeness && (d.politeness.retries || d.politeness.giveUps || d.politeness.crawlDelayMs)
+    );
+    if (politeDomains.length > 0) {
+      log.print('  POLITENESS:');
+      log.print('  Domain                    Delay(ms) Crawl-delay Retries Backoffs GaveUp');
+      log.print('  ───────────────────────── ───────── ─────────── ─────── ──────── ──────');
+
+      for (const domain of politeDomains) {
+        const p = domain.politeness;
+        const label = domain.label || domain.domain;
+        const truncatedLabel = label.length > 24 ? label.substring(0, 21) + '...' : label.padEnd(24);
+        const crawlDelay = p.crawlDelayMs ? `${p.crawlDelayMs / 1000}s` : '-';
+
+        log.print(`  ${truncatedLabel} ${String(p.currentDelayMs).padStart(10)} ${crawlDelay.padStart(11)} ${String(p.retries).padStart(7)} ${String(p.backoffCount).padStart(8)} ${String(p.giveUps).padStart(6)}`);
+      }
+      log.print('');
+    }
+  }
+
+  // Print what changed since the previous run of the same scope
+  if (report.comparison) {
+    const { summary, anomalies } = report.comparison;
+    log.print(`  RUN COMPARISON (vs ${report.comparison.previous_run_id}):`);
+    log.print(`    Pages:       +${summary.pages_discovered} discovered, -${summary.pages_disappeared} disappeared`);
+    log.print(`    Claims:      +${summary.claims_added} added, -${summary.claims_removed} removed`);
+    log.print(`    Error Rate:  ${summary.error_rate.previous} → ${summary.error_rate.current}`);
+    for (const anomaly of anomalies) {
+      log.warn('run.anomaly', `    ⚠️  ${anomaly.message}`, {
+        domain: anomaly.domain, stage: 'report', anomaly: anomaly.type, metric: anomaly.metric,
+        service_id: anomaly.service_id, previous: anomaly.previous, current: anomaly.current,
+      });
+    }
+    log.print('');
+  }
+
+  // Print errors by class (every error record is in crawl_errors.json)
+  if (report.error_summary && report.error_summary.total > 0) {
+    log.print('  ERRORS BY CLASS:');
+    const byClass = Object.entries(report.error_summary.by_class).sort((a, b) => b[1] - a[1]);
+    for (const [errorClass, count] of byClass) {
+      const domains = Object.entries(report.error_summary.by_domain)
+        .filter(([, d]) => d.by_class[errorClass])
+        .map(([domain, d]) => `${domain} ${d.by_class[errorClass]}`);
+      log.print(`    ${errorClass.padEnd(24)} ${String(count).padStart(5)}  (${domains.join(', ')})`);
+    }
+    log.print('');
+  }
+
+  // Print the largest near-duplicate clusters (all of them are in the report)
+  if (report.near_duplicate_clusters && report.near_duplicate_clusters.length > 0) {
+    log.print('  NEAR-DUPLICATE CLUSTERS:');
+    for (const cluster of report.near_duplicate_clusters.slice(0, 10)) {
+      log.print(`    ${cluster.canonical_url} (${cluster.duplicates.length} near-duplicates)`);
+      for (const duplicate of cluster.duplicates.slice(0, 3)) {
+        log.print(`      ♊ ${duplicate.url} (${duplicate.similarity})`);
+      }
     }
-    console.log('');
+    log.print('');
   }
 
-  console.log('═'.repeat(70));
+  log.print('═'.repeat(70));
   if (paths) {
-    console.log(`  📁 KB saved to: ${paths.kbPath}`);
-    console.log(`  📁 Seeds: ${path.join(paths.seedsDir, 'public_services_seeds.json')}`);
-    console.log(`  📊 Report: ${path.join(paths.runsDir, getDateString(), 'crawl_report.json')}`);
+    log.print(`  📁 KB saved to: ${paths.kbPath}`);
+    log.print(`  📁 Seeds: ${path.join(paths.seedsDir, 'public_services_seeds.json')}`);
+    log.print(`  📊 Report: ${path.join(paths.runsDir, getDateString(new Date(report.completed_at)), 'crawl_report.json')}`);
   }
-  console.log('═'.repeat(70) + '\n');
+  log.print('═'.repeat(70) + '\n');
 }
 
 module.exports = {
@@ -16,6 +16,10 @@ const {
   getDateString,
   ensureDir,
 } = require('./utils');
+const { getLogger } = require('./logger');
+const { saveSnapshotManifest, hasSnapshotOn } = require('./snapshot_store');
+
+const log = getLogger('crawl_state');
 
 // ============================================================================
 // CRAWL STATE MANAGEMENT
@@ -24,31 +28,36 @@ const {
 /**
  * Load crawl state from file
  * @param {string} stateFile - Path to state file
+ * @param {Date} [now] - Current time (default: now)
  * @returns {Object} - Crawl state
  */
-function loadCrawlState(stateFile) {
+function loadCrawlState(stateFile, now = new Date()) {
   if (fs.existsSync(stateFile)) {
     try {
       const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
       // Ensure all required fields
       return {
-        startedAt: state.startedAt || new Date().toISOString(),
-        lastUpdated: state.lastUpdated || new Date().toISOString(),
+        startedAt: state.startedAt || now.toISOString(),
+        lastUpdated: state.lastUpdated || now.toISOString(),
+        currentRun: state.currentRun || null,
         domainStates: state.domainStates || {},
         pageHashes: state.pageHashes || {},
+        pageCrawledAt: state.pageCrawledAt || {},
         documentHashes: state.documentHashes || {},
         runs: state.runs || [],
       };
     } catch (e) {
-      console.warn('⚠️  Failed to load crawl state, starting fresh');
+      log.warn('state.load_failed', '⚠️  Failed to load crawl state, starting fresh', { stage: 'state', file: stateFile, outcome: 'error', error: e });
     }
   }
   
   return {
-    startedAt: new Date().toISOString(),
-    lastUpdated: new Date().toISOString(),
+    startedAt: now.toISOString(),
+    lastUpdated: now.toISOString(),
+    currentRun: null,
     domainStates: {},
     pageHashes: {},
+    pageCrawledAt: {},
     documentHashes: {},
     runs: [],
   };
@@ -58,9 +67,10 @@ function loadCrawlState(stateFile) {
  * Save crawl state to file
  * @param {Object} state - Crawl state
  * @param {string} stateFile - Path to state file
+ * @param {Date} [now] - Current time (default: now)
  */
-function saveCrawlState(state, stateFile) {
-  state.lastUpdated = new Date().toISOString();
+function saveCrawlState(state, stateFile, now = new Date()) {
+  state.lastUpdated = now.toISOString();
   fs.writeFileSync(stateFile, JSON.stringify(state, null, 2), 'utf-8');
 }
 
@@ -77,6 +87,7 @@ function getDomainState(state, domain) {
       pagesCrawled: 0,
       robotsRules: null,
       sitemapUrls: [],
+      sitemapEntries: {},
       discoveredUrls: [],
       processedUrls: [],
       excludedUrls: [],
@@ -86,58 +97,229 @@ function getDomainState(state, domain) {
   return state.domainStates[domain];
 }
 
+/**
+ * Record a URL excluded from the crawl and why (e.g. the robots.txt rule that excluded it).
+ * A URL is recorded once; a later exclusion replaces the earlier record.
+ * @param {Object} domainState - Domain state (will be modified)
+ * @param {string} url - Excluded URL
+ * @param {string} reason - Exclusion reason (e.g. 'robots')
+ * @param {Object} [details] - Extra details (e.g. { rule })
+ * @param {Date} [now] - Current time (default: now)
+ */
+function recordExcludedUrl(domainState, url, reason, details = {}, now = new Date()) {
+  if (!Array.isArray(domainState.excludedUrls)) domainState.excludedUrls = [];
+
+  const entry = { url, reason, ...details, at: now.toISOString() };
+  const existingIdx = domainState.excludedUrls.findIndex(e => e && e.url === url);
+  if (existingIdx >= 0) {
+    domainState.excludedUrls[existingIdx] = entry;
+  } else {
+    domainState.excludedUrls.push(entry);
+  }
+}
+
+// ============================================================================
+// CRAWL RUNS
+// ============================================================================
+
+/**
+ * Get the run that was interrupted before it completed, if any
+ * @param {Object} state - Crawl state
+ * @returns {Object|null} - { runId, startedAt, completedAt, resumedAt } or null
+ */
+function getInterruptedRun(state) {
+  const run = state.currentRun;
+  if (!run || !run.runId || run.completedAt) {
+    return null;
+  }
+  return run;
+}
+
+/**
+ * Start a crawl run, or carry on the interrupted run when resuming.
+ * Domain checkpoints record the run that wrote them, so a resumed run only
+ * skips the domains that the interrupted run itself completed.
+ * @param {Object} state - Crawl state (will be modified)
+ * @param {string} runId - ID of the new run
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Carry on the interrupted run, if there is one
+ * @param {Date} [options.now] - Current time (default: now)
+ * @returns {Object} - The run checkpoints are written for
+ */
+function startCrawlRun(state, runId, options = {}) {
+  const now = (options.now || new Date()).toISOString();
+  const interrupted = getInterruptedRun(state);
+
+  if (options.resume && interrupted) {
+    interrupted.resumedAt = now;
+    return interrupted;
+  }
+
+  state.currentRun = { runId, startedAt: now, completedAt: null, resumedAt: null };
+  return state.currentRun;
+}
+
+/**
+ * Mark the current crawl run as completed (it can no longer be resumed)
+ * @param {Object} state - Crawl state (will be modified)
+ * @param {Date} [now] - Current time (default: now)
+ */
+function completeCrawlRun(state, now = new Date()) {
+  if (!state.currentRun) return;
+  state.currentRun.completedAt = now.toISOString();
+}
+
+// ============================================================================
+// MID-DOMAIN CHECKPOINTS
+// ============================================================================
+
+/**
+ * Start a fresh checkpoint for a domain crawl.
+ * Resets the frontier, processed set and per-URL outcomes.
+ * @param {Object} domainState - Domain state (will be modified)
+ * @param {string[]} frontier - Prioritized URLs in crawl order
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Run writing the checkpoint (see startCrawlRun)
+ * @param {Date} [options.now] - Current time (default: now)
+ * @returns {Object} - The new checkpoint
+ */
+function startDomainCheckpoint(domainState, frontier, options = {}) {
+  const now = (options.now || new Date()).toISOString();
+
+  domainState.discoveredUrls = [...frontier];
+  domainState.processedUrls = [];
+  domainState.urlOutcomes = {};
+  domainState.checkpoint = {
+    runId: options.runId || null,
+    startedAt: now,
+    updatedAt: now,
+    frontier: [...frontier],
+    processedCount: 0,
+    completed: false,
+    completedAt: null,
+  };
+
+  return domainState.checkpoint;
+}
+
+/**
+ * Get the checkpoint of a domain crawl, if one was recorded
+ * @param {Object} domainState - Domain state
+ * @returns {Object|null} - Checkpoint or null if none was recorded
+ */
+function getDomainCheckpoint(domainState) {
+  const checkpoint = domainState.checkpoint;
+  if (!checkpoint || !Array.isArray(checkpoint.frontier)) {
+    return null;
+  }
+  return checkpoint;
+}
+
+/**
+ * Check whether a domain checkpoint was written by a run
+ * @param {Object|null} checkpoint - Domain checkpoint
+ * @param {Object|null} run - Crawl run (see startCrawlRun)
+ * @returns {boolean}
+ */
+function isCheckpointOfRun(checkpoint, run) {
+  return Boolean(checkpoint && run && checkpoint.runId && checkpoint.runId === run.runId);
+}
+
+/**
+ * Append newly discovered URLs (e.g. followed links) to the checkpoint frontier
+ * @param {Object} domainState - Domain state (will be modified)
+ * @param {string[]} urls - URLs appended to the crawl order
+ * @param {Date} [now] - Current time (default: now)
+ */
+function extendDomainCheckpoint(domainState, urls, now = new Date()) {
+  if (!urls || urls.length === 0) return;
+
+  if (!Array.isArray(domainState.discoveredUrls)) domainState.discoveredUrls = [];
+  domainState.discoveredUrls.push(...urls);
+
+  if (domainState.checkpoint) {
+    domainState.checkpoint.frontier.push(...urls);
+    domainState.checkpoint.updatedAt = now.toISOString();
+  }
+}
+
+/**
+ * Record the outcome of a URL in the domain checkpoint
+ * @param {Object} domainState - Domain state (will be modified)
+ * @param {string} url - Page URL
+ * @param {string} outcome - Outcome: 'saved' | 'unchanged' | 'skipped' | 'no_content' | 'error'
+ * @param {Object} [details] - Extra details (e.g. error message, content hash)
+ * @param {Date} [at] - Current time (default: now)
+ */
+function recordUrlOutcome(domainState, url, outcome, details = {}, at = new Date()) {
+  const now = at.toISOString();
+
+  if (!domainState.urlOutcomes) domainState.urlOutcomes = {};
+  if (!Array.isArray(domainState.processedUrls)) domainState.processedUrls = [];
+
+  domainState.urlOutcomes[url] = { outcome, at: now, ...details };
+  if (!domainState.processedUrls.includes(url)) {
+    domainState.processedUrls.push(url);
+  }
+
+  if (domainState.checkpoint) {
+    domainState.checkpoint.processedCount = domainState.processedUrls.length;
+    domainState.checkpoint.updatedAt = now;
+  }
+}
+
+/**
+ * Mark the domain checkpoint as completed
+ * @param {Object} domainState - Domain state (will be modified)
+ * @param {Date} [at] - Current time (default: now)
+ */
+function completeDomainCheckpoint(domainState, at = new Date()) {
+  if (!domainState.checkpoint) return;
+
+  const now = at.toISOString();
+  domainState.checkpoint.completed = true;
+  domainState.checkpoint.completedAt = now;
+  domainState.checkpoint.updatedAt = now;
+}
+
 // ============================================================================
 // SNAPSHOT MANAGEMENT
 // ============================================================================
 
 /**
- * Save a page snapshot
+ * Save a page snapshot (content blobs plus a dated manifest, see snapshot_store.js)
  * @param {string} sourcePageId - Source page ID
  * @param {string} url - Page URL
  * @param {string} html - HTML content
  * @param {string} markdown - Markdown content
  * @param {string} snapshotsDir - Snapshots directory
- * @returns {{snapshotRef: string, contentHash: string}}
+ * @param {Object} [extra] - Extra metadata
+ * @param {string} [extra.title] - Page title (kept so the page can be replayed offline)
+ * @param {string} [extra.compression] - Compression of new blobs (gzip or brotli)
+ * @param {Date} [extra.now] - Crawl time (default: now)
+ * @returns {{snapshotRef: string, contentHash: string, snapshotDate: string}}
  */
-function saveSnapshot(sourcePageId, url, html, markdown, snapshotsDir) {
-  const date = getDateString();
-  const snapshotPath = path.join(snapshotsDir, sourcePageId, date);
+function saveSnapshot(sourcePageId, url, html, markdown, snapshotsDir, extra = {}) {
+  const { snapshotRef, contentHash, manifest } = saveSnapshotManifest(snapshotsDir, {
+    sourcePageId,
+    url,
+    html,
+    markdown,
+    title: extra.title,
+  }, { compression: extra.compression, now: extra.now });
   
-  ensureDir(snapshotPath);
-  
-  if (html) {
-    fs.writeFileSync(path.join(snapshotPath, 'page.html'), html, 'utf-8');
-  }
-  
-  fs.writeFileSync(path.join(snapshotPath, 'page.md'), markdown, 'utf-8');
-  
-  const contentHash = generateHash(markdown);
-  
-  const meta = {
-    canonical_url: url,
-    source_page_id: sourcePageId,
-    fetched_at: new Date().toISOString(),
-    content_hash_sha256: contentHash,
-    snapshot_date: date,
-  };
-  fs.writeFileSync(path.join(snapshotPath, 'meta.json'), JSON.stringify(meta, null, 2), 'utf-8');
-  
-  return {
-    snapshotRef: `snapshots/${sourcePageId}/${date}`,
-    contentHash,
-  };
+  return { snapshotRef, contentHash, snapshotDate: manifest.snapshot_date };
 }
 
 /**
  * Check if a snapshot exists for today
  * @param {string} sourcePageId - Source page ID
  * @param {string} snapshotsDir - Snapshots directory
+ * @param {Date} [now] - Current time (default: now)
  * @returns {boolean}
  */
-function snapshotExistsToday(sourcePageId, snapshotsDir) {
-  const date = getDateString();
-  const metaPath = path.join(snapshotsDir, sourcePageId, date, 'meta.json');
-  return fs.existsSync(metaPath);
+function snapshotExistsToday(sourcePageId, snapshotsDir, now) {
+  return hasSnapshotOn(snapshotsDir, sourcePageId, now);
 }
 
 /**
@@ -158,6 +340,16 @@ module.exports = {
   loadCrawlState,
   saveCrawlState,
   getDomainState,
+  recordExcludedUrl,
+  getInterruptedRun,
+  startCrawlRun,
+  completeCrawlRun,
+  startDomainCheckpoint,
+  getDomainCheckpoint,
+  isCheckpointOfRun,
+  extendDomainCheckpoint,
+  recordUrlOutcome,
+  completeDomainCheckpoint,
   saveSnapshot,
   snapshotExistsToday,
   getExistingHash,
@@ -12,6 +12,9 @@ const { URL } = require('url');
 
 // Import shared utilities
 const { getDomain } = require('./utils');
+const { getLogger } = require('./logger');
+
+const log = getLogger('discovery');
 
 // ============================================================================
 // SEED EXTRACTION FROM BDGOVLINKS
@@ -107,16 +110,16 @@ const KNOWN_PUBLIC_SERVICES = [
  * @returns {Promise<Array>} - Array of seed objects
  */
 async function extractPublicServicesSeeds(scrapeResult, seedsDir) {
-  console.log('🌱 Extracting Public Services seeds from bdgovlinks.com...\n');
+  log.info('seeds.extract', '🌱 Extracting Public Services seeds from bdgovlinks.com...\n', { stage: 'discover' });
   
   let publicServices = [...KNOWN_PUBLIC_SERVICES];
   
   // If scrapeResult is provided, try to extract dynamically
   if (scrapeResult && scrapeResult.markdown) {
-    console.log('  📥 Processing live data from bdgovlinks.com...');
+    log.print('  📥 Processing live data from bdgovlinks.com...');
     
     const extractedServices = parsePublicServicesFromMarkdown(scrapeResult.markdown);
-    console.log(`  Found ${extractedServices.length} Public Services links`);
+    log.info('seeds.parsed', `  Found ${extractedServices.length} Public Services links`, { stage: 'discover', services: extractedServices.length });
     
     // Add any new services not in our known list
     for (const svc of extractedServices) {
@@ -131,7 +134,7 @@ async function extractPublicServicesSeeds(scrapeResult, seedsDir) {
       );
       
       if (!existing) {
-        console.log(`  ➕ New service discovered: ${svc.label} (${domain})`);
+        log.info('seeds.new_service', `  ➕ New service discovered: ${svc.label} (${domain})`, { domain: cleanDomain, url: svc.url, stage: 'discover', label: svc.label });
         publicServices.push({
           label: svc.label,
           domain: cleanDomain,
@@ -141,18 +144,25 @@ async function extractPublicServicesSeeds(scrapeResult, seedsDir) {
       }
     }
   } else {
-    console.log('  Using predefined seed list (no live data provided)');
+    log.info('seeds.fallback', '  Using predefined seed list (no live data provided)', { stage: 'discover' });
   }
   
   // Normalize and dedupe by domain
   const seenDomains = new Set();
-  const deduped = publicServices.filter(s => {
+  let deduped = publicServices.filter(s => {
     const domain = s.domain.replace(/^www\./, '');
     if (seenDomains.has(domain)) return false;
     seenDomains.add(domain);
     return true;
   });
   
+  // Keep crawl profiles declared inline on seeds of the previous seeds file
+  const previousSeeds = seedsDir ? loadExistingSeeds(seedsDir) || [] : [];
+  deduped = deduped.map(seed => {
+    const previous = previousSeeds.find(s => s.domain === seed.domain);
+    return previous && previous.profile && !seed.profile ? { ...seed, profile: previous.profile } : seed;
+  });
+  
   // Save seeds file
   if (seedsDir) {
     if (!fs.existsSync(seedsDir)) {
@@ -167,13 +177,13 @@ async function extractPublicServicesSeeds(scrapeResult, seedsDir) {
       seeds: deduped,
     };
     fs.writeFileSync(seedsPath, JSON.stringify(seedsData, null, 2), 'utf-8');
-    console.log(`  ✅ Saved ${deduped.length} seeds to: ${seedsPath}\n`);
+    log.info('seeds.saved', `  ✅ Saved ${deduped.length} seeds to: ${seedsPath}\n`, { stage: 'discover', file: seedsPath, seeds: deduped.length });
   }
   
   for (const seed of deduped) {
-    console.log(`     • ${seed.label}: ${seed.domain}`);
+    log.print(`     • ${seed.label}: ${seed.domain}`);
   }
-  console.log('');
+  log.print();
   
   return deduped;
 }
@@ -579,6 +579,70 @@ function extractDocumentLinks(markdown, html, url) {
   return documents;
 }
 
+/**
+ * Extensions of assets that are never pages worth following
+ */
+const NON_PAGE_EXTENSIONS = [
+  '.css', '.js', '.json', '.xml', '.rss', '.ico', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp',
+  '.bmp', '.mp3', '.mp4', '.avi', '.mov', '.wmv', '.zip', '.rar', '.7z', '.gz', '.woff', '.woff2', '.ttf',
+];
+
+/**
+ * Extract page links (markdown and HTML) for link-following crawls.
+ * Returns absolute http(s) URLs without fragments; documents and static
+ * assets are left out (documents are handled by extractDocumentLinks).
+ * @param {string} markdown - Page markdown
+ * @param {string} html - Page HTML (optional)
+ * @param {string} url - Page URL for resolving relative links
+ * @returns {string[]} - Unique page URLs in order of appearance
+ */
+function extractPageLinks(markdown, html, url) {
+  const links = [];
+  const seenUrls = new Set();
+  
+  function addLink(href) {
+    if (!href) return;
+    const trimmed = href.trim().replace(/^<|>$/g, '').split(/\s+/)[0];
+    if (!trimmed || trimmed.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(trimmed)) return;
+    
+    let resolved;
+    try {
+      resolved = new URL(trimmed, url);
+    } catch (e) {
+      return;
+    }
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return;
+    
+    resolved.hash = '';
+    const ext = path.extname(resolved.pathname).toLowerCase();
+    if (DOCUMENT_EXTENSIONS.includes(ext) || NON_PAGE_EXTENSIONS.includes(ext)) return;
+    
+    const linkUrl = resolved.href;
+    if (seenUrls.has(linkUrl)) return;
+    seenUrls.add(linkUrl);
+    links.push(linkUrl);
+  }
+  
+  // 1. Markdown links: [text](url "title") - images are skipped
+  const mdLinkPattern = /(!?)\[[^\]]*\]\(([^)]+)\)/g;
+  let match;
+  while ((match = mdLinkPattern.exec(markdown || '')) !== null) {
+    if (match[1] !== '!') {
+      addLink(match[2]);
+    }
+  }
+  
+  // 2. HTML anchors
+  if (html) {
+    const anchorPattern = /<a\b[^>]*?\shref=["']([^"']+)["']/gi;
+    while ((match = anchorPattern.exec(html)) !== null) {
+      addLink(match[1].replace(/&amp;/g, '&'));
+    }
+  }
+  
+  return links;
+}
+
 /**
  * Extract structured data from markdown content (main entry point)
  * @param {string} markdown - Page markdown content
@@ -825,5 +889,6 @@ module.exports = {
   extractFees,
   extractFAQs,
   extractDocumentLinks,
+  extractPageLinks,
   createCitation,
 };
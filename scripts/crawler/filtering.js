@@ -183,10 +183,15 @@ const PRIORITY_PATTERNS = {
 /**
  * Calculate priority score for a URL
  * @param {string} url - URL to score
+ * @param {Object<string, RegExp[]>} [profilePatterns] - Extra patterns by priority level
+ *   from the domain's crawl profile (priority_patterns), checked with the built-in ones
  * @returns {number} - Priority score (-999 means exclude, higher = better)
  */
-function getUrlPriority(url) {
+function getUrlPriority(url, profilePatterns = null) {
   const lower = url.toLowerCase();
+  const patternsFor = (level) => (profilePatterns && profilePatterns[level]
+    ? [...PRIORITY_PATTERNS[level], ...profilePatterns[level]]
+    : PRIORITY_PATTERNS[level]);
   
   // Check exclusions first
   for (const pattern of PRIORITY_PATTERNS.exclude) {
@@ -198,28 +203,28 @@ function getUrlPriority(url) {
   let priority = 0;
   
   // Check very high priority patterns
-  for (const pattern of PRIORITY_PATTERNS.very_high) {
+  for (const pattern of patternsFor('very_high')) {
     if (pattern.test(lower)) {
       priority += PRIORITY_WEIGHTS.very_high;
     }
   }
   
   // Check high priority patterns
-  for (const pattern of PRIORITY_PATTERNS.high) {
+  for (const pattern of patternsFor('high')) {
     if (pattern.test(lower)) {
       priority += PRIORITY_WEIGHTS.high;
     }
   }
   
   // Check medium priority patterns
-  for (const pattern of PRIORITY_PATTERNS.medium) {
+  for (const pattern of patternsFor('medium')) {
     if (pattern.test(lower)) {
       priority += PRIORITY_WEIGHTS.medium;
     }
   }
   
   // Apply penalty for low priority
-  for (const pattern of PRIORITY_PATTERNS.low) {
+  for (const pattern of patternsFor('low')) {
     if (pattern.test(lower)) {
       priority += PRIORITY_WEIGHTS.penalty;
     }
@@ -245,11 +250,12 @@ function getUrlPriority(url) {
 /**
  * Sort URLs by priority (highest first)
  * @param {string[]} urls - Array of URLs
+ * @param {Object<string, RegExp[]>} [profilePatterns] - Extra patterns by priority level (see getUrlPriority)
  * @returns {string[]} - Sorted and filtered URLs
  */
-function sortUrlsByPriority(urls) {
+function sortUrlsByPriority(urls, profilePatterns = null) {
   return urls
-    .map(url => ({ url, priority: getUrlPriority(url) }))
+    .map(url => ({ url, priority: getUrlPriority(url, profilePatterns) }))
     .filter(item => item.priority > PRIORITY_WEIGHTS.exclude)  // Exclude negative priority
     .sort((a, b) => {
       // Sort by priority descending, then by URL length (shorter first)
@@ -303,45 +309,112 @@ function isServicePage(url) {
 // ============================================================================
 
 /**
- * Parse robots.txt content
+ * Product token the crawler identifies as in robots.txt groups
+ * (matches the "InfobaseBot" user agent used for HTTP requests)
+ */
+const ROBOTS_USER_AGENT = 'InfobaseBot';
+
+/**
+ * Normalize a robots.txt path or pattern so that raw and percent-encoded
+ * forms compare equal (e.g. Bengali paths)
+ * @param {string} value - Path or pattern
+ * @returns {string}
+ */
+function normalizeRobotsPath(value) {
+  try {
+    return encodeURI(decodeURI(value));
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Parse robots.txt content (RFC 9309).
+ *
+ * Lines are grouped by consecutive user-agent lines. The groups whose
+ * user-agent matches our product token (case-insensitive) are merged; if none
+ * match, the "*" groups are used. Crawl-delay (non-standard) is read from the
+ * selected groups, sitemaps from anywhere in the file.
+ *
  * @param {string} content - robots.txt file content
- * @param {string} [userAgent='*'] - User agent to match
- * @returns {{disallow: string[], allow: string[], sitemaps: string[]}}
+ * @param {string} [userAgent='InfobaseBot'] - Product token to match
+ * @returns {{disallow: string[], allow: string[], sitemaps: string[], crawlDelay: number|null, userAgent: string|null, rules: Array<{type: 'allow'|'disallow', pattern: string, line: number}>}}
  */
-function parseRobotsTxt(content, userAgent = '*') {
+function parseRobotsTxt(content, userAgent = ROBOTS_USER_AGENT) {
   const rules = {
     disallow: [],
     allow: [],
     sitemaps: [],
+    crawlDelay: null,  // seconds
+    userAgent: null,  // group that applied: our token, '*' or null (no group)
+    rules: [],
   };
   
   if (!content) return rules;
   
-  const lines = content.split('\n');
-  let currentAgent = null;
-  let appliesToUs = false;
+  // Pass 1: split into groups
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
   
-  for (const rawLine of lines) {
-    const line = rawLine.trim();
-    if (!line || line.startsWith('#')) continue;
+  const lines = content.split(/\r\n|\r|\n/);
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
     
     const colonIdx = line.indexOf(':');
-    if (colonIdx === -1) continue;
+    if (colonIdx === -1) return;
     
     const directive = line.slice(0, colonIdx).trim().toLowerCase();
     const value = line.slice(colonIdx + 1).trim();
     
+    if (directive === 'sitemap') {
+      if (value) rules.sitemaps.push(value);
+      return;
+    }
+    
     if (directive === 'user-agent') {
-      currentAgent = value.toLowerCase();
-      appliesToUs = (currentAgent === '*' || currentAgent === userAgent.toLowerCase());
-    } else if (directive === 'sitemap') {
-      rules.sitemaps.push(value);
-    } else if (appliesToUs) {
-      if (directive === 'disallow' && value) {
-        rules.disallow.push(value);
-      } else if (directive === 'allow' && value) {
-        rules.allow.push(value);
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
       }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    
+    lastWasAgent = false;
+    if (!current) return;  // rules before any user-agent line are ignored
+    
+    if (directive === 'allow' || directive === 'disallow') {
+      // An empty disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ type: directive, pattern: normalizeRobotsPath(value), line: index + 1 });
+      }
+    } else if (directive === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds > 0) {
+        current.crawlDelay = Math.max(current.crawlDelay || 0, seconds);
+      }
+    }
+  });
+  
+  // Pass 2: select the groups that apply to us
+  const token = String(userAgent || '*').toLowerCase();
+  let selected = groups.filter(g => g.agents.includes(token));
+  rules.userAgent = selected.length > 0 ? userAgent : null;
+  if (selected.length === 0) {
+    selected = groups.filter(g => g.agents.includes('*'));
+    rules.userAgent = selected.length > 0 ? '*' : null;
+  }
+  
+  for (const group of selected) {
+    for (const rule of group.rules) {
+      rules.rules.push(rule);
+      rules[rule.type].push(rule.pattern);
+    }
+    if (group.crawlDelay) {
+      rules.crawlDelay = Math.max(rules.crawlDelay || 0, group.crawlDelay);
     }
   }
   
@@ -349,61 +422,140 @@ function parseRobotsTxt(content, userAgent = '*') {
 }
 
 /**
- * Check if a path is allowed by robots.txt rules
- * @param {string} urlPath - URL pathname
- * @param {{disallow: string[], allow: string[]}} robotsRules - Parsed rules
- * @returns {boolean} - True if allowed
+ * Compile a robots.txt path pattern ("*" wildcard, "$" end anchor)
+ * @param {string} pattern - Path pattern
+ * @returns {RegExp}
  */
-function isPathAllowed(urlPath, robotsRules) {
-  // Check allow rules first (they have priority)
-  for (const allow of robotsRules.allow) {
-    if (urlPath.startsWith(allow)) {
-      return true;
-    }
+function compileRobotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Find the robots.txt rule that decides a path: the longest matching pattern
+ * wins, and allow wins a tie (RFC 9309 section 2.2.2)
+ * @param {string} urlPath - URL path, including the query string
+ * @param {Object} robotsRules - Parsed rules (from parseRobotsTxt)
+ * @returns {{allowed: boolean, rule: {type: string, pattern: string, line?: number}|null}}
+ */
+function matchRobotsRule(urlPath, robotsRules) {
+  const target = normalizeRobotsPath(urlPath || '/');
+  
+  // robots.txt itself is always allowed
+  if (target === '/robots.txt') {
+    return { allowed: true, rule: null };
   }
   
-  // Check disallow rules
-  for (const disallow of robotsRules.disallow) {
-    if (urlPath.startsWith(disallow)) {
-      return false;
+  // Rules parsed before per-rule records existed only have the pattern lists
+  const candidates = robotsRules.rules || [
+    ...(robotsRules.allow || []).map(pattern => ({ type: 'allow', pattern })),
+    ...(robotsRules.disallow || []).map(pattern => ({ type: 'disallow', pattern })),
+  ];
+  
+  let best = null;
+  for (const rule of candidates) {
+    if (!compileRobotsPattern(rule.pattern).test(target)) continue;
+    
+    if (!best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.type === 'allow')) {
+      best = rule;
     }
   }
   
-  return true;  // Default: allowed
+  return {
+    allowed: !best || best.type === 'allow',
+    rule: best,
+  };
+}
+
+/**
+ * Check if a path is allowed by robots.txt rules
+ * @param {string} urlPath - URL path, including the query string
+ * @param {Object} robotsRules - Parsed rules
+ * @returns {boolean} - True if allowed
+ */
+function isPathAllowed(urlPath, robotsRules) {
+  return matchRobotsRule(urlPath, robotsRules).allowed;
 }
 
 // ============================================================================
 // SITEMAP PARSING
 // ============================================================================
 
+/**
+ * Decode the XML entities allowed in sitemap <loc> values
+ * @param {string} value - Raw element text
+ * @returns {string}
+ */
+function decodeXmlText(value) {
+  return value
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Read a child element of a sitemap <url> or <sitemap> block
+ * @param {string} block - Block content
+ * @param {string} tag - Element name
+ * @returns {string|null}
+ */
+function getSitemapTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+}
+
 /**
  * Parse sitemap XML content
  * @param {string} content - Sitemap XML content
- * @returns {{type: 'index'|'urlset', sitemaps?: string[], urls?: string[]}}
+ * @returns {{type: 'index'|'urlset', sitemaps?: string[], urls?: string[], entries: Array<{loc: string, lastmod: string|null, changefreq?: string|null, priority?: number|null}>}}
  */
 function parseSitemapXml(content) {
   const urls = [];
+  const entries = [];
   
-  if (!content) return { type: 'urlset', urls };
+  if (!content) return { type: 'urlset', urls, entries };
   
   // Handle sitemap index
-  const sitemapIndexMatches = content.matchAll(/<sitemap>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/sitemap>/gi);
+  const sitemapIndexMatches = content.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi);
   const sitemapUrls = [];
   for (const match of sitemapIndexMatches) {
-    sitemapUrls.push(match[1].trim());
+    const loc = getSitemapTag(match[1], 'loc');
+    if (!loc) continue;
+    sitemapUrls.push(loc);
+    entries.push({ loc, lastmod: getSitemapTag(match[1], 'lastmod') });
   }
   
   if (sitemapUrls.length > 0) {
-    return { type: 'index', sitemaps: sitemapUrls };
+    return { type: 'index', sitemaps: sitemapUrls, entries };
   }
   
   // Handle regular sitemap
-  const urlMatches = content.matchAll(/<url>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/url>/gi);
+  const urlMatches = content.matchAll(/<url>([\s\S]*?)<\/url>/gi);
   for (const match of urlMatches) {
-    urls.push(match[1].trim());
+    const loc = getSitemapTag(match[1], 'loc');
+    if (!loc) continue;
+    const priority = parseFloat(getSitemapTag(match[1], 'priority'));
+    urls.push(loc);
+    entries.push({
+      loc,
+      lastmod: getSitemapTag(match[1], 'lastmod'),
+      changefreq: getSitemapTag(match[1], 'changefreq'),
+      priority: Number.isFinite(priority) ? priority : null,
+    });
   }
   
-  return { type: 'urlset', urls };
+  return { type: 'urlset', urls, entries };
 }
 
 module.exports = {
@@ -414,7 +566,9 @@ module.exports = {
   getUrlDepth,
   isDocumentPage,
   isServicePage,
+  ROBOTS_USER_AGENT,
   parseRobotsTxt,
+  matchRobotsRule,
   isPathAllowed,
   parseSitemapXml,
 };
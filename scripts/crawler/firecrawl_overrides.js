@@ -2,13 +2,86 @@
  * Firecrawl per-URL option overrides
  * 
  * Provides explicit overrides for specific URLs that require non-default
- * Firecrawl scrape options (e.g., SPA pages that need waitFor).
+ * Firecrawl scrape options (e.g., SPA pages that need waitFor), and
+ * glob/regex URL rules for whole sections of a site. Overrides may carry
+ * Firecrawl page actions (click a tab, expand accordions, switch language)
+ * so SPA content is rendered before it is scraped.
+ * 
+ * Precedence: an exact URL override (crawl profiles, then EXACT_URL_OVERRIDES)
+ * wins outright; otherwise the matching URL rule with the highest priority
+ * applies (ties: crawl profile rules first, then declaration order).
  * 
  * @module crawler/firecrawl_overrides
  */
 
 'use strict';
 
+// ============================================================================
+// PAGE ACTIONS
+// ============================================================================
+
+// Firecrawl scrape action types
+const FIRECRAWL_ACTION_TYPES = ['wait', 'click', 'write', 'press', 'scroll', 'scrape', 'screenshot', 'executeJavascript'];
+
+// Time for an SPA to re-render after an interaction (ms)
+const DEFAULT_SETTLE_MS = 1000;
+
+/**
+ * Click a tab (or any single element) once it is rendered, then let the page re-render
+ * @param {string} selector - CSS selector of the tab
+ * @param {number} [settleMs] - Wait after the click (ms)
+ * @returns {Object[]} - Firecrawl actions
+ */
+function clickTab(selector, settleMs = DEFAULT_SETTLE_MS) {
+  return [
+    { type: 'wait', selector },
+    { type: 'click', selector },
+    { type: 'wait', milliseconds: settleMs },
+  ];
+}
+
+/**
+ * Expand every collapsed accordion panel (a click action only hits the first match)
+ * @param {string} [selector] - CSS selector of the collapsed toggles
+ * @param {number} [settleMs] - Wait after expanding (ms)
+ * @returns {Object[]} - Firecrawl actions
+ */
+function expandAccordions(selector = '[aria-expanded="false"]', settleMs = DEFAULT_SETTLE_MS) {
+  return [
+    { type: 'executeJavascript', script: `document.querySelectorAll(${JSON.stringify(selector)}).forEach(el => el.click());` },
+    { type: 'wait', milliseconds: settleMs },
+  ];
+}
+
+/**
+ * Switch the page language with its language toggle
+ * @param {string} selector - CSS selector of the toggle button of the language
+ * @param {number} [settleMs] - Wait for the re-render (ms)
+ * @returns {Object[]} - Firecrawl actions
+ */
+function selectLanguage(selector, settleMs = DEFAULT_SETTLE_MS) {
+  return clickTab(selector, settleMs);
+}
+
+/**
+ * Action presets, usable by name where functions cannot be called
+ * (crawl profiles): { "type": "expandAccordions", "selector": "...", "settleMs": 2000 }
+ */
+const ACTION_PRESETS = {
+  clickTab: (action) => clickTab(action.selector, action.settleMs),
+  expandAccordions: (action) => expandAccordions(action.selector, action.settleMs),
+  selectLanguage: (action) => selectLanguage(action.selector, action.settleMs),
+};
+
+/**
+ * Replace action presets with the Firecrawl actions they stand for
+ * @param {Object[]} actions - Firecrawl actions and/or presets
+ * @returns {Object[]} - Firecrawl actions
+ */
+function expandActionPresets(actions = []) {
+  return actions.flatMap(action => (ACTION_PRESETS[action.type] ? ACTION_PRESETS[action.type](action) : [action]));
+}
+
 // ============================================================================
 // URL-SPECIFIC OVERRIDES
 // ============================================================================
@@ -30,6 +103,50 @@ const EXACT_URL_OVERRIDES = {
   },
 };
 
+/**
+ * URL rules for whole sections of a site.
+ * match: glob over normalized hostname+pathname ("*" within a path segment,
+ *        "**" across segments, "?" one character), or a RegExp tested
+ *        against the full URL
+ * priority: the highest priority wins when several rules match (default: 0)
+ * overrides: partial options to merge into scrape call (actions included)
+ */
+const URL_OVERRIDE_RULES = [
+  {
+    // ePassport FAQ answers sit in collapsed ngb-accordion panels
+    match: 'epassport.gov.bd/landing/faqs',
+    priority: 10,
+    overrides: {
+      onlyMainContent: false,
+      waitFor: 3000,
+      actions: expandAccordions('ngb-accordion button[aria-expanded="false"]'),
+    },
+  },
+  {
+    // BRTA and NID fee and FAQ pages are SPA views with collapsed sections
+    // (a whole path segment, so /feedback and /coffee do not match)
+    match: /^https?:\/\/(www\.)?(bsp\.brta|brta|nidw|services\.nidw)\.gov\.bd(\/[^?#]*)?\/(fees?|faqs?)(\/|[?#]|$)/i,
+    overrides: {
+      onlyMainContent: false,
+      waitFor: 3000,
+      actions: expandAccordions(),
+    },
+  },
+];
+
+/**
+ * Named markdown postprocessors, referenced by name from crawl profiles
+ * (kb/seeds/crawl_profiles.json) where functions cannot be declared.
+ */
+const MARKDOWN_POSTPROCESSORS = {
+  // Normalize "TK" currency token to "BDT" for fee extraction heuristics
+  tk_to_bdt: (markdown) => markdown.replace(/\bTK\b/gi, 'BDT'),
+};
+
+// Overrides and rules registered at runtime from crawl profiles (take precedence over the built-in ones)
+let registeredOverrides = {};
+let registeredRules = [];
+
 // ============================================================================
 // URL NORMALIZATION
 // ============================================================================
@@ -68,6 +185,67 @@ function normalizeUrlForOverride(url) {
   }
 }
 
+// ============================================================================
+// URL RULES
+// ============================================================================
+
+/**
+ * Compile a URL glob (e.g. "*.brta.gov.bd/fee*") to an anchored, case-insensitive
+ * RegExp over normalized hostname+pathname
+ * @param {string} glob - URL glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check if a URL rule matches a URL
+ * @param {Object} rule - URL rule
+ * @param {string} url - Full URL
+ * @param {string} normalized - Normalized hostname+pathname of the URL
+ * @returns {boolean}
+ */
+function urlRuleMatches(rule, url, normalized) {
+  if (rule.match instanceof RegExp) {
+    return rule.match.test(url);
+  }
+  // Globs are written like the URLs they match: www. and a trailing slash are ignored
+  const glob = rule.match.replace(/^www\./, '').replace(/(.)\/$/, '$1');
+  return globToRegExp(glob).test(normalized);
+}
+
+/**
+ * Find the highest-priority URL rule matching a URL
+ * @param {string} url - Full URL
+ * @param {string} normalized - Normalized hostname+pathname of the URL
+ * @returns {Object|null} - Matching rule
+ */
+function findUrlRule(url, normalized) {
+  let best = null;
+  for (const rule of [...registeredRules, ...URL_OVERRIDE_RULES]) {
+    if (best && (rule.priority || 0) <= (best.priority || 0)) continue;
+    if (urlRuleMatches(rule, url, normalized)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
 // ============================================================================
 // PUBLIC API
 // ============================================================================
@@ -90,7 +268,10 @@ function getFirecrawlOverridesForUrl(url) {
     return null;
   }
 
-  // Check exact match by normalized hostname + pathname
+  // Check exact match by normalized hostname + pathname (profile overrides first)
+  if (registeredOverrides[normalized]) {
+    return { ...registeredOverrides[normalized] };
+  }
   for (const [overrideUrl, override] of Object.entries(EXACT_URL_OVERRIDES)) {
     const overrideNormalized = normalizeUrlForOverride(overrideUrl);
     if (overrideNormalized === normalized) {
@@ -98,7 +279,32 @@ function getFirecrawlOverridesForUrl(url) {
     }
   }
 
-  return null;
+  // Otherwise the highest-priority URL rule
+  const rule = findUrlRule(url, normalized);
+  return rule ? { ...rule.overrides } : null;
+}
+
+/**
+ * Register per-URL overrides declared outside this module (crawl profiles).
+ * Keys are absolute URLs (exact overrides) or URL globs (rules, which may set
+ * a `priority`). Replaces any previously registered overrides.
+ *
+ * @param {Object<string, Object>} overrides - URL or glob -> partial options to merge
+ */
+function registerUrlOverrides(overrides = {}) {
+  registeredOverrides = {};
+  registeredRules = [];
+  for (const [key, override] of Object.entries(overrides)) {
+    if (/^https?:\/\//.test(key)) {
+      const normalized = normalizeUrlForOverride(key);
+      if (normalized) {
+        registeredOverrides[normalized] = override;
+      }
+    } else {
+      const { priority = 0, ...options } = override;
+      registeredRules.push({ match: key, priority, overrides: options });
+    }
+  }
 }
 
 /**
@@ -120,6 +326,9 @@ function formatOverrideLog(overrides, url) {
   if (overrides.formats) {
     parts.push(`formats=${overrides.formats.join(',')}`);
   }
+  if (overrides.actions) {
+    parts.push(`actions=${overrides.actions.map(a => a.type).join(',')}`);
+  }
   parts.push(`url=${url}`);
   
   return `[firecrawl] override applied: ${parts.join(' ')}`;
@@ -127,9 +336,20 @@ function formatOverrideLog(overrides, url) {
 
 module.exports = {
   getFirecrawlOverridesForUrl,
+  registerUrlOverrides,
   formatOverrideLog,
   normalizeUrlForOverride,
+  globToRegExp,
+  // Page action builders
+  clickTab,
+  expandAccordions,
+  selectLanguage,
+  expandActionPresets,
   // Export for testing/inspection
   EXACT_URL_OVERRIDES,
+  URL_OVERRIDE_RULES,
+  MARKDOWN_POSTPROCESSORS,
+  ACTION_PRESETS,
+  FIRECRAWL_ACTION_TYPES,
 };
 
@@ -16,6 +16,26 @@ const crawlState = require('./crawl_state');
 const crawlReport = require('./crawl_report');
 const firecrawlOverrides = require('./firecrawl_overrides');
 const serviceMap = require('./service_map');
+const replay = require('./replay');
+const cassette = require('./cassette');
+const politeness = require('./politeness');
+const sitemaps = require('./sitemaps');
+const canonicalUrl = require('./canonical_url');
+const nearDuplicate = require('./near_duplicate');
+const crawlProfiles = require('./crawl_profiles');
+const revisit = require('./revisit');
+const staleClaims = require('./stale_claims');
+const crawlPlan = require('./crawl_plan');
+const runHistory = require('./run_history');
+const crawlErrors = require('./crawl_errors');
+const snapshotStore = require('./snapshot_store');
+const snapshotDiff = require('./snapshot_diff');
+const contentNormalizer = require('./content_normalizer');
+const claimReverifier = require('./claim_reverifier');
+const sourceLifecycle = require('./source_lifecycle');
+const contradictionDetector = require('./contradiction_detector');
+const claimReview = require('./claim_review');
+const logger = require('./logger');
 
 module.exports = {
   // Shared utilities module
@@ -48,11 +68,76 @@ module.exports = {
   // Service Map module
   serviceMap,
   
+  // Offline Replay module
+  replay,
+  
+  // Record/Replay Cassette module
+  cassette,
+  
+  // Politeness module
+  politeness,
+  
+  // Sitemap Discovery module
+  sitemaps,
+  
+  // URL Canonicalization module
+  canonicalUrl,
+  
+  // Near-Duplicate Detection module
+  nearDuplicate,
+  
+  // Crawl Profiles module
+  crawlProfiles,
+  
+  // Revisit Scheduling module
+  revisit,
+  
+  // Stale Claims Recrawl module
+  staleClaims,
+  
+  // Crawl Plan module
+  crawlPlan,
+  
+  // Run History module
+  runHistory,
+  
+  // Crawl Errors module
+  crawlErrors,
+  
+  // Snapshot Store module
+  snapshotStore,
+  
+  // Snapshot Diff module
+  snapshotDiff,
+  
+  // Content Normalizer module
+  contentNormalizer,
+  
+  // Claim Re-verification module
+  claimReverifier,
+  
+  // Source Page Lifecycle module
+  sourceLifecycle,
+  
+  // Contradiction Detection module
+  contradictionDetector,
+  
+  // Claim Review module
+  claimReview,
+  
+  // Structured Logging module
+  logger,
+  
   // Re-export error classes for convenience
   FirecrawlUnavailableError: scraping.FirecrawlUnavailableError,
   FirecrawlMapError: scraping.FirecrawlMapError,
   FirecrawlScrapeError: scraping.FirecrawlScrapeError,
   HttpDownloadNotAllowedError: scraping.HttpDownloadNotAllowedError,
+  ReplayMissError: replay.ReplayMissError,
+  CassetteMissError: cassette.CassetteMissError,
+  CrawlProfileError: crawlProfiles.CrawlProfileError,
+  CrawlPlanError: crawlPlan.CrawlPlanError,
+  LoggerConfigError: logger.LoggerConfigError,
   
   // Re-export firecrawlMcp for convenience
   firecrawlMcp: scraping.firecrawlMcp,
@@ -16,6 +16,11 @@ const {
   getDateString,
   ensureDir,
 } = require('./utils');
+const { canonicalizeUrl } = require('./canonical_url');
+const { getLogger } = require('./logger');
+const { loadProfileMappings } = require('./crawl_profiles');
+
+const log = getLogger('kb_writer');
 
 // ============================================================================
 // IN-MEMORY INDEXES (Performance optimization - NOT persisted to disk)
@@ -60,26 +65,10 @@ function _clearIndexes() {
 // AGENCY MAPPINGS
 // ============================================================================
 
-const AGENCY_MAP = {
-  'passport.gov.bd': { id: 'agency.dip', name: 'Department of Immigration and Passports' },
-  'www.epassport.gov.bd': { id: 'agency.dip', name: 'Department of Immigration and Passports' },
-  'epassport.gov.bd': { id: 'agency.dip', name: 'Department of Immigration and Passports' },
-  'dip.gov.bd': { id: 'agency.dip', name: 'Department of Immigration and Passports' },
-  'visa.gov.bd': { id: 'agency.dip', name: 'Department of Immigration and Passports' },
-  'nidw.gov.bd': { id: 'agency.bec', name: 'Bangladesh Election Commission' },
-  'services.nidw.gov.bd': { id: 'agency.bec', name: 'Bangladesh Election Commission' },
-  'etaxnbr.gov.bd': { id: 'agency.nbr', name: 'National Board of Revenue' },
-  'nbr.gov.bd': { id: 'agency.nbr', name: 'National Board of Revenue' },
-  'customs.gov.bd': { id: 'agency.nbr', name: 'National Board of Revenue' },
-  'bsp.brta.gov.bd': { id: 'agency.brta', name: 'Bangladesh Road Transport Authority' },
-  'brta.gov.bd': { id: 'agency.brta', name: 'Bangladesh Road Transport Authority' },
-  'bdpost.gov.bd': { id: 'agency.bpo', name: 'Bangladesh Post Office' },
-  'landadministration.gov.bd': { id: 'agency.mol', name: 'Ministry of Land' },
-  'land.gov.bd': { id: 'agency.mol', name: 'Ministry of Land' },
-  'teletalk.com.bd': { id: 'agency.tt', name: 'Teletalk Bangladesh Limited' },
-  'bdris.gov.bd': { id: 'agency.bdris', name: 'Office of Registrar General, Birth and Death Registration' },
-  'police.gov.bd': { id: 'agency.bp', name: 'Bangladesh Police' },
-};
+// Agencies of the domains in kb/seeds/crawl_profiles.json, for callers that
+// do not pass the crawl profile's agency
+
+const AGENCY_MAP = loadProfileMappings().agencies;
 
 // ============================================================================
 // KB LOADING/SAVING
@@ -104,12 +93,12 @@ function loadOrCreateKB(kbPath, kbPathV2) {
   if (fs.existsSync(loadPath)) {
     try {
       const kb = JSON.parse(fs.readFileSync(loadPath, 'utf-8'));
-      console.log(`📁 Loaded KB from: ${loadPath}`);
+      log.info('kb.file_loaded', `📁 Loaded KB from: ${loadPath}`, { stage: 'kb', file: loadPath });
       // Build in-memory indexes for O(1) lookups (not persisted)
       _buildIndexes(kb);
       return kb;
     } catch (e) {
-      console.warn('⚠️  Failed to load KB, creating new');
+      log.warn('kb.load_failed', '⚠️  Failed to load KB, creating new', { stage: 'kb', file: loadPath, outcome: 'error', error: e });
     }
   }
   
@@ -149,7 +138,9 @@ function saveKB(kb, kbPath) {
   const kbDir = path.dirname(kbPath);
   ensureDir(kbDir);
   fs.writeFileSync(kbPath, JSON.stringify(kb, null, 2), 'utf-8');
-  console.log(`💾 KB saved to: ${kbPath}`);
+  log.info('kb.saved', `💾 KB saved to: ${kbPath}`, {
+    stage: 'kb', file: kbPath, source_pages: (kb.source_pages || []).length, claims: (kb.claims || []).length,
+  });
 }
 
 // ============================================================================
@@ -160,11 +151,12 @@ function saveKB(kb, kbPath) {
  * Ensure an agency exists in the KB
  * @param {Object} kb - KB data structure
  * @param {string} domain - Domain to get agency for
+ * @param {{id: string, name: string}} [agencyOverride] - Agency declared by the domain's crawl profile (takes precedence over AGENCY_MAP)
  * @returns {string} - Agency ID
  */
-function ensureAgency(kb, domain) {
+function ensureAgency(kb, domain, agencyOverride = null) {
   const cleanDomain = domain.replace(/^www\./, '');
-  const agencyInfo = AGENCY_MAP[domain] || AGENCY_MAP[cleanDomain];
+  const agencyInfo = agencyOverride || AGENCY_MAP[domain] || AGENCY_MAP[cleanDomain];
   
   if (!agencyInfo) {
     // Create a generic agency for unknown domains
@@ -201,15 +193,62 @@ function ensureAgency(kb, domain) {
 // ============================================================================
 
 /**
- * Add or update a source page in the KB
+ * Find a source page in the KB
+ * @param {Object} kb - KB data structure
+ * @param {string} sourcePageId - Source page ID
+ * @returns {Object|null}
+ */
+function getSourcePage(kb, sourcePageId) {
+  if (_sourcePagesIndex && _sourcePagesIndex.has(sourcePageId)) {
+    return kb.source_pages[_sourcePagesIndex.get(sourcePageId)];
+  }
+  return kb.source_pages.find(sp => sp.source_page_id === sourcePageId) || null;
+}
+
+/**
+ * Map every known URL of the KB's source pages (canonical URLs, then alias
+ * URLs, canonicalized) to its source page ID, so a URL can be resolved to the
+ * page its <link rel=canonical> pointed at before it is fetched again
+ * @param {Object} kb - KB data structure
+ * @returns {Map<string, string>} - URL -> source page ID
+ */
+function buildSourcePageUrlIndex(kb) {
+  const index = new Map();
+  const add = (url, sourcePageId) => {
+    const key = url && (canonicalizeUrl(url) || url);
+    if (key && !index.has(key)) index.set(key, sourcePageId);
+  };
+  for (const sourcePage of kb.source_pages || []) add(sourcePage.canonical_url, sourcePage.source_page_id);
+  for (const sourcePage of kb.source_pages || []) {
+    for (const url of sourcePage.alias_urls || []) add(url, sourcePage.source_page_id);
+  }
+  return index;
+}
+
+/**
+ * Add or update a source page in the KB.
+ * The page is keyed by its canonical URL; the fetch URL and any other
+ * variants are kept in alias_urls. A new content_hash whose semantic_hash is
+ * unchanged (only volatile regions differ) adds no change_log entry. The
+ * status of a known page is kept (its lifecycle is source_lifecycle.js's job).
  * @param {Object} kb - KB data structure
  * @param {Object} pageData - Page data
+ * @param {string} [pageData.canonicalUrl] - Resolved canonical URL (defaults to canonicalizeUrl(pageData.url))
+ * @param {string[]} [pageData.aliasUrls] - Other URLs of the same page
+ * @param {string|null} [pageData.contentSimhash] - SimHash fingerprint of the markdown
+ * @param {string|null} [pageData.semanticHash] - Hash of the markdown with volatile regions masked
+ * @param {Object|null} [pageData.sectionHashes] - Heading path -> section hash (hash_scope cited_sections)
+ * @param {string|null} [pageData.nearDuplicateOf] - Canonical source page ID if this page is a near-duplicate
+ * @param {{id: string, name: string}|null} [pageData.agency] - Agency from the domain's crawl profile
+ * @param {Date} [pageData.crawledAt] - When the page was crawled (the run clock; defaults to now)
  * @param {Function} classifyPage - Page classification function
  * @returns {string} - Source page ID
  */
 function addOrUpdateSourcePage(kb, pageData, classifyPage) {
-  const sourcePageId = generateSourcePageId(pageData.url);
-  const agencyId = ensureAgency(kb, pageData.domain);
+  const canonicalUrl = pageData.canonicalUrl || canonicalizeUrl(pageData.url) || pageData.url;
+  const sourcePageId = generateSourcePageId(canonicalUrl);
+  const crawledAt = (pageData.crawledAt || new Date()).toISOString();
+  const agencyId = ensureAgency(kb, pageData.domain, pageData.agency);
   
   const pageTypes = classifyPage(pageData.url, pageData.title, pageData.markdown);
   
@@ -221,19 +260,25 @@ function addOrUpdateSourcePage(kb, pageData, classifyPage) {
   
   const sourcePage = {
     source_page_id: sourcePageId,
-    canonical_url: pageData.url,
+    canonical_url: canonicalUrl,
+    alias_urls: [],
     agency_id: agencyId,
     page_type: pageTypes[0] || 'other',
     page_types: pageTypes,
     title: pageData.title || pageData.url,
     language: languages,
     crawl_method: 'html_static',
-    last_crawled_at: new Date().toISOString(),
+    last_crawled_at: crawledAt,
+    first_crawled_at: crawledAt,
     content_hash: pageData.contentHash,
     snapshot_ref: pageData.snapshotRef,
     status: 'active',
     change_log: [],
   };
+  if (pageData.semanticHash) sourcePage.semantic_hash = pageData.semanticHash;
+  if (pageData.sectionHashes) sourcePage.section_hashes = pageData.sectionHashes;
+  if (pageData.contentSimhash) sourcePage.content_simhash = pageData.contentSimhash;
+  if (pageData.nearDuplicateOf) sourcePage.near_duplicate_of = pageData.nearDuplicateOf;
   
   // Use index for O(1) lookup if available, fallback to linear search
   let existingIdx = -1;
@@ -245,19 +290,30 @@ function addOrUpdateSourcePage(kb, pageData, classifyPage) {
   
   if (existingIdx >= 0) {
     const existing = kb.source_pages[existingIdx];
-    if (existing.content_hash !== pageData.contentHash) {
+    sourcePage.alias_urls = [...(existing.alias_urls || [])];
+    // Change history is kept across re-scrapes (revisit scheduling is estimated from it)
+    sourcePage.first_crawled_at = existing.first_crawled_at ||
+      (existing.change_log && existing.change_log[0] ? existing.change_log[0].detected_at : existing.last_crawled_at) ||
+      sourcePage.first_crawled_at;
+    sourcePage.change_log = existing.change_log || [];
+    if (existing.status) sourcePage.status = existing.status;
+    if (existing.lifecycle) sourcePage.lifecycle = existing.lifecycle;
+    if (existing.previous_hash) sourcePage.previous_hash = existing.previous_hash;
+    const volatileOnly = Boolean(pageData.semanticHash) && existing.semantic_hash === pageData.semanticHash;
+    if (existing.content_hash !== pageData.contentHash && !volatileOnly) {
       sourcePage.previous_hash = existing.content_hash;
-      sourcePage.change_log = existing.change_log || [];
       sourcePage.change_log.push({
-        detected_at: new Date().toISOString(),
+        detected_at: crawledAt,
         hash_before: existing.content_hash,
         hash_after: pageData.contentHash,
       });
     }
+    mergeAliasUrls(sourcePage, [pageData.url, ...(pageData.aliasUrls || [])]);
     kb.source_pages[existingIdx] = sourcePage;
     // Index remains valid (same position)
   } else {
     // Add new page and update index
+    mergeAliasUrls(sourcePage, [pageData.url, ...(pageData.aliasUrls || [])]);
     const newIdx = kb.source_pages.length;
     kb.source_pages.push(sourcePage);
     if (_sourcePagesIndex) {
@@ -268,6 +324,23 @@ function addOrUpdateSourcePage(kb, pageData, classifyPage) {
   return sourcePageId;
 }
 
+/**
+ * Add alias URLs to a source page (skipping its canonical URL and known aliases)
+ * @param {Object} sourcePage - KB source page
+ * @param {string[]} urls - Candidate alias URLs
+ * @returns {number} - Number of aliases added
+ */
+function mergeAliasUrls(sourcePage, urls) {
+  if (!sourcePage.alias_urls) sourcePage.alias_urls = [];
+  let added = 0;
+  for (const url of urls) {
+    if (!url || url === sourcePage.canonical_url || sourcePage.alias_urls.includes(url)) continue;
+    sourcePage.alias_urls.push(url);
+    added++;
+  }
+  return added;
+}
+
 /**
  * Add claims to KB (deduplicating by ID)
  * @param {Object} kb - KB data structure
@@ -298,6 +371,35 @@ function addClaimsToKB(kb, claims) {
   return added;
 }
 
+/**
+ * Replace the citations of existing claims with freshly extracted evidence
+ * from a recrawled source page (--refresh stale-claims). Citations of other
+ * source pages are kept; status is left to verification.
+ * @param {Object} kb - KB data structure
+ * @param {Array} claims - Claims re-extracted from the page
+ * @param {Set<string>} claimIds - IDs of the claims whose evidence is being re-gathered
+ * @param {string} sourcePageId - Recrawled source page
+ * @returns {number} - Number of claims whose evidence was refreshed
+ */
+function refreshClaimEvidence(kb, claims, claimIds, sourcePageId) {
+  let refreshed = 0;
+  for (const claim of claims) {
+    if (!claimIds.has(claim.claim_id)) continue;
+    
+    const existing = _claimsIndex && _claimsIndex.has(claim.claim_id)
+      ? kb.claims[_claimsIndex.get(claim.claim_id)]
+      : kb.claims.find(c => c.claim_id === claim.claim_id);
+    if (!existing) continue;
+    
+    existing.citations = [
+      ...(existing.citations || []).filter(c => c.source_page_id !== sourcePageId),
+      ...(claim.citations || []),
+    ];
+    refreshed++;
+  }
+  return refreshed;
+}
+
 module.exports = {
   AGENCY_MAP,
   generateHash,
@@ -307,7 +409,11 @@ module.exports = {
   loadOrCreateKB,
   saveKB,
   ensureAgency,
+  getSourcePage,
+  buildSourcePageUrlIndex,
   addOrUpdateSourcePage,
+  mergeAliasUrls,
   addClaimsToKB,
+  refreshClaimEvidence,
 };
 
@@ -0,0 +1,279 @@
+/**
+ * Logger Module
+ *
+ * Shared logger for the crawler pipeline (crawl.js, crawler modules,
+ * document_harvester.js, firecrawl_mcp.js). Every log call is an event with a
+ * level, a stable event name and the fields of LOG_FIELDS where they apply, so
+ * long unattended crawls can be filtered and analysed afterwards:
+ *
+ *   { ts, level, component, event, domain, url, source_page_id, stage,
+ *     duration_ms, outcome, ...details, msg }
+ *
+ * Output is configured once per run (`--log-level`, `--log-format`,
+ * `--log-file`, `--log-file-level`): the console shows the familiar emoji
+ * lines (`text`) or one JSON object per line (`json`); a log file always
+ * receives JSON lines, at its own level.
+ *
+ * @module crawler/logger
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Severity per level; `silent` turns an output off
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+const LOG_FORMATS = ['text', 'json'];
+
+// Event fields with a fixed meaning, written in this order before any details
+const LOG_FIELDS = ['domain', 'url', 'source_page_id', 'stage', 'duration_ms', 'outcome'];
+
+// Pipeline stages an event can belong to
+const LOG_STAGES = ['run', 'discover', 'scrape', 'extract', 'save', 'document', 'firecrawl', 'kb', 'state', 'report'];
+
+/**
+ * Error thrown for an unknown log level or format
+ */
+class LoggerConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LoggerConfigError';
+    this.code = 'LOGGER_CONFIG_INVALID';
+  }
+}
+
+// Shared output settings: every logger writes through these, so modules can
+// create their logger at require time, before the run configures output
+const settings = {
+  level: 'info',
+  format: 'text',
+  file: null,
+  fileLevel: null,  // null = the console level (info when the console is silent)
+  fd: null,
+};
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Configure log output for the whole process
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level: debug | info | warn | error | silent
+ * @param {string} [options.format] - Console format: text | json
+ * @param {string|null} [options.file] - File to append JSON lines to (null = none)
+ * @param {string|null} [options.fileLevel] - Minimum level of the file (null = the console level,
+ *   info when the console is silent)
+ * @throws {LoggerConfigError} - On an unknown level or format
+ */
+function configureLogger(options = {}) {
+  for (const option of ['level', 'fileLevel']) {
+    const level = options[option];
+    if (level !== undefined && level !== null && !(level in LOG_LEVELS)) {
+      throw new LoggerConfigError(`Invalid log level '${level}' (expected ${Object.keys(LOG_LEVELS).join(' | ')})`);
+    }
+  }
+  if (options.format !== undefined && !LOG_FORMATS.includes(options.format)) {
+    throw new LoggerConfigError(`Invalid log format '${options.format}' (expected ${LOG_FORMATS.join(' | ')})`);
+  }
+  if (options.level !== undefined) settings.level = options.level;
+  if (options.format !== undefined) settings.format = options.format;
+  if (options.fileLevel !== undefined) settings.fileLevel = options.fileLevel;
+
+  if (options.file !== undefined && options.file !== settings.file) {
+    closeLogger();
+    if (options.file) {
+      fs.mkdirSync(path.dirname(path.resolve(options.file)), { recursive: true });
+      settings.fd = fs.openSync(options.file, 'a');
+      settings.file = options.file;
+    }
+  }
+}
+
+/**
+ * Close the log file, if any
+ */
+function closeLogger() {
+  if (settings.fd !== null) {
+    fs.closeSync(settings.fd);
+  }
+  settings.fd = null;
+  settings.file = null;
+}
+
+/**
+ * Current output settings
+ * @returns {{level: string, format: string, file: string|null, fileLevel: string}}
+ */
+function getLoggerSettings() {
+  return { level: settings.level, format: settings.format, file: settings.file, fileLevel: getFileLevel() };
+}
+
+/**
+ * Minimum level of the log file
+ * @returns {string}
+ */
+function getFileLevel() {
+  if (settings.fileLevel) return settings.fileLevel;
+  return settings.level === 'silent' ? 'info' : settings.level;
+}
+
+const consoleEnabled = (level) => LOG_LEVELS[level] >= LOG_LEVELS[settings.level];
+const fileEnabled = (level) => settings.fd !== null && LOG_LEVELS[level] >= LOG_LEVELS[getFileLevel()];
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Build the JSON record of an event (schema fields first, message last)
+ * @param {string} level - Log level
+ * @param {string} event - Event name, e.g. "page.saved"
+ * @param {string|null} message - Human-readable message
+ * @param {Object} fields - Bound and call fields
+ * @returns {Object}
+ */
+function buildRecord(level, event, message, fields) {
+  const record = { ts: new Date().toISOString(), level, component: fields.component || null, event };
+  for (const field of LOG_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null) record[field] = fields[field];
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'component' || LOG_FIELDS.includes(key) || value === undefined) continue;
+    record[key] = value instanceof Error ? { name: value.name, message: value.message, code: value.code } : value;
+  }
+  if (message) record.msg = message.trim();
+  return record;
+}
+
+/**
+ * Milliseconds elapsed since a timer was started
+ * @returns {Function} - () => duration in ms
+ */
+function startTimer() {
+  const startedAt = Date.now();
+  return () => Date.now() - startedAt;
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Logger bound to a component and optional event fields (e.g. the domain)
+ */
+class Logger {
+  /**
+   * @param {Object} [bindings] - Fields added to every event
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds more fields to every event
+   * @param {Object} bindings - Extra fields (e.g. { domain })
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Whether events of a level reach any output
+   * @param {string} level - Log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return consoleEnabled(level) || fileEnabled(level);
+  }
+
+  /**
+   * Write an event.
+   * In text format the message is printed as is (events without a message
+   * only reach JSON output).
+   *
+   * @param {string} level - Log level
+   * @param {string} event - Event name
+   * @param {string|null} message - Human-readable message
+   * @param {Object} [fields] - Event fields (LOG_FIELDS and any details)
+   */
+  log(level, event, message, fields = {}) {
+    const toConsole = consoleEnabled(level);
+    const toFile = fileEnabled(level);
+    if (!toConsole && !toFile) return;
+
+    const record = settings.format === 'json' || toFile
+      ? buildRecord(level, event, message, { ...this.bindings, ...fields })
+      : null;
+
+    if (toFile) {
+      fs.writeSync(settings.fd, JSON.stringify(record) + '\n');
+    }
+    if (!toConsole) return;
+    if (settings.format === 'json') {
+      console.log(JSON.stringify(record));
+    } else if (message !== null && message !== undefined) {
+      (level === 'error' ? console.error : console.log)(message);
+    }
+  }
+
+  debug(event, message, fields) {
+    this.log('debug', event, message, fields);
+  }
+
+  info(event, message, fields) {
+    this.log('info', event, message, fields);
+  }
+
+  warn(event, message, fields) {
+    this.log('warn', event, message, fields);
+  }
+
+  error(event, message, fields) {
+    this.log('error', event, message, fields);
+  }
+
+  /**
+   * Print console decoration (banners, blank lines, lists) that is not an event.
+   * Only shown in text format at the info level or below.
+   * @param {string} [text] - Text to print
+   */
+  print(text = '') {
+    if (settings.format === 'text' && consoleEnabled('info')) {
+      console.log(text);
+    }
+  }
+}
+
+/**
+ * Logger of a pipeline component
+ * @param {string} component - Component name, e.g. "crawl" or "kb_writer"
+ * @param {Object} [bindings] - Fields added to every event
+ * @returns {Logger}
+ */
+function getLogger(component, bindings = {}) {
+  return new Logger({ component, ...bindings });
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  LOG_FIELDS,
+  LOG_STAGES,
+  LoggerConfigError,
+  Logger,
+  configureLogger,
+  closeLogger,
+  getLoggerSettings,
+  getLogger,
+  startTimer,
+};
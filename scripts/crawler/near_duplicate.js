@@ -0,0 +1,227 @@
+/**
+ * Near-Duplicate Detection Module
+ *
+ * Computes 64-bit SimHash fingerprints of scraped markdown and clusters
+ * source pages whose fingerprints are within a similarity threshold (print
+ * views, language toggles, ?page= variants of the same content). The first
+ * page crawled in a cluster is its canonical page; claims are only
+ * extracted from canonical pages.
+ *
+ * @module crawler/near_duplicate
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Minimum similarity (1 - hamming distance / 64) for two pages to be near-duplicates
+const DEFAULT_SIMILARITY_THRESHOLD = 0.95;
+
+// Pages with fewer words are too short for a meaningful fingerprint
+const MIN_WORDS = 20;
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+const FINGERPRINT_BITS = 64;
+
+// ============================================================================
+// FINGERPRINTING
+// ============================================================================
+
+/**
+ * Split markdown into lowercase words (Bangla and English), dropping link
+ * targets and markdown syntax so only the visible text counts
+ * @param {string} markdown - Page markdown
+ * @returns {string[]}
+ */
+function tokenizeMarkdown(markdown) {
+  return String(markdown || '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')        // images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')       // links -> link text
+    .replace(/https?:\/\/\S+/g, ' ')               // bare URLs
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Compute the 64-bit SimHash of a page's markdown (word 3-shingles, weighted by count)
+ * @param {string} markdown - Page markdown
+ * @returns {string|null} - 16-char hex fingerprint, or null if the page is too short
+ */
+function computeSimhash(markdown) {
+  const words = tokenizeMarkdown(markdown);
+  if (words.length < MIN_WORDS) return null;
+
+  const shingles = new Map();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    shingles.set(shingle, (shingles.get(shingle) || 0) + 1);
+  }
+
+  const weights = new Array(FINGERPRINT_BITS).fill(0);
+  for (const [shingle, count] of shingles) {
+    const hash = crypto.createHash('md5').update(shingle, 'utf8').digest().readBigUInt64BE(0);
+    for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? count : -count;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+    if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+  return fingerprint.toString(16).padStart(FINGERPRINT_BITS / 4, '0');
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ * @param {string} a - Hex fingerprint
+ * @param {string} b - Hex fingerprint
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * Similarity of two fingerprints (1 = identical)
+ * @param {string} a - Hex fingerprint
+ * @param {string} b - Hex fingerprint
+ * @returns {number}
+ */
+function simhashSimilarity(a, b) {
+  return 1 - hammingDistance(a, b) / FINGERPRINT_BITS;
+}
+
+// ============================================================================
+// IN-MEMORY INDEX (per KB, not persisted)
+// ============================================================================
+
+const _indexes = new WeakMap();
+
+/**
+ * Create an index of canonical page fingerprints
+ * @param {number} [threshold] - Minimum similarity for a match
+ * @returns {{threshold: number, add: Function, findMatch: Function, remove: Function, size: Function}}
+ */
+function createNearDuplicateIndex(threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const pages = new Map();  // source_page_id -> { url, fingerprint }
+
+  return {
+    threshold,
+
+    /**
+     * Register a canonical page
+     * @param {string} sourcePageId - Source page ID
+     * @param {string} url - Canonical URL
+     * @param {string} fingerprint - SimHash fingerprint
+     */
+    add(sourcePageId, url, fingerprint) {
+      if (fingerprint) pages.set(sourcePageId, { url, fingerprint });
+    },
+
+    /**
+     * Find the most similar canonical page at or above the threshold
+     * @param {string} fingerprint - SimHash fingerprint
+     * @param {string} [excludeId] - Source page ID to ignore (the page itself)
+     * @returns {{source_page_id: string, url: string, similarity: number}|null}
+     */
+    findMatch(fingerprint, excludeId = null) {
+      if (!fingerprint) return null;
+      let best = null;
+      for (const [sourcePageId, page] of pages) {
+        if (sourcePageId === excludeId) continue;
+        const similarity = simhashSimilarity(fingerprint, page.fingerprint);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { source_page_id: sourcePageId, url: page.url, similarity };
+        }
+      }
+      return best;
+    },
+
+    /**
+     * Drop a page that is no longer canonical (it became a near-duplicate), so
+     * later pages cannot match it and two pages never point at each other
+     * @param {string} sourcePageId - Source page ID
+     */
+    remove(sourcePageId) {
+      pages.delete(sourcePageId);
+    },
+
+    size() {
+      return pages.size;
+    },
+  };
+}
+
+/**
+ * Get the near-duplicate index of a KB, built from the fingerprints of its
+ * canonical source pages on first use
+ * @param {Object} kb - KB data structure
+ * @param {number} [threshold] - Minimum similarity for a match
+ * @returns {Object} - Index (see createNearDuplicateIndex)
+ */
+function getNearDuplicateIndex(kb, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  let index = _indexes.get(kb);
+  if (!index || index.threshold !== threshold) {
+    index = createNearDuplicateIndex(threshold);
+    for (const page of kb.source_pages || []) {
+      if (page.content_simhash && !page.near_duplicate_of) {
+        index.add(page.source_page_id, page.canonical_url, page.content_simhash);
+      }
+    }
+    _indexes.set(kb, index);
+  }
+  return index;
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Group near-duplicate matches by canonical page for the run report
+ * @param {Array<{source_page_id: string, url: string, canonical_source_page_id: string, canonical_url: string, similarity: number}>} matches
+ * @returns {Array<{canonical_source_page_id: string, canonical_url: string, duplicates: Array}>}
+ */
+function clusterNearDuplicates(matches = []) {
+  const clusters = new Map();
+  for (const match of matches) {
+    if (!clusters.has(match.canonical_source_page_id)) {
+      clusters.set(match.canonical_source_page_id, {
+        canonical_source_page_id: match.canonical_source_page_id,
+        canonical_url: match.canonical_url,
+        duplicates: [],
+      });
+    }
+    const cluster = clusters.get(match.canonical_source_page_id);
+    if (!cluster.duplicates.some(d => d.source_page_id === match.source_page_id)) {
+      cluster.duplicates.push({
+        source_page_id: match.source_page_id,
+        url: match.url,
+        similarity: Math.round(match.similarity * 1000) / 1000,
+      });
+    }
+  }
+  return [...clusters.values()].sort((a, b) => b.duplicates.length - a.duplicates.length);
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  MIN_WORDS,
+  tokenizeMarkdown,
+  computeSimhash,
+  hammingDistance,
+  simhashSimilarity,
+  createNearDuplicateIndex,
+  getNearDuplicateIndex,
+  clusterNearDuplicates,
+};
@@ -0,0 +1,297 @@
+/**
+ * Per-Domain Politeness Module
+ *
+ * Spaces Firecrawl requests to a domain, honours robots.txt Crawl-delay,
+ * backs off exponentially on timeouts, 429 and 5xx responses, and retries
+ * transient failures a bounded number of times. Every retry and backoff
+ * decision is recorded in the controller stats (domainStats.politeness).
+ *
+ * @module crawler/politeness
+ */
+
+'use strict';
+
+const { sleep: defaultSleep } = require('./utils');
+const { getLogger } = require('./logger');
+
+const log = getLogger('politeness');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_POLITENESS = {
+  // Minimum delay between requests to the same domain (ms)
+  baseDelayMs: 1500,
+  // Retries per request for transient failures
+  maxRetries: 3,
+  // First backoff delay (ms), doubled on every further attempt
+  backoffBaseMs: 2000,
+  // Upper bound for a single backoff and for the adaptive request delay (ms)
+  backoffMaxMs: 60000,
+  // Upper bound for robots.txt Crawl-delay (ms)
+  maxCrawlDelayMs: 60000,
+  // Consecutive successes before a raised request delay is halved again
+  recoverAfter: 5,
+  // Backoff decisions kept in stats (counters are never truncated)
+  maxRecordedBackoffs: 200,
+};
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'];
+// A status stated in an error message ("HTTP 503", "status code: 429"); other
+// numbers in a message (URL paths, IDs) are not statuses
+const MESSAGE_STATUS_PATTERN = /\b(?:HTTP(?:\/\d(?:\.\d)?)?|status(?:\s+code)?)\s*:?\s*(\d{3})\b/i;
+// EAI_AGAIN is a temporary DNS failure; ENOTFOUND (no such host) is not retried
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
+/**
+ * Walk an error and the errors it wraps (cause / originalError)
+ * @private
+ */
+function _errorChain(error) {
+  const chain = [];
+  let current = error;
+  while (current && chain.length < 5 && !chain.includes(current)) {
+    chain.push(current);
+    current = current.cause || current.originalError || null;
+  }
+  return chain;
+}
+
+/**
+ * Get the HTTP status of a Firecrawl error, if it carries one
+ * (a status property, else a status stated after "HTTP" or "status" in the message)
+ * @param {Error} error - Error
+ * @returns {number|null}
+ */
+function getErrorStatus(error) {
+  for (const e of _errorChain(error)) {
+    const status = e.status || e.statusCode || e.response?.status;
+    if (Number.isInteger(status)) return status;
+  }
+  const match = String(error?.message || '').match(MESSAGE_STATUS_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Classify an error as transient (worth retrying) or not
+ * @param {Error} error - Error thrown by a Firecrawl call
+ * @returns {{retryable: boolean, reason: string|null, status: number|null}}
+ *   reason: 'rate_limited' | 'server_error' | 'timeout' | 'network' | null
+ */
+function classifyTransientError(error) {
+  const status = getErrorStatus(error);
+  const chain = _errorChain(error);
+  const codes = chain.map(e => e.code).filter(Boolean);
+  const message = chain.map(e => e.message || '').join(' ');
+
+  if (status === 429 || /too many requests|rate.?limit/i.test(message)) {
+    return { retryable: true, reason: 'rate_limited', status: status || 429 };
+  }
+  if (status && status >= 500 && status < 600) {
+    return { retryable: true, reason: 'server_error', status };
+  }
+  if (codes.some(c => TIMEOUT_CODES.includes(c)) || /timed? ?out/i.test(message)) {
+    return { retryable: true, reason: 'timeout', status };
+  }
+  if (codes.some(c => NETWORK_CODES.includes(c)) || /socket hang up/i.test(message)) {
+    return { retryable: true, reason: 'network', status };
+  }
+  return { retryable: false, reason: null, status };
+}
+
+/**
+ * Get the Retry-After delay of an error in ms, if the server sent one
+ * @param {Error} error - Error
+ * @param {number} [nowMs] - Current time in ms (for Retry-After dates)
+ * @returns {number|null}
+ */
+function getRetryAfterMs(error, nowMs = Date.now()) {
+  for (const e of _errorChain(error)) {
+    if (e.retryAfter === undefined || e.retryAfter === null) continue;
+    const seconds = Number(e.retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+    const date = Date.parse(e.retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - nowMs);
+  }
+  return null;
+}
+
+// ============================================================================
+// POLITENESS CONTROLLER
+// ============================================================================
+
+/**
+ * Create a politeness controller for one domain
+ * @param {string} domain - Domain name
+ * @param {Object} [options] - Overrides for DEFAULT_POLITENESS
+ * @param {Function} [options.sleep] - Sleep function (injectable for tests)
+ * @param {Function} [options.now] - Clock in ms (injectable for tests)
+ * @returns {Object} - Controller with setCrawlDelay, waitTurn, execute, wrap and stats
+ */
+function createPolitenessController(domain, options = {}) {
+  const settings = { ...DEFAULT_POLITENESS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) settings[key] = value;
+  }
+  const sleep = options.sleep || defaultSleep;
+  const now = options.now || Date.now;
+
+  let lastRequestAt = null;
+  let consecutiveSuccesses = 0;
+
+  const stats = {
+    domain,
+    baseDelayMs: settings.baseDelayMs,
+    crawlDelayMs: null,
+    currentDelayMs: settings.baseDelayMs,
+    maxRetries: settings.maxRetries,
+    requests: 0,
+    retries: 0,
+    giveUps: 0,
+    backoffCount: 0,
+    backoffs: [],
+  };
+
+  /**
+   * Lowest delay allowed between requests (rate limit or Crawl-delay)
+   */
+  function floorDelayMs() {
+    return Math.max(settings.baseDelayMs, stats.crawlDelayMs || 0);
+  }
+
+  /**
+   * Record a backoff decision
+   */
+  function recordBackoff(entry) {
+    stats.backoffCount++;
+    if (stats.backoffs.length < settings.maxRecordedBackoffs) {
+      stats.backoffs.push({ ...entry, at: new Date(now()).toISOString() });
+    }
+  }
+
+  /**
+   * Apply robots.txt Crawl-delay
+   * @param {number|null} seconds - Crawl-delay in seconds
+   */
+  function setCrawlDelay(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return;
+    stats.crawlDelayMs = Math.min(Math.round(seconds * 1000), settings.maxCrawlDelayMs);
+    stats.currentDelayMs = Math.max(stats.currentDelayMs, stats.crawlDelayMs);
+  }
+
+  /**
+   * Wait until the next request to the domain is allowed
+   */
+  async function waitTurn() {
+    if (lastRequestAt !== null) {
+      const waitMs = lastRequestAt + stats.currentDelayMs - now();
+      if (waitMs > 0) await sleep(waitMs);
+    }
+    lastRequestAt = now();
+  }
+
+  /**
+   * Run a request with spacing, retries and exponential backoff
+   * @param {string} url - Request URL (for the record)
+   * @param {Function} fn - Performs the request
+   * @returns {Promise<*>}
+   */
+  async function execute(url, fn) {
+    for (let attempt = 0; ; attempt++) {
+      await waitTurn();
+      stats.requests++;
+
+      try {
+        const result = await fn();
+
+        consecutiveSuccesses++;
+        if (stats.currentDelayMs > floorDelayMs() && consecutiveSuccesses >= settings.recoverAfter) {
+          stats.currentDelayMs = Math.max(floorDelayMs(), Math.round(stats.currentDelayMs / 2));
+          consecutiveSuccesses = 0;
+        }
+        return result;
+
+      } catch (error) {
+        consecutiveSuccesses = 0;
+        const { retryable, reason, status } = classifyTransientError(error);
+        if (!retryable) throw error;
+
+        // The whole domain slows down when it tells us to
+        if (reason === 'rate_limited' || reason === 'server_error') {
+          stats.currentDelayMs = Math.min(settings.backoffMaxMs, Math.max(floorDelayMs(), stats.currentDelayMs * 2));
+        }
+
+        if (attempt >= settings.maxRetries) {
+          stats.giveUps++;
+          recordBackoff({ url, attempt: attempt + 1, reason, status, delayMs: 0, decision: 'give_up' });
+          error.attempts = attempt + 1;
+          throw error;
+        }
+
+        const retryAfterMs = getRetryAfterMs(error, now());
+        const delayMs = Math.min(
+          settings.backoffMaxMs,
+          retryAfterMs !== null ? retryAfterMs : settings.backoffBaseMs * Math.pow(2, attempt)
+        );
+
+        stats.retries++;
+        recordBackoff({ url, attempt: attempt + 1, reason, status, delayMs, decision: 'retry' });
+        log.warn('request.retry', `        ⏳ ${reason}${status ? ` (${status})` : ''}, retry ${attempt + 1}/${settings.maxRetries} in ${delayMs}ms`, {
+          domain, url, stage: 'scrape', outcome: 'retry', reason, status: status || null, attempt: attempt + 1, delay_ms: delayMs,
+        });
+
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Wrap a scrape/map function so every call goes through the controller
+   * @param {Function} fn - (url, options) => Promise
+   * @returns {Function}
+   */
+  function wrap(fn) {
+    if (typeof fn !== 'function') return fn;
+    return (url, fnOptions) => execute(url, () => fn(url, fnOptions));
+  }
+
+  return {
+    setCrawlDelay,
+    waitTurn,
+    execute,
+    wrap,
+    stats,
+  };
+}
+
+/**
+ * Sum politeness stats over domain stats for the run report
+ * @param {Object[]} domainDetails - Domain stats with optional politeness
+ * @returns {{retries: number, backoffs: number, give_ups: number, domains_with_crawl_delay: number}}
+ */
+function summarizePoliteness(domainDetails = []) {
+  const summary = { retries: 0, backoffs: 0, give_ups: 0, domains_with_crawl_delay: 0 };
+  for (const domain of domainDetails) {
+    const p = domain.politeness;
+    if (!p) continue;
+    summary.retries += p.retries || 0;
+    summary.backoffs += p.backoffCount || 0;
+    summary.give_ups += p.giveUps || 0;
+    if (p.crawlDelayMs) summary.domains_with_crawl_delay++;
+  }
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_POLITENESS,
+  createPolitenessController,
+  classifyTransientError,
+  getErrorStatus,
+  getRetryAfterMs,
+  summarizePoliteness,
+};
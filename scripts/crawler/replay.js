@@ -0,0 +1,302 @@
+/**
+ * Offline Replay Backend
+ *
+ * Serves firecrawlScrape/firecrawlMap results from stored page snapshots
+ * (kb/snapshots/<source_page_id>/<date>.json manifests, or legacy <date>/
+ * directories, see snapshot_store.js) and MCP scrape captures
+ * (kb/pilot_runs/_mcp_scrapes/*.json), so a crawl can be reproduced
+ * deterministically without network access.
+ *
+ * @module crawler/replay
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const { FirecrawlScrapeError } = require('../firecrawl_mcp');
+const { normalizeUrlForOverride } = require('./firecrawl_overrides');
+const { getMimeType } = require('./utils');
+const { listSnapshotPages, listPageSnapshots, readSnapshotMeta, readSnapshotContent } = require('./snapshot_store');
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+/**
+ * Error thrown when the replay store has no capture for a requested URL.
+ * Extends FirecrawlScrapeError so the scrape wrapper does not retry it.
+ */
+class ReplayMissError extends FirecrawlScrapeError {
+  constructor(url, operation = 'scrape') {
+    super(url, `No replay capture available for ${operation}`);
+    this.name = 'ReplayMissError';
+    this.code = 'REPLAY_MISS';
+    this.operation = operation;
+  }
+}
+
+// ============================================================================
+// URL KEYS
+// ============================================================================
+
+/**
+ * Build the lookup key for a URL: hostname (no www) + pathname (no trailing
+ * slash) + query string. Protocol and fragment are ignored.
+ * @param {string} url - URL to key
+ * @returns {string|null} - Replay key or null if invalid
+ */
+function getReplayKey(url) {
+  const base = normalizeUrlForOverride(url);
+  if (!base) return null;
+  return `${base}${new URL(url).search}`.toLowerCase();
+}
+
+/**
+ * Get hostname without leading www.
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function getBareHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================================================
+// STORE INDEXING
+// ============================================================================
+
+/**
+ * Add a capture to the index, keeping the latest one per URL.
+ * Snapshots win ties against MCP captures of the same date.
+ * @private
+ */
+function _addCapture(index, capture) {
+  const key = getReplayKey(capture.url);
+  if (!key) return;
+
+  const existing = index.get(key);
+  if (!existing ||
+      capture.date > existing.date ||
+      (capture.date === existing.date && capture.type === 'snapshot' && existing.type !== 'snapshot')) {
+    index.set(key, capture);
+  }
+}
+
+/**
+ * Index page snapshots: latest dated snapshot per URL, up to asOfDate
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {string|null} asOfDate - Ignore snapshots after this date (YYYY-MM-DD)
+ * @param {Map} index - Index to add captures to
+ */
+function indexSnapshots(snapshotsDir, asOfDate, index) {
+  for (const sourcePageId of listSnapshotPages(snapshotsDir)) {
+    const snapshots = listPageSnapshots(snapshotsDir, sourcePageId)
+      .filter(snapshot => !asOfDate || snapshot.date <= asOfDate);
+
+    for (const snapshot of snapshots) {
+      try {
+        const meta = readSnapshotMeta(snapshot);
+        _addCapture(index, {
+          type: 'snapshot',
+          url: meta.canonical_url,
+          date: snapshot.date,
+          sourcePageId,
+          snapshotsDir,
+          snapshot,
+          title: meta.title || null,
+        });
+      } catch (e) {
+        // Skip unreadable snapshot metadata
+      }
+    }
+  }
+}
+
+/**
+ * Index MCP scrape captures ({ url, markdown, rawHtml, retrieved_at })
+ * @param {string} mcpScrapesDir - Directory of capture JSON files
+ * @param {string|null} asOfDate - Ignore captures after this date (YYYY-MM-DD)
+ * @param {Map} index - Index to add captures to
+ */
+function indexMcpScrapes(mcpScrapesDir, asOfDate, index) {
+  if (!mcpScrapesDir || !fs.existsSync(mcpScrapesDir)) return;
+
+  for (const file of fs.readdirSync(mcpScrapesDir).filter(f => f.endsWith('.json')).sort()) {
+    const filePath = path.join(mcpScrapesDir, file);
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      if (!data.url || !data.markdown) continue;
+
+      const date = (data.retrieved_at || '').split('T')[0] || '0000-00-00';
+      if (asOfDate && date > asOfDate) continue;
+
+      _addCapture(index, { type: 'mcp_scrape', url: data.url, date, file: filePath });
+    } catch (e) {
+      // Skip unreadable capture files
+    }
+  }
+}
+
+/**
+ * Index harvested documents by URL (kb/snapshots/documents/<domain>/<hash>.meta.json)
+ * @param {string} documentsDir - Documents directory
+ * @returns {Map<string, {url: string, file: string, mime: string}>}
+ */
+function indexDocuments(documentsDir) {
+  const index = new Map();
+  if (!documentsDir || !fs.existsSync(documentsDir)) return index;
+
+  for (const domainDir of fs.readdirSync(documentsDir)) {
+    const dirPath = path.join(documentsDir, domainDir);
+    if (!fs.statSync(dirPath).isDirectory()) continue;
+
+    for (const metaFile of fs.readdirSync(dirPath).filter(f => f.endsWith('.meta.json'))) {
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dirPath, metaFile), 'utf-8'));
+        const key = getReplayKey(meta.url);
+        const file = path.join(dirPath, meta.filename);
+        if (key && fs.existsSync(file)) {
+          index.set(key, { url: meta.url, file, mime: meta.mime });
+        }
+      } catch (e) {
+        // Skip unreadable document metadata
+      }
+    }
+  }
+
+  return index;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Create an offline replay backend.
+ *
+ * The store is indexed once at creation, so snapshots written by the replayed
+ * crawl itself are never served back to it.
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.snapshotsDir - Page snapshots directory (kb/snapshots)
+ * @param {string} [options.mcpScrapesDir] - MCP scrape captures directory
+ * @param {string} [options.documentsDir] - Harvested documents directory
+ * @param {string} [options.asOfDate] - Replay the store as it was on this date (YYYY-MM-DD)
+ * @returns {{scrape: Function, map: Function, fetchBinary: Function, stats: Object, size: number}}
+ */
+function createReplayBackend(options = {}) {
+  const asOfDate = options.asOfDate || null;
+  const pages = new Map();
+
+  indexSnapshots(options.snapshotsDir, asOfDate, pages);
+  indexMcpScrapes(options.mcpScrapesDir, asOfDate, pages);
+  const documents = indexDocuments(options.documentsDir);
+
+  const stats = { scrapeHits: 0, scrapeMisses: 0, mapCalls: 0, binaryHits: 0, binaryMisses: 0 };
+
+  /**
+   * Replay a scrape. Returns the same shape as a Firecrawl scrape result.
+   */
+  async function scrape(url, scrapeOptions = {}) {
+    const capture = pages.get(getReplayKey(url));
+    if (!capture) {
+      stats.scrapeMisses++;
+      throw new ReplayMissError(url, 'scrape');
+    }
+    stats.scrapeHits++;
+
+    let markdown = '';
+    let html = '';
+    let rawHtml = '';
+
+    if (capture.type === 'snapshot') {
+      ({ markdown, html } = readSnapshotContent(capture.snapshotsDir, capture.snapshot));
+      rawHtml = html;
+    } else {
+      const data = JSON.parse(fs.readFileSync(capture.file, 'utf-8'));
+      markdown = data.markdown || '';
+      rawHtml = data.rawHtml || data.html || '';
+      html = data.html || rawHtml;
+    }
+
+    return {
+      markdown,
+      html,
+      rawHtml,
+      title: capture.title || undefined,
+      metadata: {
+        sourceURL: capture.url,
+        replay: {
+          type: capture.type,
+          date: capture.date,
+          source_page_id: capture.sourcePageId || null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Replay a site map: every captured URL on the same host, sorted for determinism
+   */
+  async function map(url, mapOptions = {}) {
+    stats.mapCalls++;
+    const host = getBareHostname(url);
+    if (!host) return [];
+
+    const urls = [];
+    for (const capture of pages.values()) {
+      const captureHost = getBareHostname(capture.url);
+      if (!captureHost) continue;
+
+      const sameHost = captureHost === host;
+      const isSubdomain = mapOptions.includeSubdomains && captureHost.endsWith(`.${host}`);
+      if (sameHost || isSubdomain) {
+        urls.push(capture.url);
+      }
+    }
+
+    urls.sort();
+    return mapOptions.limit ? urls.slice(0, mapOptions.limit) : urls;
+  }
+
+  /**
+   * Replay a binary document download from the harvested documents store
+   */
+  async function fetchBinary(url) {
+    const doc = documents.get(getReplayKey(url));
+    if (!doc) {
+      stats.binaryMisses++;
+      throw new ReplayMissError(url, 'binary document fetch');
+    }
+    stats.binaryHits++;
+
+    return {
+      buffer: fs.readFileSync(doc.file),
+      contentType: doc.mime || getMimeType(path.extname(doc.file)),
+      filename: path.basename(new URL(url).pathname) || path.basename(doc.file),
+    };
+  }
+
+  return {
+    scrape,
+    map,
+    fetchBinary,
+    stats,
+    size: pages.size,
+  };
+}
+
+module.exports = {
+  createReplayBackend,
+  getReplayKey,
+  indexSnapshots,
+  indexMcpScrapes,
+  indexDocuments,
+  ReplayMissError,
+};
@@ -0,0 +1,189 @@
+/**
+ * Revisit Scheduling Module
+ *
+ * Estimates how often each source page should be re-scraped from its change
+ * history (change_log), page type and URL priority score, and plans the
+ * `--refresh due` crawl: only overdue pages, most overdue first, capped by
+ * a page budget.
+ *
+ * @module crawler/revisit
+ */
+
+'use strict';
+
+const { getUrlPriority, PRIORITY_WEIGHTS } = require('./filtering');
+const { isTrackedSourcePage } = require('./source_lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Starting revisit interval per page type (days), before any change history
+const PAGE_TYPE_INTERVAL_DAYS = {
+  fees: 7,
+  processing_time: 7,
+  main_portal: 7,
+  portal: 7,
+  procedure: 14,
+  requirements: 14,
+  form: 30,
+  faq: 30,
+  general: 30,
+  other: 30,
+  tutorial: 60,
+  office: 60,
+  contact: 60,
+};
+const DEFAULT_INTERVAL_DAYS = 30;
+
+// Bounds of any estimated interval (days)
+const MIN_INTERVAL_DAYS = 1;
+const MAX_INTERVAL_DAYS = 120;
+
+// A page that never changes backs off to at most this multiple of its page type interval
+const MAX_BACKOFF_FACTOR = 4;
+
+// ============================================================================
+// INTERVAL ESTIMATION
+// ============================================================================
+
+/**
+ * Interval multiplier for a URL priority score (service pages are revisited sooner)
+ * @param {number} score - Score from getUrlPriority
+ * @returns {number}
+ */
+function getPriorityFactor(score) {
+  if (score >= PRIORITY_WEIGHTS.very_high) return 0.5;
+  if (score >= PRIORITY_WEIGHTS.high) return 0.75;
+  if (score >= 0) return 1;
+  return 1.5;
+}
+
+/**
+ * Days between two ISO timestamps (0 if either is missing)
+ * @param {string|null} from - ISO timestamp
+ * @param {string|number} to - ISO timestamp or epoch ms
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  if (!from || !to) return 0;
+  return Math.max(0, (new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+}
+
+/**
+ * Estimate the revisit interval of a source page.
+ *
+ * - Changed pages are revisited twice per observed change interval
+ *   (observed time / number of changes), once the history spans at least the
+ *   page type interval (a few changes within days of each other say little).
+ * - Pages that never changed start at their page type interval and back off
+ *   by half the time they have been seen unchanged (up to MAX_BACKOFF_FACTOR).
+ * - The URL priority score then shortens or stretches the interval.
+ *
+ * @param {Object} sourcePage - KB source page
+ * @param {Object} [options]
+ * @param {string} [options.lastCheckedAt] - When the page was last scraped, changed or not (defaults to last_crawled_at)
+ * @returns {{interval_days: number, base_days: number, changes: number, priority_score: number, basis: string}}
+ */
+function estimateRevisitInterval(sourcePage, options = {}) {
+  const changeLog = sourcePage.change_log || [];
+  const lastSavedAt = sourcePage.last_crawled_at || null;
+  const lastCheckedAt = options.lastCheckedAt || lastSavedAt;
+  const firstSeenAt = sourcePage.first_crawled_at || (changeLog[0] && changeLog[0].detected_at) || lastSavedAt;
+
+  const baseDays = PAGE_TYPE_INTERVAL_DAYS[sourcePage.page_type] || DEFAULT_INTERVAL_DAYS;
+  const observedDays = daysBetween(firstSeenAt, lastCheckedAt);
+  let interval;
+  let basis;
+
+  if (changeLog.length > 0 && observedDays >= baseDays) {
+    interval = observedDays / changeLog.length / 2;
+    basis = 'change_history';
+  } else {
+    interval = baseDays + daysBetween(lastSavedAt, lastCheckedAt) / 2;
+    basis = 'page_type';
+  }
+  interval = Math.min(interval, baseDays * MAX_BACKOFF_FACTOR);
+
+  const priorityScore = getUrlPriority(sourcePage.canonical_url || '');
+  interval *= getPriorityFactor(priorityScore);
+  interval = Math.min(MAX_INTERVAL_DAYS, Math.max(MIN_INTERVAL_DAYS, interval));
+
+  return {
+    interval_days: Math.round(interval * 10) / 10,
+    base_days: baseDays,
+    changes: changeLog.length,
+    priority_score: priorityScore,
+    basis,
+  };
+}
+
+// ============================================================================
+// DUE PLANNING
+// ============================================================================
+
+/**
+ * Plan a `--refresh due` crawl: every source page whose revisit interval has
+ * elapsed, most overdue first (by elapsed time / interval), capped by a budget.
+ *
+ * @param {Object} kb - KB data structure
+ * @param {Object} [options]
+ * @param {Function} [options.getLastCheckedAt] - (sourcePageId) => ISO timestamp of the last scrape
+ * @param {Function} [options.includePage] - (sourcePage) => boolean, e.g. to restrict to the seeded domains
+ * @param {number|null} [options.budget] - Max pages to scrape (null = no cap)
+ * @param {Date|number} [options.now] - Current time
+ * @returns {{due: Array, scheduled: Array, deferred: Array, notDue: number}}
+ */
+function planDueRevisits(kb, options = {}) {
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const getLastCheckedAt = options.getLastCheckedAt || (() => null);
+  const includePage = options.includePage || (() => true);
+
+  const due = [];
+  let notDue = 0;
+
+  for (const sourcePage of kb.source_pages || []) {
+    // Pages removed at the source and copies of other pages are not revisited
+    // (missing pages are, until they come back or are removed)
+    if (!isTrackedSourcePage(sourcePage)) continue;
+    if (sourcePage.near_duplicate_of || !sourcePage.canonical_url) continue;
+    if (!includePage(sourcePage)) continue;
+
+    const lastCheckedAt = getLastCheckedAt(sourcePage.source_page_id) || sourcePage.last_crawled_at;
+    const estimate = estimateRevisitInterval(sourcePage, { lastCheckedAt });
+    const elapsedDays = lastCheckedAt ? daysBetween(lastCheckedAt, now) : Infinity;
+    const overdueRatio = elapsedDays / estimate.interval_days;
+
+    if (overdueRatio < 1) {
+      notDue++;
+      continue;
+    }
+    due.push({
+      source_page_id: sourcePage.source_page_id,
+      url: sourcePage.canonical_url,
+      last_checked_at: lastCheckedAt || null,
+      due_at: lastCheckedAt ? new Date(new Date(lastCheckedAt).getTime() + estimate.interval_days * DAY_MS).toISOString() : null,
+      overdue_days: Number.isFinite(elapsedDays) ? Math.round((elapsedDays - estimate.interval_days) * 10) / 10 : null,
+      overdue_ratio: overdueRatio,
+      ...estimate,
+    });
+  }
+
+  due.sort((a, b) => b.overdue_ratio - a.overdue_ratio || a.url.localeCompare(b.url));
+
+  const budget = Number.isInteger(options.budget) && options.budget >= 0 ? options.budget : due.length;
+  return {
+    due,
+    scheduled: due.slice(0, budget),
+    deferred: due.slice(budget),
+    notDue,
+  };
+}
+
+module.exports = {
+  PAGE_TYPE_INTERVAL_DAYS,
+  DEFAULT_INTERVAL_DAYS,
+  MIN_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS,
+  getPriorityFactor,
+  estimateRevisitInterval,
+  planDueRevisits,
+};
@@ -0,0 +1,317 @@
+/**
+ * Run History Module
+ *
+ * Records every crawl run in `state.runs` and compares a run with the previous
+ * completed run of the same scope (seed source, category, refresh mode and
+ * domain filter): pages newly discovered or gone, claims added or removed per
+ * service, extraction yield per domain and error rates. Changes beyond the
+ * comparison thresholds are flagged as anomalies, e.g. a domain that yielded
+ * fees last run and yields none now.
+ *
+ * Only the latest run of each scope keeps its page and claim lists (that is all
+ * the next comparison needs); older entries keep their counts.
+ *
+ * @module crawler/run_history
+ */
+
+'use strict';
+
+const { canonicalizeUrl } = require('./canonical_url');
+
+// Runs kept in state.runs
+const RUN_HISTORY_LIMIT = 50;
+
+// Extraction counters compared per domain (keys of runStats.extractionDetails)
+const EXTRACTION_METRICS = ['steps_extracted', 'fees_extracted', 'faq_pairs_extracted', 'doc_links_found'];
+
+const DEFAULT_COMPARISON_THRESHOLDS = {
+  minPages: 3,               // pages a domain must process before its yield is judged
+  yieldDrop: 0.5,            // per-page yield of a metric falling by this fraction
+  errorRateIncrease: 0.1,    // error rate rising by this much (0.1 = 10 points)
+  pagesDisappeared: 0.2,     // fraction of a domain's pages no longer discovered
+  claimsRemoved: 0.2,        // fraction of a service's claims removed
+};
+
+// Refresh modes that crawl a planned subset of pages instead of discovering the domain
+const PLANNED_REFRESH_MODES = ['due', 'stale-claims'];
+
+const ANOMALY_TYPES = ['zero_yield', 'yield_drop', 'error_rate', 'pages_disappeared', 'claims_removed', 'domain_missing'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+};
+
+// ============================================================================
+// RUN RECORDS
+// ============================================================================
+
+/**
+ * Scope of a run: runs of the same scope are compared with each other
+ * @param {Object} config - Crawler configuration
+ * @returns {{key: string, seed_source: string, category: string, refresh: string, domains: string[]}}
+ */
+function getRunScope(config) {
+  const scope = {
+    seed_source: config.seedSource || 'unknown',
+    category: config.category || 'unknown',
+    refresh: config.refresh || 'changed',
+    domains: [...(config.domains || [])].sort(),
+  };
+  return { key: [scope.seed_source, scope.category, scope.refresh, scope.domains.join(',') || '*'].join('|'), ...scope };
+}
+
+/**
+ * Whether a run discovers the full page set of its domains: --plan and the
+ * planned refresh modes crawl a subset, so their pages are never diffed
+ * @param {Object} config - Crawler configuration
+ * @returns {boolean}
+ */
+function isCompleteDiscovery(config) {
+  return !config.planFile && !PLANNED_REFRESH_MODES.includes(config.refresh || 'changed');
+}
+
+/**
+ * Build the history record of a run
+ * @param {Object} runStats - Run statistics
+ * @param {Object} state - Crawl state (URLs discovered per domain)
+ * @param {Object} kb - KB data structure (claims per service)
+ * @returns {Object} - Run record
+ */
+function buildRunRecord(runStats, state, kb) {
+  const domains = {};
+  for (const domainStats of runStats.domainDetails || []) {
+    const extraction = (runStats.extractionDetails || {})[domainStats.domain] || {};
+    const domainState = (state.domainStates || {})[domainStats.domain] || {};
+    const urls = new Set((domainState.discoveredUrls || []).map(url => canonicalizeUrl(url) || url));
+    const pagesAttempted = domainStats.pagesDiscovered || 0;
+    const errors = (domainStats.errors || []).length;
+
+    domains[domainStats.domain] = {
+      pages_discovered: pagesAttempted,
+      pages_processed: domainStats.pagesProcessed || 0,
+      claims_extracted: domainStats.claimsExtracted || 0,
+      errors,
+      error_rate: pagesAttempted > 0 ? round(errors / pagesAttempted) : 0,
+      extraction: Object.fromEntries(EXTRACTION_METRICS.map(metric => [metric, extraction[metric] || 0])),
+      urls: [...urls].sort(),
+    };
+  }
+
+  // Claims citing a page of a crawled domain, grouped by the service they describe
+  const crawledHosts = new Set(Object.keys(domains).map(domain => domain.replace(/^www\./, '')));
+  const pageHosts = new Map((kb.source_pages || []).map(sp => [sp.source_page_id, hostOf(sp.canonical_url)]));
+  const services = {};
+  for (const claim of kb.claims || []) {
+    const inScope = (claim.citations || []).some(citation => crawledHosts.has(pageHosts.get(citation.source_page_id)));
+    if (!inScope) continue;
+    const serviceId = claim.entity_ref && claim.entity_ref.id ? claim.entity_ref.id : '(none)';
+    if (!services[serviceId]) services[serviceId] = { claims: 0, claim_ids: [] };
+    services[serviceId].claims++;
+    services[serviceId].claim_ids.push(claim.claim_id);
+  }
+  for (const service of Object.values(services)) service.claim_ids.sort();
+
+  const pagesAttempted = Object.values(domains).reduce((sum, d) => sum + d.pages_discovered, 0);
+  return {
+    run_id: runStats.runId || null,
+    scope: getRunScope(runStats.config || {}),
+    complete_discovery: isCompleteDiscovery(runStats.config || {}),
+    started_at: runStats.startedAt,
+    completed_at: null,  // set once the run report is written
+    status: runStats.status,
+    totals: {
+      domains: Object.keys(domains).length,
+      pages_discovered: pagesAttempted,
+      pages_processed: runStats.pagesKept || 0,
+      claims_extracted: runStats.claimsExtracted || 0,
+      claims_in_scope: Object.values(services).reduce((sum, s) => sum + s.claims, 0),
+      errors: (runStats.errors || []).length,
+      error_rate: pagesAttempted > 0 ? round((runStats.errors || []).length / pagesAttempted) : 0,
+    },
+    domains,
+    services,
+    detail: true,
+  };
+}
+
+/**
+ * Drop the page and claim lists of a record (counts are kept)
+ * @param {Object} record - Run record (will be modified)
+ */
+function stripRunDetail(record) {
+  for (const domain of Object.values(record.domains || {})) delete domain.urls;
+  for (const service of Object.values(record.services || {})) delete service.claim_ids;
+  record.detail = false;
+}
+
+/**
+ * Latest completed run of a scope that can be compared with
+ * @param {Object[]} runs - state.runs
+ * @param {string} scopeKey - Run scope key
+ * @returns {Object|null}
+ */
+function findPreviousRun(runs, scopeKey) {
+  for (let i = (runs || []).length - 1; i >= 0; i--) {
+    const run = runs[i];
+    if (run.scope && run.scope.key === scopeKey && run.status === 'completed' && run.detail) return run;
+  }
+  return null;
+}
+
+/**
+ * Append a run to the history: earlier runs of its scope lose their lists and
+ * the history is capped at `limit` runs
+ * @param {Object} state - Crawl state (will be modified)
+ * @param {Object} record - Run record
+ * @param {number} [limit] - Runs kept
+ */
+function recordRun(state, record, limit = RUN_HISTORY_LIMIT) {
+  if (!Array.isArray(state.runs)) state.runs = [];
+  if (record.detail && record.status === 'completed') {
+    for (const run of state.runs) {
+      if (run.scope && run.scope.key === record.scope.key && run.detail) stripRunDetail(run);
+    }
+  }
+  state.runs.push(record);
+  if (state.runs.length > limit) state.runs.splice(0, state.runs.length - limit);
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+const change = (previous, current) => ({ previous, current, delta: round(current - previous) });
+
+/**
+ * Compare a run with the previous run of its scope
+ * @param {Object} previous - Previous run record (with lists)
+ * @param {Object} current - Current run record (with lists)
+ * @param {Object} [thresholds] - Overrides of DEFAULT_COMPARISON_THRESHOLDS
+ * @returns {Object} - Comparison with summary and anomalies
+ */
+function compareRuns(previous, current, thresholds = {}) {
+  const limits = { ...DEFAULT_COMPARISON_THRESHOLDS, ...thresholds };
+  const anomalies = [];
+  const pages = {};
+  const extraction = {};
+  const errorRates = {};
+  // Records from before complete_discovery existed were full discoveries
+  const comparePages = previous.complete_discovery !== false && current.complete_discovery !== false;
+
+  for (const [domain, before] of Object.entries(previous.domains)) {
+    const after = current.domains[domain];
+    if (!after) {
+      anomalies.push({ type: 'domain_missing', domain, message: `${domain} was crawled last run but not in this one` });
+      continue;
+    }
+
+    // Pages newly discovered or gone since the previous run
+    if (comparePages) {
+      const beforeUrls = new Set(before.urls || []);
+      const afterUrls = new Set(after.urls || []);
+      const discovered = [...afterUrls].filter(url => !beforeUrls.has(url));
+      const disappeared = [...beforeUrls].filter(url => !afterUrls.has(url));
+      if (discovered.length > 0 || disappeared.length > 0) {
+        pages[domain] = { discovered, disappeared };
+      }
+      if (beforeUrls.size > 0 && disappeared.length / beforeUrls.size >= limits.pagesDisappeared) {
+        anomalies.push({
+          type: 'pages_disappeared', domain, previous: beforeUrls.size, current: afterUrls.size,
+          message: `${domain}: ${disappeared.length} of ${beforeUrls.size} pages were not discovered again`,
+        });
+      }
+    }
+
+    // Extraction yield, per processed page so partial refreshes stay comparable
+    extraction[domain] = { pages_processed: change(before.pages_processed, after.pages_processed) };
+    for (const metric of EXTRACTION_METRICS) {
+      const was = before.extraction[metric] || 0;
+      const now = after.extraction[metric] || 0;
+      extraction[domain][metric] = change(was, now);
+      if (was === 0 || before.pages_processed < limits.minPages || after.pages_processed < limits.minPages) continue;
+
+      const yieldBefore = was / before.pages_processed;
+      const yieldAfter = now / after.pages_processed;
+      if (now === 0) {
+        anomalies.push({
+          type: 'zero_yield', domain, metric, previous: was, current: 0,
+          message: `${domain}: ${metric} fell from ${was} to 0 over ${after.pages_processed} pages`,
+        });
+      } else if (yieldAfter <= yieldBefore * (1 - limits.yieldDrop)) {
+        anomalies.push({
+          type: 'yield_drop', domain, metric, previous: round(yieldBefore), current: round(yieldAfter),
+          message: `${domain}: ${metric} per page fell from ${round(yieldBefore)} to ${round(yieldAfter)}`,
+        });
+      }
+    }
+
+    errorRates[domain] = change(before.error_rate, after.error_rate);
+    if (after.error_rate - before.error_rate >= limits.errorRateIncrease) {
+      anomalies.push({
+        type: 'error_rate', domain, previous: before.error_rate, current: after.error_rate,
+        message: `${domain}: error rate rose from ${before.error_rate} to ${after.error_rate}`,
+      });
+    }
+  }
+
+  // Claims added or removed per service
+  const claimsByService = {};
+  const serviceIds = new Set([...Object.keys(previous.services), ...Object.keys(current.services)]);
+  for (const serviceId of [...serviceIds].sort()) {
+    const before = new Set((previous.services[serviceId] || {}).claim_ids || []);
+    const after = new Set((current.services[serviceId] || {}).claim_ids || []);
+    const added = [...after].filter(id => !before.has(id));
+    const removed = [...before].filter(id => !after.has(id));
+    if (added.length === 0 && removed.length === 0) continue;
+
+    claimsByService[serviceId] = { previous: before.size, current: after.size, added, removed };
+    if (before.size > 0 && removed.length / before.size >= limits.claimsRemoved) {
+      anomalies.push({
+        type: 'claims_removed', service_id: serviceId, previous: before.size, current: after.size,
+        message: `${serviceId}: ${removed.length} of ${before.size} claims removed`,
+      });
+    }
+  }
+
+  const sum = (values, key) => values.reduce((total, value) => total + value[key].length, 0);
+  return {
+    run_id: current.run_id,
+    previous_run_id: previous.run_id,
+    previous_completed_at: previous.completed_at,
+    scope: current.scope,
+    thresholds: limits,
+    summary: {
+      pages_discovered: sum(Object.values(pages), 'discovered'),
+      pages_disappeared: sum(Object.values(pages), 'disappeared'),
+      claims_added: sum(Object.values(claimsByService), 'added'),
+      claims_removed: sum(Object.values(claimsByService), 'removed'),
+      error_rate: change(previous.totals.error_rate, current.totals.error_rate),
+      anomalies: anomalies.length,
+    },
+    pages,
+    claims_by_service: claimsByService,
+    extraction,
+    error_rates: errorRates,
+    anomalies,
+  };
+}
+
+module.exports = {
+  RUN_HISTORY_LIMIT,
+  EXTRACTION_METRICS,
+  DEFAULT_COMPARISON_THRESHOLDS,
+  ANOMALY_TYPES,
+  getRunScope,
+  isCompleteDiscovery,
+  buildRunRecord,
+  stripRunDetail,
+  findPreviousRun,
+  recordRun,
+  compareRuns,
+};
@@ -9,54 +9,20 @@
 
 'use strict';
 
+const { loadProfileMappings } = require('./crawl_profiles');
+
 // ============================================================================
 // DOMAIN TO SERVICE ID MAPPING
 // ============================================================================
 
 /**
- * Canonical mapping from seed domains (stripped of www.) to service IDs.
+ * Canonical mapping from seed domains (stripped of www.) to service IDs,
+ * built from the service_id of each crawl profile (kb/seeds/crawl_profiles.json).
  * 
  * Service IDs follow the pattern: svc.<service_slug>
  * The service slug is the canonical name without www. or domain suffix.
  */
-const DOMAIN_TO_SERVICE_MAP = {
-  // ePassport services
-  'epassport.gov.bd': 'svc.epassport',
-  
-  // NID services (Election Commission)
-  'nidw.gov.bd': 'svc.nid',
-  'services.nidw.gov.bd': 'svc.nid',
-  
-  // Passport services (DIP)
-  'passport.gov.bd': 'svc.passport',
-  'dip.gov.bd': 'svc.passport',
-  'visa.gov.bd': 'svc.visa',
-  
-  // Tax services (NBR)
-  'etaxnbr.gov.bd': 'svc.etax',
-  'nbr.gov.bd': 'svc.nbr',
-  'customs.gov.bd': 'svc.customs',
-  
-  // Transport services (BRTA)
-  'bsp.brta.gov.bd': 'svc.brta',
-  'brta.gov.bd': 'svc.brta',
-  
-  // Post Office
-  'bdpost.gov.bd': 'svc.bdpost',
-  
-  // Land services
-  'landadministration.gov.bd': 'svc.land',
-  'land.gov.bd': 'svc.land',
-  
-  // Teletalk
-  'teletalk.com.bd': 'svc.teletalk',
-  
-  // Birth/Death registration
-  'bdris.gov.bd': 'svc.bdris',
-  
-  // Police
-  'police.gov.bd': 'svc.police',
-};
+const DOMAIN_TO_SERVICE_MAP = loadProfileMappings().services;
 
 // ============================================================================
 // PUBLIC API
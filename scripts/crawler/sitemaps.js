@@ -0,0 +1,161 @@
+/**
+ * Sitemap Discovery Module
+ *
+ * Fetches sitemaps for a domain: recursive sitemap index traversal with a
+ * limit on the number of sitemaps fetched, gzip (.xml.gz) support, and
+ * <lastmod>/<changefreq>/<priority> kept per URL.
+ *
+ * @module crawler/sitemaps
+ */
+
+const zlib = require('zlib');
+
+const { parseSitemapXml } = require('./filtering');
+
+// Default cap on sitemap files fetched per domain (indexes included)
+const DEFAULT_MAX_SITEMAPS = 50;
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+/**
+ * Check if a URL points to a gzip-compressed sitemap
+ * @param {string} url - Sitemap URL
+ * @returns {boolean}
+ */
+function isGzipSitemapUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.gz');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Decode a fetched sitemap body, gunzipping it if it starts with the gzip magic bytes
+ * @param {Buffer} buffer - Raw body
+ * @returns {string} - Sitemap XML
+ */
+function decodeSitemapBuffer(buffer) {
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf-8');
+  }
+  return buffer.toString('utf-8');
+}
+
+/**
+ * Fetch the XML of one sitemap
+ * @param {string} url - Sitemap URL
+ * @param {Function} scrapeFunc - Firecrawl scrape function (plain XML sitemaps)
+ * @param {Function|null} fetchBinaryFunc - Binary fetch function (gzip sitemaps)
+ * @returns {Promise<string|null>} - Sitemap XML or null
+ */
+async function fetchSitemapContent(url, scrapeFunc, fetchBinaryFunc) {
+  if (isGzipSitemapUrl(url)) {
+    if (!fetchBinaryFunc) return null;
+    const result = await fetchBinaryFunc(url);
+    return result && result.buffer ? decodeSitemapBuffer(result.buffer) : null;
+  }
+
+  const result = await scrapeFunc(url, { formats: ['rawHtml'] });
+  return result && result.rawHtml ? result.rawHtml : null;
+}
+
+// ============================================================================
+// TRAVERSAL
+// ============================================================================
+
+/**
+ * Fetch every sitemap reachable from the given locations (breadth-first through
+ * sitemap indexes) and collect their URL entries.
+ * @param {string[]} locations - Sitemap locations (robots.txt and defaults)
+ * @param {Function} scrapeFunc - Firecrawl scrape function
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchBinary] - Binary fetch function for .xml.gz sitemaps
+ * @param {number} [options.maxSitemaps=50] - Maximum sitemap files to fetch
+ * @returns {Promise<{entries: Object<string, {lastmod: string|null, changefreq: string|null, priority: number|null, sitemap: string}>, fetched: string[], failed: string[], truncated: boolean}>}
+ */
+async function collectSitemapEntries(locations, scrapeFunc, options = {}) {
+  const maxSitemaps = options.maxSitemaps || DEFAULT_MAX_SITEMAPS;
+  const queue = [...new Set(locations)];
+  const visited = new Set(queue);
+  const entries = {};
+  const fetched = [];
+  const failed = [];
+  let truncated = false;
+
+  while (queue.length > 0) {
+    if (fetched.length + failed.length >= maxSitemaps) {
+      truncated = true;
+      break;
+    }
+
+    const sitemapUrl = queue.shift();
+    let content = null;
+    try {
+      content = await fetchSitemapContent(sitemapUrl, scrapeFunc, options.fetchBinary || null);
+    } catch (e) {
+      // Missing sitemap locations are expected, keep going
+    }
+
+    if (!content) {
+      failed.push(sitemapUrl);
+      continue;
+    }
+    fetched.push(sitemapUrl);
+
+    const parsed = parseSitemapXml(content);
+    if (parsed.type === 'index') {
+      for (const child of parsed.sitemaps) {
+        if (!visited.has(child)) {
+          visited.add(child);
+          queue.push(child);
+        }
+      }
+      continue;
+    }
+
+    for (const entry of parsed.entries) {
+      // First sitemap listing a URL wins
+      if (entries[entry.loc]) continue;
+      entries[entry.loc] = {
+        lastmod: entry.lastmod,
+        changefreq: entry.changefreq,
+        priority: entry.priority,
+        sitemap: sitemapUrl,
+      };
+    }
+  }
+
+  return { entries, fetched, failed, truncated };
+}
+
+// ============================================================================
+// LASTMOD CHECKS
+// ============================================================================
+
+/**
+ * Check whether a sitemap entry says the page has not changed since a date
+ * @param {Object|null} entry - Sitemap entry ({ lastmod })
+ * @param {string|null} lastCrawledAt - ISO timestamp of our last crawl of the page
+ * @returns {boolean} - True only if both dates are known and lastmod is older
+ */
+function isUnmodifiedSince(entry, lastCrawledAt) {
+  if (!entry || !entry.lastmod || !lastCrawledAt) return false;
+
+  const lastmod = Date.parse(entry.lastmod);
+  const crawled = Date.parse(lastCrawledAt);
+  if (Number.isNaN(lastmod) || Number.isNaN(crawled)) return false;
+
+  return lastmod < crawled;
+}
+
+module.exports = {
+  DEFAULT_MAX_SITEMAPS,
+  isGzipSitemapUrl,
+  decodeSitemapBuffer,
+  fetchSitemapContent,
+  collectSitemapEntries,
+  isUnmodifiedSince,
+};
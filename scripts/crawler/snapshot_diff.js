@@ -0,0 +1,369 @@
+/**
+ * Snapshot Diff Module
+ *
+ * Line- and heading-aware diff between two snapshots of a source page. Changed
+ * lines are grouped into hunks under the heading path they appear in, and the
+ * `quoted_text` of every claim citing the page is checked against both
+ * versions: a quote that was in the old version and is gone from the new one is
+ * reported as `changed` (its lines were rewritten) or `removed` (its lines were
+ * deleted).
+ *
+ * `summarizeSnapshotDiff` condenses a diff into the `diff_summary` stored on a
+ * source page `change_log` entry, so reviewers can see what changed without
+ * digging out the snapshots.
+ *
+ * @module crawler/snapshot_diff
+ */
+
+'use strict';
+
+const { findSnapshot, readSnapshotContent } = require('./snapshot_store');
+
+// Edit distance (changed lines) above which pages are diffed as fully replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+// Sections and claims listed in a change_log diff summary
+const SUMMARY_LIMIT = 10;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+// ============================================================================
+// LINE DIFF
+// ============================================================================
+
+/**
+ * Split markdown into lines, each with the heading path it appears under
+ * @param {string} markdown - Markdown content
+ * @returns {{text: string, headingPath: string[]}[]}
+ */
+function splitSections(markdown) {
+  const stack = [];
+  return String(markdown || '').split(/\r?\n/).map((line) => {
+    const text = line.trimEnd();
+    const heading = text.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, title: heading[2] });
+    }
+    return { text, headingPath: stack.map(h => h.title) };
+  });
+}
+
+/**
+ * Myers diff of two line arrays
+ * @private
+ * @returns {{type: 'equal'|'removed'|'added', a?: number, b?: number}[]|null} - null if the
+ *   edit distance exceeds maxEdits
+ */
+function _myersDiff(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // v before each step d, for diagonals -d-1..d+1 (all the backtrack reads)
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > maxEdits) return null;
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return _backtrack(trace, n, m);
+    }
+  }
+  return _backtrack(trace, n, m);
+}
+
+/**
+ * Walk the Myers trace back from the end to list the edit operations
+ * @private
+ */
+function _backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', a: x - 1, b: y - 1 });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      ops.push(x === prevX ? { type: 'added', b: prevY } : { type: 'removed', a: prevX });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Diff two markdown documents line by line, grouping changes into hunks under
+ * the heading path they appear in. Blank-line-only changes are ignored.
+ * @param {string} before - Old markdown
+ * @param {string} after - New markdown
+ * @param {Object} [options]
+ * @param {number} [options.maxEditDistance] - Edit distance above which the documents are
+ *   diffed as fully replaced (default: MAX_EDIT_DISTANCE)
+ * @returns {{hunks: Object[], lines_added: number, lines_removed: number, replaced: boolean}}
+ */
+function diffMarkdown(before, after, options = {}) {
+  const oldLines = splitSections(before);
+  const newLines = splitSections(after);
+  const a = oldLines.map(line => line.text);
+  const b = newLines.map(line => line.text);
+
+  // Common prefix and suffix need no diffing
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const maxEdits = options.maxEditDistance || MAX_EDIT_DISTANCE;
+  let ops = _myersDiff(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  const replaced = ops === null;
+  if (replaced) {
+    ops = [
+      ...a.slice(start, endA).map((_, i) => ({ type: 'removed', a: i })),
+      ...b.slice(start, endB).map((_, i) => ({ type: 'added', b: i })),
+    ];
+  }
+
+  const hunks = [];
+  let hunk = null;
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      hunk = null;
+      continue;
+    }
+    const line = op.type === 'removed' ? oldLines[start + op.a] : newLines[start + op.b];
+    if (!line.text.trim()) continue;
+    if (!hunk) {
+      hunk = { heading_path: line.headingPath, old_line: null, new_line: null, removed: [], added: [] };
+      hunks.push(hunk);
+    }
+    if (op.type === 'removed') {
+      if (hunk.old_line === null) hunk.old_line = start + op.a + 1;
+      hunk.removed.push(line.text);
+    } else {
+      if (hunk.new_line === null) hunk.new_line = start + op.b + 1;
+      hunk.added.push(line.text);
+    }
+  }
+
+  return {
+    hunks,
+    lines_added: hunks.reduce((sum, h) => sum + h.added.length, 0),
+    lines_removed: hunks.reduce((sum, h) => sum + h.removed.length, 0),
+    replaced,
+  };
+}
+
+// ============================================================================
+// CLAIM QUOTES
+// ============================================================================
+
+/**
+ * Normalize text for quote matching (markdown syntax, case and whitespace ignored)
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeForMatch(text) {
+  return String(text || '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`#|>]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Claims citing a page whose quoted_text was in the old version and is gone
+ * from the new one
+ * @param {Object[]} claims - KB claims
+ * @param {string} sourcePageId - Source page ID
+ * @param {string} before - Old markdown
+ * @param {string} after - New markdown
+ * @param {Object[]} hunks - Hunks from diffMarkdown
+ * @returns {{claim_id: string, quoted_text: string, status: 'changed'|'removed', heading_path: string[]|null, replacement: string[]}[]}
+ */
+function findAffectedQuotes(claims, sourcePageId, before, after, hunks) {
+  const oldText = normalizeForMatch(before);
+  const newText = normalizeForMatch(after);
+  const affected = [];
+
+  for (const claim of claims || []) {
+    for (const citation of claim.citations || []) {
+      if (citation.source_page_id !== sourcePageId || !citation.quoted_text) continue;
+      const quote = normalizeForMatch(citation.quoted_text);
+      if (!quote || !oldText.includes(quote) || newText.includes(quote)) continue;
+
+      // The hunk that removed (a line of) the quote
+      const hunk = hunks.find(h => h.removed.some((line) => {
+        const removed = normalizeForMatch(line);
+        return removed.includes(quote) || (removed.length >= 8 && quote.includes(removed));
+      }));
+      affected.push({
+        claim_id: claim.claim_id,
+        quoted_text: citation.quoted_text,
+        status: hunk && hunk.added.length > 0 ? 'changed' : 'removed',
+        heading_path: hunk ? hunk.heading_path : null,
+        replacement: hunk ? hunk.added.slice(0, 5) : [],
+      });
+      break;
+    }
+  }
+  return affected;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Diff two snapshots of a source page
+ * @param {Object} before - Old snapshot: { markdown, date, hash }
+ * @param {Object} after - New snapshot: { markdown, date, hash }
+ * @param {Object} [options]
+ * @param {string} [options.sourcePageId] - Source page ID (claims citing it are checked)
+ * @param {Object[]} [options.claims] - KB claims
+ * @param {number} [options.maxEditDistance] - See diffMarkdown
+ * @returns {Object} - Diff: hunks, line counts, sections changed and affected claims
+ */
+function diffSnapshots(before, after, options = {}) {
+  const diff = diffMarkdown(before.markdown, after.markdown, options);
+  const sections = [];
+  for (const hunk of diff.hunks) {
+    const section = hunk.heading_path.join(' > ') || '(top)';
+    if (!sections.includes(section)) sections.push(section);
+  }
+
+  return {
+    source_page_id: options.sourcePageId || null,
+    before: { date: before.date || null, hash: before.hash || null },
+    after: { date: after.date || null, hash: after.hash || null },
+    lines_added: diff.lines_added,
+    lines_removed: diff.lines_removed,
+    replaced: diff.replaced,
+    sections_changed: sections,
+    hunks: diff.hunks,
+    claims: findAffectedQuotes(options.claims, options.sourcePageId, before.markdown, after.markdown, diff.hunks),
+  };
+}
+
+/**
+ * Condense a diff into the summary stored on a change_log entry
+ * @param {Object} diff - Diff from diffSnapshots
+ * @param {Date} [now] - When the diff was made (default: now)
+ * @returns {Object} - diff_summary
+ */
+function summarizeSnapshotDiff(diff, now = new Date()) {
+  const claimIds = (status) => diff.claims.filter(c => c.status === status).map(c => c.claim_id);
+  const summary = {
+    before_snapshot: diff.before.date,
+    after_snapshot: diff.after.date,
+    lines_added: diff.lines_added,
+    lines_removed: diff.lines_removed,
+    sections_changed: diff.sections_changed.slice(0, SUMMARY_LIMIT),
+    claims_changed: claimIds('changed').slice(0, SUMMARY_LIMIT),
+    claims_removed: claimIds('removed').slice(0, SUMMARY_LIMIT),
+    diffed_at: now.toISOString(),
+  };
+  if (diff.sections_changed.length > SUMMARY_LIMIT) summary.sections_truncated = true;
+  if (diff.replaced) summary.replaced = true;
+  return summary;
+}
+
+/**
+ * Format a diff as markdown (one section per hunk, then the affected claims)
+ * @param {Object} diff - Diff from diffSnapshots
+ * @returns {string}
+ */
+function formatSnapshotDiff(diff) {
+  const out = [
+    `# ${diff.source_page_id || 'Snapshot diff'}: ${diff.before.date || diff.before.hash} → ${diff.after.date || diff.after.hash}`,
+    '',
+    `${diff.lines_removed} lines removed, ${diff.lines_added} lines added in ${diff.sections_changed.length} sections` +
+      (diff.replaced ? ' (too many changes to align, diffed as replaced)' : ''),
+  ];
+
+  for (const hunk of diff.hunks) {
+    const where = [hunk.old_line && `-${hunk.old_line}`, hunk.new_line && `+${hunk.new_line}`].filter(Boolean).join(' ');
+    out.push('', `## ${hunk.heading_path.join(' > ') || '(top)'} (${where})`, '', '```diff');
+    for (const line of hunk.removed) out.push(`- ${line}`);
+    for (const line of hunk.added) out.push(`+ ${line}`);
+    out.push('```');
+  }
+
+  if (diff.claims.length > 0) {
+    out.push('', '## Claims affected', '');
+    for (const claim of diff.claims) {
+      out.push(`- **${claim.status}** \`${claim.claim_id}\`: "${claim.quoted_text}"`);
+      for (const line of claim.replacement) out.push(`  - now: ${line}`);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Store a diff summary on the latest change_log entry of a source page, if it
+ * records a change to the current content and has none yet. The old version is
+ * read from the latest snapshot with the entry's hash_before.
+ * @param {Object} kb - KB data structure (will be modified)
+ * @param {string} sourcePageId - Source page ID
+ * @param {Object} current - Current version: { markdown, date }
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {Date} [now] - Current time (default: now)
+ * @returns {{entry: Object, diff: Object}|null} - The entry and its diff, or null if there was
+ *   nothing to summarize or no snapshot of the old version
+ */
+function summarizePageChange(kb, sourcePageId, current, snapshotsDir, now = new Date()) {
+  const sourcePage = (kb.source_pages || []).find(sp => sp.source_page_id === sourcePageId);
+  const changeLog = sourcePage ? sourcePage.change_log || [] : [];
+  const entry = changeLog[changeLog.length - 1];
+  if (!entry || entry.diff_summary || !entry.hash_before || entry.hash_after !== sourcePage.content_hash) {
+    return null;
+  }
+
+  const previous = findSnapshot(snapshotsDir, sourcePageId, entry.hash_before);
+  if (!previous) return null;
+
+  const diff = diffSnapshots(
+    { markdown: readSnapshotContent(snapshotsDir, previous).markdown, date: previous.date, hash: entry.hash_before },
+    { markdown: current.markdown, date: current.date, hash: entry.hash_after },
+    { sourcePageId, claims: kb.claims }
+  );
+  entry.diff_summary = summarizeSnapshotDiff(diff, now);
+  return { entry, diff };
+}
+
+module.exports = {
+  MAX_EDIT_DISTANCE,
+  splitSections,
+  diffMarkdown,
+  normalizeForMatch,
+  findAffectedQuotes,
+  diffSnapshots,
+  summarizeSnapshotDiff,
+  formatSnapshotDiff,
+  summarizePageChange,
+};
@@ -0,0 +1,569 @@
+/**
+ * Snapshot Store Module
+ *
+ * Content-addressed, compressed storage for page snapshots. Page content
+ * (markdown and HTML) is stored once per distinct version as a compressed blob
+ * named by the SHA-256 of its content (kb/snapshots/blobs/<ab>/<sha256>.gz),
+ * and every crawl of a page writes a small dated manifest that points at its
+ * blobs (kb/snapshots/<source_page_id>/<date>.json). A page recrawled daily
+ * without changes costs one manifest a day instead of a full copy. When a page
+ * changes more than once in a day, every version after the first gets its own
+ * numbered manifest (<date>.2.json, <date>.3.json, ...), so each version stays
+ * findable by its content hash.
+ *
+ * Snapshots written before the store existed (kb/snapshots/<source_page_id>/
+ * <date>/ with page.md, page.html and meta.json) stay readable, and
+ * `migrateLegacySnapshots` moves them into the store.
+ *
+ * The retention policy keeps every distinct version of a page, every manifest
+ * of the last 30 days and the last manifest of each month before that.
+ * `pruneSnapshots` deletes the rest, and then every blob no kept manifest
+ * points at, but never a snapshot a claim citation still depends on.
+ *
+ * @module crawler/snapshot_store
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { generateHash, getDateString, ensureDir } = require('./utils');
+
+// Blob compression formats: file extension, compress and decompress
+const COMPRESSIONS = {
+  gzip: { extension: '.gz', compress: (buffer) => zlib.gzipSync(buffer, { level: 9 }), decompress: zlib.gunzipSync },
+  brotli: { extension: '.br', compress: (buffer) => zlib.brotliCompressSync(buffer), decompress: zlib.brotliDecompressSync },
+};
+
+const DEFAULT_COMPRESSION = 'gzip';
+
+const DEFAULT_RETENTION_POLICY = {
+  keepDistinctVersions: true,  // keep the first manifest of every distinct page version
+  dailyDays: 30,               // keep every manifest this many days back
+  monthly: true,               // before that, keep the last manifest of each month
+};
+
+const BLOBS_DIR = 'blobs';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MANIFEST_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.json$/;
+const VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}(?:\.\d+)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// BLOBS
+// ============================================================================
+
+/**
+ * Path of a blob relative to the snapshots directory
+ * @param {string} hash - SHA-256 of the content
+ * @param {string} compression - Compression format
+ * @returns {string}
+ */
+function getBlobPath(hash, compression) {
+  return path.posix.join(BLOBS_DIR, hash.slice(0, 2), `${hash}${COMPRESSIONS[compression].extension}`);
+}
+
+/**
+ * Find a stored blob in any compression format
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {string} hash - SHA-256 of the content
+ * @returns {{path: string, compression: string}|null}
+ */
+function findBlob(snapshotsDir, hash) {
+  for (const compression of Object.keys(COMPRESSIONS)) {
+    const blobPath = getBlobPath(hash, compression);
+    if (fs.existsSync(path.join(snapshotsDir, blobPath))) {
+      return { path: blobPath, compression };
+    }
+  }
+  return null;
+}
+
+/**
+ * Store content as a blob (a blob already stored with this content is reused)
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {string} content - Content
+ * @param {string} [compression] - Compression format (gzip or brotli)
+ * @returns {{sha256: string, size: number, compression: string, path: string}} - Blob reference
+ */
+function writeBlob(snapshotsDir, content, compression = DEFAULT_COMPRESSION) {
+  if (!COMPRESSIONS[compression]) {
+    throw new Error(`Unknown snapshot compression: ${compression} (expected ${Object.keys(COMPRESSIONS).join(' or ')})`);
+  }
+  const buffer = Buffer.from(content, 'utf-8');
+  const hash = generateHash(content);
+
+  let blob = findBlob(snapshotsDir, hash);
+  if (!blob) {
+    blob = { path: getBlobPath(hash, compression), compression };
+    const filePath = path.join(snapshotsDir, blob.path);
+    ensureDir(path.dirname(filePath));
+    // Write to a temp file first so an interrupted crawl never leaves a truncated blob
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, COMPRESSIONS[compression].compress(buffer));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return { sha256: hash, size: buffer.length, compression: blob.compression, path: blob.path };
+}
+
+/**
+ * Read a blob
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {{path: string, compression: string}} blob - Blob reference
+ * @returns {string} - Content
+ */
+function readBlob(snapshotsDir, blob) {
+  const buffer = fs.readFileSync(path.join(snapshotsDir, blob.path));
+  return COMPRESSIONS[blob.compression].decompress(buffer).toString('utf-8');
+}
+
+// ============================================================================
+// MANIFESTS
+// ============================================================================
+
+/**
+ * Name of the manifest a new capture of a page is written to: the latest
+ * manifest of the date when it holds the same content, else the next free one
+ * @private
+ */
+function _manifestVersion(pageDir, date, contentHash) {
+  const sameDay = [];
+  for (const entry of fs.existsSync(pageDir) ? fs.readdirSync(pageDir) : []) {
+    const match = entry.match(MANIFEST_PATTERN);
+    if (match && match[1] === date) sameDay.push({ version: entry.slice(0, -'.json'.length), sequence: Number(match[2] || 1) });
+  }
+  if (sameDay.length === 0) return date;
+
+  sameDay.sort((a, b) => a.sequence - b.sequence);
+  const latest = sameDay[sameDay.length - 1];
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(pageDir, `${latest.version}.json`), 'utf-8'));
+    if (manifest.content_hash_sha256 === contentHash) return latest.version;
+  } catch (e) {
+    // An unreadable manifest is left alone
+  }
+  return `${date}.${latest.sequence + 1}`;
+}
+
+/**
+ * Save a page snapshot: content blobs plus a manifest for the snapshot date.
+ * A recapture with the same content replaces the day's latest manifest; new
+ * content on a day that already has a manifest gets the next numbered one.
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {Object} page
+ * @param {string} page.sourcePageId - Source page ID
+ * @param {string} page.url - Page URL
+ * @param {string} [page.html] - HTML content
+ * @param {string} page.markdown - Markdown content
+ * @param {string} [page.title] - Page title (kept so the page can be replayed offline)
+ * @param {Object} [options]
+ * @param {string} [options.compression] - Compression of new blobs (gzip or brotli)
+ * @param {Date} [options.now] - Crawl time (default: now)
+ * @param {string} [options.date] - Snapshot date (default: the date of the crawl time)
+ * @returns {{snapshotRef: string, contentHash: string, manifest: Object}}
+ *   snapshotRef: "snapshots/<source_page_id>/<version>", the version being the manifest name
+ */
+function saveSnapshotManifest(snapshotsDir, page, options = {}) {
+  const now = options.now || new Date();
+  const date = options.date || now.toISOString().split('T')[0];
+
+  const blobs = { markdown: writeBlob(snapshotsDir, page.markdown, options.compression) };
+  if (page.html) {
+    blobs.html = writeBlob(snapshotsDir, page.html, options.compression);
+  }
+
+  const manifest = {
+    canonical_url: page.url,
+    source_page_id: page.sourcePageId,
+    fetched_at: now.toISOString(),
+    content_hash_sha256: blobs.markdown.sha256,
+    snapshot_date: date,
+    blobs,
+  };
+  if (page.title) {
+    manifest.title = page.title;
+  }
+
+  const pageDir = path.join(snapshotsDir, page.sourcePageId);
+  const version = _manifestVersion(pageDir, date, manifest.content_hash_sha256);
+  ensureDir(pageDir);
+  fs.writeFileSync(path.join(pageDir, `${version}.json`), JSON.stringify(manifest, null, 2), 'utf-8');
+
+  return {
+    snapshotRef: `snapshots/${page.sourcePageId}/${version}`,
+    contentHash: manifest.content_hash_sha256,
+    manifest,
+  };
+}
+
+/**
+ * List the snapshots of a page, oldest first
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {string} sourcePageId - Source page ID
+ * @returns {{date: string, version: string, sequence: number, format: 'manifest'|'legacy', path: string}[]}
+ *   version: the manifest name (the date, or "<date>.<n>" for later versions of the same day)
+ */
+function listPageSnapshots(snapshotsDir, sourcePageId) {
+  const pageDir = path.join(snapshotsDir, sourcePageId);
+  if (!fs.existsSync(pageDir)) return [];
+
+  const byVersion = new Map();
+  for (const entry of fs.readdirSync(pageDir)) {
+    const manifestMatch = entry.match(MANIFEST_PATTERN);
+    if (manifestMatch) {
+      const version = entry.slice(0, -'.json'.length);
+      byVersion.set(version, {
+        date: manifestMatch[1], version, sequence: Number(manifestMatch[2] || 1), format: 'manifest', path: path.join(pageDir, entry),
+      });
+    } else if (DATE_PATTERN.test(entry) && !byVersion.has(entry) &&
+               fs.existsSync(path.join(pageDir, entry, 'meta.json')) && fs.existsSync(path.join(pageDir, entry, 'page.md'))) {
+      byVersion.set(entry, { date: entry, version: entry, sequence: 1, format: 'legacy', path: path.join(pageDir, entry) });
+    }
+  }
+  return [...byVersion.values()].sort((a, b) => a.date.localeCompare(b.date) || a.sequence - b.sequence);
+}
+
+/**
+ * List the source page IDs with snapshots
+ * @param {string} snapshotsDir - Snapshots directory
+ * @returns {string[]}
+ */
+function listSnapshotPages(snapshotsDir) {
+  if (!snapshotsDir || !fs.existsSync(snapshotsDir)) return [];
+  return fs.readdirSync(snapshotsDir).filter(entry => entry.startsWith('source.')).sort();
+}
+
+/**
+ * Read the metadata of a snapshot (a manifest, or meta.json of a legacy snapshot)
+ * @param {{format: string, path: string}} snapshot - Snapshot from listPageSnapshots
+ * @returns {Object}
+ */
+function readSnapshotMeta(snapshot) {
+  const metaPath = snapshot.format === 'manifest' ? snapshot.path : path.join(snapshot.path, 'meta.json');
+  return JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+}
+
+/**
+ * Read the content of a snapshot
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {{format: string, path: string}} snapshot - Snapshot from listPageSnapshots
+ * @returns {{meta: Object, markdown: string, html: string}}
+ */
+function readSnapshotContent(snapshotsDir, snapshot) {
+  const meta = readSnapshotMeta(snapshot);
+  if (snapshot.format === 'manifest') {
+    return {
+      meta,
+      markdown: readBlob(snapshotsDir, meta.blobs.markdown),
+      html: meta.blobs.html ? readBlob(snapshotsDir, meta.blobs.html) : '',
+    };
+  }
+  const htmlPath = path.join(snapshot.path, 'page.html');
+  return {
+    meta,
+    markdown: fs.readFileSync(path.join(snapshot.path, 'page.md'), 'utf-8'),
+    html: fs.existsSync(htmlPath) ? fs.readFileSync(htmlPath, 'utf-8') : '',
+  };
+}
+
+/**
+ * Find a snapshot of a page by date, version or content hash
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {string} sourcePageId - Source page ID
+ * @param {string} ref - Snapshot date (YYYY-MM-DD), version (YYYY-MM-DD.<n>) or content hash
+ *   (a prefix of at least 7 characters)
+ * @param {Object} [options]
+ * @param {boolean} [options.earliest] - For a date or hash, take the first snapshot with it (default: the latest)
+ * @returns {{date: string, version: string, sequence: number, format: string, path: string}|null}
+ */
+function findSnapshot(snapshotsDir, sourcePageId, ref, options = {}) {
+  const snapshots = listPageSnapshots(snapshotsDir, sourcePageId);
+  let matches;
+  if (DATE_PATTERN.test(ref)) {
+    matches = snapshots.filter(snapshot => snapshot.date === ref);
+  } else if (VERSION_PATTERN.test(ref)) {
+    return snapshots.find(snapshot => snapshot.version === ref) || null;
+  } else if (/^[a-f0-9]{7,64}$/i.test(ref)) {
+    matches = snapshots.filter((snapshot) => {
+      try {
+        return String(readSnapshotMeta(snapshot).content_hash_sha256 || '').startsWith(ref.toLowerCase());
+      } catch (e) {
+        return false;
+      }
+    });
+  } else {
+    return null;
+  }
+  if (matches.length === 0) return null;
+  return options.earliest ? matches[0] : matches[matches.length - 1];
+}
+
+/**
+ * Check if a page has a snapshot dated today
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {string} sourcePageId - Source page ID
+ * @param {Date} [now] - Current time (default: now)
+ * @returns {boolean}
+ */
+function hasSnapshotOn(snapshotsDir, sourcePageId, now) {
+  const date = now ? now.toISOString().split('T')[0] : getDateString();
+  return fs.existsSync(path.join(snapshotsDir, sourcePageId, `${date}.json`)) ||
+    fs.existsSync(path.join(snapshotsDir, sourcePageId, date, 'meta.json'));
+}
+
+/**
+ * Move legacy snapshot directories into the store (blobs plus manifests)
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {Object} [options]
+ * @param {string} [options.compression] - Compression of new blobs
+ * @param {boolean} [options.dryRun] - Only count the snapshots that would move
+ * @returns {{migrated: number, bytesBefore: number}}
+ */
+function migrateLegacySnapshots(snapshotsDir, options = {}) {
+  const result = { migrated: 0, bytesBefore: 0 };
+  for (const sourcePageId of listSnapshotPages(snapshotsDir)) {
+    for (const snapshot of listPageSnapshots(snapshotsDir, sourcePageId)) {
+      if (snapshot.format !== 'legacy') continue;
+      const files = fs.readdirSync(snapshot.path);
+      result.bytesBefore += files.reduce((sum, file) => sum + fs.statSync(path.join(snapshot.path, file)).size, 0);
+      result.migrated++;
+      if (options.dryRun) continue;
+
+      const { meta, markdown, html } = readSnapshotContent(snapshotsDir, snapshot);
+      saveSnapshotManifest(snapshotsDir, {
+        sourcePageId,
+        url: meta.canonical_url,
+        html,
+        markdown,
+        title: meta.title,
+      }, {
+        compression: options.compression,
+        now: meta.fetched_at ? new Date(meta.fetched_at) : new Date(`${snapshot.date}T00:00:00.000Z`),
+        date: snapshot.date,
+      });
+      fs.rmSync(snapshot.path, { recursive: true, force: true });
+    }
+  }
+  return result;
+}
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+/**
+ * Snapshots that claim citations depend on: for every citation, the latest
+ * snapshot of its source page taken on or before the citation was retrieved,
+ * and for every source page, the snapshot its snapshot_ref points at
+ * @param {Object} kb - KB data structure
+ * @returns {{refs: Set<string>, citations: Map<string, string[]>, contentHashes: Set<string>}}
+ *   refs: "<source_page_id>/<version>" of snapshots referenced by source pages;
+ *   citations: retrieval dates per source page; contentHashes: current page hashes
+ */
+function getCitationDependencies(kb) {
+  const refs = new Set();
+  const contentHashes = new Set();
+  for (const page of (kb && kb.source_pages) || []) {
+    const match = typeof page.snapshot_ref === 'string' && page.snapshot_ref.match(/^snapshots\/(.+)$/);
+    if (match) refs.add(match[1]);
+    if (page.content_hash) contentHashes.add(page.content_hash);
+  }
+
+  const citations = new Map();
+  for (const claim of (kb && kb.claims) || []) {
+    for (const citation of claim.citations || []) {
+      if (!citation.source_page_id) continue;
+      const date = (citation.retrieved_at || '').split('T')[0] || null;
+      if (!citations.has(citation.source_page_id)) citations.set(citation.source_page_id, []);
+      citations.get(citation.source_page_id).push(date);
+    }
+  }
+  return { refs, citations, contentHashes };
+}
+
+/**
+ * Decide which snapshots of a page the retention policy keeps
+ * @param {{date: string, version?: string, contentHash: string}[]} snapshots - Snapshots of one page, oldest first
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {Object} [options.policy] - Overrides of DEFAULT_RETENTION_POLICY
+ * @param {Set<string>} [options.pinnedDates] - Versions that must be kept (citation dependencies)
+ * @returns {Map<string, string>} - Kept version (the date, for snapshots without one) -> reason
+ *   (distinct_version, daily, monthly, cited)
+ */
+function selectRetainedSnapshots(snapshots, options) {
+  const policy = { ...DEFAULT_RETENTION_POLICY, ...(options.policy || {}) };
+  const pinned = options.pinnedDates || new Set();
+  const dailyCutoff = new Date(options.now.getTime() - policy.dailyDays * DAY_MS).toISOString().split('T')[0];
+  const kept = new Map();
+  const keep = (snapshot, reason) => {
+    const version = snapshot.version || snapshot.date;
+    if (!kept.has(version)) kept.set(version, reason);
+  };
+
+  for (const snapshot of snapshots) {
+    if (pinned.has(snapshot.version || snapshot.date)) keep(snapshot, 'cited');
+  }
+
+  if (policy.keepDistinctVersions) {
+    const seen = new Set();
+    for (const snapshot of snapshots) {
+      if (seen.has(snapshot.contentHash)) continue;
+      seen.add(snapshot.contentHash);
+      keep(snapshot, 'distinct_version');
+    }
+  }
+
+  const lastOfMonth = new Map();
+  for (const snapshot of snapshots) {
+    if (snapshot.date >= dailyCutoff) {
+      keep(snapshot, 'daily');
+    } else {
+      lastOfMonth.set(snapshot.date.slice(0, 7), snapshot);
+    }
+  }
+  if (policy.monthly) {
+    for (const snapshot of lastOfMonth.values()) keep(snapshot, 'monthly');
+  }
+
+  // The latest snapshot is what the KB currently describes
+  if (snapshots.length > 0) keep(snapshots[snapshots.length - 1], 'latest');
+
+  return kept;
+}
+
+/**
+ * Versions of the snapshots of a page that citations depend on
+ * @private
+ */
+function _pinnedDates(sourcePageId, snapshots, dependencies) {
+  const pinned = new Set();
+  for (const snapshot of snapshots) {
+    if (dependencies.refs.has(`${sourcePageId}/${snapshot.version}`)) pinned.add(snapshot.version);
+  }
+  for (const retrievedOn of dependencies.citations.get(sourcePageId) || []) {
+    if (!retrievedOn) continue;
+    const before = snapshots.filter(snapshot => snapshot.date <= retrievedOn);
+    if (before.length > 0) pinned.add(before[before.length - 1].version);
+  }
+  return pinned;
+}
+
+/**
+ * Prune the snapshot store: delete manifests the retention policy does not
+ * keep, then every blob no remaining manifest points at. Snapshots that claim
+ * citations depend on, and blobs holding the current content of a source page,
+ * are never deleted. Legacy snapshot directories are left alone (migrate them
+ * first).
+ *
+ * @param {string} snapshotsDir - Snapshots directory
+ * @param {Object} [options]
+ * @param {Object} [options.kb] - KB data structure (citations to protect)
+ * @param {Object} [options.policy] - Overrides of DEFAULT_RETENTION_POLICY
+ * @param {Date} [options.now] - Current time (default: now)
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @returns {Object} - Result: counters, deleted manifests and blobs
+ */
+function pruneSnapshots(snapshotsDir, options = {}) {
+  const now = options.now || new Date();
+  const dependencies = getCitationDependencies(options.kb);
+  const result = {
+    pages: 0,
+    manifests_kept: 0,
+    manifests_deleted: 0,
+    legacy_snapshots: 0,
+    blobs_kept: 0,
+    blobs_deleted: 0,
+    bytes_freed: 0,
+    kept_by_reason: {},
+    deleted_manifests: [],
+    deleted_blobs: [],
+  };
+
+  // Manifests to keep, and the blobs they point at
+  const referencedBlobs = new Set();
+  for (const sourcePageId of listSnapshotPages(snapshotsDir)) {
+    result.pages++;
+    const snapshots = [];
+    for (const snapshot of listPageSnapshots(snapshotsDir, sourcePageId)) {
+      if (snapshot.format === 'legacy') {
+        result.legacy_snapshots++;
+        continue;
+      }
+      try {
+        const manifest = readSnapshotMeta(snapshot);
+        snapshots.push({ ...snapshot, contentHash: manifest.content_hash_sha256, manifest });
+      } catch (e) {
+        // Unreadable manifests are kept for inspection
+      }
+    }
+
+    const kept = selectRetainedSnapshots(snapshots, {
+      now,
+      policy: options.policy,
+      pinnedDates: _pinnedDates(sourcePageId, snapshots, dependencies),
+    });
+    for (const snapshot of snapshots) {
+      const reason = kept.get(snapshot.version);
+      if (reason) {
+        result.manifests_kept++;
+        result.kept_by_reason[reason] = (result.kept_by_reason[reason] || 0) + 1;
+        for (const blob of Object.values(snapshot.manifest.blobs || {})) referencedBlobs.add(blob.sha256);
+        continue;
+      }
+      result.manifests_deleted++;
+      result.deleted_manifests.push(`${sourcePageId}/${snapshot.version}`);
+      if (!options.dryRun) fs.unlinkSync(snapshot.path);
+    }
+  }
+
+  // Blobs no kept manifest points at, except the current content of a source page
+  const blobsDir = path.join(snapshotsDir, BLOBS_DIR);
+  if (fs.existsSync(blobsDir)) {
+    for (const prefix of fs.readdirSync(blobsDir).sort()) {
+      const prefixDir = path.join(blobsDir, prefix);
+      // Stray files next to the prefix directories are not blobs
+      if (!fs.statSync(prefixDir).isDirectory()) continue;
+      for (const file of fs.readdirSync(prefixDir).sort()) {
+        const hash = file.split('.')[0];
+        if (referencedBlobs.has(hash) || dependencies.contentHashes.has(hash)) {
+          result.blobs_kept++;
+          continue;
+        }
+        const filePath = path.join(prefixDir, file);
+        result.blobs_deleted++;
+        result.bytes_freed += fs.statSync(filePath).size;
+        result.deleted_blobs.push(hash);
+        if (!options.dryRun) fs.unlinkSync(filePath);
+      }
+      if (!options.dryRun && fs.readdirSync(prefixDir).length === 0) fs.rmdirSync(prefixDir);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  COMPRESSIONS,
+  DEFAULT_COMPRESSION,
+  DEFAULT_RETENTION_POLICY,
+  getBlobPath,
+  findBlob,
+  writeBlob,
+  readBlob,
+  saveSnapshotManifest,
+  listPageSnapshots,
+  listSnapshotPages,
+  readSnapshotMeta,
+  readSnapshotContent,
+  findSnapshot,
+  hasSnapshotOn,
+  migrateLegacySnapshots,
+  getCitationDependencies,
+  selectRetainedSnapshots,
+  pruneSnapshots,
+};
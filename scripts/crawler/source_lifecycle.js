@@ -0,0 +1,294 @@
+/**
+ * Source Page Lifecycle Module
+ *
+ * Tracks whether the known source pages of a domain still exist:
+ *
+ *   active ──► missing ──► removed
+ *     ▲           │           │
+ *     └───────────┴───────────┘  (scraped again)
+ *
+ * A page goes `missing` as soon as it returns 404/410, or after it has
+ * redirected to another page or dropped out of both the site map and the
+ * sitemaps for `missingAfterRuns` runs in a row (a start URL that redirects to
+ * /home once is not gone). A missing page that still fails after
+ * `removeAfterDays` is `removed`, and the claims whose only citations point at
+ * removed pages are `deprecated`. When a page is scraped again, the claims it
+ * took down get their previous status back. Every transition is written to
+ * the audit log.
+ *
+ * @module crawler/source_lifecycle
+ */
+
+'use strict';
+
+const { canonicalizeUrl } = require('./canonical_url');
+const { getErrorStatus } = require('./politeness');
+const { generateSourcePageId } = require('./utils');
+const {
+  createSourceChangeEntry,
+  createClaimInvalidationEntry,
+  appendToAuditLog,
+  scriptActor,
+} = require('../../kb/audit_log');
+
+const SCRIPT_ACTOR = scriptActor('source_lifecycle.js');
+
+// Statuses this module moves source pages between (others, e.g. archived, are left alone)
+const LIFECYCLE_STATUSES = ['active', 'missing', 'removed'];
+
+// Why a page may be gone
+const REMOVAL_SIGNALS = ['not_found', 'redirected', 'not_listed'];
+
+// HTTP statuses that mean the page is gone
+const GONE_STATUS_CODES = [404, 410];
+
+// Signals that only make a page missing after `missingAfterRuns` runs in a row
+const REPEATED_SIGNALS = ['redirected', 'not_listed'];
+
+// Grace periods (overridden by --missing-after-runs / --remove-after-days)
+const DEFAULT_LIFECYCLE_OPTIONS = Object.freeze({
+  missingAfterRuns: 3,  // runs a page may redirect elsewhere or be absent from map and sitemaps before it is missing
+  removeAfterDays: 30,  // days a page stays missing before it is removed
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// SIGNALS
+// ============================================================================
+
+/**
+ * Check whether a source page is still expected to exist (crawled, revisited)
+ * @param {Object} sourcePage - KB source page
+ * @returns {boolean}
+ */
+function isTrackedSourcePage(sourcePage) {
+  return !sourcePage.status || sourcePage.status === 'active' || sourcePage.status === 'missing';
+}
+
+/**
+ * Detect whether a scrape says its page is gone: a 404/410 response or error,
+ * or a redirect to another page (Firecrawl reports the final URL in metadata.url)
+ * @param {string} pageUrl - Requested URL
+ * @param {Object|null} scrapeResult - Scrape result
+ * @param {Error} [error] - Scrape error
+ * @returns {{reason: string, status_code?: number, redirected_to?: string}|null}
+ */
+function detectRemovalSignal(pageUrl, scrapeResult, error = null) {
+  const metadata = (scrapeResult && scrapeResult.metadata) || {};
+  const status = error ? getErrorStatus(error) : metadata.statusCode;
+  if (GONE_STATUS_CODES.includes(status)) {
+    return { reason: 'not_found', status_code: status };
+  }
+
+  const finalUrl = !error && metadata.url ? canonicalizeUrl(metadata.url) : null;
+  if (finalUrl && finalUrl !== canonicalizeUrl(pageUrl)) {
+    return { reason: 'redirected', redirected_to: finalUrl };
+  }
+  return null;
+}
+
+/**
+ * Source page ID a scraped URL stood for before canonical resolution
+ * (removal signals are recorded under it)
+ * @param {string} pageUrl - Requested URL
+ * @returns {string}
+ */
+function getRequestedSourcePageId(pageUrl) {
+  return generateSourcePageId(canonicalizeUrl(pageUrl) || pageUrl);
+}
+
+/**
+ * Check whether a source page was listed by the site map or a sitemap
+ * @param {Object} sourcePage - KB source page
+ * @param {Set<string>} listedUrls - Canonical URLs of the listing
+ * @returns {boolean}
+ */
+function isListed(sourcePage, listedUrls) {
+  return [sourcePage.canonical_url, ...(sourcePage.alias_urls || [])]
+    .some(url => listedUrls.has(canonicalizeUrl(url) || url));
+}
+
+// ============================================================================
+// TRANSITIONS
+// ============================================================================
+
+/**
+ * Deprecate the claims whose citations all point at removed source pages
+ * @param {Object} kb - KB data structure (claims are modified)
+ * @param {string[]} sourcePageIds - Source pages just removed
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {string[]} - IDs of the deprecated claims
+ */
+function deprecateClaimsOfRemovedPages(kb, sourcePageIds, timestamp) {
+  const removed = new Set(sourcePageIds);
+  const statusById = new Map(kb.source_pages.map(sp => [sp.source_page_id, sp.status]));
+  const deprecated = [];
+
+  for (const claim of kb.claims || []) {
+    const cited = (claim.citations || []).map(c => c.source_page_id);
+    if (claim.status === 'deprecated' || !cited.some(id => removed.has(id))) continue;
+    if (!cited.every(id => statusById.get(id) === 'removed')) continue;
+
+    claim.previous_status = claim.status;
+    claim.status = 'deprecated';
+    claim.deprecated_at = timestamp;
+    claim.deprecated_reason = 'source_removed';
+    deprecated.push(claim.claim_id);
+  }
+  return deprecated;
+}
+
+/**
+ * Give the claims deprecated with their removed source pages their previous
+ * status back once one of those pages is active again
+ * @param {Object} kb - KB data structure (claims are modified)
+ * @param {string[]} sourcePageIds - Source pages just reactivated
+ * @returns {Object[]} - Restored claims ({claimId, statusTo})
+ */
+function restoreClaimsOfReactivatedPages(kb, sourcePageIds) {
+  const reactivated = new Set(sourcePageIds);
+  const restored = [];
+
+  for (const claim of kb.claims || []) {
+    if (claim.status !== 'deprecated' || claim.deprecated_reason !== 'source_removed') continue;
+    if (!(claim.citations || []).some(c => reactivated.has(c.source_page_id))) continue;
+
+    claim.status = claim.previous_status || 'unverified';
+    claim.previous_status = 'deprecated';
+    delete claim.deprecated_at;
+    delete claim.deprecated_reason;
+    restored.push({ claimId: claim.claim_id, statusTo: claim.status });
+  }
+  return restored;
+}
+
+/**
+ * Apply what one crawl of a domain observed to the lifecycle of its source pages.
+ *
+ * @param {Object} kb - KB data structure (source pages, claims and audit_log are modified)
+ * @param {Object[]} sourcePages - Known source pages of the domain
+ * @param {Object} observations
+ * @param {Set<string>} observations.seen - Source pages scraped with content at their own URL
+ * @param {Map<string, Object>} observations.signals - Source page ID -> removal signal (detectRemovalSignal)
+ * @param {Set<string>|null} observations.listedUrls - Canonical URLs of a complete site map + sitemap
+ *   listing (null when discovery did not run or may have missed pages)
+ * @param {Object} [options]
+ * @param {number} [options.missingAfterRuns] - Redirected or unlisted runs before a page is missing
+ * @param {number} [options.removeAfterDays] - Days a page stays missing before it is removed
+ * @param {Date} [options.now] - Current time
+ * @param {string} [options.actor] - Audit log actor (default: script:source_lifecycle.js)
+ * @returns {{missing: string[], removed: string[], reactivated: string[], deprecatedClaims: string[], restoredClaims: string[]}}
+ */
+function updateSourceLifecycle(kb, sourcePages, observations, options = {}) {
+  const { missingAfterRuns, removeAfterDays } = { ...DEFAULT_LIFECYCLE_OPTIONS, ...options };
+  const now = options.now || new Date();
+  const timestamp = now.toISOString();
+  const result = { missing: [], removed: [], reactivated: [], deprecatedClaims: [], restoredClaims: [] };
+  const reasons = {};
+
+  for (const sourcePage of sourcePages) {
+    if (sourcePage.status && !LIFECYCLE_STATUSES.includes(sourcePage.status)) continue;
+    const id = sourcePage.source_page_id;
+    const status = sourcePage.status || 'active';
+    const listed = observations.listedUrls ? isListed(sourcePage, observations.listedUrls) : null;
+    let signal = observations.signals.get(id) || null;
+
+    // Scraped again (or back in the listing it had dropped out of)
+    const back = observations.seen.has(id) ||
+      (!signal && listed === true && sourcePage.lifecycle && sourcePage.lifecycle.reason === 'not_listed');
+    if (back) {
+      if (status !== 'active') result.reactivated.push(id);
+      sourcePage.status = 'active';
+      delete sourcePage.lifecycle;
+      continue;
+    }
+
+    if (!signal && listed === false) {
+      signal = { reason: 'not_listed' };
+    }
+    if (!signal) {
+      // Listed but not scraped this run: nothing is known (a redirect streak goes on)
+      continue;
+    }
+
+    const lifecycle = sourcePage.lifecycle || { first_signal_at: timestamp, signal_runs: 0 };
+    const { reason, ...details } = signal;
+    const repeated = REPEATED_SIGNALS.includes(reason);
+    const streak = lifecycle.reason === reason ? lifecycle.signal_runs || 0 : 0;
+    lifecycle.signal_runs = repeated ? streak + 1 : 0;
+    lifecycle.reason = reason;
+    delete lifecycle.status_code;
+    delete lifecycle.redirected_to;
+    Object.assign(lifecycle, details);
+    lifecycle.last_signal_at = timestamp;
+    sourcePage.lifecycle = lifecycle;
+
+    if (status === 'active' && (!repeated || lifecycle.signal_runs >= missingAfterRuns)) {
+      sourcePage.status = 'missing';
+      lifecycle.missing_since = timestamp;
+      result.missing.push(id);
+      reasons[id] = reason;
+    } else if (status === 'missing' && now - new Date(lifecycle.missing_since || timestamp) >= removeAfterDays * DAY_MS) {
+      sourcePage.status = 'removed';
+      lifecycle.removed_at = timestamp;
+      result.removed.push(id);
+      reasons[id] = reason;
+    }
+  }
+
+  result.deprecatedClaims = deprecateClaimsOfRemovedPages(kb, result.removed, timestamp);
+  const restored = restoreClaimsOfReactivatedPages(kb, result.reactivated);
+  result.restoredClaims = restored.map(r => r.claimId);
+
+  // Audit: one source_change event per new status, one claim_invalidation for the deprecations
+  const actor = options.actor || SCRIPT_ACTOR;
+  const describe = (ids) => [...new Set(ids.map(id => reasons[id]))].join(', ');
+  const transitions = [
+    ['missing', result.missing, (ids) => `${ids.length} source page(s) missing (${describe(ids)})`],
+    ['removed', result.removed, (ids) => `${ids.length} source page(s) removed after ${removeAfterDays} days missing (${describe(ids)})`],
+    ['active', result.reactivated, (ids) => `${ids.length} missing or removed source page(s) found again`],
+  ];
+  for (const [statusTo, ids, description] of transitions) {
+    if (ids.length === 0) continue;
+    appendToAuditLog(kb, createSourceChangeEntry({
+      sourcePageIds: ids, actor, description: description(ids), metadata: { status_to: statusTo }, timestamp,
+    }));
+  }
+  if (result.deprecatedClaims.length > 0) {
+    appendToAuditLog(kb, createClaimInvalidationEntry({
+      claimIds: result.deprecatedClaims,
+      sourcePageIds: result.removed,
+      actor,
+      description: `${result.deprecatedClaims.length} claim(s) deprecated: all their source pages were removed`,
+      metadata: { status_to: 'deprecated' },
+      timestamp,
+    }));
+  }
+  for (const statusTo of new Set(restored.map(r => r.statusTo))) {
+    const claimIds = restored.filter(r => r.statusTo === statusTo).map(r => r.claimId);
+    appendToAuditLog(kb, createClaimInvalidationEntry({
+      claimIds,
+      sourcePageIds: result.reactivated,
+      actor,
+      description: `${claimIds.length} claim(s) restored from deprecated: a removed source page was found again`,
+      metadata: { status_to: statusTo },
+      timestamp,
+    }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  LIFECYCLE_STATUSES,
+  REMOVAL_SIGNALS,
+  GONE_STATUS_CODES,
+  DEFAULT_LIFECYCLE_OPTIONS,
+  isTrackedSourcePage,
+  detectRemovalSignal,
+  getRequestedSourcePageId,
+  deprecateClaimsOfRemovedPages,
+  restoreClaimsOfReactivatedPages,
+  updateSourceLifecycle,
+};
@@ -0,0 +1,144 @@
+/**
+ * Stale Claims Recrawl Module
+ *
+ * Plans the `--refresh stale-claims` crawl: finds the claims that need fresh
+ * evidence (stale, or unverified for too long), resolves them to the source
+ * pages they cite through the claims_by_source_page index
+ * (kb/index_builder.js) and lists exactly those pages for a recrawl, across
+ * whatever domains they belong to.
+ *
+ * @module crawler/stale_claims
+ */
+
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unverified claims are recrawled once their evidence is older than this (days)
+const DEFAULT_CLAIM_AGE_DAYS = 30;
+
+// ============================================================================
+// CLAIM SELECTION
+// ============================================================================
+
+/**
+ * Age of a claim's evidence in days: since last_verified_at, or the newest
+ * citation retrieved_at when it was never verified
+ * @param {Object} claim - KB claim
+ * @param {number} now - Current time (epoch ms)
+ * @returns {number} - Age in days (Infinity when the claim has no timestamp)
+ */
+function getClaimAgeDays(claim, now) {
+  let timestamp = claim.last_verified_at || null;
+  if (!timestamp) {
+    for (const citation of claim.citations || []) {
+      if (citation.retrieved_at && (!timestamp || citation.retrieved_at > timestamp)) {
+        timestamp = citation.retrieved_at;
+      }
+    }
+  }
+  if (!timestamp) return Infinity;
+  return Math.max(0, (now - new Date(timestamp).getTime()) / DAY_MS);
+}
+
+/**
+ * Select the claims whose evidence should be re-gathered.
+ * Stale claims always qualify (their source already changed); unverified
+ * claims qualify once their evidence is older than maxAgeDays.
+ *
+ * @param {Object} kb - KB data structure
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeDays] - Age after which unverified claims qualify
+ * @param {Date|number} [options.now] - Current time
+ * @returns {Object[]} - { claim_id, status, age_days }
+ */
+function selectClaimsForRecrawl(kb, options = {}) {
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  const maxAgeDays = Number.isFinite(options.maxAgeDays) ? options.maxAgeDays : DEFAULT_CLAIM_AGE_DAYS;
+
+  const selected = [];
+  for (const claim of kb.claims || []) {
+    if (claim.status !== 'stale' && claim.status !== 'unverified') continue;
+
+    const ageDays = getClaimAgeDays(claim, now);
+    if (claim.status === 'unverified' && ageDays < maxAgeDays) continue;
+
+    selected.push({
+      claim_id: claim.claim_id,
+      status: claim.status,
+      age_days: Number.isFinite(ageDays) ? Math.round(ageDays * 10) / 10 : null,
+    });
+  }
+  return selected;
+}
+
+// ============================================================================
+// RECRAWL PLANNING
+// ============================================================================
+
+/**
+ * Plan a `--refresh stale-claims` crawl: the source pages cited by the
+ * selected claims, pages backing the most stale claims first, capped by a budget.
+ *
+ * @param {Object} kb - KB data structure
+ * @param {Object} claimsBySourcePage - Index { source_page_id: [claim_id] } (IndexBuilder output)
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeDays] - Age after which unverified claims qualify
+ * @param {Function} [options.includePage] - (sourcePage) => boolean, e.g. to restrict to --domain
+ * @param {number|null} [options.budget] - Max pages to scrape (null = no cap)
+ * @param {Date|number} [options.now] - Current time
+ * @returns {{claims: Object[], pages: Object[], scheduled: Object[], deferred: Object[], unresolved: string[], excluded: number}}
+ */
+function planStaleClaimRecrawl(kb, claimsBySourcePage, options = {}) {
+  const includePage = options.includePage || (() => true);
+  const claims = selectClaimsForRecrawl(kb, options);
+  const statusById = new Map(claims.map(c => [c.claim_id, c.status]));
+
+  const sourcePagesById = new Map((kb.source_pages || []).map(sp => [sp.source_page_id, sp]));
+  const pages = [];
+  const unresolved = [];
+  let excluded = 0;
+
+  for (const [sourcePageId, claimIds] of Object.entries(claimsBySourcePage || {})) {
+    const affected = claimIds.filter(id => statusById.has(id));
+    if (affected.length === 0) continue;
+
+    // Citations of source pages missing from the KB cannot be recrawled
+    const sourcePage = sourcePagesById.get(sourcePageId);
+    if (!sourcePage || !sourcePage.canonical_url) {
+      unresolved.push(sourcePageId);
+      continue;
+    }
+    if (!includePage(sourcePage)) {
+      excluded++;
+      continue;
+    }
+
+    pages.push({
+      source_page_id: sourcePageId,
+      url: sourcePage.canonical_url,
+      claim_ids: affected,
+      stale_claims: affected.filter(id => statusById.get(id) === 'stale').length,
+    });
+  }
+
+  // Pages with the most stale claims first, then the most claims overall
+  pages.sort((a, b) => b.stale_claims - a.stale_claims || b.claim_ids.length - a.claim_ids.length || a.url.localeCompare(b.url));
+
+  const budget = Number.isInteger(options.budget) && options.budget >= 0 ? options.budget : pages.length;
+  return {
+    claims,
+    pages,
+    scheduled: pages.slice(0, budget),
+    deferred: pages.slice(budget),
+    unresolved,
+    excluded,
+  };
+}
+
+module.exports = {
+  DEFAULT_CLAIM_AGE_DAYS,
+  getClaimAgeDays,
+  selectClaimsForRecrawl,
+  planStaleClaimRecrawl,
+};
@@ -161,10 +161,11 @@ function ensureDir(dirPath) {
 
 /**
  * Get current date as ISO string (YYYY-MM-DD)
+ * @param {Date} [date] - Date to format (default: now)
  * @returns {string} - Date string in YYYY-MM-DD format
  */
-function getDateString() {
-  return new Date().toISOString().split('T')[0];
+function getDateString(date = new Date()) {
+  return date.toISOString().split('T')[0];
 }
 
 // ============================================================================
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Detect Contradicting Claims
+ *
+ * Compares the fee, processing time and step claims of each service
+ * (scripts/crawler/contradiction_detector.js), marks the claims whose values
+ * contradict claims from other sources or dates `contradicted`, and writes a
+ * review report of every conflict to kb/runs/<date>/contradictions.json.
+ *
+ * Usage:
+ *   node scripts/detect_contradictions.js [--kb <path>] [--service <svc.id>] [--type fee|processing_time|step]
+ *     [--report <file>] [--dry-run]
+ *
+ *   --service, --type   Only compare these claims (repeatable)
+ *   --dry-run           Write the report but leave the KB unchanged
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { ensureDir, getDateString } = require('./crawler/utils');
+const { saveKB } = require('./crawler/kb_writer');
+const {
+  CONTRADICTION_CLAIM_TYPES,
+  detectContradictions,
+  markContradictions,
+  buildContradictionReport,
+} = require('./crawler/contradiction_detector');
+
+const DEFAULT_PATHS = {
+  kbPath: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v3.json'),
+  runsDir: path.join(__dirname, '..', 'kb', 'runs'),
+};
+
+const USAGE = 'Usage: node scripts/detect_contradictions.js [--kb <path>] [--service <svc.id>] [--type fee|processing_time|step] [--report <file>] [--dry-run]';
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { ...DEFAULT_PATHS, reportPath: null, serviceIds: null, claimTypes: null, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--kb':
+        options.kbPath = args[++i];
+        break;
+      case '--service':
+        options.serviceIds = [...(options.serviceIds || []), args[++i]];
+        break;
+      case '--type':
+        options.claimTypes = [...(options.claimTypes || []), args[++i]];
+        break;
+      case '--report':
+        options.reportPath = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs();
+
+  const unknownType = (options.claimTypes || []).find(type => !CONTRADICTION_CLAIM_TYPES.includes(type));
+  if (unknownType) {
+    console.error(`ERROR: --type must be one of ${CONTRADICTION_CLAIM_TYPES.join(', ')} (got ${unknownType})`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(options.kbPath)) {
+    console.error(`ERROR: KB file not found: ${options.kbPath}`);
+    process.exit(1);
+  }
+  const kb = JSON.parse(fs.readFileSync(options.kbPath, 'utf-8'));
+
+  const detection = detectContradictions(kb.claims, { serviceIds: options.serviceIds, claimTypes: options.claimTypes });
+  const marked = options.dryRun ? [] : markContradictions(kb, detection);
+  const report = buildContradictionReport(kb, detection, marked);
+
+  const reportPath = options.reportPath || path.join(options.runsDir, getDateString(), 'contradictions.json');
+  ensureDir(path.dirname(reportPath));
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+
+  console.log(`\n⚖️  Contradictions: ${report.summary.conflicts} (${report.summary.conflicts_in_guides} shown in a guide)`);
+  console.log(`   Claims compared:        ${report.summary.claims_checked}`);
+  console.log(`   Claims not comparable:  ${report.summary.claims_not_comparable}`);
+  console.log(`   Claims contradicted:    ${report.summary.claims_contradicted} (${report.summary.claims_newly_marked} newly marked)`);
+  for (const conflict of report.conflicts) {
+    const values = conflict.values.map(value => (typeof value === 'number' ? value.toLocaleString('en-US') : `"${value}"`));
+    console.log(`\n   ${conflict.conflict_key}`);
+    console.log(`     Values:   ${values.join(' | ')}`);
+    for (const reading of conflict.readings) {
+      console.log(`     ${reading.retrieved_on}  ${reading.canonical_url || reading.source_page_id}  (${reading.claim_ids.length} claim(s))`);
+    }
+  }
+  console.log(`\n📋 Review report saved to: ${reportPath}`);
+
+  if (options.dryRun) {
+    console.log('🔍 Dry run: KB unchanged');
+  } else if (marked.length > 0) {
+    saveKB(kb, options.kbPath);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Diff Two Snapshots of a Source Page
+ *
+ * Prints a line- and heading-aware markdown diff between two snapshots of a
+ * source page, and the claims whose quoted_text disappeared or changed
+ * (scripts/crawler/snapshot_diff.js). Snapshots are picked by date, by content
+ * hash, or by a change_log entry of the page (default: its latest change).
+ * With --save, the diff summary is stored on the matching change_log entry.
+ *
+ * Usage:
+ *   node scripts/diff_snapshots.js <source_page_id|url> [<from> <to>] [--change <n>]
+ *     [--kb <path>] [--snapshots <dir>] [--json] [--save]
+ *
+ *   <from>, <to>   Snapshot dates (YYYY-MM-DD) or content hashes (7+ hex characters)
+ *   --change <n>   Diff the n-th change_log entry of the page (1 = oldest, default: latest)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { generateSourcePageId } = require('./crawler/utils');
+const { canonicalizeUrl } = require('./crawler/canonical_url');
+const { findSnapshot, readSnapshotContent } = require('./crawler/snapshot_store');
+const { diffSnapshots, summarizeSnapshotDiff, formatSnapshotDiff } = require('./crawler/snapshot_diff');
+const { saveKB } = require('./crawler/kb_writer');
+
+const DEFAULT_PATHS = {
+  kbPath: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v3.json'),
+  snapshotsDir: path.join(__dirname, '..', 'kb', 'snapshots'),
+};
+
+const USAGE = 'Usage: node scripts/diff_snapshots.js <source_page_id|url> [<from> <to>] [--change <n>] [--kb <path>] [--snapshots <dir>] [--json] [--save]';
+
+// ============================================================================
+// SNAPSHOT SELECTION
+// ============================================================================
+
+/**
+ * Pick the two snapshots to diff, and the change_log entry they belong to
+ * @param {Object} sourcePage - KB source page
+ * @param {Object} options - CLI options
+ * @returns {{before: Object, after: Object, entry: Object|null}} - Snapshots and change_log entry
+ */
+function selectSnapshots(sourcePage, options) {
+  const sourcePageId = sourcePage.source_page_id;
+  const changeLog = sourcePage.change_log || [];
+
+  if (options.refs.length === 2) {
+    const before = findSnapshot(options.snapshotsDir, sourcePageId, options.refs[0]);
+    const after = findSnapshot(options.snapshotsDir, sourcePageId, options.refs[1], { earliest: true });
+    if (!before || !after) {
+      throw new Error(`No snapshot of ${sourcePageId} for ${!before ? options.refs[0] : options.refs[1]}`);
+    }
+    return { before, after, entry: null };
+  }
+
+  if (changeLog.length === 0) {
+    throw new Error(`${sourcePageId} has no change_log entries (pass two snapshot dates or hashes)`);
+  }
+  const position = options.change === null ? changeLog.length : options.change;
+  const entry = changeLog[position - 1];
+  if (!entry) {
+    throw new Error(`${sourcePageId} has ${changeLog.length} change_log entries, not ${position}`);
+  }
+  // The last capture of the old content against the first capture of the new one
+  const before = findSnapshot(options.snapshotsDir, sourcePageId, entry.hash_before);
+  const after = findSnapshot(options.snapshotsDir, sourcePageId, entry.hash_after, { earliest: true });
+  if (!before || !after) {
+    throw new Error(`No snapshot of ${sourcePageId} with hash ${!before ? entry.hash_before : entry.hash_after} (pruned, or captured before snapshots were kept)`);
+  }
+  return { before, after, entry };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { ...DEFAULT_PATHS, page: null, refs: [], change: null, json: false, save: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--kb':
+        options.kbPath = args[++i];
+        break;
+      case '--snapshots':
+        options.snapshotsDir = args[++i];
+        break;
+      case '--change':
+        options.change = Math.max(1, parseInt(args[++i], 10) || 1);
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--save':
+        options.save = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (options.page === null) {
+          options.page = args[i];
+        } else {
+          options.refs.push(args[i]);
+        }
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs();
+  if (!options.page || (options.refs.length !== 0 && options.refs.length !== 2)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!fs.existsSync(options.kbPath)) {
+    console.error(`ERROR: KB file not found: ${options.kbPath}`);
+    process.exit(1);
+  }
+
+  const kb = JSON.parse(fs.readFileSync(options.kbPath, 'utf-8'));
+  const sourcePageId = options.page.startsWith('source.')
+    ? options.page
+    : generateSourcePageId(canonicalizeUrl(options.page) || options.page);
+  const sourcePage = (kb.source_pages || []).find(sp => sp.source_page_id === sourcePageId);
+  if (!sourcePage) {
+    console.error(`ERROR: Source page not found: ${options.page}`);
+    process.exit(1);
+  }
+
+  let selection;
+  try {
+    selection = selectSnapshots(sourcePage, options);
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { before, after } = selection;
+  const beforeContent = readSnapshotContent(options.snapshotsDir, before);
+  const afterContent = readSnapshotContent(options.snapshotsDir, after);
+  const diff = diffSnapshots(
+    { markdown: beforeContent.markdown, date: before.date, hash: beforeContent.meta.content_hash_sha256 },
+    { markdown: afterContent.markdown, date: after.date, hash: afterContent.meta.content_hash_sha256 },
+    { sourcePageId, claims: kb.claims }
+  );
+
+  console.log(options.json ? JSON.stringify(diff, null, 2) : formatSnapshotDiff(diff));
+
+  if (options.save) {
+    // Explicit snapshots are saved on the change_log entry between their hashes, if any
+    const entry = selection.entry || (sourcePage.change_log || []).find(e =>
+      e.hash_before === diff.before.hash && e.hash_after === diff.after.hash);
+    if (!entry) {
+      console.error('⚠️  No change_log entry between these snapshots, summary not saved');
+      process.exit(1);
+    }
+    entry.diff_summary = summarizeSnapshotDiff(diff);
+    console.error(`📝 Diff summary stored on the change_log entry of ${entry.detected_at}`);
+    saveKB(kb, options.kbPath);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  selectSnapshots,
+};
@@ -28,10 +28,16 @@ const {
   getMimeType,
   MIME_TYPES,
 } = require('./crawler/utils');
+const { canonicalizeUrl } = require('./crawler/canonical_url');
 
 // Firecrawl MCP integration
 const firecrawlMcp = require('./firecrawl_mcp');
 
+// Structured logging
+const { getLogger, startTimer } = require('./crawler/logger');
+
+const log = getLogger('document_harvester');
+
 // ============================================================================
 // OPTIONAL DEPENDENCY LOADER
 // ============================================================================
@@ -58,10 +64,17 @@ const pdfParse = optionalRequire('pdf-parse');
 const mammoth = optionalRequire('mammoth');
 const XLSX = optionalRequire('xlsx');
 
-// Log optional dependency status at load time
-if (!pdfParse) console.log('ℹ️  pdf-parse not installed (PDF text extraction disabled)');
-if (!mammoth) console.log('ℹ️  mammoth not installed (Word text extraction disabled)');
-if (!XLSX) console.log('ℹ️  xlsx not installed (Excel text extraction disabled)');
+// Missing optional dependencies are logged once, on the first extraction
+// (not at require time, before the run has configured its logger)
+let dependenciesReported = false;
+
+function reportMissingDependencies() {
+  if (dependenciesReported) return;
+  dependenciesReported = true;
+  if (!pdfParse) log.info('document.dependency_missing', 'ℹ️  pdf-parse not installed (PDF text extraction disabled)', { dependency: 'pdf-parse' });
+  if (!mammoth) log.info('document.dependency_missing', 'ℹ️  mammoth not installed (Word text extraction disabled)', { dependency: 'mammoth' });
+  if (!XLSX) log.info('document.dependency_missing', 'ℹ️  xlsx not installed (Excel text extraction disabled)', { dependency: 'xlsx' });
+}
 
 // ============================================================================
 // CONFIGURATION
@@ -112,15 +125,18 @@ function getExtension(url) {
  * @param {string} url - The URL to download from
  * @param {Object} [options] - Download options
  * @param {boolean} [options.allowHttpFallback] - Override global HTTP fallback setting
+ * @param {Function} [options.fetchBinary] - Binary fetcher to use instead of firecrawl_mcp.fetchBinary
  * @returns {Promise<DownloadResult>} - The downloaded file with fetch method
  * @throws {FirecrawlUnavailableError} if Firecrawl required but unavailable
  * @throws {HttpDownloadNotAllowedError} if HTTP fallback needed but not allowed
  */
 async function downloadFile(url, options = {}) {
-  console.log(`    📥 Fetching document via Firecrawl MCP: ${url}`);
+  const { fetchBinary = firecrawlMcp.fetchBinary, ...fetchOptions } = options;
+  log.info('document.fetch', `    📥 Fetching document via Firecrawl MCP: ${url}`, { url, stage: 'document' });
+  const elapsed = startTimer();
   
   try {
-    const result = await firecrawlMcp.fetchBinary(url, options);
+    const result = await fetchBinary(url, fetchOptions);
     
     if (!result || !result.buffer) {
       throw new Error('No binary content received from Firecrawl');
@@ -131,7 +147,9 @@ async function downloadFile(url, options = {}) {
       throw new Error(`File too large: ${result.buffer.length} bytes (max: ${CONFIG.maxFileSize})`);
     }
     
-    console.log(`    ✓ Downloaded ${result.buffer.length} bytes (${result.contentType})`);
+    log.info('document.fetched', `    ✓ Downloaded ${result.buffer.length} bytes (${result.contentType})`, {
+      url, stage: 'document', duration_ms: elapsed(), bytes: result.buffer.length, content_type: result.contentType,
+    });
     
     // Return with fetch method tracking
     return {
@@ -173,7 +191,7 @@ const { httpDownload: httpDownloadLegacy } = require('./crawler/utils');
  */
 async function extractPdfText(pdfBuffer) {
   if (!pdfParse) {
-    console.log('    ⚠️  pdf-parse not installed - binary saved, text extraction skipped');
+    log.warn('document.extract_skipped', '    ⚠️  pdf-parse not installed - binary saved, text extraction skipped', { stage: 'extract', format: 'pdf' });
     return { text: '', metadata: { error: 'pdf-parse not installed', binary_saved: true } };
   }
   
@@ -192,7 +210,7 @@ async function extractPdfText(pdfBuffer) {
       },
     };
   } catch (e) {
-    console.log(`    ⚠️  PDF extraction failed: ${e.message} - binary saved`);
+    log.warn('document.extract_failed', `    ⚠️  PDF extraction failed: ${e.message} - binary saved`, { stage: 'extract', format: 'pdf', outcome: 'error', error: e });
     return { text: '', metadata: { error: e.message, binary_saved: true } };
   }
 }
@@ -205,7 +223,7 @@ async function extractPdfText(pdfBuffer) {
  */
 async function extractWordText(buffer) {
   if (!mammoth) {
-    console.log('    ⚠️  mammoth not installed - binary saved, text extraction skipped');
+    log.warn('document.extract_skipped', '    ⚠️  mammoth not installed - binary saved, text extraction skipped', { stage: 'extract', format: 'word' });
     return { text: '', metadata: { error: 'mammoth not installed', binary_saved: true } };
   }
   
@@ -218,7 +236,7 @@ async function extractWordText(buffer) {
       },
     };
   } catch (e) {
-    console.log(`    ⚠️  Word extraction failed: ${e.message} - binary saved`);
+    log.warn('document.extract_failed', `    ⚠️  Word extraction failed: ${e.message} - binary saved`, { stage: 'extract', format: 'word', outcome: 'error', error: e });
     return { text: '', metadata: { error: e.message, binary_saved: true } };
   }
 }
@@ -231,7 +249,7 @@ async function extractWordText(buffer) {
  */
 async function extractExcelText(buffer) {
   if (!XLSX) {
-    console.log('    ⚠️  xlsx not installed - binary saved, text extraction skipped');
+    log.warn('document.extract_skipped', '    ⚠️  xlsx not installed - binary saved, text extraction skipped', { stage: 'extract', format: 'excel' });
     return { text: '', metadata: { error: 'xlsx not installed', binary_saved: true } };
   }
   
@@ -255,7 +273,7 @@ async function extractExcelText(buffer) {
       },
     };
   } catch (e) {
-    console.log(`    ⚠️  Excel extraction failed: ${e.message} - binary saved`);
+    log.warn('document.extract_failed', `    ⚠️  Excel extraction failed: ${e.message} - binary saved`, { stage: 'extract', format: 'excel', outcome: 'error', error: e });
     return { text: '', metadata: { error: e.message, binary_saved: true } };
   }
 }
@@ -267,6 +285,7 @@ async function extractExcelText(buffer) {
  * @returns {Promise<{text: string, metadata: Object}>} - Extracted text and metadata
  */
 async function extractDocumentText(buffer, extension) {
+  reportMissingDependencies();
   switch (extension.toLowerCase()) {
     case '.pdf':
       return await extractPdfText(buffer);
@@ -279,7 +298,7 @@ async function extractDocumentText(buffer, extension) {
     case '.ppt':
     case '.pptx':
       // PowerPoint extraction would need additional library
-      console.log('    ⚠️  PowerPoint text extraction not implemented');
+      log.warn('document.extract_skipped', '    ⚠️  PowerPoint text extraction not implemented', { stage: 'extract', format: 'powerpoint' });
       return { text: '', metadata: { error: 'not implemented' } };
     default:
       return { text: '', metadata: { error: 'unsupported format' } };
@@ -294,6 +313,7 @@ async function extractDocumentText(buffer, extension) {
  * Document metadata structure
  * @typedef {Object} DocumentMeta
  * @property {string} url - Original URL
+ * @property {string} canonical_url - Canonical URL (key in state.documentHashes)
  * @property {string} filename - Local filename
  * @property {string} mime - MIME type
  * @property {string} hash - Content hash
@@ -315,35 +335,43 @@ async function extractDocumentText(buffer, extension) {
  * @param {string} discoveredOnPage - URL of the page where doc was found
  * @param {Object} [options] - Download options
  * @param {boolean} [options.throwOnError=false] - Throw instead of returning error object
+ * @param {string} [options.documentsDir] - Where documents are saved (default CONFIG.documentsDir)
+ * @param {string} [options.docTextDir] - Where extracted text is saved (default CONFIG.docTextDir)
+ * @param {Function} [options.fetchBinary] - Binary fetcher (default firecrawl_mcp.fetchBinary)
  * @returns {Promise<DocumentMeta|null>} - Document metadata or null if failed
  * @throws {FirecrawlUnavailableError} if Firecrawl required but unavailable (when throwOnError)
  * @throws {HttpDownloadNotAllowedError} if HTTP fallback needed but not allowed (when throwOnError)
  */
 async function downloadAndProcess(docUrl, domain, state, discoveredOnPage, options = {}) {
+  const { documentsDir = CONFIG.documentsDir, docTextDir = CONFIG.docTextDir, ...downloadOptions } = options;
   const extension = getExtension(docUrl);
+  const docLog = log.child({ domain, url: docUrl, stage: 'document' });
+  const elapsed = startTimer();
   
   if (!CONFIG.supportedExtensions.includes(extension)) {
-    console.log(`    ⏭️  Unsupported extension: ${extension}`);
+    docLog.info('document.skipped', `    ⏭️  Unsupported extension: ${extension}`, { outcome: 'skipped', reason: 'unsupported_extension', extension });
     return null;
   }
   
-  // Check if already downloaded (by URL)
-  if (state.documentHashes && state.documentHashes[docUrl]) {
-    console.log('    ⏭️  Already downloaded');
-    return { skipped: true, hash: state.documentHashes[docUrl] };
+  // Check if already downloaded (by canonical URL; older state is keyed by the raw URL)
+  const docKey = canonicalizeUrl(docUrl) || docUrl;
+  const knownHash = state.documentHashes && (state.documentHashes[docKey] || state.documentHashes[docUrl]);
+  if (knownHash) {
+    docLog.info('document.skipped', '    ⏭️  Already downloaded', { outcome: 'skipped', reason: 'already_downloaded', hash: knownHash });
+    return { skipped: true, hash: knownHash };
   }
   
-  const domainDir = path.join(CONFIG.documentsDir, domain.replace(/[^a-z0-9.-]/gi, '_'));
-  const textDir = path.join(CONFIG.docTextDir, domain.replace(/[^a-z0-9.-]/gi, '_'));
+  const domainDir = path.join(documentsDir, domain.replace(/[^a-z0-9.-]/gi, '_'));
+  const textDir = path.join(docTextDir, domain.replace(/[^a-z0-9.-]/gi, '_'));
   
   ensureDir(domainDir);
   ensureDir(textDir);
   
   try {
-    console.log(`    📥 Downloading: ${docUrl}`);
+    docLog.info('document.download', `    📥 Downloading: ${docUrl}`, { discovered_on_page: discoveredOnPage });
     
     // Download the file using Firecrawl MCP (returns object with buffer and fetched_via)
-    const downloadResult = await downloadFile(docUrl, options);
+    const downloadResult = await downloadFile(docUrl, downloadOptions);
     const buffer = downloadResult.buffer;
     const fetchedVia = downloadResult.fetched_via || 'firecrawl';
     const contentHash = generateHash(buffer);
@@ -351,14 +379,18 @@ async function downloadAndProcess(docUrl, domain, state, discoveredOnPage, optio
     // Check if we already have this content (different URL, same file)
     const existingFile = path.join(domainDir, `${contentHash}${extension}`);
     if (fs.existsSync(existingFile)) {
-      console.log('    ⏭️  Duplicate content (same hash)');
-      state.documentHashes[docUrl] = contentHash;
+      docLog.info('document.skipped', '    ⏭️  Duplicate content (same hash)', {
+        outcome: 'skipped', reason: 'duplicate_content', duration_ms: elapsed(), hash: contentHash, fetched_via: fetchedVia,
+      });
+      state.documentHashes[docKey] = contentHash;
       return { skipped: true, hash: contentHash, duplicate: true, fetched_via: fetchedVia };
     }
     
     // Save the document
     fs.writeFileSync(existingFile, buffer);
-    console.log(`    💾 Saved: ${contentHash}${extension} (via ${fetchedVia})`);
+    docLog.info('document.saved', `    💾 Saved: ${contentHash}${extension} (via ${fetchedVia})`, {
+      outcome: 'saved', duration_ms: elapsed(), hash: contentHash, bytes: buffer.length, fetched_via: fetchedVia,
+    });
     
     // Extract text
     let textPath = null;
@@ -373,12 +405,13 @@ async function downloadAndProcess(docUrl, domain, state, discoveredOnPage, optio
       textPath = path.join(textDir, `${contentHash}.txt`);
       fs.writeFileSync(textPath, text, 'utf-8');
       textLength = text.length;
-      console.log(`    📝 Extracted text: ${textLength} characters`);
+      docLog.info('document.text_extracted', `    📝 Extracted text: ${textLength} characters`, { stage: 'extract', text_length: textLength });
     }
     
     // Save metadata with full provenance
     const meta = {
       url: docUrl,
+      canonical_url: docKey,
       filename: `${contentHash}${extension}`,
       mime: getMimeType(extension),
       hash: contentHash,
@@ -396,7 +429,7 @@ async function downloadAndProcess(docUrl, domain, state, discoveredOnPage, optio
     
     // Update state
     if (!state.documentHashes) state.documentHashes = {};
-    state.documentHashes[docUrl] = contentHash;
+    state.documentHashes[docKey] = contentHash;
     
     return meta;
     
@@ -404,15 +437,15 @@ async function downloadAndProcess(docUrl, domain, state, discoveredOnPage, optio
     // Check if this is a Firecrawl-specific error that should be thrown
     if (e instanceof firecrawlMcp.FirecrawlUnavailableError ||
         e instanceof firecrawlMcp.HttpDownloadNotAllowedError) {
-      console.log(`    ❌ ${e.name}: ${e.message}`);
+      docLog.error('document.firecrawl_error', `    ❌ ${e.name}: ${e.message}`, { outcome: 'error', duration_ms: elapsed(), error: e });
       
       if (options.throwOnError || firecrawlMcp.getConfig('firecrawlRequired')) {
         throw e;
       }
     }
     
-    console.log(`    ❌ Download failed: ${e.message}`);
-    return { error: e.message, errorType: e.name || 'Error' };
+    docLog.error('document.error', `    ❌ Download failed: ${e.message}`, { outcome: 'error', duration_ms: elapsed(), error: e });
+    return { error: e.message, errorType: e.name || 'Error', url: docUrl, status: e.status || null, code: e.code || null };
   }
 }
 
@@ -423,13 +456,14 @@ async function downloadAndProcess(docUrl, domain, state, discoveredOnPage, optio
  * @param {Object} state - Crawl state
  * @param {string} discoveredOnPage - Source page URL
  * @param {number} rateLimit - Ms between downloads
+ * @param {Object} [options] - Options of downloadAndProcess (e.g. documentsDir, docTextDir, fetchBinary)
  * @returns {Promise<Array<DocumentMeta>>} - Array of processed document metadata
  */
-async function processDocumentList(documents, domain, state, discoveredOnPage, rateLimit = 1000) {
+async function processDocumentList(documents, domain, state, discoveredOnPage, rateLimit = 1000, options = {}) {
   const results = [];
   
   for (const doc of documents) {
-    const result = await downloadAndProcess(doc.url, domain, state, discoveredOnPage);
+    const result = await downloadAndProcess(doc.url, domain, state, discoveredOnPage, options);
     if (result) {
       results.push({ ...result, label: doc.text });
     }
@@ -23,6 +23,11 @@ const {
   formatOverrideLog,
 } = require('./crawler/firecrawl_overrides');
 
+// Structured logging
+const { getLogger, startTimer } = require('./crawler/logger');
+
+const log = getLogger('firecrawl_mcp', { stage: 'firecrawl' });
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -97,6 +102,22 @@ class HttpDownloadNotAllowedError extends Error {
   }
 }
 
+/**
+ * Build an error for a failed Firecrawl API response, keeping the HTTP status
+ * and Retry-After header so callers can tell transient failures apart
+ * @param {string} message - Error message
+ * @param {http.IncomingMessage} res - API response
+ * @returns {Error}
+ */
+function createApiError(message, res) {
+  const error = new Error(message);
+  error.status = res.statusCode;
+  if (res.headers && res.headers['retry-after'] !== undefined) {
+    error.retryAfter = res.headers['retry-after'];
+  }
+  return error;
+}
+
 // ============================================================================
 // FIRECRAWL FUNCTION REGISTRY
 // ============================================================================
@@ -109,13 +130,20 @@ let firecrawlFunctions = {
   scrape: null,
   map: null,
   crawl: null,
+  fetchBinary: null,
 };
 
 let configOverrides = {};
 
+/**
+ * Optional cassette that records or replays every backend request
+ * (see crawler/cassette.js)
+ */
+let activeCassette = null;
+
 /**
  * Initialize Firecrawl MCP with the provided functions
- * @param {Object} functions - Object containing scrape, map, and optionally crawl functions
+ * @param {Object} functions - Object containing scrape, map, and optionally crawl and fetchBinary functions
  * @param {Object} [options] - Configuration overrides
  */
 function initialize(functions, options = {}) {
@@ -128,14 +156,26 @@ function initialize(functions, options = {}) {
   if (functions.crawl) {
     firecrawlFunctions.crawl = functions.crawl;
   }
+  if (functions.fetchBinary) {
+    firecrawlFunctions.fetchBinary = functions.fetchBinary;
+  }
 
   // Apply configuration overrides
   Object.assign(configOverrides, options);
 
-  console.log('✅ Firecrawl MCP initialized');
-  console.log(`   - scrape: ${firecrawlFunctions.scrape ? 'available' : 'NOT available'}`);
-  console.log(`   - map: ${firecrawlFunctions.map ? 'available' : 'NOT available'}`);
-  console.log(`   - crawl: ${firecrawlFunctions.crawl ? 'available' : 'NOT available'}`);
+  log.info('firecrawl.initialized', '✅ Firecrawl MCP initialized', {
+    backend: 'mcp',
+    scrape: Boolean(firecrawlFunctions.scrape),
+    map: Boolean(firecrawlFunctions.map),
+    crawl: Boolean(firecrawlFunctions.crawl),
+    fetch_binary: Boolean(firecrawlFunctions.fetchBinary),
+  });
+  log.print(`   - scrape: ${firecrawlFunctions.scrape ? 'available' : 'NOT available'}`);
+  log.print(`   - map: ${firecrawlFunctions.map ? 'available' : 'NOT available'}`);
+  log.print(`   - crawl: ${firecrawlFunctions.crawl ? 'available' : 'NOT available'}`);
+  if (firecrawlFunctions.fetchBinary) {
+    log.print(`   - fetchBinary: available`);
+  }
 }
 
 /**
@@ -191,21 +231,29 @@ function initializeWithApiKey(apiKey, options = {}) {
               resolve(response.data);
             } else if (response.success === false) {
               // Error response
-              reject(new Error(response.error || 'Firecrawl API error'));
+              reject(createApiError(response.error || 'Firecrawl API error', res));
             } else if (response.markdown || response.html || response.rawHtml) {
               // Unwrapped response: { markdown, html, ... }
               resolve(response);
             } else {
-              reject(new Error('Unexpected Firecrawl API response format'));
+              reject(createApiError('Unexpected Firecrawl API response format', res));
             }
           } catch (error) {
-            reject(new Error(`Failed to parse Firecrawl API response: ${error.message}`));
+            reject(createApiError(`Failed to parse Firecrawl API response: ${error.message}`, res));
           }
         });
       });
 
+      req.setTimeout(getConfig('timeout'), () => {
+        const timeoutError = new Error(`Firecrawl API request timed out after ${getConfig('timeout')}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        req.destroy(timeoutError);
+      });
+
       req.on('error', (error) => {
-        reject(new Error(`Firecrawl API request failed: ${error.message}`));
+        const requestError = new Error(`Firecrawl API request failed: ${error.message}`);
+        requestError.code = error.code;
+        reject(requestError);
       });
 
       req.write(postData);
@@ -254,7 +302,7 @@ function initializeWithApiKey(apiKey, options = {}) {
               urls = response.data;
             } else if (response.success === false) {
               // Error response
-              reject(new Error(response.error || 'Firecrawl API error'));
+              reject(createApiError(response.error || 'Firecrawl API error', res));
               return;
             } else if (Array.isArray(response)) {
               // Unwrapped array response
@@ -268,19 +316,27 @@ function initializeWithApiKey(apiKey, options = {}) {
               // Response with urls array
               urls = response.urls;
             } else {
-              reject(new Error('Unexpected Firecrawl map API response format'));
+              reject(createApiError('Unexpected Firecrawl map API response format', res));
               return;
             }
 
             resolve(urls);
           } catch (error) {
-            reject(new Error(`Failed to parse Firecrawl map API response: ${error.message}`));
+            reject(createApiError(`Failed to parse Firecrawl map API response: ${error.message}`, res));
           }
         });
       });
 
+      req.setTimeout(getConfig('timeout'), () => {
+        const timeoutError = new Error(`Firecrawl map API request timed out after ${getConfig('timeout')}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        req.destroy(timeoutError);
+      });
+
       req.on('error', (error) => {
-        reject(new Error(`Firecrawl map API request failed: ${error.message}`));
+        const requestError = new Error(`Firecrawl map API request failed: ${error.message}`);
+        requestError.code = error.code;
+        reject(requestError);
       });
 
       req.write(postData);
@@ -288,10 +344,10 @@ function initializeWithApiKey(apiKey, options = {}) {
     });
   };
 
-  console.log('✅ Firecrawl API fallback initialized');
-  console.log(`   - scrape: available (HTTP API)`);
-  console.log(`   - map: available (HTTP API)`);
-  console.log(`   - crawl: NOT available`);
+  log.info('firecrawl.initialized', '✅ Firecrawl API fallback initialized', { backend: 'api', scrape: true, map: true, crawl: false });
+  log.print(`   - scrape: available (HTTP API)`);
+  log.print(`   - map: available (HTTP API)`);
+  log.print(`   - crawl: NOT available`);
 }
 
 /**
@@ -308,12 +364,85 @@ function setConfig(key, value) {
   configOverrides[key] = value;
 }
 
+/**
+ * Route all backend requests through a cassette (record or replay).
+ * Pass null to detach.
+ * @param {Object|null} cassette - Cassette with mode and run(operation, url, options, overrides, execute)
+ */
+function setCassette(cassette) {
+  activeCassette = cassette || null;
+}
+
+/**
+ * Get the active cassette, if any
+ * @returns {Object|null}
+ */
+function getCassette() {
+  return activeCassette;
+}
+
+/**
+ * Capture the injected functions, configuration overrides and cassette, so a
+ * caller that changes them (e.g. one crawl run) can put them back afterwards
+ * @returns {Object} - State for restoreState
+ */
+function saveState() {
+  return {
+    functions: { ...firecrawlFunctions },
+    configOverrides: { ...configOverrides },
+    cassette: activeCassette,
+  };
+}
+
+/**
+ * Put back state captured by saveState
+ * @param {Object} state - From saveState
+ */
+function restoreState(state) {
+  firecrawlFunctions = { ...state.functions };
+  configOverrides = { ...state.configOverrides };
+  activeCassette = state.cassette;
+}
+
+/**
+ * Describe per-URL overrides for a cassette entry (functions are not serializable)
+ * @param {Object|null} urlOverrides - Overrides from getFirecrawlOverridesForUrl
+ * @returns {Object|null}
+ */
+function describeOverrides(urlOverrides) {
+  if (!urlOverrides) return null;
+  const { postprocessMarkdown, ...rest } = urlOverrides;
+  return postprocessMarkdown
+    ? { ...rest, postprocessMarkdown: postprocessMarkdown.name || 'anonymous' }
+    : rest;
+}
+
+/**
+ * Run a backend request, through the active cassette if one is set
+ * @param {'scrape' | 'map' | 'fetchBinary'} operation - Operation name
+ * @param {string} url - Request URL
+ * @param {Object} options - Effective request options
+ * @param {Object|null} urlOverrides - Per-URL overrides applied to the request
+ * @param {Function} execute - Performs the real request
+ * @returns {Promise<*>}
+ */
+function callBackend(operation, url, options, urlOverrides, execute) {
+  if (!activeCassette) {
+    return execute();
+  }
+  return activeCassette.run(operation, url, options, describeOverrides(urlOverrides), execute);
+}
+
 /**
  * Check if Firecrawl is available for a given operation
- * @param {'scrape' | 'map' | 'crawl'} operation
+ * @param {'scrape' | 'map' | 'crawl' | 'fetchBinary'} operation
  * @returns {boolean}
  */
 function isAvailable(operation) {
+  // A replaying cassette serves scrape and map without any backend
+  if (activeCassette && activeCassette.mode === 'replay' && (operation === 'scrape' || operation === 'map')) {
+    return true;
+  }
   return typeof firecrawlFunctions[operation] === 'function';
 }
 
@@ -345,14 +474,14 @@ async function firecrawlScrape(url, options = {}) {
   assertAvailable('scrape');
 
   if (!isAvailable('scrape')) {
-    console.log(`⚠️  Firecrawl scrape not available for: ${url}`);
+    log.warn('firecrawl.unavailable', `⚠️  Firecrawl scrape not available for: ${url}`, { url, operation: 'scrape', outcome: 'skipped' });
     return null;
   }
 
   // Whitelist of allowed Firecrawl scrape option keys
   const ALLOWED_SCRAPE_KEYS = [
     'formats', 'onlyMainContent', 'removeBase64Images', 'waitFor', 'timeout',
-    'includeTags', 'excludeTags', 'headers'
+    'includeTags', 'excludeTags', 'headers', 'actions'
   ];
 
   /**
@@ -392,15 +521,18 @@ async function firecrawlScrape(url, options = {}) {
 
   // Log if override was applied
   if (urlOverrides) {
-    console.log(formatOverrideLog(urlOverrides, url));
+    log.info('firecrawl.override', formatOverrideLog(urlOverrides, url), { url });
   }
   
   let lastError = null;
   const maxRetries = options.maxRetries ?? getConfig('maxRetries');
   
+  const elapsed = startTimer();
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const result = await firecrawlFunctions.scrape(url, scrapeOptions);
+      const result = await callBackend('scrape', url, scrapeOptions, urlOverrides,
+        () => firecrawlFunctions.scrape(url, scrapeOptions));
+      log.debug('firecrawl.scraped', null, { url, duration_ms: elapsed(), outcome: result ? 'ok' : 'empty', attempt: attempt + 1 });
       
       // Validate result
       if (!result) {
@@ -430,7 +562,7 @@ async function firecrawlScrape(url, options = {}) {
         break;
       }
       
-      console.log(`   ⚠️  Scrape attempt ${attempt + 1} failed, retrying...`);
+      log.warn('firecrawl.retry', `   ⚠️  Scrape attempt ${attempt + 1} failed, retrying...`, { url, outcome: 'retry', attempt: attempt + 1, error });
       await sleep(getConfig('retryDelay'));
     }
   }
@@ -440,7 +572,14 @@ async function firecrawlScrape(url, options = {}) {
     throw lastError;
   }
   
-  throw new FirecrawlScrapeError(url, lastError?.message || 'Unknown scrape error');
+  // Keep the HTTP status and cause so callers can classify transient failures
+  const scrapeError = new FirecrawlScrapeError(url, lastError?.message || 'Unknown scrape error');
+  if (lastError) {
+    scrapeError.cause = lastError;
+    if (lastError.status !== undefined) scrapeError.status = lastError.status;
+    if (lastError.retryAfter !== undefined) scrapeError.retryAfter = lastError.retryAfter;
+  }
+  throw scrapeError;
 }
 
 /**
@@ -455,7 +594,7 @@ async function firecrawlMap(url, options = {}) {
   assertAvailable('map');
   
   if (!isAvailable('map')) {
-    console.log(`⚠️  Firecrawl map not available for: ${url}`);
+    log.warn('firecrawl.unavailable', `⚠️  Firecrawl map not available for: ${url}`, { url, operation: 'map', outcome: 'skipped' });
     return [];
   }
   
@@ -466,7 +605,8 @@ async function firecrawlMap(url, options = {}) {
   };
   
   try {
-    const result = await firecrawlFunctions.map(url, mapOptions);
+    const result = await callBackend('map', url, mapOptions, getFirecrawlOverridesForUrl(url),
+      () => firecrawlFunctions.map(url, mapOptions));
 
     // Validate result
     if (!result) {
@@ -552,8 +692,9 @@ function getMimeFromExtension(ext) {
  * Fetch binary document content using Firecrawl MCP
  * 
  * Strategy:
- * 1. Try Firecrawl scrape with rawHtml format (may contain document link or content)
- * 2. If MCP cannot return raw binary, fall back to HTTP only if explicitly allowed
+ * 1. Use the registered fetchBinary function if one was injected (e.g. replay backend)
+ * 2. Try Firecrawl scrape with rawHtml format (may contain document link or content)
+ * 3. If MCP cannot return raw binary, fall back to HTTP only if explicitly allowed
  * 
  * @param {string} url - Document URL to fetch
  * @param {Object} [options] - Fetch options
@@ -563,14 +704,34 @@ function getMimeFromExtension(ext) {
  * @throws {HttpDownloadNotAllowedError} if HTTP fallback needed but not allowed
  */
 async function fetchBinary(url, options = {}) {
+  return callBackend('fetchBinary', url, options, null, () => fetchBinaryFromBackend(url, options));
+}
+
+/**
+ * Fetch binary document content from the configured backends (see fetchBinary)
+ * @private
+ */
+async function fetchBinaryFromBackend(url, options = {}) {
   const extension = getExtensionFromUrl(url);
   const contentType = getMimeFromExtension(extension);
   const filename = path.basename(new URL(url).pathname) || `document${extension || '.bin'}`;
   
+  // Use injected binary fetcher first
+  if (isAvailable('fetchBinary')) {
+    try {
+      const result = await firecrawlFunctions.fetchBinary(url, options);
+      if (result && result.buffer) {
+        return { contentType, filename, ...result };
+      }
+    } catch (error) {
+      log.warn('firecrawl.binary_failed', `   ⚠️  Injected binary fetch failed: ${error.message}`, { url, backend: 'fetchBinary', outcome: 'error', error });
+    }
+  }
+  
   // Try Firecrawl first
   if (isAvailable('scrape')) {
     try {
-      console.log(`   📥 Attempting Firecrawl fetch for binary: ${url}`);
+      log.info('firecrawl.binary_fetch', `   📥 Attempting Firecrawl fetch for binary: ${url}`, { url });
       
       // Try with rawHtml format - some documents may be accessible this way
       const result = await firecrawlFunctions.scrape(url, {
@@ -590,7 +751,7 @@ async function fetchBinary(url, options = {}) {
           if (!content.startsWith('<!DOCTYPE') && !content.startsWith('<html')) {
             // Might be binary content - try to use it
             const buffer = Buffer.from(content, 'binary');
-            console.log(`   ✓ Firecrawl returned content (${buffer.length} bytes)`);
+            log.info('firecrawl.binary_fetched', `   ✓ Firecrawl returned content (${buffer.length} bytes)`, { url, outcome: 'ok', bytes: buffer.length });
             return { buffer, contentType, filename };
           }
         }
@@ -601,16 +762,16 @@ async function fetchBinary(url, options = {}) {
             link.endsWith(extension) || BINARY_EXTENSIONS.some(ext => link.endsWith(ext))
           );
           if (directLink && directLink !== url) {
-            console.log(`   ↪️  Following direct link: ${directLink}`);
-            return fetchBinary(directLink, options);
+            log.info('firecrawl.binary_redirect', `   ↪️  Following direct link: ${directLink}`, { url, target_url: directLink });
+            return fetchBinaryFromBackend(directLink, options);
           }
         }
       }
       
-      console.log(`   ⚠️  Firecrawl could not fetch binary content directly`);
+      log.warn('firecrawl.binary_failed', `   ⚠️  Firecrawl could not fetch binary content directly`, { url, backend: 'scrape', outcome: 'no_content' });
       
     } catch (error) {
-      console.log(`   ⚠️  Firecrawl binary fetch failed: ${error.message}`);
+      log.warn('firecrawl.binary_failed', `   ⚠️  Firecrawl binary fetch failed: ${error.message}`, { url, backend: 'scrape', outcome: 'error', error });
     }
   } else if (getConfig('firecrawlRequired')) {
     throw new FirecrawlUnavailableError('binary document fetch');
@@ -624,7 +785,7 @@ async function fetchBinary(url, options = {}) {
   }
   
   // HTTP fallback (only if explicitly allowed)
-  console.log(`   ⚠️  Using HTTP fallback for binary download (allowed by flag)`);
+  log.warn('firecrawl.http_fallback', `   ⚠️  Using HTTP fallback for binary download (allowed by flag)`, { url, backend: 'http' });
   const buffer = await httpDownload(url, {
     timeout: getConfig('timeout'),
     maxFileSize: 50 * 1024 * 1024, // 50MB max
@@ -688,6 +849,10 @@ module.exports = {
   initializeWithApiKey,
   getConfig,
   setConfig,
+  setCassette,
+  getCassette,
+  saveState,
+  restoreState,
   
   // Status and validation
   isAvailable,
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * Merge Duplicate Source Pages
+ *
+ * One-off migration for KBs written before URL canonicalization. Source pages
+ * whose URLs only differ by scheme, "www.", trailing slash, fragment or
+ * tracking params are merged into one page keyed by the canonical URL, and
+ * every citation is rewritten to the merged source_page_id. Page hashes in
+ * the crawl state are re-keyed the same way, so the next crawl does not
+ * treat the merged pages as new.
+ *
+ * Usage:
+ *   node scripts/merge_duplicate_sources.js [--kb <path>] [--state <path>] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { generateSourcePageId, getDateString } = require('./crawler/utils');
+const { canonicalizeUrl } = require('./crawler/canonical_url');
+const { mergeAliasUrls, saveKB } = require('./crawler/kb_writer');
+const { saveCrawlState } = require('./crawler/crawl_state');
+const { createMigrationEntry, appendToAuditLog, scriptActor } = require('../kb/audit_log');
+
+const SCRIPT_ACTOR = scriptActor('merge_duplicate_sources.js');
+
+const DEFAULT_PATHS = {
+  kbPath: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v3.json'),
+  stateFile: path.join(__dirname, 'crawl_state.json'),
+};
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+/**
+ * Group source pages by canonical URL (in KB order)
+ * @param {Object[]} sourcePages - KB source pages
+ * @returns {Map<string, Object[]>} - Canonical URL -> source pages
+ */
+function groupSourcePagesByCanonicalUrl(sourcePages) {
+  const groups = new Map();
+  for (const page of sourcePages) {
+    const canonicalUrl = canonicalizeUrl(page.canonical_url) || page.canonical_url;
+    if (!groups.has(canonicalUrl)) groups.set(canonicalUrl, []);
+    groups.get(canonicalUrl).push(page);
+  }
+  return groups;
+}
+
+/**
+ * Merge the source pages of one canonical URL into a single page.
+ * The most recently crawled page provides content hash and snapshot;
+ * change logs, page types and URLs of all pages are kept.
+ * @param {string} canonicalUrl - Canonical URL
+ * @param {Object[]} pages - Source pages with this canonical URL
+ * @returns {Object} - Merged source page
+ */
+function mergeSourcePageGroup(canonicalUrl, pages) {
+  const latest = pages.reduce((a, b) => ((b.last_crawled_at || '') > (a.last_crawled_at || '') ? b : a));
+
+  const merged = {
+    ...latest,
+    source_page_id: generateSourcePageId(canonicalUrl),
+    canonical_url: canonicalUrl,
+    alias_urls: [],
+  };
+  for (const page of pages) {
+    mergeAliasUrls(merged, [page.canonical_url, ...(page.alias_urls || [])]);
+  }
+
+  if (pages.length > 1) {
+    const seen = new Set();
+    merged.change_log = pages
+      .flatMap(page => page.change_log || [])
+      .filter(entry => {
+        const key = `${entry.detected_at}|${entry.hash_after}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => String(a.detected_at).localeCompare(String(b.detected_at)));
+
+    if (pages.some(page => page.page_types)) {
+      merged.page_types = [...new Set(pages.flatMap(page => page.page_types || [page.page_type]))];
+    }
+
+    merged.notes = [
+      ...(latest.notes || []),
+      `Merged duplicate source pages: ${pages.map(page => page.source_page_id).join(', ')}`,
+    ];
+  }
+
+  return merged;
+}
+
+/**
+ * Rewrite every { source_page_id } reference outside source_pages (claim
+ * citations, documents, guides) and drop citations that became duplicates
+ * @param {Object} kb - KB data structure
+ * @param {Map<string, {id: string, url: string}>} idMap - Old ID -> merged page
+ * @returns {{citationsRewritten: number, duplicateCitationsRemoved: number, claimIds: string[]}}
+ */
+function rewriteSourcePageReferences(kb, idMap) {
+  let citationsRewritten = 0;
+  const claimIds = new Set();
+
+  const visit = (node, claimId) => {
+    if (Array.isArray(node)) {
+      node.forEach(item => visit(item, claimId));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const target = typeof node.source_page_id === 'string' ? idMap.get(node.source_page_id) : null;
+    if (target) {
+      node.source_page_id = target.id;
+      if (typeof node.canonical_url === 'string') node.canonical_url = target.url;
+      citationsRewritten++;
+      if (claimId) claimIds.add(claimId);
+    }
+    for (const value of Object.values(node)) {
+      if (value && typeof value === 'object') visit(value, claimId);
+    }
+  };
+
+  for (const [key, value] of Object.entries(kb)) {
+    if (key === 'source_pages' || key === 'audit_log') continue;
+    if (key === 'claims' && Array.isArray(value)) {
+      value.forEach(claim => visit(claim, claim.claim_id));
+    } else {
+      visit(value, null);
+    }
+  }
+
+  // Two citations of merged pages may now be identical
+  let duplicateCitationsRemoved = 0;
+  for (const claim of kb.claims || []) {
+    if (!claimIds.has(claim.claim_id) || !Array.isArray(claim.citations)) continue;
+    const seen = new Set();
+    const before = claim.citations.length;
+    claim.citations = claim.citations.filter(citation => {
+      const key = JSON.stringify([citation.source_page_id, citation.quoted_text, citation.locator]);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    duplicateCitationsRemoved += before - claim.citations.length;
+  }
+
+  return { citationsRewritten, duplicateCitationsRemoved, claimIds: [...claimIds] };
+}
+
+/**
+ * Merge duplicate source pages of a KB in place
+ * @param {Object} kb - KB data structure
+ * @returns {Object} - Result: idMap (old ID -> {id, url}), merged groups, counters
+ */
+function mergeDuplicateSourcePages(kb) {
+  const idMap = new Map();
+  const mergedGroups = [];
+  const sourcePages = [];
+  let rekeyed = 0;
+
+  for (const [canonicalUrl, pages] of groupSourcePagesByCanonicalUrl(kb.source_pages || [])) {
+    const merged = mergeSourcePageGroup(canonicalUrl, pages);
+    sourcePages.push(merged);
+
+    for (const page of pages) {
+      if (page.source_page_id !== merged.source_page_id) {
+        idMap.set(page.source_page_id, { id: merged.source_page_id, url: canonicalUrl });
+      }
+    }
+    if (pages.length > 1) {
+      mergedGroups.push({
+        canonical_url: canonicalUrl,
+        source_page_id: merged.source_page_id,
+        merged_ids: pages.map(page => page.source_page_id),
+      });
+    } else if (pages[0].source_page_id !== merged.source_page_id) {
+      rekeyed++;
+    }
+  }
+
+  kb.source_pages = sourcePages;
+  const references = rewriteSourcePageReferences(kb, idMap);
+
+  return {
+    idMap,
+    mergedGroups,
+    rekeyed,
+    ...references,
+  };
+}
+
+/**
+ * Re-key crawl state page hashes and crawl times to merged source page IDs
+ * @param {Object} state - Crawl state
+ * @param {Map<string, {id: string}>} idMap - Old ID -> merged page
+ * @returns {number} - Number of entries re-keyed
+ */
+function remapCrawlState(state, idMap) {
+  let remapped = 0;
+  for (const field of ['pageHashes', 'pageCrawledAt']) {
+    const entries = state[field];
+    if (!entries) continue;
+    for (const [oldId, target] of idMap) {
+      if (!(oldId in entries)) continue;
+      // Keep the newest crawl time / a hash already stored under the merged ID
+      if (!(target.id in entries) || (field === 'pageCrawledAt' && entries[oldId] > entries[target.id])) {
+        entries[target.id] = entries[oldId];
+      }
+      delete entries[oldId];
+      remapped++;
+    }
+  }
+  return remapped;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { ...DEFAULT_PATHS, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--kb':
+        options.kbPath = args[++i];
+        break;
+      case '--state':
+        options.stateFile = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log('Usage: node scripts/merge_duplicate_sources.js [--kb <path>] [--state <path>] [--dry-run]');
+        process.exit(0);
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs();
+
+  if (!fs.existsSync(options.kbPath)) {
+    console.error(`ERROR: KB file not found: ${options.kbPath}`);
+    process.exit(1);
+  }
+  const kb = JSON.parse(fs.readFileSync(options.kbPath, 'utf-8'));
+  const pagesBefore = (kb.source_pages || []).length;
+
+  const result = mergeDuplicateSourcePages(kb);
+
+  console.log(`\n🔗 Source pages: ${pagesBefore} → ${kb.source_pages.length}`);
+  console.log(`   Merged groups:        ${result.mergedGroups.length}`);
+  console.log(`   Re-keyed pages:       ${result.rekeyed}`);
+  console.log(`   Citations rewritten:  ${result.citationsRewritten} (${result.claimIds.length} claims)`);
+  console.log(`   Duplicate citations:  ${result.duplicateCitationsRemoved} removed`);
+  for (const group of result.mergedGroups.slice(0, 20)) {
+    console.log(`   • ${group.canonical_url} ← ${group.merged_ids.length} pages`);
+  }
+
+  if (result.idMap.size === 0) {
+    console.log('\n✅ No duplicate or non-canonical source pages found');
+    return;
+  }
+  if (options.dryRun) {
+    console.log('\n🔍 Dry run: nothing written');
+    return;
+  }
+
+  const description = `Merged ${result.mergedGroups.length} duplicate source page groups and re-keyed ${result.rekeyed} pages by canonical URL`;
+  appendToAuditLog(kb, createMigrationEntry({
+    affectedEntities: {
+      source_pages: [...new Set([...result.idMap.keys(), ...[...result.idMap.values()].map(target => target.id)])],
+      claims: result.claimIds,
+    },
+    actor: SCRIPT_ACTOR,
+    migrationSource: 'merge_duplicate_sources.js',
+    description,
+  }));
+  kb.change_log = kb.change_log || [];
+  kb.change_log.push({
+    version: (kb.data_version || 0) + 1,
+    date: getDateString(),
+    changes: [description],
+  });
+  kb.updated_by = SCRIPT_ACTOR;
+  saveKB(kb, options.kbPath);
+
+  if (options.stateFile && fs.existsSync(options.stateFile)) {
+    const state = JSON.parse(fs.readFileSync(options.stateFile, 'utf-8'));
+    const remapped = remapCrawlState(state, result.idMap);
+    saveCrawlState(state, options.stateFile);
+    console.log(`💾 Crawl state saved to: ${options.stateFile} (${remapped} entries re-keyed)`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  groupSourcePagesByCanonicalUrl,
+  mergeSourcePageGroup,
+  rewriteSourcePageReferences,
+  mergeDuplicateSourcePages,
+  remapCrawlState,
+};
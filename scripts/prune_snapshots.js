@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Prune the Snapshot Store
+ *
+ * Applies the snapshot retention policy (scripts/crawler/snapshot_store.js):
+ * every distinct page version, every manifest of the last 30 days and the last
+ * manifest of each month before that are kept; other manifests are deleted,
+ * then every blob no remaining manifest points at. Snapshots that claim
+ * citations in the KB depend on are never deleted.
+ *
+ * Usage:
+ *   node scripts/prune_snapshots.js [--snapshots <dir>] [--kb <path>] [--daily-days <n>]
+ *     [--no-monthly] [--no-distinct-versions] [--migrate] [--compression gzip|brotli] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  DEFAULT_RETENTION_POLICY,
+  DEFAULT_COMPRESSION,
+  migrateLegacySnapshots,
+  pruneSnapshots,
+} = require('./crawler/snapshot_store');
+
+const DEFAULT_PATHS = {
+  snapshotsDir: path.join(__dirname, '..', 'kb', 'snapshots'),
+  kbPath: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v3.json'),
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    ...DEFAULT_PATHS,
+    policy: { ...DEFAULT_RETENTION_POLICY },
+    migrate: false,
+    compression: DEFAULT_COMPRESSION,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--snapshots':
+        options.snapshotsDir = args[++i];
+        break;
+      case '--kb':
+        options.kbPath = args[++i];
+        break;
+      case '--daily-days':
+        options.policy.dailyDays = Math.max(0, parseInt(args[++i], 10) || 0);
+        break;
+      case '--no-monthly':
+        options.policy.monthly = false;
+        break;
+      case '--no-distinct-versions':
+        options.policy.keepDistinctVersions = false;
+        break;
+      case '--migrate':
+        options.migrate = true;
+        break;
+      case '--compression':
+        options.compression = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log('Usage: node scripts/prune_snapshots.js [--snapshots <dir>] [--kb <path>] [--daily-days <n>]');
+        console.log('         [--no-monthly] [--no-distinct-versions] [--migrate] [--compression gzip|brotli] [--dry-run]');
+        process.exit(0);
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs();
+
+  if (!fs.existsSync(options.snapshotsDir)) {
+    console.error(`ERROR: Snapshots directory not found: ${options.snapshotsDir}`);
+    process.exit(1);
+  }
+  // Without the KB there is no way to tell which snapshots citations depend on
+  if (!fs.existsSync(options.kbPath)) {
+    console.error(`ERROR: KB file not found: ${options.kbPath}`);
+    process.exit(1);
+  }
+  const kb = JSON.parse(fs.readFileSync(options.kbPath, 'utf-8'));
+
+  if (options.migrate) {
+    const migration = migrateLegacySnapshots(options.snapshotsDir, { compression: options.compression, dryRun: options.dryRun });
+    console.log(`\n📦 Legacy snapshots: ${migration.migrated} ${options.dryRun ? 'to migrate' : 'migrated'} (${formatBytes(migration.bytesBefore)} uncompressed)`);
+  }
+
+  const result = pruneSnapshots(options.snapshotsDir, { kb, policy: options.policy, dryRun: options.dryRun });
+
+  console.log(`\n🧹 Snapshot store: ${result.pages} pages`);
+  console.log(`   Manifests kept:     ${result.manifests_kept}`);
+  for (const [reason, count] of Object.entries(result.kept_by_reason)) {
+    console.log(`     ${reason.padEnd(18)} ${count}`);
+  }
+  console.log(`   Manifests deleted:  ${result.manifests_deleted}`);
+  console.log(`   Blobs kept:         ${result.blobs_kept}`);
+  console.log(`   Blobs deleted:      ${result.blobs_deleted} (${formatBytes(result.bytes_freed)})`);
+  if (result.legacy_snapshots > 0) {
+    console.log(`   Legacy snapshots:   ${result.legacy_snapshots} (not pruned, run with --migrate)`);
+  }
+
+  if (options.dryRun) {
+    console.log('\n🔍 Dry run: nothing deleted');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Run the Test Suites
+ *
+ * Runs every scripts/crawler/__tests__/*.test.js file in its own Node process,
+ * one after the other, and exits non-zero if any of them failed.
+ *
+ * Usage:
+ *   node scripts/run_tests.js [name-filter]
+ *   npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TESTS_DIR = path.join(__dirname, 'crawler', '__tests__');
+
+function main() {
+  const filter = process.argv[2] || '';
+  const files = fs.readdirSync(TESTS_DIR)
+    .filter(file => file.endsWith('.test.js') && file.includes(filter))
+    .sort();
+
+  if (files.length === 0) {
+    console.error(`❌ No test files match "${filter}" in ${TESTS_DIR}`);
+    process.exit(1);
+  }
+
+  const failedFiles = [];
+  for (const file of files) {
+    console.log(`\n▶ ${file}`);
+    const result = spawnSync(process.execPath, [path.join(TESTS_DIR, file)], { stdio: 'inherit' });
+    if (result.status !== 0) failedFiles.push(file);
+  }
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`  Test files: ${files.length} total, ${files.length - failedFiles.length} passed, ${failedFiles.length} failed`);
+  for (const file of failedFiles) console.log(`  ❌ ${file}`);
+  console.log('═'.repeat(50) + '\n');
+
+  process.exit(failedFiles.length > 0 ? 1 : 0);
+}
+
+main();
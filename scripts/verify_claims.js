@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Verify Claims
+ *
+ * Pages through the review queue (scripts/crawler/claim_review.js): for each
+ * claim it shows the claim, its citations and the excerpt of the latest
+ * snapshot of each cited page around the quote, and asks for a decision:
+ *
+ *   [v]erify      the claim matches its source
+ *   [e]dit        correct its text, quote or structured data, then verify it
+ *   [r]eject      the claim is wrong (it is deprecated)
+ *   [c]ontradict  the source contradicts it, or other sources do
+ *   [s]kip, [q]uit
+ *
+ * Each decision sets the claim status, last_verified_at and last_verified_by,
+ * and is logged as a verification audit event with the reviewer as actor
+ * (user:<name>). The KB is saved when the session ends.
+ *
+ * Usage:
+ *   node scripts/verify_claims.js [--kb <path>] [--snapshots <dir>] [--reviewer <name>]
+ *     [--service <svc.id>] [--type <claim_type>] [--guide <guide.id>] [--in-guides | --not-in-guides]
+ *     [--status <status>] [--limit <n>] [--list]
+ *
+ *   --service, --type, --guide, --status   Filters (repeatable)
+ *   --list                                 Print the queue and exit
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const { saveKB } = require('./crawler/kb_writer');
+const {
+  REVIEW_DECISIONS,
+  buildReviewQueue,
+  getCitationExcerpt,
+  applyReviewDecision,
+} = require('./crawler/claim_review');
+const { userActor } = require('../kb/audit_log');
+
+const DEFAULT_PATHS = {
+  kbPath: path.join(__dirname, '..', 'kb', 'bangladesh_government_services_kb_v3.json'),
+  snapshotsDir: path.join(__dirname, '..', 'kb', 'snapshots'),
+};
+
+const USAGE = [
+  'Usage: node scripts/verify_claims.js [--kb <path>] [--snapshots <dir>] [--reviewer <name>]',
+  '         [--service <svc.id>] [--type <claim_type>] [--guide <guide.id>] [--in-guides | --not-in-guides]',
+  '         [--status <status>] [--limit <n>] [--list]',
+].join('\n');
+
+// Answer key -> decision
+const DECISION_KEYS = { v: 'verify', e: 'edit', r: 'reject', c: 'contradict' };
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    ...DEFAULT_PATHS,
+    reviewer: process.env.KB_REVIEWER || os.userInfo().username,
+    filters: {},
+    limit: Infinity,
+    list: false,
+  };
+  const push = (key, value) => { options.filters[key] = [...(options.filters[key] || []), value]; };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--kb':
+        options.kbPath = args[++i];
+        break;
+      case '--snapshots':
+        options.snapshotsDir = args[++i];
+        break;
+      case '--reviewer':
+        options.reviewer = args[++i];
+        break;
+      case '--service':
+        push('serviceIds', args[++i]);
+        break;
+      case '--type':
+        push('claimTypes', args[++i]);
+        break;
+      case '--guide':
+        push('guideIds', args[++i]);
+        break;
+      case '--status':
+        push('statuses', args[++i]);
+        break;
+      case '--in-guides':
+        options.filters.inGuides = true;
+        break;
+      case '--not-in-guides':
+        options.filters.inGuides = false;
+        break;
+      case '--limit':
+        options.limit = Math.max(1, parseInt(args[++i], 10) || 1);
+        break;
+      case '--list':
+        options.list = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+    }
+  }
+  return options;
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Print a claim, its citations and the snapshot excerpt of each
+ * @param {Object} kb - KB data structure
+ * @param {{claim: Object, guides: string[]}} item - Queue item
+ * @param {string} position - e.g. "3/120"
+ * @param {string} snapshotsDir - Snapshots directory
+ */
+function printClaim(kb, { claim, guides }, position, snapshotsDir) {
+  console.log(`\n${'─'.repeat(70)}`);
+  console.log(`[${position}] ${claim.claim_id}`);
+  console.log(`  Type:     ${claim.claim_type}  Service: ${claim.entity_ref ? claim.entity_ref.id : '-'}  Status: ${claim.status}`);
+  if (guides.length > 0) console.log(`  Guides:   ${guides.join(', ')}`);
+  console.log(`  Text:     ${claim.text}`);
+  if (claim.structured_data) console.log(`  Data:     ${JSON.stringify(claim.structured_data)}`);
+  if (claim.contradiction) {
+    const { reason, conflicting_claim_ids: conflicting, current_text: currentText, note } = claim.contradiction;
+    console.log(`  ⚠️  Contradicted (${reason}): ${currentText || note || (conflicting || []).join(', ')}`);
+  }
+
+  (claim.citations || []).forEach((citation, i) => {
+    const sourcePage = (kb.source_pages || []).find(sp => sp.source_page_id === citation.source_page_id);
+    const headingPath = citation.locator && citation.locator.heading_path;
+    console.log(`\n  Citation ${i + 1}: ${sourcePage ? sourcePage.canonical_url : citation.source_page_id}`);
+    if (headingPath) console.log(`    Section:   ${headingPath.join(' > ')}`);
+    console.log(`    Quote:     "${citation.quoted_text}"`);
+    console.log(`    Retrieved: ${citation.retrieved_at}`);
+
+    let excerpt;
+    try {
+      excerpt = getCitationExcerpt(snapshotsDir, citation);
+    } catch (e) {
+      console.log(`    ❌ Snapshot unreadable: ${e.message}`);
+      return;
+    }
+    if (!excerpt) {
+      console.log('    (no snapshot of this page)');
+    } else if (excerpt.match === 'missing') {
+      console.log(`    Snapshot ${excerpt.snapshot_date}: quote not found`);
+    } else {
+      const label = excerpt.match === 'exact' ? 'quote found' : `quote edited, ${Math.round(excerpt.similarity * 100)}% similar`;
+      console.log(`    Snapshot ${excerpt.snapshot_date} (${label}) - ${excerpt.heading_path.join(' > ')}`);
+      for (const line of excerpt.lines) {
+        console.log(`    ${line.hit ? '▶' : ' '} ${line.text}`);
+      }
+    }
+  });
+}
+
+// ============================================================================
+// REVIEW SESSION
+// ============================================================================
+
+/**
+ * Line prompt over stdin. Answers typed (or piped) ahead are kept in order;
+ * once input ends (or Ctrl+C), every question is answered with null.
+ * @returns {{ask: function(string): Promise<string|null>, close: function(): void}}
+ */
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('SIGINT', () => rl.close());
+  rl.on('close', () => {
+    closed = true;
+    while (waiting.length > 0) waiting.shift()(null);
+  });
+
+  return {
+    ask(query) {
+      process.stdout.write(query);
+      if (lines.length > 0) return Promise.resolve(lines.shift());
+      if (closed) return Promise.resolve(null);
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    close: () => rl.close(),
+  };
+}
+
+/**
+ * Ask for the corrections of an edit (an empty answer keeps the value)
+ * @param {Object} prompt - createPrompt result
+ * @param {Object} claim - Claim
+ * @returns {Promise<Object>} - Edits for applyReviewDecision
+ */
+async function askEdits(prompt, claim) {
+  const edits = { structured_data: {} };
+  const text = ((await prompt.ask(`  Text [${claim.text}]: `)) || '').trim();
+  if (text) edits.text = text;
+  const citation = (claim.citations || [])[0];
+  if (citation) {
+    const quote = ((await prompt.ask(`  Quote [${citation.quoted_text}]: `)) || '').trim();
+    if (quote) edits.quoted_text = quote;
+  }
+  for (const [field, value] of Object.entries(claim.structured_data || {})) {
+    if (value !== null && typeof value === 'object') continue;
+    const answer = ((await prompt.ask(`  ${field} [${value}]: `)) || '').trim();
+    if (!answer) continue;
+    edits.structured_data[field] = typeof value === 'number' && !Number.isNaN(Number(answer)) ? Number(answer) : answer;
+  }
+  return edits;
+}
+
+async function review(kb, queue, options) {
+  const actor = userActor(options.reviewer);
+  const prompt = createPrompt();
+  const counts = Object.fromEntries(Object.values(REVIEW_DECISIONS).map(outcome => [outcome, 0]));
+  let skipped = 0;
+
+  console.log(`\n🔎 Review queue: ${queue.length} claim(s), reviewer ${actor}`);
+  for (let i = 0; i < queue.length; i++) {
+    const { claim } = queue[i];
+    printClaim(kb, queue[i], `${i + 1}/${queue.length}`, options.snapshotsDir);
+
+    const answer = await prompt.ask('\n  [v]erify [e]dit [r]eject [c]ontradict [s]kip [q]uit > ');
+    if (answer === null || answer.trim().toLowerCase() === 'q') break;
+    const decision = DECISION_KEYS[answer.trim().toLowerCase()];
+    if (!decision) {
+      skipped++;
+      continue;
+    }
+
+    const edits = decision === 'edit' ? await askEdits(prompt, claim) : undefined;
+    const note = ((await prompt.ask('  Note (optional): ')) || '').trim() || undefined;
+    applyReviewDecision(kb, claim, decision, { actor, note, edits });
+    counts[REVIEW_DECISIONS[decision]]++;
+    console.log(`  ✅ ${claim.claim_id}: ${claim.status}`);
+  }
+  prompt.close();
+
+  const decided = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  console.log(`\n📋 Reviewed ${decided} claim(s), skipped ${skipped}`);
+  for (const [outcome, count] of Object.entries(counts)) {
+    if (count > 0) console.log(`   ${outcome.padEnd(14)} ${count}`);
+  }
+  return decided;
+}
+
+async function main() {
+  const options = parseArgs();
+
+  if (!fs.existsSync(options.kbPath)) {
+    console.error(`ERROR: KB file not found: ${options.kbPath}`);
+    process.exit(1);
+  }
+  const kb = JSON.parse(fs.readFileSync(options.kbPath, 'utf-8'));
+  const queue = buildReviewQueue(kb, options.filters).slice(0, options.limit);
+
+  if (options.list) {
+    for (const { claim, guides } of queue) {
+      console.log(`${claim.status.padEnd(13)} ${claim.claim_type.padEnd(22)} ${claim.claim_id}${guides.length > 0 ? `  (${guides.join(', ')})` : ''}`);
+    }
+    console.log(`\n${queue.length} claim(s) to review`);
+    return;
+  }
+  if (queue.length === 0) {
+    console.log('Nothing to review');
+    return;
+  }
+
+  const decided = await review(kb, queue, options);
+  if (decided > 0) {
+    saveKB(kb, options.kbPath);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  });
+}